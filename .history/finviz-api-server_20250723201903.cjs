@@ -1,7 +1,7 @@
 const express = require('express');
 const { parse } = require('csv-parse/sync');
 
-const FINVIZ_API_TOKEN = '947b2097-7436-4e8d-bcd9-894fcdebb27b';
+const FINVIZ_API_TOKEN = 'YOUR_FINVIZ_API_TOKEN';
 
 const app = express();
 const PORT = 3001;
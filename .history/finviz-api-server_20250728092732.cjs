@@ -3,7 +3,7 @@ const { parse } = require('csv-parse/sync');
 const cors = require('cors');
 
 // Use environment variable for API token
-const FINVIZ_API_TOKEN = process.env.FINVIZ_API_TOKEN || '947b2097-7436-4e8d-bcd9-894fcdebb27b';
+const FINVIZ_API_TOKEN = process.env.FINVIZ_API_TOKEN || 'YOUR_FINVIZ_API_TOKEN';
 
 const app = express();
 app.use(cors());
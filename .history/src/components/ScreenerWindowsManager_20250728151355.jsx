@@ -17,7 +17,7 @@ const ScreenerWindowsManager = () => {
         isMinimized: false, 
         isMaximized: false, 
         isOpen: true,
-        finvizUrl: 'http://elite.finviz.com/export.ashx?v=111&f=sh_avgvol_o500,sh_price_o7,sh_relvol_o1.5,ta_changeopen_u,ta_highlow52w_0to5-ahx0to5-bh,ta_pattern_horizontal,ta_perf_13wup,ta_rsi_50to65&&auth=947b2097-7436-4e8d-bcd9-894fcdebb27b'
+        finvizUrl: 'http://elite.finviz.com/export.ashx?v=111&f=sh_avgvol_o500,sh_price_o7,sh_relvol_o1.5,ta_changeopen_u,ta_highlow52w_0to5-ahx0to5-bh,ta_pattern_horizontal,ta_perf_13wup,ta_rsi_50to65&&auth=YOUR_FINVIZ_API_TOKEN'
       },
       { 
         id: 2, 
@@ -26,7 +26,7 @@ const ScreenerWindowsManager = () => {
         isMinimized: false, 
         isMaximized: false, 
         isOpen: true,
-        finvizUrl: 'https://elite.finviz.com/export.ashx?v=111&f=fa_grossmargin_pos,fa_pe_profitable,fa_roe_o5,sh_avgvol_o500,sh_relvol_0.8to1.6,ta_changeopen_d,ta_rsi_35to50,ta_sma200_pa&auth=947b2097-7436-4e8d-bcd9-894fcdebb27b'
+        finvizUrl: 'https://elite.finviz.com/export.ashx?v=111&f=fa_grossmargin_pos,fa_pe_profitable,fa_roe_o5,sh_avgvol_o500,sh_relvol_0.8to1.6,ta_changeopen_d,ta_rsi_35to50,ta_sma200_pa&auth=YOUR_FINVIZ_API_TOKEN'
       },
       { id: 3, title: 'Screener 3', data: [], isMinimized: false, isMaximized: false, isOpen: true },
       { id: 4, title: 'Screener 4', data: [], isMinimized: false, isMaximized: false, isOpen: true }
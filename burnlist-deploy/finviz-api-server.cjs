@@ -2,8 +2,12 @@ const express = require('express');
 const { parse } = require('csv-parse/sync');
 const cors = require('cors');
 
-// Use environment variable for API token
-const FINVIZ_API_TOKEN = process.env.FINVIZ_API_TOKEN || '947b2097-7436-4e8d-bcd9-894fcdebb27b';
+// The Finviz Elite token only comes from the environment
+const FINVIZ_API_TOKEN = process.env.FINVIZ_API_TOKEN;
+if (!FINVIZ_API_TOKEN) {
+  console.error('❌ FINVIZ_API_TOKEN is not set, see env.example');
+  process.exit(1);
+}
 
 const app = express();
 app.use(cors());
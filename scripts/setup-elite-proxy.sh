@@ -60,7 +60,7 @@ echo ""
 echo "To test your API key:"
 echo "  curl http://localhost:3001/api/test-elite"
 echo ""
-echo "Your Elite API key is configured: f6202a40-4a7c-4d91-9ef8-068795ffbac0"
+echo "Set your Elite token in FINVIZ_API_TOKEN or on the Settings page"
 echo ""
 echo "Example Elite URL format:"
 echo "  https://elite.finviz.com/export.ashx?v=111&f=cap_smallover,sh_avgvol_o500,sh_price_o7,sh_relvol_o1.5,ta_pattern_channelup2|channelup|wedgeresistance|wedgeup,ta_perf_5to-1w,ta_rsi_55to70&ft=4" 
\ No newline at end of file
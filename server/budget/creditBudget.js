@@ -0,0 +1,232 @@
+import { ProviderError } from '../providers/providerError.js';
+
+const MINUTE = 60 * 1000;
+const DEFAULT_CREDITS_PER_MINUTE = 55;
+const DEFAULT_MANUAL_RESERVE = 10;
+const MAX_WAIT_MS = {
+  manual: 30 * 1000,
+  automatic: 10 * 1000
+};
+
+/**
+ * Error for requests the budget can't serve in time. Answered with
+ * 429 and a Retry-After header by the market data routes.
+ */
+export class BudgetError extends ProviderError {
+  constructor(message, { retryAfter, budget }) {
+    super(message, { status: 429, provider: 'twelvedata', details: budget });
+    this.name = 'BudgetError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Normalize a priority coming from a header or query string
+ */
+export function parsePriority(value) {
+  return String(value || '').toLowerCase() === 'manual' ? 'manual' : 'automatic';
+}
+
+/**
+ * Twelve Data credit budget shared by every client of this server
+ *
+ * Token bucket refilled continuously up to TWELVE_DATA_CREDITS_PER_MINUTE
+ * (55 by default), one credit per symbol requested. Automatic refreshes
+ * can't spend the last TWELVE_DATA_MANUAL_RESERVE credits (10), which stay
+ * available for manual ones. Requests that don't fit wait in a queue,
+ * manual before automatic, and are rejected when their turn would come
+ * after their maximum wait. Requests larger than the bucket are charged
+ * in full, one bucket-sized chunk per refill.
+ */
+class CreditBudget {
+  constructor() {
+    this.tokens = null;
+    this.lastRefill = Date.now();
+    this.queue = [];  // { cost, priority, resolve, queuedAt }
+    this.spent = [];  // { at, cost } over the last minute
+    this.timer = null;
+    this.stats = {
+      granted: 0,
+      waited: 0,
+      rejected: 0,
+      creditsSpent: 0,
+      byPriority: {
+        manual: { granted: 0, rejected: 0 },
+        automatic: { granted: 0, rejected: 0 }
+      }
+    };
+  }
+
+  getCapacity() {
+    return Number(process.env.TWELVE_DATA_CREDITS_PER_MINUTE) || DEFAULT_CREDITS_PER_MINUTE;
+  }
+
+  // Always leaves automatic requests at least one credit, even on small plans
+  getManualReserve() {
+    const configured = Number(process.env.TWELVE_DATA_MANUAL_RESERVE);
+    const reserve = Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_MANUAL_RESERVE;
+    return Math.max(0, Math.min(reserve, this.getCapacity() - 1));
+  }
+
+  refill() {
+    const capacity = this.getCapacity();
+    const now = Date.now();
+    if (this.tokens === null) {
+      this.tokens = capacity;
+    } else {
+      this.tokens = Math.min(capacity, this.tokens + (now - this.lastRefill) * capacity / MINUTE);
+    }
+    this.lastRefill = now;
+  }
+
+  // Credits a request of this priority may spend right now
+  available(priority) {
+    return this.tokens - (priority === 'manual' ? 0 : this.getManualReserve());
+  }
+
+  /**
+   * Most credits a single request of this priority can spend at once.
+   * Callers split larger requests so no one call exceeds the per-minute limit.
+   */
+  getMaxCost(priority) {
+    return Math.max(1, this.getCapacity() - (priority === 'manual' ? 0 : this.getManualReserve()));
+  }
+
+  getMaxWait(priority) {
+    return MAX_WAIT_MS[priority];
+  }
+
+  refillMs(credits) {
+    return credits > 0 ? Math.ceil(credits * MINUTE / this.getCapacity()) : 0;
+  }
+
+  msUntil(credits, priority) {
+    return this.refillMs(credits - this.available(priority));
+  }
+
+  /**
+   * Wait until `cost` credits can be spent
+   * @param {number} cost - Credits, one per symbol
+   * @param {Object} options - { priority: 'manual' | 'automatic', maxWaitMs }
+   * @returns {Promise<Object>} Budget status after spending
+   * @throws {BudgetError} When the credits won't be available within maxWaitMs
+   */
+  acquire(cost, { priority = 'automatic', maxWaitMs = MAX_WAIT_MS[priority] } = {}) {
+    this.refill();
+    const credits = Math.max(1, Math.ceil(cost));
+
+    // More than the bucket holds: queued as bucket-sized chunks, each waiting for its refill
+    const maxCost = this.getMaxCost(priority);
+    const chunks = [];
+    for (let left = credits; left > 0; left -= maxCost) {
+      chunks.push(Math.min(left, maxCost));
+    }
+
+    // Requests of the same or higher priority already waiting go first
+    const ahead = this.queue
+      .filter(entry => entry.priority === 'manual' || priority === 'automatic')
+      .reduce((sum, entry) => sum + entry.cost, 0);
+
+    if (ahead === 0 && chunks.length === 1 && this.available(priority) >= credits) {
+      this.spend(credits);
+      this.grant(priority);
+      return Promise.resolve(this.getStatus());
+    }
+
+    // The refills an oversized request needs for itself don't count against its wait
+    const waitMs = this.msUntil(ahead + credits, priority);
+    if (waitMs > maxWaitMs + this.refillMs(credits - chunks[0])) {
+      this.stats.rejected++;
+      this.stats.byPriority[priority].rejected++;
+      const retryAfter = Math.ceil(waitMs / 1000);
+      console.warn(`⏳ [budget] Rejected ${priority} request for ${credits} credits, retry in ${retryAfter}s`);
+      return Promise.reject(new BudgetError('Twelve Data credit budget exhausted', {
+        retryAfter,
+        budget: this.getStatus()
+      }));
+    }
+
+    this.stats.waited++;
+    return new Promise(resolve => {
+      const queuedAt = Date.now();
+      // Only the last chunk settles the request
+      const entries = chunks.map((chunk, index) => ({
+        cost: chunk,
+        priority,
+        resolve: index === chunks.length - 1 ? resolve : null,
+        queuedAt
+      }));
+      const insertAt = priority === 'manual'
+        ? this.queue.findIndex(queued => queued.priority === 'automatic')
+        : -1;
+      if (insertAt === -1) {
+        this.queue.push(...entries);
+      } else {
+        this.queue.splice(insertAt, 0, ...entries);
+      }
+      this.scheduleDrain();
+    });
+  }
+
+  spend(credits) {
+    this.tokens -= credits;
+    this.spent.push({ at: Date.now(), cost: credits });
+    this.stats.creditsSpent += credits;
+  }
+
+  grant(priority) {
+    this.stats.granted++;
+    this.stats.byPriority[priority].granted++;
+  }
+
+  drain() {
+    this.timer = null;
+    this.refill();
+
+    while (this.queue.length > 0 && this.available(this.queue[0].priority) >= this.queue[0].cost) {
+      const entry = this.queue.shift();
+      this.spend(entry.cost);
+      if (entry.resolve) {
+        this.grant(entry.priority);
+        entry.resolve(this.getStatus());
+      }
+    }
+    this.scheduleDrain();
+  }
+
+  // Rescheduled on every insert: a manual request may have become the head
+  scheduleDrain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.queue.length === 0) return;
+    const head = this.queue[0];
+    this.timer = setTimeout(() => this.drain(), Math.max(this.msUntil(head.cost, head.priority), 50));
+  }
+
+  /**
+   * Remaining budget, as reported to clients (X-Credits-* headers, /api/budget)
+   */
+  getStatus() {
+    this.refill();
+    const now = Date.now();
+    this.spent = this.spent.filter(entry => now - entry.at < MINUTE);
+    const capacity = this.getCapacity();
+
+    return {
+      limit: capacity,
+      remaining: Math.max(0, Math.floor(this.tokens)),
+      used: this.spent.reduce((sum, entry) => sum + entry.cost, 0),
+      reservedForManual: this.getManualReserve(),
+      resetIn: Math.ceil((capacity - this.tokens) * MINUTE / capacity / 1000),
+      queued: this.queue.length
+    };
+  }
+
+  getStats() {
+    return { ...this.getStatus(), ...this.stats };
+  }
+}
+
+const creditBudget = new CreditBudget();
+
+export default creditBudget;
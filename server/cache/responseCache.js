@@ -0,0 +1,212 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const MAX_ENTRIES = 500;
+const PERSIST_DELAY_MS = 5000;
+
+/**
+ * Build a cache key from a route and its normalized parameters.
+ * Parameter order doesn't matter, empty values are dropped.
+ */
+export function buildCacheKey(route, params = {}) {
+  const normalized = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`);
+  return `${route}?${normalized.join('&')}`;
+}
+
+/**
+ * In-process response cache for the market data routes
+ *
+ * - fresh for `ttlMs`: served without calling the vendor (HIT)
+ * - then stale for `staleMs`: served immediately while one background
+ *   request refreshes it (STALE)
+ * - concurrent requests for a missing key share one vendor call (COALESCED)
+ * - errors are never cached; a failed refresh keeps the stale value
+ * Set RESPONSE_CACHE=off to bypass it, and RESPONSE_CACHE_FILE to keep
+ * entries across restarts.
+ */
+class ResponseCache {
+  constructor() {
+    this.entries = new Map();   // key -> { value, route, storedAt, freshUntil, staleUntil }
+    this.inFlight = new Map();  // key -> promise of the value
+    this.persistTimer = null;
+    this.loaded = false;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      stale: 0,
+      coalesced: 0,
+      bypassed: 0,
+      revalidations: 0,
+      errors: 0,
+      routes: {}
+    };
+  }
+
+  isEnabled() {
+    return process.env.RESPONSE_CACHE !== 'off';
+  }
+
+  getPersistFile() {
+    return process.env.RESPONSE_CACHE_FILE ? path.resolve(process.env.RESPONSE_CACHE_FILE) : null;
+  }
+
+  /**
+   * Get a value through the cache
+   * @param {string} key - From buildCacheKey
+   * @param {Function} loader - Async function calling the vendor
+   * @param {Object} options - { route, ttlMs, staleMs, refresh: skip fresh/stale entries }
+   * @returns {Promise<Object>} { value, status, age } (age in seconds)
+   */
+  async get(key, loader, { route = 'unknown', ttlMs, staleMs = 0, refresh = false }) {
+    if (!this.isEnabled()) {
+      this.count(route, 'bypassed');
+      return { value: await loader(), status: 'BYPASS', age: 0 };
+    }
+
+    await this.load();
+    const entry = this.entries.get(key);
+    const now = Date.now();
+
+    if (entry && !refresh) {
+      const age = Math.floor((now - entry.storedAt) / 1000);
+      if (now < entry.freshUntil) {
+        this.count(route, 'hits');
+        return { value: entry.value, status: 'HIT', age };
+      }
+      if (now < entry.staleUntil) {
+        this.count(route, 'stale');
+        this.revalidate(key, loader, { route, ttlMs, staleMs });
+        return { value: entry.value, status: 'STALE', age };
+      }
+    }
+
+    if (this.inFlight.has(key)) {
+      this.count(route, 'coalesced');
+      return { value: await this.inFlight.get(key), status: 'COALESCED', age: 0 };
+    }
+
+    this.count(route, 'misses');
+    return { value: await this.fetch(key, loader, { route, ttlMs, staleMs }), status: 'MISS', age: 0 };
+  }
+
+  fetch(key, loader, { route, ttlMs, staleMs }) {
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        this.set(key, value, { route, ttlMs, staleMs });
+        return value;
+      })
+      .catch(error => {
+        this.count(route, 'errors');
+        throw error;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  revalidate(key, loader, options) {
+    if (this.inFlight.has(key)) return;
+
+    this.count(options.route, 'revalidations');
+    this.fetch(key, loader, options).catch(error => {
+      console.warn(`⚠️ [cache] Refresh failed for ${key}, keeping stale value:`, error.message);
+    });
+  }
+
+  set(key, value, { route, ttlMs, staleMs }) {
+    const now = Date.now();
+    // Re-insert so the Map order doubles as least-recently-stored eviction order
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      route,
+      storedAt: now,
+      freshUntil: now + ttlMs,
+      staleUntil: now + ttlMs + staleMs
+    });
+
+    while (this.entries.size > MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.schedulePersist();
+  }
+
+  count(route, field) {
+    this.stats[field]++;
+    if (!this.stats.routes[route]) {
+      this.stats.routes[route] = { hits: 0, misses: 0, stale: 0, coalesced: 0, bypassed: 0, revalidations: 0, errors: 0 };
+    }
+    this.stats.routes[route][field]++;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.schedulePersist();
+  }
+
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    const file = this.getPersistFile();
+    if (!file) return;
+
+    try {
+      const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+      const now = Date.now();
+      Object.entries(saved.entries || {}).forEach(([key, entry]) => {
+        if (entry.staleUntil > now) this.entries.set(key, entry);
+      });
+      console.log(`🗃️ [cache] Restored ${this.entries.size} cached responses from ${file}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ [cache] Could not read ${file}:`, error.message);
+      }
+    }
+  }
+
+  schedulePersist() {
+    const file = this.getPersistFile();
+    if (!file || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(async () => {
+      this.persistTimer = null;
+      try {
+        const now = Date.now();
+        const entries = {};
+        this.entries.forEach((entry, key) => {
+          if (entry.staleUntil > now) entries[key] = entry;
+        });
+
+        const tempPath = `${file}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify({ savedAt: new Date(now).toISOString(), entries }));
+        await fs.rename(tempPath, file);
+      } catch (error) {
+        console.warn(`⚠️ [cache] Could not write ${file}:`, error.message);
+      }
+    }, PERSIST_DELAY_MS);
+    this.persistTimer.unref?.();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses + this.stats.stale + this.stats.coalesced;
+    return {
+      enabled: this.isEnabled(),
+      persisted: Boolean(this.getPersistFile()),
+      entries: this.entries.size,
+      inFlight: this.inFlight.size,
+      hitRate: lookups > 0 ? Number(((this.stats.hits + this.stats.stale + this.stats.coalesced) / lookups).toFixed(3)) : null,
+      ...this.stats
+    };
+  }
+}
+
+const responseCache = new ResponseCache();
+
+export default responseCache;
@@ -0,0 +1,128 @@
+const HEARTBEAT_MS = 25 * 1000;
+const HISTORY_SIZE = 200;
+const RETRY_MS = 5000;
+
+/**
+ * Server-Sent Events hub
+ *
+ * Keeps the open /api/events streams and fans out events to them:
+ *   prices  { slug, prices[] }               latest prices for one watchlist
+ *   nav     { slug, navData, source, ... }   NAV recalculation for one watchlist
+ *   cycle   { number, completedAt, ... }     a scheduler cycle finished
+ * Slug events only reach clients that asked for that slug (or for all).
+ * The last events are kept so a reconnecting EventSource (Last-Event-ID)
+ * catches up on what it missed.
+ */
+class EventHub {
+  constructor() {
+    this.clients = new Map();    // clientId -> { id, res, slugs: Set | null, connectedAt }
+    this.history = [];
+    this.nextClientId = 1;
+    this.nextEventId = 1;
+    this.heartbeat = null;
+    this.stats = { published: 0, delivered: 0 };
+  }
+
+  /**
+   * Turn a request into an event stream
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Array<string>} slugs - Watchlist slugs to receive, empty for all
+   */
+  connect(req, res, slugs = []) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = {
+      id: String(this.nextClientId++),
+      res,
+      slugs: slugs.length > 0 ? new Set(slugs) : null,
+      connectedAt: new Date().toISOString()
+    };
+    this.clients.set(client.id, client);
+
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    this.write(client, { id: null, type: 'hello', slug: null, data: { clientId: client.id } });
+
+    const lastEventId = Number(req.get('Last-Event-ID'));
+    if (lastEventId > 0) {
+      this.history
+        .filter(event => event.id > lastEventId && this.accepts(client, event))
+        .forEach(event => this.write(client, event));
+    }
+
+    req.on('close', () => {
+      this.clients.delete(client.id);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+
+    this.startHeartbeat();
+    console.log(`📡 [events] Client ${client.id} connected${client.slugs ? ` (${slugs.join(', ')})` : ''}, ${this.clients.size} open`);
+    return client.id;
+  }
+
+  accepts(client, event) {
+    return !event.slug || !client.slugs || client.slugs.has(event.slug);
+  }
+
+  write(client, { id, type, slug, data }) {
+    const payload = slug ? { slug, ...data } : data;
+    client.res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  /**
+   * Send an event to every interested client
+   * @param {string} type - Event name (prices, nav, cycle)
+   * @param {Object} data - JSON payload
+   * @param {Object} options - { slug, excludeClientId: skip the client that sent it }
+   */
+  publish(type, data, { slug = null, excludeClientId = null } = {}) {
+    const event = { id: this.nextEventId++, type, slug, data };
+    this.history.push(event);
+    if (this.history.length > HISTORY_SIZE) this.history.shift();
+    this.stats.published++;
+
+    this.clients.forEach(client => {
+      if (client.id === excludeClientId || !this.accepts(client, event)) return;
+      try {
+        this.write(client, event);
+        this.stats.delivered++;
+      } catch (error) {
+        console.warn(`⚠️ [events] Dropping client ${client.id}:`, error.message);
+        this.clients.delete(client.id);
+      }
+    });
+  }
+
+  // Comment lines keep proxies from closing idle streams
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': ping\n\n'));
+    }, HEARTBEAT_MS);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  getStats() {
+    return {
+      clients: this.clients.size,
+      lastEventId: this.nextEventId - 1,
+      ...this.stats
+    };
+  }
+}
+
+const eventHub = new EventHub();
+
+export default eventHub;
@@ -0,0 +1,455 @@
+import { parse } from 'csv-parse/sync';
+import { ProviderError } from './providerError.js';
+import secretStore, { redactSecrets } from '../settings/secretStore.js';
+
+const FINVIZ_ELITE_BASE_URL = 'https://elite.finviz.com';
+
+// Map normalized intervals to Finviz quote_export periods
+const INTERVAL_TO_PERIOD = {
+  '1min': 'i1',
+  '5min': 'i5',
+  '15min': 'i15',
+  '30min': 'i30',
+  '1h': 'h',
+  '1day': 'd',
+  '1week': 'w',
+  '1month': 'm'
+};
+
+// grp_export views: performance columns, or the overview with market caps
+const SECTOR_VIEWS = {
+  performance: 140,
+  overview: 110
+};
+
+// Tickers per screener export request when looking up profiles or fundamentals
+const PROFILE_CHUNK_SIZE = 100;
+
+// Custom screener view columns for fundamentals: ticker, market cap, P/E, P/B,
+// EPS this year, EPS Q/Q, debt/equity, beta, ATR, avg volume, rel volume,
+// price, volume, earnings date
+const FUNDAMENTAL_COLUMNS = [1, 6, 7, 11, 17, 22, 38, 48, 49, 63, 64, 65, 67, 68];
+
+function toNumber(value) {
+  const number = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+// First column present under any of the names Finviz has used for it
+function pickColumn(row, ...names) {
+  const name = names.find(candidate => row[candidate] !== undefined && row[candidate] !== '');
+  return name === undefined ? undefined : row[name];
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Finviz keeps showing the last report until the next one is announced
+const EARNINGS_GRACE_DAYS = 30;
+// Report times by session, New York time
+const EARNINGS_SESSIONS = { b: [8, 0], bmo: [8, 0], a: [16, 0], amc: [16, 0] };
+
+// Offset of New York wall-clock time from UTC at a moment, in ms
+function newYorkOffset(time) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York',
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(time).forEach(part => { parts[part.type] = Number(part.value); });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - time;
+}
+
+function newYorkTime(year, month, day, hours = 0, minutes = 0) {
+  const wallClock = Date.UTC(year, month, day, hours, minutes);
+  const date = new Date(wallClock - newYorkOffset(wallClock));
+  // Reject days that don't exist, e.g. Feb 30
+  return new Date(wallClock).getUTCDate() === day ? date : null;
+}
+
+/**
+ * Parse Finviz's earnings date, in either of its formats:
+ *   "10/30/2025 4:30:00 PM" (exports, New York time)
+ *   "Oct 30/a", "Nov 20 AMC", "Nov 20" (screener views, no year)
+ * Dates without a year are taken in the current year, rolled to the next
+ * one once more than EARNINGS_GRACE_DAYS old. Anything else is null.
+ * @returns {Date|null}
+ */
+function parseEarningsDate(value, now = new Date()) {
+  const text = String(value ?? '').trim();
+
+  const full = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::\d{2})?\s*(AM|PM)?)?$/i);
+  if (full) {
+    const [, month, day, year, hour = '0', minute = '0', meridiem] = full;
+    let hours = Number(hour);
+    if (meridiem) hours = (hours % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+    if (Number(month) < 1 || Number(month) > 12 || hours > 23) return null;
+    return newYorkTime(Number(year), Number(month) - 1, Number(day), hours, Number(minute));
+  }
+
+  const short = text.match(/^([a-z]{3})\s+(\d{1,2})(?:\s*\/\s*([ab])|\s+(bmo|amc))?$/i);
+  if (!short) return null;
+  const month = MONTHS.indexOf(short[1].toLowerCase());
+  if (month === -1) return null;
+  const [hours, minutes] = EARNINGS_SESSIONS[(short[3] || short[4] || '').toLowerCase()] || [0, 0];
+
+  const year = now.getUTCFullYear();
+  const date = newYorkTime(year, month, Number(short[2]), hours, minutes);
+  if (date && now - date > EARNINGS_GRACE_DAYS * DAY_MS) {
+    return newYorkTime(year + 1, month, Number(short[2]), hours, minutes);
+  }
+  return date;
+}
+
+// Map a quote_export CSV row to the normalized bar shape
+function toBar(row, symbol) {
+  const close = toNumber(row.Close ?? row.close ?? row.Price ?? row.price);
+  const date = new Date(row.Date ?? row.date);
+  if (close === null || close <= 0 || isNaN(date.getTime())) {
+    return null;
+  }
+
+  return {
+    price: close,
+    close,
+    open: toNumber(row.Open ?? row.open) ?? close,
+    high: toNumber(row.High ?? row.high) ?? close,
+    low: toNumber(row.Low ?? row.low) ?? close,
+    timestamp: date.toISOString(),
+    volume: parseInt(toNumber(row.Volume ?? row.volume) || 0),
+    symbol
+  };
+}
+
+/**
+ * Finviz Elite provider
+ * quote_export returns one CSV per ticker (oldest first), so batches are
+ * fetched symbol by symbol and reversed into the newest-first contract order.
+ */
+class FinvizProvider {
+  constructor() {
+    this.name = 'finviz';
+    this.label = 'Finviz Elite';
+    this.capabilities = { quotes: true, history: true, batch: true, maxSymbolsPerRequest: 1 };
+  }
+
+  // FINVIZ_API_TOKEN, or the token saved from the settings page
+  getAuthToken() {
+    const token = secretStore.get('finviz');
+    if (!token) {
+      throw new ProviderError('Finviz Elite token is not configured', {
+        status: 503,
+        provider: this.name,
+        details: 'Set FINVIZ_API_TOKEN or add the token in Settings'
+      });
+    }
+    return token;
+  }
+
+  hasCredentials() {
+    return Boolean(secretStore.get('finviz'));
+  }
+
+  usesTwelveData() {
+    return false;
+  }
+
+  /**
+   * Check a token with the sector export. Finviz answers an invalid token
+   * with its HTML login page instead of CSV.
+   * @param {string} token - Token to test
+   * @returns {Promise<Object>} { valid, message }
+   */
+  async testCredentials(token) {
+    const response = await fetch(`${FINVIZ_ELITE_BASE_URL}/grp_export.ashx?g=sector&v=140&auth=${encodeURIComponent(token)}`);
+    const text = await response.text();
+
+    if (!response.ok || text.trim().startsWith('<')) {
+      return { valid: false, message: `Finviz rejected the token (${response.status})` };
+    }
+    return { valid: true, message: `Sector export returned ${text.trim().split('\n').length - 1} rows` };
+  }
+
+  /**
+   * Screener links are saved without credentials. Strip whatever auth/ft a
+   * pasted link carries and add the server's token to Elite exports.
+   * @param {string} url - Screener export URL
+   * @returns {string} URL to fetch
+   */
+  authorizeScreenerUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ProviderError('Invalid screener URL', { status: 400, provider: this.name });
+    }
+    if (parsed.protocol !== 'https:' || !/(^|\.)finviz\.com$/.test(parsed.hostname)) {
+      throw new ProviderError('Only finviz.com screener URLs can be proxied', { status: 400, provider: this.name });
+    }
+
+    parsed.searchParams.delete('auth');
+    parsed.searchParams.delete('ft');
+    if (parsed.hostname === 'elite.finviz.com') {
+      parsed.searchParams.set('auth', this.getAuthToken());
+    }
+    return parsed.toString();
+  }
+
+  /**
+   * Fetch and parse the raw quote_export CSV for one ticker
+   * @param {string} ticker - Symbol
+   * @param {string} period - Finviz period (d, w, m, i5, ...)
+   * @returns {Promise<Array>} Parsed CSV records
+   */
+  async fetchQuoteExport(ticker, period = 'd') {
+    const url = `${FINVIZ_ELITE_BASE_URL}/quote_export.ashx?t=${encodeURIComponent(ticker)}&p=${encodeURIComponent(period)}&auth=${this.getAuthToken()}`;
+
+    console.log(`🌐 Fetching from Finviz: ${ticker} (${period})`);
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      console.error(`❌ Finviz API error for ${ticker}: ${response.status} ${response.statusText}`);
+      throw new ProviderError('Failed to fetch data from Finviz', {
+        provider: this.name,
+        details: { ticker, status: response.status, statusText: response.statusText }
+      });
+    }
+
+    const csvText = await response.text();
+
+    if (!csvText || csvText.trim().length === 0) {
+      console.error(`❌ Empty CSV response for ${ticker}`);
+      throw new ProviderError('Empty CSV response from Finviz', { provider: this.name, details: { ticker } });
+    }
+
+    if (csvText.includes('error') || csvText.includes('Error') || csvText.includes('not found')) {
+      console.error(`❌ Error in CSV for ${ticker}:`, csvText.substring(0, 200));
+      throw new ProviderError('Finviz returned error in CSV', {
+        provider: this.name,
+        details: { ticker, message: csvText.substring(0, 200) }
+      });
+    }
+
+    const records = parse(csvText, {
+      columns: true,
+      skip_empty_lines: true,
+    });
+
+    if (records.length === 0) {
+      console.error(`❌ No records parsed for ${ticker}`);
+      throw new ProviderError('No records found in CSV', { provider: this.name, details: { ticker, csvLength: csvText.length } });
+    }
+
+    console.log(`✅ Parsed ${records.length} records for ${ticker}`);
+    return records;
+  }
+
+  /**
+   * Sector group export (raw CSV)
+   * @param {string} view - 'performance' (default) or 'overview' (market cap, P/E, ...)
+   */
+  async fetchSectorExport(view = 'performance') {
+    const viewId = SECTOR_VIEWS[view] || SECTOR_VIEWS.performance;
+    const url = `${FINVIZ_ELITE_BASE_URL}/grp_export.ashx?g=sector&v=${viewId}&auth=${this.getAuthToken()}`;
+
+    console.log(`🔍 Fetching sector data from Finviz (${view})`);
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      console.error(`❌ Finviz sector API error: ${response.status} ${response.statusText}`);
+      throw new ProviderError('Failed to fetch sector data from Finviz', {
+        status: response.status,
+        provider: this.name,
+        details: { status: response.status, statusText: response.statusText }
+      });
+    }
+
+    const csvText = await response.text();
+    if (!csvText || csvText.trim().length === 0) {
+      console.error(`❌ Empty CSV response from Finviz sector API`);
+      throw new ProviderError('Empty CSV response from Finviz sector API', { provider: this.name });
+    }
+
+    console.log(`✅ Sector data fetched from Finviz: ${csvText.length} characters`);
+    return csvText;
+  }
+
+  /**
+   * Screener export rows for the given tickers, in chunks of PROFILE_CHUNK_SIZE
+   * @param {string} view - Query string selecting the view (e.g. 'v=111')
+   * @param {Array<string>} symbols - Tickers to filter on
+   * @param {string} what - What is being fetched, for logs and errors
+   * @returns {Promise<Array>} Parsed CSV records of every chunk
+   */
+  async fetchTickerExport(view, symbols, what) {
+    const token = this.getAuthToken();
+    const rows = [];
+
+    for (let i = 0; i < symbols.length; i += PROFILE_CHUNK_SIZE) {
+      const chunk = symbols.slice(i, i + PROFILE_CHUNK_SIZE);
+      const url = `${FINVIZ_ELITE_BASE_URL}/export.ashx?${view}&t=${chunk.map(encodeURIComponent).join(',')}&auth=${token}`;
+
+      console.log(`🏷️  Fetching Finviz ${what} for ${chunk.length} tickers`);
+      const response = await fetch(url);
+      const csvText = await response.text();
+      if (!response.ok || csvText.trim().startsWith('<')) {
+        throw new ProviderError(`Failed to fetch ${what} from Finviz`, {
+          status: response.ok ? 502 : response.status,
+          provider: this.name,
+          details: { status: response.status, statusText: response.statusText }
+        });
+      }
+      rows.push(...parse(csvText, { columns: true, skip_empty_lines: true }));
+    }
+    return rows;
+  }
+
+  /**
+   * Sector, industry and market cap per ticker, from the screener overview
+   * export filtered to the given tickers
+   * @param {Array<string>} symbols - Symbols to look up
+   * @returns {Promise<Object>} { [symbol]: { symbol, company, sector, industry, country,
+   *   marketCap (dollars), source } }; symbols Finviz doesn't know are left out
+   */
+  async fetchProfiles(symbols) {
+    const profiles = {};
+    (await this.fetchTickerExport('v=111', symbols, 'profiles')).forEach(row => {
+      const symbol = String(row.Ticker || '').toUpperCase();
+      if (!symbol) return;
+      const marketCap = toNumber(row['Market Cap']);
+      profiles[symbol] = {
+        symbol,
+        company: row.Company || null,
+        sector: row.Sector || null,
+        industry: row.Industry || null,
+        country: row.Country || null,
+        // The export lists market cap in millions
+        marketCap: marketCap === null ? null : marketCap * 1e6,
+        source: 'finviz'
+      };
+    });
+
+    console.log(`✅ Finviz profiles found for ${Object.keys(profiles).length}/${symbols.length} tickers`);
+    return profiles;
+  }
+
+  /**
+   * Valuation, growth, volume and earnings fields per ticker, from a custom
+   * screener view (FUNDAMENTAL_COLUMNS)
+   * @param {Array<string>} symbols - Symbols to look up
+   * @returns {Promise<Object>} { [symbol]: { symbol, price, marketCap (dollars), pe, pb,
+   *   epsGrowth (% this year), epsGrowthQoQ, debtEquity, beta, atr, avgVolume (shares),
+   *   relVolume, volume, earningsDate (ISO), source } }; missing values are null
+   */
+  async fetchFundamentals(symbols) {
+    const fundamentals = {};
+    const rows = await this.fetchTickerExport(`v=152&c=${FUNDAMENTAL_COLUMNS.join(',')}`, symbols, 'fundamentals');
+
+    rows.forEach(row => {
+      const symbol = String(row.Ticker || '').toUpperCase();
+      if (!symbol) return;
+      const marketCap = toNumber(row['Market Cap']);
+      const avgVolume = toNumber(pickColumn(row, 'Average Volume', 'Avg Volume'));
+      const earnings = parseEarningsDate(pickColumn(row, 'Earnings Date', 'Earnings'));
+      fundamentals[symbol] = {
+        symbol,
+        price: toNumber(row.Price),
+        // Market cap comes in millions and average volume in thousands
+        marketCap: marketCap === null ? null : marketCap * 1e6,
+        pe: toNumber(row['P/E']),
+        pb: toNumber(row['P/B']),
+        epsGrowth: toNumber(pickColumn(row, 'EPS Growth This Year', 'EPS this Y')),
+        epsGrowthQoQ: toNumber(pickColumn(row, 'EPS Growth Quarter Over Quarter', 'EPS Q/Q')),
+        debtEquity: toNumber(pickColumn(row, 'Total Debt/Equity', 'Debt/Eq')),
+        beta: toNumber(row.Beta),
+        atr: toNumber(pickColumn(row, 'Average True Range', 'ATR')),
+        avgVolume: avgVolume === null ? null : Math.round(avgVolume * 1000),
+        relVolume: toNumber(pickColumn(row, 'Relative Volume', 'Rel Volume')),
+        volume: toNumber(row.Volume),
+        earningsDate: earnings ? earnings.toISOString() : null,
+        source: 'finviz'
+      };
+    });
+
+    console.log(`✅ Finviz fundamentals found for ${Object.keys(fundamentals).length}/${symbols.length} tickers`);
+    return fundamentals;
+  }
+
+  /**
+   * Fetch a screener export by its full URL (raw CSV), with the server's token
+   */
+  async fetchScreenerExport(url) {
+    const authorizedUrl = this.authorizeScreenerUrl(url);
+    console.log(`🔍 Proxy request for URL: ${redactSecrets(authorizedUrl)}`);
+
+    const response = await fetch(authorizedUrl);
+
+    if (!response.ok) {
+      console.error(`❌ Proxy fetch failed: ${response.status} ${response.statusText}`);
+      throw new ProviderError('Proxy fetch failed', {
+        status: response.status,
+        provider: this.name,
+        details: { status: response.status, statusText: response.statusText }
+      });
+    }
+
+    const csvText = await response.text();
+    console.log(`✅ Proxy success: ${csvText.length} characters`);
+    return csvText;
+  }
+
+  async getHistory(symbols, { interval = '1day', startDate, endDate, outputsize } = {}) {
+    const period = INTERVAL_TO_PERIOD[interval];
+    if (!period) {
+      throw new ProviderError(`Interval ${interval} is not supported by Finviz`, { status: 400, provider: this.name });
+    }
+
+    const start = startDate ? new Date(startDate).getTime() : null;
+    const end = endDate ? new Date(endDate).getTime() : null;
+    const limit = parseInt(outputsize) > 0 ? parseInt(outputsize) : null;
+
+    const history = {};
+    for (const symbol of symbols) {
+      const records = await this.fetchQuoteExport(symbol, period);
+      let bars = records
+        .map(row => toBar(row, symbol))
+        .filter(bar => {
+          if (!bar) return false;
+          const time = new Date(bar.timestamp).getTime();
+          return (start === null || time >= start) && (end === null || time <= end);
+        })
+        .reverse();
+
+      if (limit) {
+        bars = bars.slice(0, limit);
+      }
+      history[symbol] = bars;
+    }
+    return history;
+  }
+
+  async getQuotes(symbols) {
+    const { quotes } = await this.getBatch(symbols, { interval: '1day', outputsize: 1 });
+    return quotes;
+  }
+
+  async getBatch(symbols, options = {}) {
+    const historicalData = await this.getHistory(symbols, options);
+    const fetchTimestamp = new Date().toISOString();
+
+    const quotes = {};
+    Object.entries(historicalData).forEach(([symbol, bars]) => {
+      if (bars.length > 0) {
+        quotes[symbol] = { ...bars[0], fetchTimestamp };
+      }
+    });
+    return { quotes, historicalData };
+  }
+}
+
+const finvizProvider = new FinvizProvider();
+
+export default finvizProvider;
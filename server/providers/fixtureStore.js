@@ -0,0 +1,111 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { ProviderError } from './providerError.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Intervals a history fixture can be stored under (Twelve Data's); anything
+// else would become an arbitrary directory name
+const HISTORY_INTERVALS = ['1min', '5min', '15min', '30min', '45min', '1h', '2h', '4h', '1day', '1week', '1month'];
+
+/**
+ * On-disk fixtures for the replay provider
+ *
+ * Layout (relative to MARKET_DATA_FIXTURES_DIR, default fixtures/market-data):
+ *   history/<interval>/<SYMBOL>.json   { symbol, interval, source, recordedAt, bars }  bars newest first
+ *   raw/finviz-sector.csv              sector group export
+ *   raw/finviz-screener/<hash>.csv     screener exports, keyed by URL without auth/ft
+ */
+class FixtureStore {
+  getRoot() {
+    return process.env.MARKET_DATA_FIXTURES_DIR
+      ? path.resolve(process.env.MARKET_DATA_FIXTURES_DIR)
+      : path.resolve(__dirname, '..', '..', 'fixtures', 'market-data');
+  }
+
+  getHistoryPath(symbol, interval) {
+    if (!HISTORY_INTERVALS.includes(interval)) {
+      throw new ProviderError(`Unsupported interval: ${interval}`, { status: 400, provider: 'replay' });
+    }
+    // Symbols like BRK.B or BTC/USD must stay inside their interval folder
+    const fileName = symbol.toUpperCase().replace(/[^A-Z0-9._-]/g, '_');
+    return path.join(this.getRoot(), 'history', interval, `${fileName}.json`);
+  }
+
+  getRawPath(name) {
+    return path.join(this.getRoot(), 'raw', name);
+  }
+
+  // Screener URLs carry the Elite token, which must not end up in file names or fixtures
+  getScreenerFixtureName(url) {
+    const parsed = new URL(url);
+    parsed.searchParams.delete('auth');
+    parsed.searchParams.delete('ft');
+    parsed.searchParams.sort();
+    const hash = crypto.createHash('sha1').update(parsed.toString()).digest('hex').slice(0, 16);
+    return path.join('finviz-screener', `${hash}.csv`);
+  }
+
+  async readFile(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeFile(filePath, content) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  }
+
+  async readHistory(symbol, interval) {
+    const content = await this.readFile(this.getHistoryPath(symbol, interval));
+    if (!content) return null;
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      console.error(`❌ Corrupt fixture for ${symbol} (${interval}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Merge newly recorded bars into the fixture, newest first, de-duplicated by timestamp
+   */
+  async writeHistory(symbol, interval, bars, source) {
+    const existing = await this.readHistory(symbol, interval);
+    const byTimestamp = new Map();
+    (existing?.bars || []).forEach(bar => byTimestamp.set(bar.timestamp, bar));
+    bars.forEach(bar => byTimestamp.set(bar.timestamp, bar));
+
+    const merged = Array.from(byTimestamp.values())
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    await this.writeFile(this.getHistoryPath(symbol, interval), JSON.stringify({
+      symbol,
+      interval,
+      source,
+      recordedAt: new Date().toISOString(),
+      bars: merged
+    }, null, 2));
+
+    return merged.length;
+  }
+
+  async readRaw(name) {
+    return this.readFile(this.getRawPath(name));
+  }
+
+  async writeRaw(name, content) {
+    await this.writeFile(this.getRawPath(name), content);
+  }
+}
+
+const fixtureStore = new FixtureStore();
+
+export default fixtureStore;
@@ -0,0 +1,100 @@
+import { ProviderError } from './providerError.js';
+import twelveDataProvider from './twelvedata.js';
+import finvizProvider from './finviz.js';
+import replayProvider from './replay.js';
+
+/**
+ * Market data provider registry
+ *
+ * Every provider implements the same contract:
+ *   getQuotes(symbols)            -> { [symbol]: quote }
+ *   getHistory(symbols, options)  -> { [symbol]: bar[] }  (newest first)
+ *   getBatch(symbols, options)    -> { quotes, historicalData }
+ *   usesTwelveData()              -> whether requests spend Twelve Data credits
+ *
+ * options: { interval, startDate, endDate, outputsize }
+ * bar:     { symbol, timestamp, price, open, high, low, close, volume }
+ * quote:   bar + fetchTimestamp
+ *
+ * The provider is picked per request (?provider=) or falls back to
+ * MARKET_DATA_PROVIDER, then Twelve Data. MARKET_DATA_PROVIDER=replay
+ * also routes the vendor-specific endpoints through the replay provider,
+ * so the whole app runs without network access.
+ */
+const providers = new Map();
+
+const DEFAULT_PROVIDER = 'twelvedata';
+
+export function registerProvider(provider) {
+  const required = ['getQuotes', 'getHistory', 'getBatch', 'usesTwelveData'];
+  const missing = required.filter(method => typeof provider?.[method] !== 'function');
+  if (!provider?.name || missing.length > 0) {
+    throw new Error(`Invalid market data provider ${provider?.name || '(unnamed)'}: missing ${missing.join(', ') || 'name'}`);
+  }
+
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+export function getDefaultProviderName() {
+  return process.env.MARKET_DATA_PROVIDER || DEFAULT_PROVIDER;
+}
+
+/**
+ * Resolve a provider by name, falling back to the configured default
+ * @param {string} [name] - Provider name from the request
+ * @returns {Object} Provider instance
+ */
+export function resolveProvider(name) {
+  const providerName = (name || getDefaultProviderName()).toLowerCase();
+  const provider = providers.get(providerName);
+
+  if (!provider) {
+    throw new ProviderError(`Unknown market data provider: ${providerName}`, {
+      status: 400,
+      details: { available: Array.from(providers.keys()) }
+    });
+  }
+  return provider;
+}
+
+export function isReplayMode() {
+  return getDefaultProviderName().toLowerCase() === replayProvider.name;
+}
+
+/**
+ * Resolve the provider behind a vendor-specific route (/twelvedata-*, /finviz-*)
+ * @param {string} vendor - Provider the route was written for
+ * @returns {Object} The vendor provider, or the replay provider in replay mode
+ */
+export function resolveVendorProvider(vendor) {
+  return isReplayMode() ? replayProvider : resolveProvider(vendor);
+}
+
+export function listProviders() {
+  const defaultName = getDefaultProviderName();
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    label: provider.label || provider.name,
+    capabilities: provider.capabilities || {},
+    isDefault: provider.name === defaultName
+  }));
+}
+
+/**
+ * Parse a comma separated symbols parameter into unique upper-case symbols
+ */
+export function parseSymbols(value) {
+  if (!value) return [];
+  const symbols = String(value)
+    .split(',')
+    .map(symbol => symbol.trim().toUpperCase())
+    .filter(Boolean);
+  return Array.from(new Set(symbols));
+}
+
+registerProvider(twelveDataProvider);
+registerProvider(finvizProvider);
+registerProvider(replayProvider);
+
+export { ProviderError };
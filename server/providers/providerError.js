@@ -0,0 +1,16 @@
+/**
+ * Error thrown by market data providers and the provider registry.
+ * Carries the HTTP status the /api route should answer with, plus any
+ * vendor details worth passing back to the client.
+ */
+export class ProviderError extends Error {
+  constructor(message, { status = 500, provider = null, details = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.provider = provider;
+    this.details = details;
+  }
+}
+
+export default ProviderError;
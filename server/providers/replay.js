@@ -0,0 +1,261 @@
+import { ProviderError } from './providerError.js';
+import fixtureStore from './fixtureStore.js';
+import { generateBars, priceAt } from './syntheticPrices.js';
+import twelveDataProvider from './twelvedata.js';
+import finvizProvider from './finviz.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Providers the replay provider can record from
+const SOURCES = {
+  twelvedata: twelveDataProvider,
+  finviz: finvizProvider
+};
+
+// Finviz quote_export periods back to normalized intervals
+const PERIOD_TO_INTERVAL = {
+  i1: '1min',
+  i5: '5min',
+  i15: '15min',
+  i30: '30min',
+  h: '1h',
+  d: '1day',
+  w: '1week',
+  m: '1month'
+};
+
+// Sector ETFs standing in for the Finviz sector groups
+const SECTOR_PROXIES = [
+  ['Basic Materials', 'XLB'],
+  ['Communication Services', 'XLC'],
+  ['Consumer Cyclical', 'XLY'],
+  ['Consumer Defensive', 'XLP'],
+  ['Energy', 'XLE'],
+  ['Financial', 'XLF'],
+  ['Healthcare', 'XLV'],
+  ['Industrials', 'XLI'],
+  ['Real Estate', 'XLRE'],
+  ['Technology', 'XLK'],
+  ['Utilities', 'XLU']
+];
+
+const SECTOR_EXPORT_NAMES = {
+  performance: 'finviz-sector.csv',
+  overview: 'finviz-sector-overview.csv'
+};
+
+// Keep fixture bars inside the requested window, newest first
+function selectBars(bars, { startDate, endDate, outputsize } = {}) {
+  const start = startDate ? new Date(startDate).getTime() : null;
+  const end = endDate ? new Date(endDate).getTime() : null;
+  const limit = parseInt(outputsize) > 0 ? parseInt(outputsize) : null;
+
+  const selected = bars.filter(bar => {
+    const time = new Date(bar.timestamp).getTime();
+    return (start === null || time >= start) && (end === null || time <= end);
+  });
+  return limit ? selected.slice(0, limit) : selected;
+}
+
+function percentChange(from, to) {
+  return `${(((to - from) / from) * 100).toFixed(2)}%`;
+}
+
+/**
+ * Replay provider
+ * Serves recorded fixtures from disk and falls back to deterministic
+ * synthetic prices for anything that was never recorded. With
+ * MARKET_DATA_RECORD=true and credentials for the source provider, live
+ * responses are fetched first and merged into the fixtures.
+ */
+class ReplayProvider {
+  constructor() {
+    this.name = 'replay';
+    this.label = 'Replay (offline fixtures)';
+    this.capabilities = { quotes: true, history: true, batch: true, maxSymbolsPerRequest: 5, offline: true };
+  }
+
+  getSource() {
+    const sourceName = (process.env.MARKET_DATA_REPLAY_SOURCE || 'twelvedata').toLowerCase();
+    return SOURCES[sourceName] || twelveDataProvider;
+  }
+
+  isRecording(source = this.getSource()) {
+    return process.env.MARKET_DATA_RECORD === 'true' && source.hasCredentials();
+  }
+
+  // Recording from Twelve Data spends the same credits as a live request
+  usesTwelveData() {
+    const source = this.getSource();
+    return source.name === 'twelvedata' && this.isRecording(source);
+  }
+
+  /**
+   * Record live history for the given symbols, returning what was fetched.
+   * Failures are logged and leave the caller to fall back to fixtures.
+   */
+  async recordHistory(symbols, options) {
+    const source = this.getSource();
+    const interval = options.interval || '1day';
+
+    try {
+      const history = await source.getHistory(symbols, options);
+      for (const [symbol, bars] of Object.entries(history)) {
+        if (bars.length === 0) continue;
+        const total = await fixtureStore.writeHistory(symbol, interval, bars, source.name);
+        console.log(`💾 [replay] Recorded ${bars.length} ${interval} bars for ${symbol} from ${source.name} (${total} in fixture)`);
+      }
+      return history;
+    } catch (error) {
+      console.warn(`⚠️  [replay] Recording from ${source.name} failed, using fixtures:`, error.message);
+      return {};
+    }
+  }
+
+  async getHistory(symbols, options = {}) {
+    const interval = options.interval || '1day';
+    const history = this.isRecording() ? await this.recordHistory(symbols, options) : {};
+
+    for (const symbol of symbols) {
+      if (history[symbol]?.length > 0) continue;
+
+      const fixture = await fixtureStore.readHistory(symbol, interval);
+      const recorded = fixture ? selectBars(fixture.bars, options) : [];
+
+      if (recorded.length > 0) {
+        history[symbol] = recorded;
+      } else {
+        history[symbol] = generateBars(symbol, { ...options, interval });
+        console.log(`🎲 [replay] Synthetic ${interval} series for ${symbol} (${history[symbol].length} bars)`);
+      }
+    }
+
+    return history;
+  }
+
+  async getQuotes(symbols) {
+    const weekAgo = new Date(Date.now() - 7 * DAY).toISOString().split('T')[0];
+    const { quotes } = await this.getBatch(symbols, { interval: '1day', startDate: weekAgo });
+    return quotes;
+  }
+
+  async getBatch(symbols, options = {}) {
+    const historicalData = await this.getHistory(symbols, options);
+    const fetchTimestamp = new Date().toISOString();
+
+    const quotes = {};
+    Object.entries(historicalData).forEach(([symbol, bars]) => {
+      if (bars.length > 0) {
+        quotes[symbol] = { ...bars[0], fetchTimestamp };
+      }
+    });
+    return { quotes, historicalData };
+  }
+
+  /**
+   * Finviz quote_export rows (oldest first) built from replayed history
+   */
+  async fetchQuoteExport(ticker, period = 'd') {
+    const interval = PERIOD_TO_INTERVAL[period];
+    if (!interval) {
+      throw new ProviderError(`Period ${period} is not supported by replay`, { status: 400, provider: this.name });
+    }
+
+    const symbol = ticker.toUpperCase();
+    const history = await this.getHistory([symbol], { interval, outputsize: 500 });
+    return history[symbol].slice().reverse().map(bar => ({
+      Date: bar.timestamp,
+      Open: bar.open,
+      High: bar.high,
+      Low: bar.low,
+      Close: bar.close,
+      Volume: bar.volume
+    }));
+  }
+
+  async fetchSectorExport(view = 'performance') {
+    const fixtureName = SECTOR_EXPORT_NAMES[view] || SECTOR_EXPORT_NAMES.performance;
+    if (this.isRecording(finvizProvider)) {
+      try {
+        const csvText = await finvizProvider.fetchSectorExport(view);
+        await fixtureStore.writeRaw(fixtureName, csvText);
+        console.log(`💾 [replay] Recorded sector export (${view})`);
+        return csvText;
+      } catch (error) {
+        console.warn(`⚠️  [replay] Recording sector export failed, using fixtures:`, error.message);
+      }
+    }
+
+    const recorded = await fixtureStore.readRaw(fixtureName);
+    if (recorded) return recorded;
+
+    // Synthetic sector performance from the sector ETF series
+    const now = Date.now();
+    const yearStart = Date.UTC(new Date(now).getUTCFullYear(), 0, 1);
+    const header = 'No.,Name,Performance (Week),Performance (Month),Performance (Quarter),Performance (Half Year),Performance (Year),Performance (Year To Date)';
+    const rows = SECTOR_PROXIES.map(([name, symbol], index) => {
+      const current = priceAt(symbol, now);
+      return [
+        index + 1,
+        `"${name}"`,
+        percentChange(priceAt(symbol, now - 7 * DAY), current),
+        percentChange(priceAt(symbol, now - 30 * DAY), current),
+        percentChange(priceAt(symbol, now - 91 * DAY), current),
+        percentChange(priceAt(symbol, now - 182 * DAY), current),
+        percentChange(priceAt(symbol, now - 365 * DAY), current),
+        percentChange(priceAt(symbol, yearStart), current)
+      ].join(',');
+    });
+
+    console.log(`🎲 [replay] Synthetic sector export (${rows.length} sectors)`);
+    return [header, ...rows].join('\n');
+  }
+
+  /**
+   * Profiles come from Finviz only while recording; otherwise the route
+   * falls back to the local ticker reference file
+   */
+  async fetchProfiles(symbols) {
+    if (this.isRecording(finvizProvider)) {
+      return finvizProvider.fetchProfiles(symbols);
+    }
+    return {};
+  }
+
+  // Fundamentals too; replays leave them to the Twelve Data-derived fields
+  async fetchFundamentals(symbols) {
+    if (this.isRecording(finvizProvider)) {
+      return finvizProvider.fetchFundamentals(symbols);
+    }
+    return {};
+  }
+
+  async fetchScreenerExport(url) {
+    const fixtureName = fixtureStore.getScreenerFixtureName(url);
+
+    if (this.isRecording(finvizProvider)) {
+      try {
+        const csvText = await finvizProvider.fetchScreenerExport(url);
+        await fixtureStore.writeRaw(fixtureName, csvText);
+        console.log(`💾 [replay] Recorded screener export ${fixtureName}`);
+        return csvText;
+      } catch (error) {
+        console.warn(`⚠️  [replay] Recording screener export failed, using fixtures:`, error.message);
+      }
+    }
+
+    const recorded = await fixtureStore.readRaw(fixtureName);
+    if (!recorded) {
+      throw new ProviderError('No recorded screener fixture for this URL', {
+        status: 404,
+        provider: this.name,
+        details: { fixture: fixtureName }
+      });
+    }
+    return recorded;
+  }
+}
+
+const replayProvider = new ReplayProvider();
+
+export default replayProvider;
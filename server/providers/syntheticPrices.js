@@ -0,0 +1,182 @@
+/**
+ * Deterministic synthetic price series for the replay provider.
+ *
+ * Prices are a pure function of (symbol, time): a per-symbol base price and
+ * drift plus a few seeded sine cycles and a small seeded per-bar wiggle.
+ * The same request always returns the same bars, and overlapping ranges agree
+ * with each other, so NAV, returns and charts stay stable between runs.
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Anchor day for the series (price === base price here)
+const ANCHOR = Date.UTC(2020, 0, 1);
+
+// US regular session in UTC (EST offsets, DST ignored on purpose)
+const SESSION_OPEN_MINUTES = 14 * 60 + 30;
+const SESSION_CLOSE_MINUTES = 21 * 60;
+
+// Twelve Data caps outputsize at 5000, keep synthetic responses in the same bounds
+const MAX_BARS = 5000;
+const DEFAULT_BARS = 30;
+
+const INTRADAY_STEPS = {
+  '1min': MINUTE,
+  '5min': 5 * MINUTE,
+  '15min': 15 * MINUTE,
+  '30min': 30 * MINUTE,
+  '45min': 45 * MINUTE,
+  '1h': 60 * MINUTE,
+  '2h': 120 * MINUTE,
+  '4h': 240 * MINUTE
+};
+
+// FNV-1a, good enough to spread symbols across the parameter space
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Seeded value in [0, 1)
+function unit(symbol, salt) {
+  return hashString(`${symbol}:${salt}`) / 0x100000000;
+}
+
+function getSymbolProfile(symbol) {
+  return {
+    basePrice: 20 + unit(symbol, 'base') * 480,
+    drift: -0.05 + unit(symbol, 'drift') * 0.25,         // per year
+    volatility: 0.5 + unit(symbol, 'vol'),
+    cycles: [7, 45, 180, 700].map((period, i) => ({
+      period,
+      amplitude: [0.01, 0.04, 0.08, 0.15][i],
+      phase: unit(symbol, `phase${i}`) * 2 * Math.PI
+    }))
+  };
+}
+
+/**
+ * Synthetic close price for a symbol at a point in time
+ * @param {string} symbol - Symbol
+ * @param {number} time - Epoch milliseconds
+ * @returns {number} Price rounded to cents
+ */
+export function priceAt(symbol, time) {
+  const profile = getSymbolProfile(symbol);
+  const days = (time - ANCHOR) / DAY;
+
+  let logPrice = Math.log(profile.basePrice) + profile.drift * (days / 365);
+  profile.cycles.forEach(({ period, amplitude, phase }) => {
+    logPrice += profile.volatility * amplitude * Math.sin((2 * Math.PI * days) / period + phase);
+  });
+  logPrice += profile.volatility * 0.004 * (unit(symbol, Math.floor(time / MINUTE)) * 2 - 1);
+
+  return Math.round(Math.exp(logPrice) * 100) / 100;
+}
+
+function isWeekday(time) {
+  const day = new Date(time).getUTCDay();
+  return day !== 0 && day !== 6;
+}
+
+function isInSession(time) {
+  const date = new Date(time);
+  const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+  return isWeekday(time) && minutes >= SESSION_OPEN_MINUTES && minutes < SESSION_CLOSE_MINUTES;
+}
+
+// Twelve Data style datetimes: dates for daily+ bars, "YYYY-MM-DD HH:MM:SS" intraday
+function formatTimestamp(time, intraday) {
+  const iso = new Date(time).toISOString();
+  return intraday ? iso.replace('T', ' ').replace(/\.\d{3}Z$/, '') : iso.split('T')[0];
+}
+
+/**
+ * Walk bar open times backwards from `end`, yielding only tradable slots
+ */
+function* slotsBackwards(interval, end) {
+  const intradayStep = INTRADAY_STEPS[interval];
+
+  if (intradayStep) {
+    for (let time = Math.floor(end / intradayStep) * intradayStep; ; time -= intradayStep) {
+      if (isInSession(time)) yield time;
+    }
+  }
+
+  if (interval === '1week') {
+    const start = new Date(Math.floor(end / DAY) * DAY);
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7)); // back to Monday
+    for (let time = start.getTime(); ; time -= 7 * DAY) yield time;
+  }
+
+  if (interval === '1month') {
+    const date = new Date(end);
+    for (let month = date.getUTCFullYear() * 12 + date.getUTCMonth(); ; month--) {
+      yield Date.UTC(Math.floor(month / 12), month % 12, 1);
+    }
+  }
+
+  // 1day and anything unknown
+  for (let time = Math.floor(end / DAY) * DAY; ; time -= DAY) {
+    if (isWeekday(time)) yield time;
+  }
+}
+
+function getBarLength(interval, time) {
+  if (INTRADAY_STEPS[interval]) return INTRADAY_STEPS[interval];
+  if (interval === '1week') return 7 * DAY;
+  if (interval === '1month') {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) - time;
+  }
+  return DAY;
+}
+
+/**
+ * Generate normalized bars (newest first) for a symbol
+ * @param {string} symbol - Symbol
+ * @param {Object} options - { interval, startDate, endDate, outputsize }
+ * @returns {Array<Object>} Bars in the provider contract shape
+ */
+export function generateBars(symbol, { interval = '1day', startDate, endDate, outputsize } = {}) {
+  const now = Date.now();
+  const end = Math.min(endDate ? new Date(endDate).getTime() : now, now);
+  const start = startDate ? new Date(startDate).getTime() : null;
+  const requested = parseInt(outputsize) > 0 ? parseInt(outputsize) : (start === null ? DEFAULT_BARS : MAX_BARS);
+  const limit = Math.min(requested, MAX_BARS);
+  const intraday = Boolean(INTRADAY_STEPS[interval]);
+
+  if (isNaN(end) || (start !== null && (isNaN(start) || start > end))) {
+    return [];
+  }
+
+  const bars = [];
+  for (const time of slotsBackwards(interval, end)) {
+    if (bars.length >= limit || (start !== null && time < start)) break;
+
+    const barEnd = Math.min(time + getBarLength(interval, time), now);
+    const open = priceAt(symbol, time);
+    const close = priceAt(symbol, barEnd);
+    const spread = 0.002 + unit(symbol, `range${time}`) * 0.01;
+
+    bars.push({
+      price: close,
+      close,
+      open,
+      high: Math.round(Math.max(open, close) * (1 + spread) * 100) / 100,
+      low: Math.round(Math.min(open, close) * (1 - spread) * 100) / 100,
+      timestamp: formatTimestamp(time, intraday),
+      volume: Math.round(100000 + unit(symbol, `volume${time}`) * 4900000),
+      symbol
+    });
+  }
+
+  return bars;
+}
+
+export default generateBars;
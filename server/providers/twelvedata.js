@@ -0,0 +1,198 @@
+import { ProviderError } from './providerError.js';
+import secretStore from '../settings/secretStore.js';
+
+const TWELVE_DATA_BASE_URL = 'https://api.twelvedata.com';
+
+// Convert ISO dates to Twelve Data format (YYYY-MM-DD HH:MM:SS)
+function formatDateForAPI(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ProviderError(`Invalid date: ${value}`, { status: 400, provider: 'twelvedata' });
+  }
+  return date.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '');
+}
+
+// Map a raw time_series value to the normalized bar shape
+function toBar(item, symbol) {
+  return {
+    price: parseFloat(item.close),
+    close: parseFloat(item.close),
+    open: parseFloat(item.open),
+    high: parseFloat(item.high),
+    low: parseFloat(item.low),
+    timestamp: item.datetime,
+    volume: parseInt(item.volume || 0),
+    symbol
+  };
+}
+
+/**
+ * Twelve Data provider
+ * Everything goes through the time_series endpoint, which accepts up to
+ * several comma-separated symbols per call (1 credit per symbol).
+ */
+class TwelveDataProvider {
+  constructor() {
+    this.name = 'twelvedata';
+    this.label = 'Twelve Data';
+    this.capabilities = { quotes: true, history: true, batch: true, maxSymbolsPerRequest: 5 };
+  }
+
+  // TWELVE_DATA_API_KEY, or the key saved from the settings page
+  getApiKey() {
+    const apiKey = secretStore.get('twelvedata');
+    if (!apiKey) {
+      throw new ProviderError('Twelve Data API key is not configured', {
+        status: 503,
+        provider: this.name,
+        details: 'Set TWELVE_DATA_API_KEY or add the key in Settings'
+      });
+    }
+    return apiKey;
+  }
+
+  hasCredentials() {
+    return Boolean(secretStore.get('twelvedata'));
+  }
+
+  // Requests spend Twelve Data credits; without a key they fail before any call
+  usesTwelveData() {
+    return this.hasCredentials();
+  }
+
+  /**
+   * Check a key with /api_usage, which costs no credits
+   * @param {string} apiKey - Key to test
+   * @returns {Promise<Object>} { valid, message, details }
+   */
+  async testCredentials(apiKey) {
+    const response = await fetch(`${TWELVE_DATA_BASE_URL}/api_usage?${new URLSearchParams({ apikey: apiKey })}`);
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || data.status === 'error') {
+      return { valid: false, message: data.message || `Twelve Data answered ${response.status}` };
+    }
+    return {
+      valid: true,
+      message: `Plan ${data.plan_category || 'unknown'}, ${data.current_usage ?? '?'}/${data.plan_limit ?? '?'} credits used this minute`,
+      details: { planLimit: data.plan_limit ?? null, currentUsage: data.current_usage ?? null }
+    };
+  }
+
+  /**
+   * Call /time_series and return raw values grouped by symbol (newest first)
+   * @param {Array<string>} symbols - Normalized symbols
+   * @param {Object} params - { interval, startDate, endDate, outputsize }
+   * @returns {Promise<Object>} { [symbol]: rawValues[] }
+   */
+  async fetchTimeSeries(symbols, { interval = '1day', startDate, endDate, outputsize } = {}) {
+    const query = new URLSearchParams({
+      symbol: symbols.join(','),
+      interval,
+      apikey: this.getApiKey()
+    });
+
+    if (startDate) {
+      // Twelve Data rejects start dates in the future, clamp to 1 day ago
+      const start = new Date(startDate);
+      const now = new Date();
+      if (start > now) {
+        console.log(`⚠️  Warning: Start date ${startDate} is in the future, adjusting to 1 day ago`);
+        query.set('start_date', formatDateForAPI(now.getTime() - (24 * 60 * 60 * 1000)));
+      } else {
+        query.set('start_date', formatDateForAPI(startDate));
+      }
+    }
+    if (endDate) {
+      query.set('end_date', formatDateForAPI(endDate));
+    }
+    if (outputsize && Number.isInteger(parseInt(outputsize)) && parseInt(outputsize) > 0) {
+      query.set('outputsize', parseInt(outputsize));
+    }
+
+    console.log(`🔍 [twelvedata] time_series ${symbols.join(',')} (${interval}${startDate ? ` from ${startDate}` : ''}${endDate ? ` to ${endDate}` : ''})`);
+
+    const response = await fetch(`${TWELVE_DATA_BASE_URL}/time_series?${query.toString()}`);
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      console.error(`❌ Twelve Data API error: ${response.status} ${response.statusText}`);
+      throw new ProviderError('Twelve Data API error', {
+        status: response.status,
+        provider: this.name,
+        details: { status: response.status, statusText: response.statusText, body: body.slice(0, 200) }
+      });
+    }
+
+    const data = await response.json();
+
+    if (data.status === 'error') {
+      console.error(`❌ Twelve Data API error:`, data);
+      throw new ProviderError('Twelve Data API error', {
+        provider: this.name,
+        details: data.message || 'Unknown error'
+      });
+    }
+
+    // Single symbol responses are { meta, values }, multi-symbol responses are { SYM: { meta, values } }
+    const grouped = {};
+    if (Array.isArray(data.values)) {
+      grouped[symbols[0]] = data.values;
+    } else {
+      symbols.forEach(symbol => {
+        if (data[symbol] && Array.isArray(data[symbol].values)) {
+          grouped[symbol] = data[symbol].values;
+        }
+      });
+    }
+
+    return grouped;
+  }
+
+  /**
+   * Latest available price per symbol (last daily close when markets are closed)
+   */
+  async getQuotes(symbols) {
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const grouped = await this.fetchTimeSeries(symbols, { interval: '1day', startDate: weekAgo });
+    const fetchTimestamp = new Date().toISOString();
+
+    const quotes = {};
+    Object.entries(grouped).forEach(([symbol, values]) => {
+      if (values.length > 0) {
+        quotes[symbol] = { ...toBar(values[0], symbol), fetchTimestamp };
+      }
+    });
+    return quotes;
+  }
+
+  async getHistory(symbols, options = {}) {
+    const grouped = await this.fetchTimeSeries(symbols, options);
+
+    const history = {};
+    Object.entries(grouped).forEach(([symbol, values]) => {
+      history[symbol] = values.map(item => toBar(item, symbol));
+    });
+    return history;
+  }
+
+  /**
+   * Quotes + history in a single time_series call, the newest bar doubles as the quote
+   */
+  async getBatch(symbols, options = {}) {
+    const historicalData = await this.getHistory(symbols, options);
+    const fetchTimestamp = new Date().toISOString();
+
+    const quotes = {};
+    Object.entries(historicalData).forEach(([symbol, bars]) => {
+      if (bars.length > 0) {
+        quotes[symbol] = { ...bars[0], fetchTimestamp };
+      }
+    });
+    return { quotes, historicalData };
+  }
+}
+
+const twelveDataProvider = new TwelveDataProvider();
+
+export default twelveDataProvider;
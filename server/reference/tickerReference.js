@@ -0,0 +1,82 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'csv-parse/sync';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function toNumber(value) {
+  const number = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Local sector/industry reference for tickers
+ *
+ * Reads a CSV with the columns of Finviz's screener overview export
+ * (Ticker, Company, Sector, Industry, Country, Market Cap in millions), so
+ * a saved export can replace the bundled file. TICKER_REFERENCE_FILE
+ * points elsewhere. The file is re-read when it changes on disk.
+ */
+class TickerReference {
+  constructor() {
+    this.profiles = new Map();
+    this.loadedMtime = null;
+  }
+
+  getFile() {
+    return process.env.TICKER_REFERENCE_FILE
+      ? path.resolve(process.env.TICKER_REFERENCE_FILE)
+      : path.join(__dirname, 'ticker-reference.csv');
+  }
+
+  async load() {
+    const file = this.getFile();
+    let stat;
+    try {
+      stat = await fs.stat(file);
+    } catch (error) {
+      if (this.loadedMtime !== null) console.warn(`⚠️  [reference] ${file} is gone, no local profiles`);
+      this.profiles = new Map();
+      this.loadedMtime = null;
+      return this.profiles;
+    }
+    if (stat.mtimeMs === this.loadedMtime) return this.profiles;
+
+    const rows = parse(await fs.readFile(file, 'utf8'), { columns: true, skip_empty_lines: true });
+    this.profiles = new Map();
+    rows.forEach(row => {
+      const symbol = String(row.Ticker || '').trim().toUpperCase();
+      if (!symbol) return;
+      const marketCap = toNumber(row['Market Cap']);
+      this.profiles.set(symbol, {
+        symbol,
+        company: row.Company || null,
+        sector: row.Sector || null,
+        industry: row.Industry || null,
+        country: row.Country || null,
+        marketCap: marketCap === null ? null : marketCap * 1e6,
+        source: 'reference'
+      });
+    });
+    this.loadedMtime = stat.mtimeMs;
+    console.log(`📚 [reference] Loaded ${this.profiles.size} ticker profiles from ${file}`);
+    return this.profiles;
+  }
+
+  /**
+   * @param {Array<string>} symbols - Symbols to look up
+   * @returns {Promise<Object>} { [symbol]: profile } for the symbols in the file
+   */
+  async lookup(symbols) {
+    const profiles = await this.load();
+    const found = {};
+    symbols.forEach(symbol => {
+      if (profiles.has(symbol)) found[symbol] = profiles.get(symbol);
+    });
+    return found;
+  }
+}
+
+const tickerReference = new TickerReference();
+export default tickerReference;
@@ -0,0 +1,29 @@
+import express from 'express';
+import eventHub from '../events/eventHub.js';
+
+const router = express.Router();
+
+// Event stream, optionally limited to some watchlists (?slugs=tech,energy)
+router.get('/', (req, res) => {
+  const slugs = req.query.slugs
+    ? String(req.query.slugs).split(',').map(slug => slug.trim()).filter(Boolean)
+    : [];
+  eventHub.connect(req, res, slugs);
+});
+
+// NAV calculated in a browser, relayed to the other tabs and devices.
+// Body: { slug, navData, source }, X-Client-Id identifies the sender's stream
+router.post('/nav', (req, res) => {
+  const { slug, navData, source = 'browser' } = req.body || {};
+  if (!slug || typeof slug !== 'string' || !Array.isArray(navData)) {
+    return res.status(400).json({ error: 'slug and navData[] are required' });
+  }
+
+  eventHub.publish('nav', { navData, source, timestamp: new Date().toISOString() }, {
+    slug,
+    excludeClientId: req.get('X-Client-Id') || null
+  });
+  res.status(202).json({ published: true });
+});
+
+export default router;
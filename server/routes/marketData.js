@@ -0,0 +1,366 @@
+import express from 'express';
+import { resolveProvider, resolveVendorProvider, listProviders, parseSymbols, ProviderError } from '../providers/index.js';
+import responseCache, { buildCacheKey } from '../cache/responseCache.js';
+import creditBudget, { parsePriority } from '../budget/creditBudget.js';
+import tickerReference from '../reference/tickerReference.js';
+
+const router = express.Router();
+
+// Translate provider errors into the { error, details } JSON the client expects
+function sendError(res, error, fallbackMessage = 'API server error') {
+  if (error instanceof ProviderError) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.status).json({
+      error: error.message,
+      provider: error.provider,
+      details: error.details
+    });
+  }
+
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+// Read the shared history options from the query string
+function getHistoryOptions(query) {
+  const { start_date, end_date, interval = '1day', outputsize } = query;
+  return {
+    interval,
+    startDate: start_date,
+    endDate: end_date,
+    outputsize
+  };
+}
+
+// Cache policies: fresh for ttlMs, then served stale for staleMs while one request refreshes
+const MINUTE = 60 * 1000;
+const CACHE_POLICIES = {
+  quote: { ttlMs: MINUTE, staleMs: 4 * MINUTE },
+  intraday: { ttlMs: MINUTE, staleMs: 4 * MINUTE },
+  daily: { ttlMs: 30 * MINUTE, staleMs: 6 * 60 * MINUTE },
+  finviz: { ttlMs: 5 * MINUTE, staleMs: 30 * MINUTE },
+  profile: { ttlMs: 24 * 60 * MINUTE, staleMs: 7 * 24 * 60 * MINUTE },
+  fundamentals: { ttlMs: 60 * MINUTE, staleMs: 12 * 60 * MINUTE }
+};
+
+function getHistoryPolicy(interval) {
+  return /(min|h)$/.test(interval) ? CACHE_POLICIES.intraday : CACHE_POLICIES.daily;
+}
+
+// History options + symbols as cache key parameters (symbol order doesn't matter)
+function getHistoryKeyParams(provider, symbols, options) {
+  return { provider: provider.name, symbols: [...symbols].sort(), ...options };
+}
+
+/**
+ * Run a vendor call through the response cache and report how it was served
+ * (X-Cache: HIT, MISS, STALE, COALESCED or BYPASS). Requests sent with
+ * Cache-Control: no-cache skip cached entries.
+ */
+async function withCache(req, res, route, params, policy, loader) {
+  const { value, status, age } = await responseCache.get(buildCacheKey(route, params), loader, {
+    route,
+    ...policy,
+    refresh: /no-cache/.test(req.get('Cache-Control') || '')
+  });
+  res.set('X-Cache', status);
+  res.set('Age', String(age));
+  return value;
+}
+
+function setBudgetHeaders(res, budget) {
+  if (res.headersSent) return;
+  res.set({
+    'X-Credits-Limit': String(budget.limit),
+    'X-Credits-Remaining': String(budget.remaining),
+    'X-Credits-Reset': String(budget.resetIn)
+  });
+}
+
+/**
+ * Charge Twelve Data calls to the shared credit budget, one credit per
+ * symbol. Wraps the cache loader so cache hits cost nothing. Priority comes
+ * from the X-Request-Priority header (manual | automatic, default automatic).
+ */
+function withBudget(req, res, provider, symbols, loader) {
+  // Only requests that reach Twelve Data spend credits, including replay recording from it
+  if (!provider.usesTwelveData()) return () => loader(symbols);
+
+  const priority = parsePriority(req.get('X-Request-Priority') || req.query.priority);
+  setBudgetHeaders(res, creditBudget.getStatus());
+  return async () => {
+    // A request larger than the budget allows at once is fetched chunk by chunk as credits refill
+    const maxCost = creditBudget.getMaxCost(priority);
+    const results = [];
+    for (let i = 0; i < symbols.length; i += maxCost) {
+      const chunk = symbols.slice(i, i + maxCost);
+      // Later chunks also wait for the refill their own credits need
+      const maxWaitMs = creditBudget.getMaxWait(priority) + (i > 0 ? creditBudget.refillMs(chunk.length) : 0);
+      setBudgetHeaders(res, await creditBudget.acquire(chunk.length, { priority, maxWaitMs }));
+      results.push(await loader(chunk));
+    }
+    return results.length === 1 ? results[0] : mergeResults(results);
+  };
+}
+
+// Results keyed by symbol, or { quotes, historicalData } each keyed by symbol
+function mergeResults(results) {
+  return results.reduce((merged, result) => {
+    Object.entries(result).forEach(([key, value]) => {
+      merged[key] = merged[key] && !Array.isArray(value) ? { ...merged[key], ...value } : value;
+    });
+    return merged;
+  }, {});
+}
+
+// Provider-neutral routes
+
+router.get('/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// Remaining Twelve Data credits, shared by every client of this server
+router.get('/budget', (req, res) => {
+  const budget = creditBudget.getStatus();
+  setBudgetHeaders(res, budget);
+  res.json(budget);
+});
+
+router.get('/quote', async (req, res) => {
+  const symbols = parseSymbols(req.query.symbols);
+  if (symbols.length === 0) {
+    return res.status(400).json({ error: 'symbols is required' });
+  }
+
+  try {
+    const provider = resolveProvider(req.query.provider);
+    const quotes = await withCache(req, res, '/quote', { provider: provider.name, symbols: [...symbols].sort() }, CACHE_POLICIES.quote,
+      withBudget(req, res, provider, symbols, async (chunk) => {
+        const fetched = await provider.getQuotes(chunk);
+        console.log(`✅ [${provider.name}] Quotes fetched for ${Object.keys(fetched).length}/${chunk.length} symbols`);
+        return fetched;
+      }));
+    res.json({ provider: provider.name, quotes });
+  } catch (error) {
+    sendError(res, error, 'Quote fetch failed');
+  }
+});
+
+router.get('/history', async (req, res) => {
+  const symbols = parseSymbols(req.query.symbols || req.query.symbol);
+  if (symbols.length === 0) {
+    return res.status(400).json({ error: 'symbol/symbols is required' });
+  }
+
+  try {
+    const provider = resolveProvider(req.query.provider);
+    const options = getHistoryOptions(req.query);
+    const historicalData = await withCache(req, res, '/history', getHistoryKeyParams(provider, symbols, options), getHistoryPolicy(options.interval),
+      withBudget(req, res, provider, symbols, chunk => provider.getHistory(chunk, options)));
+    res.json({ provider: provider.name, historicalData });
+  } catch (error) {
+    sendError(res, error, 'History fetch failed');
+  }
+});
+
+router.get('/market-data', async (req, res) => {
+  const symbols = parseSymbols(req.query.symbols);
+  if (symbols.length === 0) {
+    return res.status(400).json({ error: 'symbols is required' });
+  }
+
+  try {
+    const provider = resolveProvider(req.query.provider);
+    const options = getHistoryOptions(req.query);
+    const { quotes, historicalData } = await withCache(req, res, '/market-data', getHistoryKeyParams(provider, symbols, options), getHistoryPolicy(options.interval),
+      withBudget(req, res, provider, symbols, chunk => provider.getBatch(chunk, options)));
+    res.json({ status: 'ok', provider: provider.name, quotes, historicalData });
+  } catch (error) {
+    sendError(res, error, 'Market data fetch failed');
+  }
+});
+
+// Vendor-specific routes kept for existing callers, backed by the same providers
+
+router.get('/twelvedata-market-data', async (req, res) => {
+  const symbols = parseSymbols(req.query.symbols);
+  if (symbols.length === 0 || !req.query.start_date) {
+    return res.status(400).json({ error: 'symbols and start_date are required' });
+  }
+
+  try {
+    const provider = resolveVendorProvider('twelvedata');
+    const options = getHistoryOptions(req.query);
+    const { quotes, historicalData } = await withCache(req, res, '/twelvedata-market-data', getHistoryKeyParams(provider, symbols, options), getHistoryPolicy(options.interval),
+      withBudget(req, res, provider, symbols, chunk => provider.getBatch(chunk, options)));
+    res.json({ status: 'ok', quotes, historicalData });
+  } catch (error) {
+    sendError(res, error, 'Twelve Data API error');
+  }
+});
+
+router.get('/twelvedata-historical', async (req, res) => {
+  const symbols = parseSymbols(req.query.symbols || req.query.symbol);
+  if (symbols.length === 0 || !req.query.start_date) {
+    return res.status(400).json({ error: 'symbol/symbols and start_date are required' });
+  }
+
+  try {
+    const provider = resolveVendorProvider('twelvedata');
+    const options = getHistoryOptions(req.query);
+    const history = await withCache(req, res, '/twelvedata-historical', getHistoryKeyParams(provider, symbols, options), getHistoryPolicy(options.interval),
+      withBudget(req, res, provider, symbols, chunk => provider.getHistory(chunk, options)));
+    const transformedData = {};
+    Object.entries(history).forEach(([symbol, historicalData]) => {
+      transformedData[symbol] = { historicalData };
+    });
+    res.json(transformedData);
+  } catch (error) {
+    sendError(res, error, 'Twelve Data API error');
+  }
+});
+
+router.get('/twelvedata-quote', async (req, res) => {
+  const symbols = parseSymbols(req.query.symbols);
+  if (symbols.length === 0) {
+    return res.status(400).json({ error: 'symbols is required' });
+  }
+
+  try {
+    const provider = resolveVendorProvider('twelvedata');
+    res.json(await withCache(req, res, '/twelvedata-quote', { provider: provider.name, symbols: [...symbols].sort() }, CACHE_POLICIES.quote,
+      withBudget(req, res, provider, symbols, chunk => provider.getQuotes(chunk))));
+  } catch (error) {
+    sendError(res, error, 'Twelve Data API error');
+  }
+});
+
+router.get('/finviz-quote', async (req, res) => {
+  const { ticker, timeframe = 'd' } = req.query;
+  if (!ticker) {
+    return res.status(400).json({ error: 'Ticker is required' });
+  }
+
+  try {
+    const provider = resolveVendorProvider('finviz');
+    res.json(await withCache(req, res, '/finviz-quote', { provider: provider.name, ticker: String(ticker).toUpperCase(), timeframe }, CACHE_POLICIES.finviz,
+      () => provider.fetchQuoteExport(ticker, timeframe)));
+  } catch (error) {
+    sendError(res, error, 'Finviz API error');
+  }
+});
+
+router.get('/finviz-sector', async (req, res) => {
+  const view = req.query.view === 'overview' ? 'overview' : 'performance';
+  try {
+    const provider = resolveVendorProvider('finviz');
+    const csvText = await withCache(req, res, '/finviz-sector', { provider: provider.name, view }, CACHE_POLICIES.finviz,
+      () => provider.fetchSectorExport(view));
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.send(csvText);
+  } catch (error) {
+    sendError(res, error, 'Finviz sector API error');
+  }
+});
+
+/**
+ * Sector, industry and market cap per ticker: Finviz when a token is set,
+ * then the local reference file for whatever Finviz didn't return
+ */
+router.get('/profiles', async (req, res) => {
+  const symbols = parseSymbols(req.query.symbols);
+  if (symbols.length === 0) {
+    return res.status(400).json({ error: 'symbols is required' });
+  }
+
+  let profiles = {};
+  try {
+    const provider = resolveVendorProvider('finviz');
+    if (typeof provider.hasCredentials !== 'function' || provider.hasCredentials()) {
+      profiles = await withCache(req, res, '/profiles', { provider: provider.name, symbols: [...symbols].sort() }, CACHE_POLICIES.profile,
+        () => provider.fetchProfiles(symbols));
+    }
+  } catch (error) {
+    console.warn(`⚠️  Finviz profiles unavailable, using the reference file:`, error.message);
+  }
+
+  try {
+    const missing = symbols.filter(symbol => !profiles[symbol]);
+    const fromReference = missing.length > 0 ? await tickerReference.lookup(missing) : {};
+    const merged = { ...profiles, ...fromReference };
+    res.json({ profiles: merged, missing: symbols.filter(symbol => !merged[symbol]) });
+  } catch (error) {
+    sendError(res, error, 'Profile lookup failed');
+  }
+});
+
+/**
+ * Valuation, growth, volume and earnings fields per ticker from Finviz.
+ * Without a token (or when Finviz fails) every symbol comes back missing,
+ * so callers can fall back to what they compute themselves.
+ */
+router.get('/fundamentals', async (req, res) => {
+  const symbols = parseSymbols(req.query.symbols);
+  if (symbols.length === 0) {
+    return res.status(400).json({ error: 'symbols is required' });
+  }
+
+  let fundamentals = {};
+  try {
+    const provider = resolveVendorProvider('finviz');
+    if (typeof provider.hasCredentials !== 'function' || provider.hasCredentials()) {
+      fundamentals = await withCache(req, res, '/fundamentals', { provider: provider.name, symbols: [...symbols].sort() }, CACHE_POLICIES.fundamentals,
+        () => provider.fetchFundamentals(symbols));
+    }
+  } catch (error) {
+    console.warn(`⚠️  Finviz fundamentals unavailable:`, error.message);
+  }
+
+  res.json({ fundamentals, missing: symbols.filter(symbol => !fundamentals[symbol]) });
+});
+
+// Finviz Proxy for Screener
+router.get('/finviz-proxy', async (req, res) => {
+  const { url } = req.query;
+
+  if (!url) {
+    return res.status(400).json({ error: 'url parameter is required' });
+  }
+  try {
+    new URL(url);
+  } catch (error) {
+    return res.status(400).json({ error: 'url parameter must be a valid URL' });
+  }
+
+  try {
+    const csvText = await resolveVendorProvider('finviz').fetchScreenerExport(url);
+
+    // Set appropriate headers for CSV
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.send(csvText);
+  } catch (error) {
+    sendError(res, error, 'Proxy error');
+  }
+});
+
+export const MARKET_DATA_ENDPOINTS = [
+  '/providers',
+  '/budget',
+  '/quote',
+  '/history',
+  '/market-data',
+  '/twelvedata-market-data',
+  '/twelvedata-historical',
+  '/twelvedata-quote',
+  '/finviz-quote',
+  '/finviz-sector',
+  '/profiles',
+  '/fundamentals',
+  '/finviz-proxy'
+];
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import batchScheduler from '../scheduler/batchScheduler.js';
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(batchScheduler.getStatus());
+});
+
+// Start a cycle now, ignoring market hours. Batches are spaced out, so this
+// answers immediately and the result shows up in lastCycle.
+router.post('/run', (req, res) => {
+  if (batchScheduler.isCycleRunning) {
+    return res.status(409).json({ error: 'A cycle is already running', status: batchScheduler.getStatus() });
+  }
+
+  batchScheduler.runCycle({ force: true }).catch(error => {
+    console.error('❌ [scheduler] Manual cycle failed:', error);
+  });
+  res.status(202).json({ started: true, status: batchScheduler.getStatus() });
+});
+
+export default router;
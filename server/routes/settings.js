@@ -0,0 +1,103 @@
+import express from 'express';
+import { resolveProvider } from '../providers/index.js';
+import secretStore, { SECRETS } from '../settings/secretStore.js';
+import { SettingsError } from '../settings/settingsError.js';
+
+const router = express.Router();
+
+function sendError(res, error) {
+  if (error instanceof SettingsError) {
+    return res.status(error.status).json({ error: error.message, details: error.details });
+  }
+
+  console.error('❌ [settings] Request failed:', error.message);
+  return res.status(500).json({ error: 'Settings error', details: error.message });
+}
+
+/**
+ * Test a key against its vendor without saving it
+ * @returns {Promise<Object>} { valid, message, details, testedAt }
+ */
+async function testKey(name, value) {
+  const provider = resolveProvider(SECRETS[name].provider);
+  try {
+    const result = await provider.testCredentials(value);
+    return { ...result, testedAt: new Date().toISOString() };
+  } catch (error) {
+    return { valid: false, message: `Could not reach ${provider.label}: ${error.message}`, testedAt: new Date().toISOString() };
+  }
+}
+
+function readValue(body) {
+  const value = typeof body?.value === 'string' ? body.value.trim() : '';
+  if (!value) {
+    throw new SettingsError('value is required', { status: 400 });
+  }
+  return value;
+}
+
+// Keys the server holds: status only, values never leave the server
+router.get('/keys', (req, res) => {
+  res.json({ keys: secretStore.describeAll() });
+});
+
+// Test a new value ({ value }) or, without a body, the key in use
+router.post('/keys/:name/test', async (req, res) => {
+  try {
+    const { name } = req.params;
+    secretStore.getDefinition(name);
+
+    const candidate = req.body?.value ? readValue(req.body) : secretStore.get(name);
+    if (!candidate) {
+      throw new SettingsError(`${SECRETS[name].label} is not configured`, { status: 404 });
+    }
+
+    const validation = await testKey(name, candidate);
+    if (!req.body?.value) {
+      await secretStore.recordValidation(name, validation);
+    }
+    res.json({ validation, key: secretStore.describe(name) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Save or rotate a key. It is tested first and only saved when the vendor
+// accepts it, unless { skipValidation: true } (e.g. while offline).
+router.put('/keys/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const definition = secretStore.getDefinition(name);
+    if (secretStore.getSource(name) === 'env') {
+      throw new SettingsError(`${definition.label} is set by ${definition.env}, change it there`, { status: 409 });
+    }
+
+    const value = readValue(req.body);
+    const validation = req.body.skipValidation ? null : await testKey(name, value);
+    if (validation && !validation.valid) {
+      return res.status(422).json({ error: `${definition.label} was rejected`, validation, key: secretStore.describe(name) });
+    }
+
+    await secretStore.set(name, value, { validation });
+    res.json({ validation, key: secretStore.describe(name) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/keys/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const definition = secretStore.getDefinition(name);
+    if (secretStore.getSource(name) === 'env') {
+      throw new SettingsError(`${definition.label} is set by ${definition.env}, remove it there`, { status: 409 });
+    }
+
+    const removed = await secretStore.remove(name);
+    res.json({ removed, key: secretStore.describe(name) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
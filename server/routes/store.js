@@ -0,0 +1,80 @@
+import express from 'express';
+import fileStore, { COLLECTIONS } from '../store/fileStore.js';
+import { StoreError } from '../store/storeError.js';
+
+const router = express.Router();
+
+function sendError(res, error) {
+  if (error instanceof StoreError) {
+    return res.status(error.status).json({ error: error.message, details: error.details });
+  }
+
+  console.error(`❌ Store error:`, error);
+  return res.status(500).json({ error: 'Store error', details: error.message });
+}
+
+// Every collection with its revision, used by clients to hydrate on startup
+router.get('/', async (req, res) => {
+  try {
+    res.json({ collections: await fileStore.getAll() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:collection', async (req, res) => {
+  try {
+    res.json(await fileStore.getCollection(req.params.collection));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { data, baseRevision? }
+router.put('/:collection', async (req, res) => {
+  const { collection } = req.params;
+  try {
+    const record = await fileStore.replaceCollection(collection, req.body?.data, {
+      baseRevision: req.body?.baseRevision
+    });
+    console.log(`💾 [store] ${collection} replaced (revision ${record.revision})`);
+    res.json({ revision: record.revision, updatedAt: record.updatedAt });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:collection/:id', async (req, res) => {
+  try {
+    res.json({ data: await fileStore.getItem(req.params.collection, req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Body: { data }
+router.put('/:collection/:id', async (req, res) => {
+  const { collection, id } = req.params;
+  try {
+    const record = await fileStore.putItem(collection, id, req.body?.data);
+    console.log(`💾 [store] ${collection}/${id} saved (revision ${record.revision})`);
+    res.json({ revision: record.revision, updatedAt: record.updatedAt });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.delete('/:collection/:id', async (req, res) => {
+  const { collection, id } = req.params;
+  try {
+    const record = await fileStore.deleteItem(collection, id);
+    console.log(`🗑️ [store] ${collection}/${id} deleted (revision ${record.revision})`);
+    res.json({ revision: record.revision, updatedAt: record.updatedAt });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export const STORE_COLLECTIONS = Object.keys(COLLECTIONS);
+
+export default router;
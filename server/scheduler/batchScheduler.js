@@ -0,0 +1,410 @@
+import fileStore from '../store/fileStore.js';
+import eventHub from '../events/eventHub.js';
+import { isReplayMode, resolveVendorProvider } from '../providers/index.js';
+import creditBudget from '../budget/creditBudget.js';
+import { valuePositionsAt } from '../../src/data/positionValuation.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Extended NYC market hours: Mon-Fri, 4:00 AM - 8:00 PM ET
+ * (pre-market, regular session and after-hours, same window as the browser managers)
+ */
+export function isMarketOpen(now = new Date()) {
+  const nyTime = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const day = nyTime.getDay();
+  const hours = nyTime.getHours();
+
+  if (day === 0 || day === 6) return false;
+  return hours >= 4 && hours < 20;
+}
+
+/**
+ * Server-side batch scheduler
+ *
+ * Runs the 3-minute batch cycle that used to live in the browser
+ * (batchedFetchManager), so burnlists keep updating while no tab is open:
+ * - every symbol across all stored watchlists, 5 per request (1 credit each)
+ * - one batch every 9 seconds, never more than 11 batches in a minute
+ * - symbols beyond 20 batches roll over to the next cycle
+ * At the end of each cycle the latest prices are written into the stored
+ * watchlists and a NAV datapoint is appended to chartData/<slug>.
+ * Browsers read the results through /api/store, prompted by the prices,
+ * nav and cycle events pushed on /api/events.
+ */
+class BatchScheduler {
+  constructor() {
+    this.BATCH_SIZE = 5;
+    this.BATCHES_PER_CYCLE = 20;
+    this.CYCLE_DURATION_MS = 3 * 60 * 1000;
+    this.BATCH_INTERVAL_MS = 9 * 1000;
+    this.MAX_BATCHES_PER_MINUTE = 11;
+    this.MAX_CHART_DATAPOINTS = 1000;
+
+    this.isRunning = false;
+    this.isCycleRunning = false;
+    this.timer = null;
+    this.nextCycleAt = null;
+    this.cursor = 0;
+    this.batchesInCurrentMinute = 0;
+    this.lastMinuteTimestamp = 0;
+    this.lastCycle = null;
+    this.stats = {
+      totalCycles: 0,
+      skippedCycles: 0,
+      totalBatches: 0,
+      successfulBatches: 0,
+      failedBatches: 0,
+      navDatapoints: 0,
+      lastError: null
+    };
+  }
+
+  isEnabled() {
+    return process.env.BURNLIST_SCHEDULER !== 'off';
+  }
+
+  getProvider() {
+    return resolveVendorProvider('twelvedata');
+  }
+
+  /**
+   * Whether the scheduler can actually fetch. Without a Twelve Data key
+   * (and outside replay mode) browsers keep running their own cycles.
+   */
+  isActive() {
+    if (!this.isRunning) return false;
+    if (isReplayMode()) return true;
+    const provider = this.getProvider();
+    return typeof provider.hasCredentials !== 'function' || provider.hasCredentials();
+  }
+
+  start() {
+    if (this.isRunning) return;
+    if (!this.isEnabled()) {
+      console.log('⏸️ Batch scheduler disabled (BURNLIST_SCHEDULER=off)');
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`⏱️ Batch scheduler started (${this.CYCLE_DURATION_MS / 60000}-minute cycles, ${this.BATCH_INTERVAL_MS / 1000}s between batches)`);
+    if (!this.isActive()) {
+      console.warn('⚠️ Batch scheduler idle until a Twelve Data key is set (TWELVE_DATA_API_KEY or Settings), browsers will fetch on their own');
+    }
+    this.scheduleNextCycle(0);
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextCycleAt = null;
+    console.log('🛑 Batch scheduler stopped');
+  }
+
+  scheduleNextCycle(delay = this.CYCLE_DURATION_MS) {
+    if (!this.isRunning) return;
+
+    this.nextCycleAt = new Date(Date.now() + delay).toISOString();
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      const startedAt = Date.now();
+      await this.runCycle();
+      // Cycles start every CYCLE_DURATION_MS, however long the batches took
+      this.scheduleNextCycle(Math.max(0, this.CYCLE_DURATION_MS - (Date.now() - startedAt)));
+    }, delay);
+  }
+
+  /**
+   * Run one fetch cycle
+   * @param {Object} options - { force: ignore market hours (manual run) }
+   * @returns {Promise<Object|null>} Cycle summary, null when skipped
+   */
+  async runCycle({ force = false } = {}) {
+    if (this.isCycleRunning) return null;
+
+    if (!this.isActive() && !force) {
+      this.stats.skippedCycles++;
+      return null;
+    }
+    if (!force && !isMarketOpen()) {
+      this.stats.skippedCycles++;
+      console.log('⏰ [scheduler] Market closed (extended NYC hours), skipping cycle');
+      return null;
+    }
+
+    this.isCycleRunning = true;
+    this.stats.totalCycles++;
+    const cycle = {
+      number: this.stats.totalCycles,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      symbols: 0,
+      fetched: 0,
+      watchlistsUpdated: 0,
+      navDatapoints: 0
+    };
+
+    try {
+      const { data: watchlists } = await fileStore.getCollection('watchlists');
+      const symbols = this.getUniqueSymbols(watchlists);
+      cycle.symbols = symbols.length;
+
+      if (symbols.length === 0) {
+        console.log('📭 [scheduler] No stored watchlist symbols to fetch');
+        return cycle;
+      }
+
+      const batches = this.getCycleBatches(symbols);
+      console.log(`🔄 [scheduler] Cycle #${cycle.number}: ${symbols.length} symbols in ${batches.length} batches`);
+
+      const prices = new Map();
+      for (let i = 0; i < batches.length; i++) {
+        if (!this.isRunning && !force) break;
+        if (i > 0) await sleep(this.BATCH_INTERVAL_MS);
+
+        const quotes = await this.processBatch(batches[i], i + 1, batches.length);
+        Object.entries(quotes).forEach(([symbol, quote]) => prices.set(symbol.toUpperCase(), quote));
+      }
+      cycle.fetched = prices.size;
+
+      if (prices.size > 0) {
+        cycle.watchlistsUpdated = await this.applyPrices(prices);
+      }
+      cycle.navDatapoints = await this.appendNavDatapoints();
+      this.stats.navDatapoints += cycle.navDatapoints;
+
+      return cycle;
+    } catch (error) {
+      console.error('❌ [scheduler] Cycle failed:', error);
+      this.stats.lastError = error.message;
+      return cycle;
+    } finally {
+      cycle.completedAt = new Date().toISOString();
+      this.lastCycle = cycle;
+      this.isCycleRunning = false;
+      // Scheduled cycles are rescheduled once this returns, a manual run leaves the timer as is
+      const nextCycleAt = force
+        ? this.nextCycleAt
+        : new Date(new Date(cycle.startedAt).getTime() + this.CYCLE_DURATION_MS).toISOString();
+      eventHub.publish('cycle', { ...cycle, nextCycleAt });
+    }
+  }
+
+  getUniqueSymbols(watchlists) {
+    const all = Object.values(watchlists || {})
+      .flatMap(watchlist => (watchlist?.items || []).map(item => item?.symbol))
+      .filter(symbol => symbol && typeof symbol === 'string' && !symbol.startsWith('#'));
+    return Array.from(new Set(all.map(symbol => symbol.toUpperCase()))).sort();
+  }
+
+  // Up to BATCHES_PER_CYCLE batches, continuing where the previous cycle stopped
+  getCycleBatches(symbols) {
+    const perCycle = this.BATCH_SIZE * this.BATCHES_PER_CYCLE;
+    if (this.cursor >= symbols.length) this.cursor = 0;
+
+    const rotated = [...symbols.slice(this.cursor), ...symbols.slice(0, this.cursor)];
+    const selected = rotated.slice(0, perCycle);
+    this.cursor = symbols.length > perCycle ? (this.cursor + perCycle) % symbols.length : 0;
+
+    const batches = [];
+    for (let i = 0; i < selected.length; i += this.BATCH_SIZE) {
+      batches.push(selected.slice(i, i + this.BATCH_SIZE));
+    }
+    return batches;
+  }
+
+  /**
+   * Fetch the latest 5-minute bar for a batch of symbols
+   * @returns {Promise<Object>} { [symbol]: quote }
+   */
+  async processBatch(batch, batchNumber, totalBatches) {
+    const currentMinute = Math.floor(Date.now() / 60000);
+    if (currentMinute !== this.lastMinuteTimestamp) {
+      this.lastMinuteTimestamp = currentMinute;
+      this.batchesInCurrentMinute = 0;
+    }
+
+    if (this.batchesInCurrentMinute >= this.MAX_BATCHES_PER_MINUTE) {
+      console.warn(`⚠️ [scheduler] ${this.batchesInCurrentMinute} batches this minute, skipping batch ${batchNumber}`);
+      this.stats.failedBatches++;
+      return {};
+    }
+
+    this.batchesInCurrentMinute++;
+    this.stats.totalBatches++;
+
+    try {
+      const provider = this.getProvider();
+      // Same credit budget as the browsers' requests, waiting at most until the next batch
+      if (provider.usesTwelveData()) {
+        await creditBudget.acquire(batch.length, { priority: 'automatic', maxWaitMs: this.BATCH_INTERVAL_MS });
+      }
+      const { quotes } = await provider.getBatch(batch, { interval: '5min', outputsize: 1 });
+      console.log(`✅ [scheduler] Batch ${batchNumber}/${totalBatches} [${batch.join(', ')}]: ${Object.keys(quotes).length} quotes`);
+      this.stats.successfulBatches++;
+      return quotes;
+    } catch (error) {
+      console.error(`❌ [scheduler] Batch ${batchNumber}/${totalBatches} failed:`, error.message);
+      this.stats.failedBatches++;
+      this.stats.lastError = error.message;
+      return {};
+    }
+  }
+
+  /**
+   * Write the latest prices into every stored watchlist holding the symbols.
+   * Applied inside the store's write queue, on top of whatever browsers
+   * saved while the batches were running.
+   * @returns {Promise<number>} Number of watchlists changed
+   */
+  async applyPrices(prices) {
+    let changed = 0;
+    const updates = new Map(); // slug -> updated items
+
+    await fileStore.update('watchlists', record => {
+      const data = { ...record.data };
+      Object.entries(data).forEach(([id, watchlist]) => {
+        if (!Array.isArray(watchlist?.items)) return;
+
+        let touched = false;
+        const items = watchlist.items.map(item => {
+          const quote = prices.get(item?.symbol?.toUpperCase());
+          if (!quote || !(quote.price > 0)) return item;
+
+          touched = true;
+          return { ...item, currentPrice: quote.price, lastPriceUpdate: quote.fetchTimestamp };
+        });
+
+        if (touched) {
+          data[id] = { ...watchlist, items };
+          changed++;
+          if (watchlist.slug) updates.set(watchlist.slug, items);
+        }
+      });
+      return data;
+    });
+
+    updates.forEach((items, slug) => {
+      const slugPrices = items
+        .map(item => prices.get(item?.symbol?.toUpperCase()))
+        .filter(Boolean)
+        .map(({ symbol, price, timestamp, fetchTimestamp }) => ({ symbol, price, timestamp, fetchTimestamp }));
+      eventHub.publish('prices', { prices: slugPrices }, { slug });
+    });
+
+    console.log(`💾 [scheduler] Updated prices in ${changed} watchlists`);
+    return changed;
+  }
+
+  /**
+   * Return of a watchlist at its latest prices, valued like the browser's
+   * position NAV: the watchlist's weighting mode and cash leg, cost basis
+   * (or buy price) per position
+   * @returns {Object|null} { returnPercent, validTickers }, null without priced items
+   */
+  calculateNavReturn(watchlist) {
+    const items = watchlist.items.map(item => {
+      const currentPrice = Number(item?.currentPrice);
+      const series = Array.isArray(item?.historicalData) ? item.historicalData : [];
+      return currentPrice > 0
+        ? { ...item, historicalData: [...series, { timestamp: item.lastPriceUpdate || new Date().toISOString(), price: currentPrice }] }
+        : { ...item, historicalData: series };
+    });
+    const options = { mode: watchlist.weighting, cash: watchlist.cash };
+    const latest = valuePositionsAt(items, options, Infinity);
+    const validTickers = latest.positions.filter(position => position.priced).length;
+    const costValue = valuePositionsAt(items, options, -Infinity).value;
+    if (validTickers === 0 || !(costValue > 0)) return null;
+
+    return { returnPercent: (latest.value / costValue - 1) * 100, validTickers };
+  }
+
+  /**
+   * Append a NAV datapoint per watchlist to chartData/<slug>, in the shape
+   * historicalDataManager.saveWatchlistDatapoint writes from the browser
+   * @returns {Promise<number>} Number of datapoints written
+   */
+  async appendNavDatapoints() {
+    const { data: watchlists } = await fileStore.getCollection('watchlists');
+    const timestamp = new Date().toISOString();
+    const datapoints = {};
+
+    Object.values(watchlists).forEach(watchlist => {
+      if (!watchlist?.slug || !Array.isArray(watchlist.items) || watchlist.items.length === 0) return;
+
+      const nav = this.calculateNavReturn(watchlist);
+      if (nav === null) return;
+
+      datapoints[watchlist.slug] = {
+        datapoint: {
+          timestamp,
+          averageReturn: parseFloat(nav.returnPercent.toFixed(5)),
+          tickerCount: watchlist.items.length,
+          fetchTimestamp: timestamp
+        },
+        validTickers: nav.validTickers
+      };
+    });
+
+    const slugs = Object.keys(datapoints);
+    if (slugs.length === 0) return 0;
+
+    await fileStore.update('chartData', record => {
+      const data = { ...record.data };
+      slugs.forEach(slug => {
+        const existing = Array.isArray(data[slug]) ? data[slug] : [];
+        data[slug] = [...existing, datapoints[slug].datapoint].slice(-this.MAX_CHART_DATAPOINTS);
+      });
+      return data;
+    });
+
+    // Same navData shape batchedFetchManager emits on navEventEmitter
+    slugs.forEach(slug => {
+      const { datapoint, validTickers } = datapoints[slug];
+      eventHub.publish('nav', {
+        navData: [{
+          timestamp,
+          returnPercent: datapoint.averageReturn,
+          valid: true,
+          source: 'scheduler',
+          validTickers,
+          totalTickers: datapoint.tickerCount
+        }],
+        source: 'scheduler',
+        timestamp,
+        datapoint
+      }, { slug });
+    });
+
+    console.log(`📊 [scheduler] Appended NAV datapoints for ${slugs.join(', ')}`);
+    return slugs.length;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      running: this.isRunning,
+      active: this.isActive(),
+      cycleInProgress: this.isCycleRunning,
+      provider: this.getProvider().name,
+      marketOpen: isMarketOpen(),
+      nextCycleAt: this.nextCycleAt,
+      lastCycle: this.lastCycle,
+      stats: { ...this.stats },
+      configuration: {
+        batchSize: this.BATCH_SIZE,
+        batchesPerCycle: this.BATCHES_PER_CYCLE,
+        cycleDurationMs: this.CYCLE_DURATION_MS,
+        batchIntervalMs: this.BATCH_INTERVAL_MS,
+        maxBatchesPerMinute: this.MAX_BATCHES_PER_MINUTE
+      }
+    };
+  }
+}
+
+const batchScheduler = new BatchScheduler();
+
+export default batchScheduler;
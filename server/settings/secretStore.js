@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import fsSync, { promises as fs } from 'fs';
+import path from 'path';
+import fileStore from '../store/fileStore.js';
+import { SettingsError } from './settingsError.js';
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Vendor credentials the server can hold. An environment variable always
+ * wins over a key saved from the settings page.
+ */
+export const SECRETS = {
+  twelvedata: { label: 'Twelve Data API key', env: 'TWELVE_DATA_API_KEY', provider: 'twelvedata' },
+  finviz: { label: 'Finviz Elite token', env: 'FINVIZ_API_TOKEN', provider: 'finviz' }
+};
+
+/**
+ * Replace credential query parameters in URLs or messages before they are logged
+ */
+export function redactSecrets(text) {
+  return String(text).replace(/([?&](?:auth|apikey|token)=)[^&\s]+/gi, '$1***');
+}
+
+// Last 4 characters only, enough to tell keys apart after a rotation
+function mask(value) {
+  return value ? `••••${value.slice(-4)}` : null;
+}
+
+/**
+ * Server-side store for vendor API keys
+ *
+ * Keys are kept in secrets.json in the data directory, each encrypted with
+ * AES-256-GCM. The encryption key comes from BURNLIST_SECRETS_KEY, or from
+ * a random secrets.key generated next to it on first use (owner-only
+ * permissions). Values are never returned to clients: only whether a key
+ * is set, where from, its masked tail and the last validation result.
+ */
+class SecretStore {
+  constructor() {
+    this.record = null; // { keys: { [name]: { iv, tag, data, updatedAt, ... } } }
+    this.values = new Map();
+    this.envValidations = new Map(); // keys from the environment are tested but never written
+    this.writing = Promise.resolve();
+  }
+
+  getFile() {
+    return path.join(fileStore.getDataDir(), 'secrets.json');
+  }
+
+  getDefinition(name) {
+    const definition = Object.hasOwn(SECRETS, name) ? SECRETS[name] : null;
+    if (!definition) {
+      throw new SettingsError(`Unknown key: ${name}`, {
+        status: 404,
+        details: { available: Object.keys(SECRETS) }
+      });
+    }
+    return definition;
+  }
+
+  getEncryptionKey() {
+    if (process.env.BURNLIST_SECRETS_KEY) {
+      return crypto.createHash('sha256').update(process.env.BURNLIST_SECRETS_KEY).digest();
+    }
+
+    const keyFile = path.join(fileStore.getDataDir(), 'secrets.key');
+    try {
+      return Buffer.from(fsSync.readFileSync(keyFile, 'utf8').trim(), 'hex');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const key = crypto.randomBytes(32);
+    fsSync.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fsSync.writeFileSync(keyFile, key.toString('hex'), { mode: 0o600 });
+    console.log(`🔐 [settings] Generated encryption key ${keyFile}`);
+    return key;
+  }
+
+  // Providers read keys synchronously, so the small secrets file is loaded once, synchronously
+  load() {
+    if (this.record) return this.record;
+
+    this.record = { keys: {} };
+    try {
+      this.record = { keys: {}, ...JSON.parse(fsSync.readFileSync(this.getFile(), 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ [settings] Could not read secrets file:', error.message);
+      }
+      return this.record;
+    }
+
+    Object.entries(this.record.keys).forEach(([name, entry]) => {
+      try {
+        this.values.set(name, this.decrypt(entry));
+      } catch (error) {
+        console.error(`❌ [settings] Could not decrypt the ${name} key, check BURNLIST_SECRETS_KEY`);
+      }
+    });
+    return this.record;
+  }
+
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getEncryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return { iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex'), data: data.toString('hex') };
+  }
+
+  decrypt({ iv, tag, data }) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.getEncryptionKey(), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'hex')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Current value of a key, from the environment first
+   * @returns {string|null}
+   */
+  get(name) {
+    const definition = this.getDefinition(name);
+    if (process.env[definition.env]) return process.env[definition.env];
+    this.load();
+    return this.values.get(name) || null;
+  }
+
+  getSource(name) {
+    const definition = this.getDefinition(name);
+    if (process.env[definition.env]) return 'env';
+    this.load();
+    return this.values.has(name) ? 'file' : null;
+  }
+
+  /**
+   * Save (or rotate) a key. The previous value is discarded.
+   */
+  async set(name, value, { validation = null } = {}) {
+    this.getDefinition(name);
+    this.load();
+
+    const previous = this.record.keys[name];
+    this.record.keys[name] = {
+      ...this.encrypt(value),
+      updatedAt: new Date().toISOString(),
+      rotations: previous ? (previous.rotations || 0) + 1 : 0,
+      validation
+    };
+    this.values.set(name, value);
+    await this.persist();
+    console.log(`🔐 [settings] ${SECRETS[name].label} ${previous ? 'rotated' : 'saved'}`);
+  }
+
+  async remove(name) {
+    this.getDefinition(name);
+    this.load();
+    if (!this.record.keys[name]) return false;
+
+    delete this.record.keys[name];
+    this.values.delete(name);
+    await this.persist();
+    console.log(`🔐 [settings] ${SECRETS[name].label} removed`);
+    return true;
+  }
+
+  // Remember the last test result of the key in use
+  async recordValidation(name, validation) {
+    const source = this.getSource(name);
+    if (source === 'env') {
+      this.envValidations.set(name, validation);
+      return;
+    }
+    if (source !== 'file') return;
+    this.record.keys[name] = { ...this.record.keys[name], validation };
+    await this.persist();
+  }
+
+  // Writes are chained so two quick rotations can't interleave; a failed write doesn't block the next
+  persist() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const file = this.getFile();
+      const tempPath = `${file}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(this.record, null, 2), { mode: 0o600 });
+      await fs.rename(tempPath, file);
+    });
+    return this.writing;
+  }
+
+  /**
+   * What the settings page may see about a key
+   */
+  describe(name) {
+    const definition = this.getDefinition(name);
+    const source = this.getSource(name);
+    const entry = source === 'file' ? this.record.keys[name] : null;
+    return {
+      name,
+      label: definition.label,
+      env: definition.env,
+      configured: Boolean(source),
+      source,
+      masked: mask(this.get(name)),
+      updatedAt: entry?.updatedAt || null,
+      rotations: entry?.rotations || 0,
+      validation: (source === 'env' ? this.envValidations.get(name) : entry?.validation) || null
+    };
+  }
+
+  describeAll() {
+    return Object.keys(SECRETS).map(name => this.describe(name));
+  }
+}
+
+const secretStore = new SecretStore();
+
+export default secretStore;
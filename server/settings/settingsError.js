@@ -0,0 +1,14 @@
+/**
+ * Error thrown by the settings subsystem, carrying the HTTP status the
+ * /api/settings routes should answer with.
+ */
+export class SettingsError extends Error {
+  constructor(message, { status = 500, details = null } = {}) {
+    super(message);
+    this.name = 'SettingsError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export default SettingsError;
@@ -0,0 +1,213 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { StoreError } from './storeError.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Collections mirrored from the client's STORAGE_KEYS
+ *   map:      { [id]: entity }   watchlists by slug, universes, screeners, ...
+ *   list:     [entity]           ordered, entities addressed by their `id`
+ *   document: any JSON value     replaced as a whole
+ */
+export const COLLECTIONS = {
+  watchlists: { type: 'map' },
+  universes: { type: 'map' },
+  scoringProfiles: { type: 'map' },
+  screeners: { type: 'map' },
+  screenerSettings: { type: 'document' },
+  tradeJournal: { type: 'list' },
+  chartData: { type: 'map' },
+  universeToggles: { type: 'map' },
+  universeHistory: { type: 'map' },
+  lastRefresh: { type: 'map' }
+};
+
+function emptyData(type) {
+  if (type === 'list') return [];
+  return {};
+}
+
+function isValidData(type, data) {
+  if (type === 'list') return Array.isArray(data);
+  if (type === 'map') return data !== null && typeof data === 'object' && !Array.isArray(data);
+  return data !== undefined;
+}
+
+/**
+ * Embedded JSON file store
+ * One file per collection in BURNLIST_DATA_DIR (default data/), holding
+ * { revision, updatedAt, data }. Writes are serialized per collection and
+ * go through a temp file + rename so a crash never leaves half a file.
+ */
+class FileStore {
+  constructor() {
+    this.cache = new Map();
+    this.queues = new Map();
+  }
+
+  getDataDir() {
+    return process.env.BURNLIST_DATA_DIR
+      ? path.resolve(process.env.BURNLIST_DATA_DIR)
+      : path.resolve(__dirname, '..', '..', 'data');
+  }
+
+  getCollectionConfig(name) {
+    const config = Object.hasOwn(COLLECTIONS, name) ? COLLECTIONS[name] : null;
+    if (!config) {
+      throw new StoreError(`Unknown collection: ${name}`, {
+        status: 404,
+        details: { available: Object.keys(COLLECTIONS) }
+      });
+    }
+    return config;
+  }
+
+  async load(name) {
+    const config = this.getCollectionConfig(name);
+    if (this.cache.has(name)) return this.cache.get(name);
+
+    let record = { revision: 0, updatedAt: null, data: emptyData(config.type) };
+    try {
+      const content = await fs.readFile(path.join(this.getDataDir(), `${name}.json`), 'utf8');
+      record = JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Failed to read store collection ${name}:`, error.message);
+        throw new StoreError(`Failed to read collection ${name}`, { details: error.message });
+      }
+    }
+
+    this.cache.set(name, record);
+    return record;
+  }
+
+  async persist(name, record) {
+    const dir = this.getDataDir();
+    const filePath = path.join(dir, `${name}.json`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(record));
+    await fs.rename(tempPath, filePath);
+    this.cache.set(name, record);
+  }
+
+  /**
+   * Run a read-modify-write against a collection, one at a time per collection
+   * @param {string} name - Collection name
+   * @param {Function} mutate - (record, config) => new data
+   * @returns {Promise<Object>} The updated record
+   */
+  update(name, mutate) {
+    const previous = this.queues.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const config = this.getCollectionConfig(name);
+      const record = await this.load(name);
+      const data = mutate(record, config);
+      const updated = {
+        revision: record.revision + 1,
+        updatedAt: new Date().toISOString(),
+        data
+      };
+      await this.persist(name, updated);
+      return updated;
+    });
+
+    this.queues.set(name, next);
+    return next;
+  }
+
+  async getCollection(name) {
+    return this.load(name);
+  }
+
+  async getAll() {
+    const collections = {};
+    for (const name of Object.keys(COLLECTIONS)) {
+      collections[name] = await this.load(name);
+    }
+    return collections;
+  }
+
+  /**
+   * Replace a whole collection. With baseRevision set, the write is rejected
+   * (409) when someone else has written since that revision.
+   */
+  replaceCollection(name, data, { baseRevision } = {}) {
+    return this.update(name, (record, config) => {
+      if (!isValidData(config.type, data)) {
+        throw new StoreError(`Invalid data for ${config.type} collection ${name}`, { status: 400 });
+      }
+      if (baseRevision !== undefined && baseRevision !== null && Number(baseRevision) !== record.revision) {
+        throw new StoreError(`Collection ${name} changed since revision ${baseRevision}`, {
+          status: 409,
+          details: { revision: record.revision, updatedAt: record.updatedAt }
+        });
+      }
+      return data;
+    });
+  }
+
+  async getItem(name, id) {
+    const config = this.getCollectionConfig(name);
+    const { data } = await this.load(name);
+
+    let item;
+    if (config.type === 'map') {
+      // Own keys only: "constructor" or "__proto__" are not items
+      item = Object.hasOwn(data, id) ? data[id] : undefined;
+    } else if (config.type === 'list') {
+      item = data.find(entry => String(entry?.id) === String(id));
+    } else {
+      throw new StoreError(`Collection ${name} has no items`, { status: 400 });
+    }
+
+    if (item === undefined) {
+      throw new StoreError(`${name}/${id} not found`, { status: 404 });
+    }
+    return item;
+  }
+
+  putItem(name, id, value) {
+    return this.update(name, (record, config) => {
+      if (value === undefined) {
+        throw new StoreError('Missing item data', { status: 400 });
+      }
+
+      if (config.type === 'map') {
+        return { ...record.data, [id]: value };
+      }
+      if (config.type === 'list') {
+        const item = { ...value, id: value?.id ?? id };
+        const index = record.data.findIndex(entry => String(entry?.id) === String(id));
+        if (index === -1) {
+          // New journal entries are shown newest first
+          return [item, ...record.data];
+        }
+        const data = record.data.slice();
+        data[index] = item;
+        return data;
+      }
+      throw new StoreError(`Collection ${name} has no items`, { status: 400 });
+    });
+  }
+
+  deleteItem(name, id) {
+    return this.update(name, (record, config) => {
+      if (config.type === 'map') {
+        const { [id]: removed, ...rest } = record.data;
+        return rest;
+      }
+      if (config.type === 'list') {
+        return record.data.filter(entry => String(entry?.id) !== String(id));
+      }
+      throw new StoreError(`Collection ${name} has no items`, { status: 400 });
+    });
+  }
+}
+
+const fileStore = new FileStore();
+
+export default fileStore;
@@ -0,0 +1,14 @@
+/**
+ * Error thrown by the persistent store, carrying the HTTP status the
+ * /api/store routes should answer with.
+ */
+export class StoreError extends Error {
+  constructor(message, { status = 500, details = null } = {}) {
+    super(message);
+    this.name = 'StoreError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export default StoreError;
@@ -17,6 +17,7 @@ import MarketPage from './pages/MarketPage';
 import ScreenersPage from './pages/ScreenersPage';
 import ScreenerResultsPage from './pages/ScreenerResultsPage';
 import BurnPage from './pages/burnPage';
+import SettingsPage from './pages/SettingsPage';
 // Fetch manager for cleanup
 import { fetchManager } from '@data/twelvedataFetchManager';
 import { ThemeProvider } from './ThemeContext';
@@ -67,6 +68,7 @@ function App() {
           <Route path="/screeners" element={<ScreenersPage />} />
           <Route path="/screeners/screener/:screenerSlug" element={<ScreenerResultsPage />} />
           <Route path="/burn/:slug" element={<BurnPage />} />
+          <Route path="/settings" element={<SettingsPage />} />
         </Routes>
         <MobileNavigation />
       </Router>
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { useThemeColor } from '../ThemeContext';
+import TimeframeSelector from './TimeframeSelector';
+import { UNCLASSIFIED } from '../data/attributionCalculator';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip);
+
+const CRT_GREEN = 'rgb(149,184,163)';
+const CRT_RED = '#e31507';
+
+// Past this many bars the smallest contributors are folded into "Other"
+const MAX_BARS = 15;
+
+const formatPoints = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+// Largest contributors by size, the rest summed into one bar
+function toBars(entries, labelOf) {
+  const bySize = [...entries].sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+  const shown = bySize.slice(0, MAX_BARS - 1);
+  const rest = bySize.slice(MAX_BARS - 1);
+  const bars = shown.map(entry => ({ label: labelOf(entry), contribution: entry.contribution }));
+  if (rest.length === 1) {
+    bars.push({ label: labelOf(rest[0]), contribution: rest[0].contribution });
+  } else if (rest.length > 1) {
+    bars.push({ label: `Other (${rest.length})`, contribution: rest.reduce((sum, entry) => sum + entry.contribution, 0) });
+  }
+  return bars.sort((a, b) => b.contribution - a.contribution);
+}
+
+/**
+ * Waterfall of each ticker's (or sector's) contribution to the NAV return
+ * over a timeframe, ending in a bar for the total
+ *
+ * Pass onTimeframeChange to show a timeframe selector inside the panel, and
+ * the sector exposure's tagging flag to say when sectors are still loading.
+ */
+const AttributionWaterfall = ({ attribution, timeframe, onTimeframeChange, tagging = false }) => {
+  const green = useThemeColor(CRT_GREEN);
+  const red = useThemeColor(CRT_RED);
+  const black = useThemeColor('black');
+  const [groupBy, setGroupBy] = useState('ticker');
+
+  const buttonStyle = (active) => ({
+    background: active ? green : 'transparent',
+    color: active ? black : green,
+    border: `1px solid ${green}`,
+    padding: '4px 8px',
+    fontSize: '10px',
+    fontFamily: "'Courier New'",
+    cursor: 'pointer'
+  });
+
+  const bars = attribution
+    ? (groupBy === 'sector'
+      ? toBars(attribution.sectors, entry => entry.sector)
+      : toBars(attribution.positions, entry => entry.symbol))
+    : [];
+
+  // Each bar floats from the running total before it to the one after it
+  let running = 0;
+  const floating = bars.map(bar => {
+    const from = running;
+    running += bar.contribution;
+    return [from, running];
+  });
+  const total = attribution?.returnPercent ?? 0;
+  const unclassified = (attribution?.positions || []).filter(position => position.sector === UNCLASSIFIED).length;
+
+  const chartData = {
+    labels: [...bars.map(bar => bar.label), 'Total'],
+    datasets: [{
+      data: [...floating, [0, total]],
+      backgroundColor: [
+        ...bars.map(bar => (bar.contribution >= 0 ? green : red)),
+        'rgba(149,184,163,0.4)'
+      ],
+      borderColor: green,
+      borderWidth: [...bars.map(() => 0), 1],
+      barPercentage: 0.8
+    }]
+  };
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (context) => {
+            const bar = bars[context.dataIndex];
+            return bar ? `${bar.label} ${formatPoints(bar.contribution)}` : `Total ${formatPoints(total)}`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: { ticks: { color: green, font: { family: 'Courier New', size: 10 } }, grid: { display: false } },
+      y: {
+        ticks: { color: green, font: { family: 'Courier New', size: 10 }, callback: (value) => `${value}%` },
+        grid: { color: 'rgba(149,184,163,0.15)' }
+      }
+    }
+  };
+
+  return (
+    <div style={{ fontFamily: "'Courier New'", fontSize: '11px', color: green }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap' }}>
+        <span style={{ opacity: 0.7 }}>ATTRIBUTION</span>
+        <button onClick={() => setGroupBy('ticker')} style={buttonStyle(groupBy === 'ticker')}>TICKER</button>
+        <button onClick={() => setGroupBy('sector')} style={buttonStyle(groupBy === 'sector')}>SECTOR</button>
+        {attribution && (
+          <span style={{ marginLeft: '8px', opacity: 0.8 }}>
+            {formatPoints(total)} over {timeframe === 'MAX' ? 'all history, from cost' : timeframe}
+          </span>
+        )}
+      </div>
+      {onTimeframeChange && <TimeframeSelector selected={timeframe} onChange={onTimeframeChange} />}
+      {bars.length > 0 ? (
+        <div style={{ height: '200px', marginTop: '6px' }}>
+          <Bar data={chartData} options={chartOptions} />
+        </div>
+      ) : (
+        <div style={{ marginTop: '6px', opacity: 0.7 }}>No priced positions to attribute</div>
+      )}
+      {groupBy === 'sector' && (tagging || unclassified > 0) && (
+        <div style={{ marginTop: '4px', opacity: 0.7 }}>
+          {tagging ? 'Looking up sectors…' : `${unclassified} ticker${unclassified === 1 ? '' : 's'} without a sector profile`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttributionWaterfall;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { useThemeColor } from '../ThemeContext';
+import { BENCHMARK_SYMBOLS } from '../data/benchmarkAnalytics';
+
+const CRT_GREEN = 'rgb(149,184,163)';
+const CRT_RED = '#e31507';
+
+const formatNumber = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : '–');
+const formatPercent = (value) => (Number.isFinite(value) ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}%` : '–');
+
+/**
+ * Benchmark picker (SPY, QQQ, IWM or any symbol) with beta, alpha,
+ * correlation and tracking error against it
+ */
+const BenchmarkPanel = ({ symbol, onChange, stats, loading = false, error = null, showStats = true }) => {
+  const green = useThemeColor(CRT_GREEN);
+  const red = useThemeColor(CRT_RED);
+  const black = useThemeColor('black');
+  const [customSymbol, setCustomSymbol] = useState('');
+
+  const buttonStyle = (active) => ({
+    background: active ? green : 'transparent',
+    color: active ? black : green,
+    border: `1px solid ${green}`,
+    padding: '4px 8px',
+    fontSize: '10px',
+    fontFamily: "'Courier New'",
+    cursor: 'pointer'
+  });
+
+  const applyCustomSymbol = () => {
+    const value = customSymbol.trim().toUpperCase();
+    if (value) {
+      onChange(value);
+      setCustomSymbol('');
+    }
+  };
+
+  const rows = stats ? [
+    ['Beta', formatNumber(stats.beta), 'Sensitivity to the benchmark: 1.2 moves 1.2% for each 1%'],
+    ['Alpha', formatPercent(stats.alpha), 'Annualized return not explained by beta'],
+    ['Correlation', formatNumber(stats.correlation), 'How closely period returns move together (-1 to 1)'],
+    ['Tracking error', Number.isFinite(stats.trackingError) ? `${stats.trackingError.toFixed(2)}%` : '–', 'Annualized volatility of the return difference'],
+    ['Info ratio', formatNumber(stats.informationRatio), 'Annualized excess return per unit of tracking error'],
+    ['Excess return', formatPercent(stats.excessReturn), `Watchlist ${formatPercent(stats.portfolioReturn)} vs ${symbol} ${formatPercent(stats.benchmarkReturn)}`]
+  ] : [];
+
+  return (
+    <div style={{ fontFamily: "'Courier New'", fontSize: '11px', color: green }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap' }}>
+        <span style={{ opacity: 0.7 }}>BENCHMARK</span>
+        <button onClick={() => onChange(null)} style={buttonStyle(!symbol)}>OFF</button>
+        {BENCHMARK_SYMBOLS.map(benchmark => (
+          <button key={benchmark} onClick={() => onChange(benchmark)} style={buttonStyle(symbol === benchmark)}>
+            {benchmark}
+          </button>
+        ))}
+        {symbol && !BENCHMARK_SYMBOLS.includes(symbol) && (
+          <button onClick={() => onChange(symbol)} style={buttonStyle(true)}>{symbol}</button>
+        )}
+        <input
+          type="text"
+          value={customSymbol}
+          onChange={(e) => setCustomSymbol(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') applyCustomSymbol();
+          }}
+          onBlur={applyCustomSymbol}
+          placeholder="other"
+          style={{
+            width: '60px',
+            padding: '3px 6px',
+            fontSize: '10px',
+            fontFamily: "'Courier New'",
+            backgroundColor: black,
+            color: green,
+            border: `1px solid ${green}`,
+            textTransform: 'uppercase'
+          }}
+        />
+        {loading && <span style={{ opacity: 0.7 }}>loading…</span>}
+        {error && <span style={{ color: red }}>{error}</span>}
+      </div>
+
+      {showStats && symbol && !loading && !error && (
+        stats ? (
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))',
+            gap: '6px 16px',
+            marginTop: '8px',
+            padding: '8px 10px',
+            border: `1px solid ${green}`
+          }}>
+            {rows.map(([label, value, description]) => (
+              <div key={label} title={description}>
+                <div style={{ opacity: 0.7 }}>{label}</div>
+                <div style={{ fontSize: '13px', fontWeight: 'bold' }}>{value}</div>
+              </div>
+            ))}
+            <div style={{ gridColumn: '1 / -1', opacity: 0.6 }}>
+              {stats.periods} periods against {symbol}
+            </div>
+          </div>
+        ) : (
+          <div style={{ marginTop: '8px', opacity: 0.7 }}>Not enough overlapping history for statistics</div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default BenchmarkPanel;
@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import priceSeriesStore from '../data/priceSeriesStore';
+import { HORIZONS, reconstructSnapshots, runBacktest } from '../data/buyScoreBacktest';
+import { loadDailyBars } from '../data/universeEnrichment';
+const CRT_GREEN = 'rgb(140,185,162)';
+const gray = '#888';
+const RED = '#e31507';
+
+// Candles reaching less far back than this are backfilled with a year (enrichment keeps only 60 days)
+const MIN_HISTORY_MS = 300 * 24 * 60 * 60 * 1000;
+const BACKFILL_DAYS = 365;
+
+const percent = (value, digits = 1) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(digits)}%`);
+const signed = (value) => (value === null || value === undefined ? '–' : `${value > 0 ? '+' : ''}${(value * 100).toFixed(2)}%`);
+const tone = (value) => (value > 0 ? CRT_GREEN : value < 0 ? RED : gray);
+
+// Hit rate and average forward return per horizon, one row per group
+function GroupTable({ title, groups }) {
+  return (
+    <>
+      <h3 style={sectionStyle}>{title}</h3>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ color: gray, textAlign: 'right' }}>
+            <th style={{ ...cellStyle, textAlign: 'left' }} />
+            {HORIZONS.map(h => <th key={h} style={cellStyle} colSpan={3}>{h}d</th>)}
+          </tr>
+          <tr style={{ color: gray, textAlign: 'right' }}>
+            <th style={cellStyle} />
+            {HORIZONS.map(h => (
+              <React.Fragment key={h}>
+                <th style={cellStyle}>n</th>
+                <th style={cellStyle}>hit</th>
+                <th style={cellStyle}>avg</th>
+              </React.Fragment>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {groups.map(group => (
+            <tr key={group.label} style={{ borderTop: `1px solid ${CRT_GREEN}33`, textAlign: 'right' }}>
+              <td style={{ ...cellStyle, textAlign: 'left' }}>{group.label}</td>
+              {HORIZONS.map(h => {
+                const stats = group.horizons[h];
+                return (
+                  <React.Fragment key={h}>
+                    <td style={{ ...cellStyle, color: gray }}>{stats.count}</td>
+                    <td style={cellStyle}>{percent(stats.hitRate, 0)}</td>
+                    <td style={{ ...cellStyle, color: tone(stats.avgReturn) }}>{signed(stats.avgReturn)}</td>
+                  </React.Fragment>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+}
+
+/**
+ * Side panel backtesting the Buy Score of a universe against forward returns
+ *
+ * Uses the universe's recorded score snapshots, or snapshots rebuilt from
+ * stored daily candles, re-scored under the active profile. Symbols with
+ * less than a year of daily candles are backfilled when the panel opens.
+ *
+ * @param {Object} props - { open, onClose, items, history, profile, onSnapshot }
+ */
+export default function BuyScoreBacktestPanel({ open, onClose, items, history, profile, onSnapshot }) {
+  const [source, setSource] = useState('snapshots');
+  const [barsVersion, setBarsVersion] = useState(0);
+  const [loadingBars, setLoadingBars] = useState(false);
+
+  const symbols = useMemo(() => Array.from(new Set([
+    ...(items || []).map(item => item.symbol?.toUpperCase()),
+    ...(history || []).flatMap(snapshot => snapshot.rows.map(row => row.symbol))
+  ].filter(Boolean))), [items, history]);
+
+  useEffect(() => {
+    // A cancelled load never clears the flag, so the early returns do
+    if (!open) {
+      setLoadingBars(false);
+      return undefined;
+    }
+    const missing = symbols.filter(symbol => {
+      const bars = priceSeriesStore.getBars(symbol, '1day');
+      return bars.length === 0 || bars[0].time > Date.now() - MIN_HISTORY_MS;
+    });
+    if (missing.length === 0) {
+      setLoadingBars(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoadingBars(true);
+    loadDailyBars(missing, { days: BACKFILL_DAYS, priority: 'manual' })
+      .then(() => {
+        if (cancelled) return;
+        setLoadingBars(false);
+        setBarsVersion(v => v + 1);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, symbols]);
+
+  const report = useMemo(() => {
+    if (!open) return null;
+    const barsBySymbol = Object.fromEntries(symbols.map(symbol => [symbol, priceSeriesStore.getBars(symbol, '1day')]));
+    const snapshots = source === 'snapshots' ? history : reconstructSnapshots(items, barsBySymbol);
+    return runBacktest(snapshots, barsBySymbol, profile);
+    // barsVersion re-reads the store after a backfill lands
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, source, symbols, items, history, profile, barsVersion]);
+
+  if (!open || !report) return null;
+
+  const sourceButton = (value, label) => (
+    <button
+      onClick={() => setSource(value)}
+      style={{ ...toggleStyle, background: source === value ? CRT_GREEN : 'black', color: source === value ? 'black' : CRT_GREEN }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <>
+      {/* Overlay for closing */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          width: '100vw',
+          height: '100vh',
+          background: 'rgba(0,0,0,0.3)',
+          zIndex: 10009,
+          pointerEvents: 'auto',
+        }}
+      />
+      <div
+        style={{
+          position: 'fixed',
+          top: 0,
+          right: 0,
+          width: 640,
+          maxWidth: '100vw',
+          height: '100vh',
+          background: '#0a0a0a',
+          color: CRT_GREEN,
+          zIndex: 10010,
+          boxShadow: `-4px 0 24px 0 ${CRT_GREEN}33`,
+          borderLeft: `2px solid ${CRT_GREEN}`,
+          display: 'flex',
+          flexDirection: 'column',
+          fontFamily: 'Courier New',
+          fontSize: 13,
+          pointerEvents: 'auto',
+        }}
+        onClick={e => e.stopPropagation()}
+        onMouseDown={e => e.stopPropagation()}
+      >
+        <div style={{ padding: 24, flex: 1, overflowY: 'auto' }}>
+          <h2 style={{ color: CRT_GREEN, marginBottom: 6, fontWeight: 700, fontSize: 22 }}>Buy Score Backtest</h2>
+          <div style={{ color: gray, marginBottom: 14 }}>Profile: {profile.name}</div>
+
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 8 }}>
+            {sourceButton('snapshots', `SNAPSHOTS (${(history || []).length})`)}
+            {sourceButton('reconstructed', 'FROM PRICE HISTORY')}
+            {loadingBars && <span style={{ color: gray }}>loading candles...</span>}
+          </div>
+          <div style={{ color: gray, marginBottom: 8 }}>
+            {source === 'snapshots'
+              ? 'Scores recorded by the screener, once a day after enrichment or with Snapshot Now.'
+              : 'Scored on price, avg volume and rel volume as of each date only. Fundamentals, earnings and flags have no history and are left out.'}
+          </div>
+
+          <h3 style={sectionStyle}>SUMMARY</h3>
+          <div style={{ marginBottom: 8 }}>
+            {report.observations} scores over {report.dates} dates
+            {report.partial && <span style={{ color: RED }} title="Scores use the price and volume factors only"> · PARTIAL</span>}
+          </div>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: gray, textAlign: 'right' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>Horizon</th>
+                <th style={cellStyle}>n</th>
+                <th style={cellStyle}>Hit rate</th>
+                <th style={cellStyle}>Avg return</th>
+                <th style={cellStyle} title="Mean per-date Spearman correlation of score and forward return">IC</th>
+                <th style={cellStyle}>IC dates</th>
+              </tr>
+            </thead>
+            <tbody>
+              {HORIZONS.map(h => {
+                const stats = report.horizons[h];
+                return (
+                  <tr key={h} style={{ borderTop: `1px solid ${CRT_GREEN}33`, textAlign: 'right' }}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{h}d</td>
+                    <td style={{ ...cellStyle, color: gray }}>{stats.count}</td>
+                    <td style={cellStyle}>{percent(stats.hitRate)}</td>
+                    <td style={{ ...cellStyle, color: tone(stats.avgReturn) }}>{signed(stats.avgReturn)}</td>
+                    <td style={{ ...cellStyle, color: tone(stats.ic) }}>{stats.ic === null ? '–' : stats.ic.toFixed(3)}</td>
+                    <td style={{ ...cellStyle, color: gray }}>{stats.icDates}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <GroupTable title="BY SCORE" groups={report.buckets} />
+          <GroupTable title="BY TAG" groups={report.tags} />
+
+          {report.observations === 0 && (
+            <div style={{ color: gray, marginTop: 16 }}>
+              {source === 'snapshots'
+                ? 'No snapshots with later candles yet. Take snapshots over a few days, or use the price history.'
+                : 'No daily candles for these tickers.'}
+            </div>
+          )}
+        </div>
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 10, padding: 16, borderTop: `1.5px solid ${CRT_GREEN}`, background: '#111' }}>
+          <button onClick={onSnapshot} style={{ ...buttonStyle, background: 'black', color: CRT_GREEN }}>Snapshot Now</button>
+          <button onClick={onClose} style={buttonStyle}>Done</button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+const cellStyle = {
+  padding: '5px 4px'
+};
+
+const sectionStyle = {
+  fontSize: 14,
+  margin: '20px 0 8px',
+  borderBottom: `1px solid ${CRT_GREEN}`,
+  paddingBottom: 4
+};
+
+const toggleStyle = {
+  border: `1px solid ${CRT_GREEN}`,
+  padding: '4px 8px',
+  fontFamily: 'Courier New',
+  fontSize: 11,
+  cursor: 'pointer',
+  borderRadius: 0
+};
+
+const buttonStyle = {
+  fontFamily: 'Courier New',
+  fontWeight: 700,
+  fontSize: 15,
+  borderRadius: 4,
+  padding: '6px 18px',
+  cursor: 'pointer',
+  background: CRT_GREEN,
+  color: 'black',
+  border: `2px solid ${CRT_GREEN}`
+};
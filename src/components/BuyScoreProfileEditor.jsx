@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  BUY_SCORE_METRICS,
+  CONTEXT_METRICS,
+  SCORER_TYPES,
+  DEFAULT_PROFILE,
+  getMaxScore,
+  rankItems,
+  resolveProfile,
+  validateProfile
+} from '../data/buyScore';
+const CRT_GREEN = 'rgb(140,185,162)';
+const gray = '#888';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Number inputs keep what was typed; blanks stay NaN until validation flags them
+const toNumber = (value) => (value === '' ? NaN : parseFloat(value));
+const shown = (value) => (Number.isFinite(value) ? value : '');
+
+function NumberInput({ value, onChange, width = 70, step = 'any' }) {
+  return (
+    <input
+      type="number"
+      step={step}
+      value={shown(value)}
+      onChange={e => onChange(toNumber(e.target.value))}
+      style={{ ...inputStyle, width }}
+    />
+  );
+}
+
+// The inputs of a factor's scorer, by scorer type
+function ScorerFields({ scorer, onChange }) {
+  const set = (field, value) => onChange({ ...scorer, [field]: value });
+
+  if (scorer.type === 'linear') {
+    return (
+      <span>
+        0 at <NumberInput value={scorer.min} onChange={v => set('min', v)} width={110} />
+        {' '}100 at <NumberInput value={scorer.max} onChange={v => set('max', v)} width={110} />
+      </span>
+    );
+  }
+  if (scorer.type === 'band') {
+    return (
+      <span>
+        <NumberInput value={scorer.min} onChange={v => set('min', v)} />–<NumberInput value={scorer.max} onChange={v => set('max', v)} />
+        {' '}in <NumberInput value={scorer.inside} onChange={v => set('inside', v)} width={50} />
+        {' '}out <NumberInput value={scorer.outside} onChange={v => set('outside', v)} width={50} />
+      </span>
+    );
+  }
+  if (scorer.type === 'steps') {
+    const steps = scorer.steps || [];
+    const setStep = (index, field, value) => set('steps', steps.map((step, i) => (i === index ? { ...step, [field]: value } : step)));
+    return (
+      <span style={{ display: 'inline-flex', flexDirection: 'column', gap: 4 }}>
+        {steps.map((step, index) => (
+          <span key={index}>
+            ≤ <NumberInput value={step.upTo} onChange={v => setStep(index, 'upTo', v)} width={90} />
+            {' '}→ <NumberInput value={step.score} onChange={v => setStep(index, 'score', v)} width={50} />
+            <button onClick={() => set('steps', steps.filter((_, i) => i !== index))} style={linkStyle} title="Remove step">✕</button>
+          </span>
+        ))}
+        <span>
+          else → <NumberInput value={scorer.otherwise} onChange={v => set('otherwise', v)} width={50} />
+          <button onClick={() => set('steps', [...steps, { upTo: steps.length > 0 ? steps[steps.length - 1].upTo : 0, score: 0 }])} style={linkStyle}>+ step</button>
+        </span>
+      </span>
+    );
+  }
+  return <span style={{ color: gray }}>100 when set</span>;
+}
+
+/**
+ * Side panel for editing Buy Score profiles
+ *
+ * Edits a draft of the selected profile; the preview ranks the universe's
+ * items under the saved profile and the draft, side by side.
+ *
+ * @param {Object} props - { open, onClose, profiles, activeProfileId, items,
+ *   onSave(profile), onDelete(id), onUse(id) }
+ */
+export default function BuyScoreProfileEditor({ open, onClose, profiles, activeProfileId, items, onSave, onDelete, onUse }) {
+  const [selectedId, setSelectedId] = useState(activeProfileId || DEFAULT_PROFILE.id);
+  const [draft, setDraft] = useState(null);
+  const saved = useMemo(() => resolveProfile(profiles, selectedId), [profiles, selectedId]);
+
+  useEffect(() => {
+    if (open) setSelectedId(activeProfileId || DEFAULT_PROFILE.id);
+  }, [open, activeProfileId]);
+
+  useEffect(() => {
+    setDraft(clone(saved));
+  }, [saved]);
+
+  const errors = useMemo(() => (draft ? validateProfile(draft) : []), [draft]);
+
+  // Saved vs draft ranking of the universe, draft order
+  const preview = useMemo(() => {
+    if (!draft || errors.length > 0) return [];
+    const before = new Map(rankItems(items, saved).map(row => [row.id, row]));
+    return rankItems(items, draft).map(row => ({ ...row, before: before.get(row.id) }));
+  }, [items, saved, draft, errors]);
+
+  if (!open || !draft) return null;
+
+  const dirty = JSON.stringify(draft) !== JSON.stringify(saved);
+  const totalWeight = draft.factors.reduce((sum, factor) => sum + (Number.isFinite(factor.weight) ? factor.weight : 0), 0);
+  const unusedMetrics = Object.keys(BUY_SCORE_METRICS).filter(metric => !draft.factors.some(factor => factor.metric === metric));
+  const profileOptions = { [DEFAULT_PROFILE.id]: resolveProfile(profiles, DEFAULT_PROFILE.id), ...profiles };
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  const updateFactor = (index, changes) => update({ factors: draft.factors.map((factor, i) => (i === index ? { ...factor, ...changes } : factor)) });
+  const updateTag = (index, changes) => update({ tags: draft.tags.map((tag, i) => (i === index ? { ...tag, ...changes } : tag)) });
+
+  const handleAddFactor = (metric) => {
+    if (!metric) return;
+    const type = BUY_SCORE_METRICS[metric].type === 'boolean' ? 'flag' : 'linear';
+    update({ factors: [...draft.factors, { metric, weight: 0.05, scorer: { type, ...clone(SCORER_TYPES[type].defaults) } }] });
+  };
+
+  const handleContextPoints = (metric, points) => {
+    const others = draft.context.filter(item => item.metric !== metric);
+    update({ context: Object.keys(CONTEXT_METRICS)
+      .map(key => (key === metric ? { metric, points } : others.find(item => item.metric === key)))
+      .filter(Boolean) });
+  };
+
+  const handleSaveAsNew = () => {
+    const profile = { ...draft, id: uuidv4(), name: `${draft.name} copy` };
+    onSave(profile);
+    setSelectedId(profile.id);
+  };
+
+  return (
+    <>
+      {/* Overlay for closing */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          width: '100vw',
+          height: '100vh',
+          background: 'rgba(0,0,0,0.3)',
+          zIndex: 10009,
+          pointerEvents: 'auto',
+        }}
+      />
+      <div
+        style={{
+          position: 'fixed',
+          top: 0,
+          right: 0,
+          width: 640,
+          maxWidth: '100vw',
+          height: '100vh',
+          background: '#0a0a0a',
+          color: CRT_GREEN,
+          zIndex: 10010,
+          boxShadow: `-4px 0 24px 0 ${CRT_GREEN}33`,
+          borderLeft: `2px solid ${CRT_GREEN}`,
+          display: 'flex',
+          flexDirection: 'column',
+          fontFamily: 'Courier New',
+          fontSize: 13,
+          pointerEvents: 'auto',
+        }}
+        onClick={e => e.stopPropagation()}
+        onMouseDown={e => e.stopPropagation()}
+      >
+        <div style={{ padding: 24, flex: 1, overflowY: 'auto' }}>
+          <h2 style={{ color: CRT_GREEN, marginBottom: 14, fontWeight: 700, fontSize: 22 }}>Buy Score Profiles</h2>
+
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 16 }}>
+            <select value={selectedId} onChange={e => setSelectedId(e.target.value)} style={{ ...inputStyle, width: 200 }}>
+              {Object.entries(profileOptions).map(([id, profile]) => (
+                <option key={id} value={id}>{profile.name}{id === (activeProfileId || DEFAULT_PROFILE.id) ? ' (in use)' : ''}</option>
+              ))}
+            </select>
+            <input value={draft.name} onChange={e => update({ name: e.target.value })} style={{ ...inputStyle, flex: 1 }} placeholder="Profile name" />
+          </div>
+
+          <h3 style={sectionStyle}>CORE FACTORS</h3>
+          <div style={{ marginBottom: 8 }}>
+            Core points <NumberInput value={draft.corePoints} onChange={v => update({ corePoints: v })} width={60} />
+            <span style={{ color: gray }}> · max score {shown(getMaxScore(draft))}</span>
+          </div>
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: 8 }}>
+            <thead>
+              <tr style={{ color: gray, textAlign: 'left' }}>
+                <th style={cellStyle}>Metric</th>
+                <th style={cellStyle}>Weight</th>
+                <th style={cellStyle}>Share</th>
+                <th style={cellStyle}>Scorer</th>
+                <th style={cellStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {draft.factors.map((factor, index) => (
+                <tr key={factor.metric} style={{ borderTop: `1px solid ${CRT_GREEN}33` }}>
+                  <td style={cellStyle}>{BUY_SCORE_METRICS[factor.metric]?.label || factor.metric}</td>
+                  <td style={cellStyle}><NumberInput value={factor.weight} onChange={v => updateFactor(index, { weight: v })} width={60} step="0.01" /></td>
+                  <td style={{ ...cellStyle, color: gray }}>{totalWeight > 0 && Number.isFinite(factor.weight) ? `${Math.round((factor.weight / totalWeight) * 100)}%` : '–'}</td>
+                  <td style={cellStyle}>
+                    <select
+                      value={factor.scorer.type}
+                      onChange={e => updateFactor(index, { scorer: { type: e.target.value, ...clone(SCORER_TYPES[e.target.value].defaults) } })}
+                      style={{ ...inputStyle, width: 80, marginRight: 6 }}
+                    >
+                      {Object.entries(SCORER_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+                    </select>
+                    <ScorerFields scorer={factor.scorer} onChange={scorer => updateFactor(index, { scorer })} />
+                  </td>
+                  <td style={cellStyle}>
+                    <button onClick={() => update({ factors: draft.factors.filter((_, i) => i !== index) })} style={linkStyle} title="Remove factor">✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {unusedMetrics.length > 0 && (
+            <select value="" onChange={e => handleAddFactor(e.target.value)} style={{ ...inputStyle, width: 200 }}>
+              <option value="">+ add factor</option>
+              {unusedMetrics.map(metric => <option key={metric} value={metric}>{BUY_SCORE_METRICS[metric].label}</option>)}
+            </select>
+          )}
+
+          <h3 style={sectionStyle}>CONTEXT POINTS</h3>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12 }}>
+            {Object.entries(CONTEXT_METRICS).map(([metric, { label }]) => (
+              <span key={metric}>
+                {label} <NumberInput value={draft.context.find(item => item.metric === metric)?.points ?? 0} onChange={v => handleContextPoints(metric, v)} width={50} />
+              </span>
+            ))}
+          </div>
+
+          <h3 style={sectionStyle}>TAGS</h3>
+          {draft.tags.map((tag, index) => (
+            <div key={index} style={{ marginBottom: 4 }}>
+              <input value={tag.label} onChange={e => updateTag(index, { label: e.target.value })} style={{ ...inputStyle, width: 160 }} />
+              {' '}from <NumberInput value={tag.min} onChange={v => updateTag(index, { min: v })} width={60} />
+              <button onClick={() => update({ tags: draft.tags.filter((_, i) => i !== index) })} style={linkStyle} title="Remove tag">✕</button>
+            </div>
+          ))}
+          <div>
+            <input value={draft.fallbackTag} onChange={e => update({ fallbackTag: e.target.value })} style={{ ...inputStyle, width: 160 }} />
+            <span style={{ color: gray }}> below that</span>
+            <button onClick={() => update({ tags: [...draft.tags, { label: 'New Tag', min: 50 }] })} style={linkStyle}>+ tag</button>
+          </div>
+
+          {errors.length > 0 && (
+            <ul style={{ color: '#e31507', margin: '16px 0 0', paddingLeft: 18 }}>
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          <h3 style={sectionStyle}>PREVIEW{dirty ? '' : ' (no changes)'}</h3>
+          {preview.length === 0 ? (
+            <div style={{ color: gray }}>{errors.length > 0 ? 'Fix the profile to preview it.' : 'No tickers in this universe.'}</div>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ color: gray, textAlign: 'left' }}>
+                  <th style={cellStyle}>#</th>
+                  <th style={cellStyle}>Symbol</th>
+                  <th style={cellStyle}>Score</th>
+                  <th style={cellStyle}>Tag</th>
+                  <th style={cellStyle}>Was</th>
+                  <th style={cellStyle}>Move</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map(row => {
+                  const move = row.before ? row.before.rank - row.rank : 0;
+                  return (
+                    <tr key={row.id} style={{ borderTop: `1px solid ${CRT_GREEN}33` }}>
+                      <td style={cellStyle}>{row.rank}</td>
+                      <td style={cellStyle}>{row.symbol}</td>
+                      <td style={cellStyle}>{row.score.toFixed(1)}</td>
+                      <td style={cellStyle}>{row.tag}</td>
+                      <td style={{ ...cellStyle, color: gray }}>{row.before ? `#${row.before.rank} · ${row.before.score.toFixed(1)}` : '–'}</td>
+                      <td style={{ ...cellStyle, color: move > 0 ? CRT_GREEN : move < 0 ? '#e31507' : gray }}>
+                        {move > 0 ? `↑${move}` : move < 0 ? `↓${-move}` : '–'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'flex-end', gap: 10, padding: 16, borderTop: `1.5px solid ${CRT_GREEN}`, background: '#111' }}>
+          {selectedId !== DEFAULT_PROFILE.id && (
+            <button onClick={() => { onDelete(selectedId); setSelectedId(DEFAULT_PROFILE.id); }} style={secondaryButtonStyle}>Delete</button>
+          )}
+          {selectedId === DEFAULT_PROFILE.id && profiles[DEFAULT_PROFILE.id] && (
+            <button onClick={() => onDelete(DEFAULT_PROFILE.id)} style={secondaryButtonStyle} title="Back to the built-in model">Reset</button>
+          )}
+          <button onClick={handleSaveAsNew} disabled={errors.length > 0} style={secondaryButtonStyle}>Save as New</button>
+          <button onClick={() => onSave(draft)} disabled={!dirty || errors.length > 0} style={{ ...secondaryButtonStyle, opacity: !dirty || errors.length > 0 ? 0.5 : 1 }}>Save</button>
+          {selectedId !== (activeProfileId || DEFAULT_PROFILE.id) && (
+            <button onClick={() => onUse(selectedId)} disabled={dirty} style={{ ...buttonStyle, opacity: dirty ? 0.5 : 1 }} title={dirty ? 'Save the changes first' : undefined}>Use for Universe</button>
+          )}
+          <button onClick={onClose} style={buttonStyle}>Done</button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+const inputStyle = {
+  background: 'black',
+  color: CRT_GREEN,
+  border: `1px solid ${CRT_GREEN}`,
+  borderRadius: 0,
+  padding: '3px 6px',
+  fontFamily: 'Courier New',
+  fontSize: 13
+};
+
+const cellStyle = {
+  padding: '5px 4px',
+  verticalAlign: 'top'
+};
+
+const sectionStyle = {
+  fontSize: 14,
+  margin: '20px 0 8px',
+  borderBottom: `1px solid ${CRT_GREEN}`,
+  paddingBottom: 4
+};
+
+const linkStyle = {
+  background: 'none',
+  border: 'none',
+  color: CRT_GREEN,
+  fontFamily: 'Courier New',
+  cursor: 'pointer',
+  marginLeft: 6
+};
+
+const buttonStyle = {
+  fontFamily: 'Courier New',
+  fontWeight: 700,
+  fontSize: 15,
+  borderRadius: 4,
+  padding: '6px 18px',
+  cursor: 'pointer',
+  background: CRT_GREEN,
+  color: 'black',
+  border: `2px solid ${CRT_GREEN}`
+};
+
+const secondaryButtonStyle = {
+  ...buttonStyle,
+  background: 'black',
+  color: CRT_GREEN
+};
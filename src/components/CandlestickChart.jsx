@@ -0,0 +1,162 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { useThemeColor } from '../ThemeContext';
+import { toBars, toDailyBars, hasOHLC } from '../data/ohlcv';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip);
+
+const CRT_GREEN = 'rgb(149,184,163)';
+const CRT_RED = '#e31507';
+
+// Most recent candles drawn; older ones are too thin to read
+const MAX_CANDLES = 120;
+
+const formatPrice = (value) => (Number.isFinite(value) ? value.toFixed(2) : '–');
+const formatVolume = (value) => {
+  if (!Number.isFinite(value)) return '–';
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(0)}K`;
+  return String(value);
+};
+
+/**
+ * Daily candles and volume for one ticker of a watchlist
+ *
+ * Chart.js has no candlestick type, so each candle is two floating bars on
+ * the same slot: a thin one from low to high and a wide one from open to
+ * close. Intraday series are rolled up into daily candles first.
+ */
+const CandlestickChart = ({ items }) => {
+  const green = useThemeColor(CRT_GREEN);
+  const red = useThemeColor(CRT_RED);
+  const black = useThemeColor('black');
+
+  const symbols = useMemo(
+    () => Array.from(new Set((items || []).map(item => item.symbol).filter(Boolean))),
+    [items]
+  );
+  const [selected, setSelected] = useState(null);
+  const symbol = symbols.includes(selected) ? selected : symbols[0];
+
+  const item = (items || []).find(entry => entry.symbol === symbol);
+  const candles = useMemo(
+    () => toDailyBars(toBars(item?.historicalData)).slice(-MAX_CANDLES),
+    [item?.historicalData]
+  );
+  const hasRanges = hasOHLC(item?.historicalData);
+  const hasVolume = candles.some(candle => candle.volume !== null);
+
+  if (symbols.length === 0) return null;
+
+  const colorOf = (candle) => (candle.close >= candle.open ? green : red);
+  const chartData = {
+    labels: candles.map(candle => new Date(candle.time).toLocaleDateString()),
+    datasets: [
+      {
+        data: candles.map(candle => [candle.low, candle.high]),
+        backgroundColor: candles.map(colorOf),
+        barPercentage: 0.15,
+        grouped: false,
+        yAxisID: 'y'
+      },
+      {
+        // Flat candles (open = close) get a hairline body so they stay visible
+        data: candles.map(candle => [candle.open, candle.close === candle.open ? candle.close * 1.0001 : candle.close]),
+        backgroundColor: candles.map(colorOf),
+        barPercentage: 0.8,
+        grouped: false,
+        yAxisID: 'y'
+      },
+      ...(hasVolume ? [{
+        data: candles.map(candle => candle.volume),
+        backgroundColor: 'rgba(149,184,163,0.25)',
+        barPercentage: 0.8,
+        grouped: false,
+        yAxisID: 'volume'
+      }] : [])
+    ]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        filter: (context) => context.datasetIndex === 0,
+        callbacks: {
+          label: (context) => {
+            const candle = candles[context.dataIndex];
+            return [
+              `O ${formatPrice(candle.open)}  H ${formatPrice(candle.high)}`,
+              `L ${formatPrice(candle.low)}  C ${formatPrice(candle.close)}`,
+              `Vol ${formatVolume(candle.volume)}`
+            ];
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        ticks: { color: green, font: { family: 'Courier New', size: 10 }, maxTicksLimit: 8 },
+        grid: { display: false }
+      },
+      y: {
+        position: 'right',
+        beginAtZero: false,
+        grace: '10%',
+        ticks: { color: green, font: { family: 'Courier New', size: 10 } },
+        grid: { color: 'rgba(149,184,163,0.15)' }
+      },
+      // Volume axis four times the tallest bar keeps volume in the bottom quarter
+      volume: {
+        display: false,
+        beginAtZero: true,
+        max: hasVolume ? Math.max(...candles.map(candle => candle.volume || 0)) * 4 : undefined
+      }
+    }
+  };
+
+  return (
+    <div style={{ fontFamily: "'Courier New'", fontSize: '11px', color: green }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <span style={{ opacity: 0.7 }}>CANDLES</span>
+        <select
+          value={symbol}
+          onChange={(e) => setSelected(e.target.value)}
+          style={{
+            background: black,
+            color: green,
+            border: `1px solid ${green}`,
+            fontFamily: "'Courier New'",
+            fontSize: '11px',
+            padding: '2px 4px'
+          }}
+        >
+          {symbols.map(entry => <option key={entry} value={entry}>{entry}</option>)}
+        </select>
+        {candles.length > 0 && !hasRanges && (
+          <span style={{ opacity: 0.6 }}>close-only history, refetch for highs/lows</span>
+        )}
+      </div>
+      {candles.length > 0 ? (
+        <div style={{ height: '240px', marginTop: '6px' }}>
+          <Bar data={chartData} options={chartOptions} />
+        </div>
+      ) : (
+        <div style={{ marginTop: '6px', opacity: 0.7 }}>No history for {symbol} yet</div>
+      )}
+    </div>
+  );
+};
+
+export default CandlestickChart;
@@ -0,0 +1,141 @@
+import React, { useMemo, useState } from 'react';
+import { useThemeColor } from '../ThemeContext';
+import { calculateCorrelationMatrix, getClusterOrder, findCorrelatedPairs } from '../data/correlationAnalytics';
+
+const CRT_GREEN = 'rgb(149,184,163)';
+const CRT_RED = '#e31507';
+
+// Symbol labels are drawn only while they stay readable
+const MAX_LABELED = 40;
+
+const formatNumber = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : '–');
+
+/**
+ * Correlation (or covariance) heatmap of a watchlist's tickers, ordered by
+ * cluster so redundant groups sit together, with the most correlated pairs
+ */
+const CorrelationHeatmap = ({ items, pairLimit = 10 }) => {
+  const green = useThemeColor(CRT_GREEN);
+  const red = useThemeColor(CRT_RED);
+  const black = useThemeColor('black');
+  const [view, setView] = useState('correlation');
+  const [clustered, setClustered] = useState(true);
+
+  const matrix = useMemo(() => calculateCorrelationMatrix(items), [items]);
+  const clusterOrder = useMemo(() => getClusterOrder(matrix.correlation), [matrix]);
+  const pairs = useMemo(() => findCorrelatedPairs(matrix, pairLimit), [matrix, pairLimit]);
+
+  const n = matrix.symbols.length;
+  const order = clustered ? clusterOrder : matrix.symbols.map((_, i) => i);
+  const values = view === 'covariance' ? matrix.covariance : matrix.correlation;
+  const scale = view === 'covariance'
+    ? Math.max(...values.flat().filter(Number.isFinite).map(Math.abs), 0) || 1
+    : 1;
+
+  const buttonStyle = (active) => ({
+    background: active ? green : 'transparent',
+    color: active ? black : green,
+    border: `1px solid ${green}`,
+    padding: '4px 8px',
+    fontSize: '10px',
+    fontFamily: "'Courier New'",
+    cursor: 'pointer'
+  });
+
+  if (n < 2) {
+    return (
+      <div style={{ fontFamily: "'Courier New'", fontSize: '11px', color: green, opacity: 0.7 }}>
+        CORRELATION — needs at least two tickers
+      </div>
+    );
+  }
+
+  const cellSize = n <= 15 ? 24 : n <= 40 ? 14 : 6;
+  const labeled = n <= MAX_LABELED;
+  const cellColor = (value) => {
+    if (!Number.isFinite(value)) return 'transparent';
+    const intensity = Math.min(Math.abs(value) / scale, 1);
+    return value >= 0
+      ? `rgba(149,184,163,${intensity})`
+      : `rgba(227,21,7,${intensity})`;
+  };
+
+  return (
+    <div style={{ fontFamily: "'Courier New'", fontSize: '11px', color: green }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap', marginBottom: '8px' }}>
+        <span style={{ opacity: 0.7 }}>CORRELATION</span>
+        <button onClick={() => setView('correlation')} style={buttonStyle(view === 'correlation')}>CORR</button>
+        <button onClick={() => setView('covariance')} style={buttonStyle(view === 'covariance')}>COV</button>
+        <span style={{ width: '8px' }} />
+        <button onClick={() => setClustered(true)} style={buttonStyle(clustered)}>CLUSTER</button>
+        <button onClick={() => setClustered(false)} style={buttonStyle(!clustered)}>LIST</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+        <div style={{ overflowX: 'auto', maxWidth: '100%' }}>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: `${labeled ? 'auto ' : ''}repeat(${n}, ${cellSize}px)`,
+            gap: '1px'
+          }}>
+            {labeled && <div />}
+            {labeled && order.map(col => (
+              <div key={`head-${col}`} style={{
+                writingMode: 'vertical-rl',
+                transform: 'rotate(180deg)',
+                fontSize: '9px',
+                textAlign: 'left',
+                paddingBottom: '2px'
+              }}>
+                {matrix.symbols[col]}
+              </div>
+            ))}
+            {order.map(row => (
+              <React.Fragment key={`row-${row}`}>
+                {labeled && (
+                  <div style={{ fontSize: '9px', paddingRight: '4px', textAlign: 'right', lineHeight: `${cellSize}px` }}>
+                    {matrix.symbols[row]}
+                  </div>
+                )}
+                {order.map(col => (
+                  <div
+                    key={`${row}-${col}`}
+                    title={`${matrix.symbols[row]} / ${matrix.symbols[col]}\nCorrelation ${formatNumber(matrix.correlation[row][col])}\nCovariance ${formatNumber(matrix.covariance[row][col], 6)}\n${matrix.overlap[row][col]} shared days`}
+                    style={{
+                      width: `${cellSize}px`,
+                      height: `${cellSize}px`,
+                      background: cellColor(values[row][col]),
+                      border: Number.isFinite(values[row][col]) ? 'none' : `1px dotted ${green}`,
+                      boxSizing: 'border-box'
+                    }}
+                  />
+                ))}
+              </React.Fragment>
+            ))}
+          </div>
+          <div style={{ marginTop: '6px', opacity: 0.6 }}>
+            <span style={{ color: green }}>■</span> moves together · <span style={{ color: red }}>■</span> moves opposite · daily returns
+          </div>
+        </div>
+
+        <div style={{ minWidth: '200px' }}>
+          <div style={{ opacity: 0.7, marginBottom: '4px' }}>MOST CORRELATED</div>
+          {pairs.length === 0 ? (
+            <div style={{ opacity: 0.7 }}>Not enough shared history</div>
+          ) : pairs.map(pair => (
+            <div
+              key={`${pair.a}-${pair.b}`}
+              title={`${pair.overlap} shared days`}
+              style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', padding: '2px 0' }}
+            >
+              <span>{pair.a} / {pair.b}</span>
+              <span style={{ fontWeight: 'bold' }}>{formatNumber(pair.correlation)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CorrelationHeatmap;
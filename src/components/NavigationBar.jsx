@@ -85,6 +85,13 @@ const NavigationBar = () => {
       >
         JOURNAL
       </CustomButton>
+
+      <CustomButton
+        onClick={() => navigate('/settings')}
+        style={getButtonStyle(isCurrentPage('/settings'))}
+      >
+        SETTINGS
+      </CustomButton>
       
 
     </div>
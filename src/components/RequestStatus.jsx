@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { fetchManager } from '@data/twelvedataFetchManager';
+import rateLimiter from '@data/rateLimiter';
 
 const CRT_GREEN = 'rgb(140,185,162)';
+const BUDGET_SYNC_MS = 15000;
 
 const RequestStatus = () => {
   const [status, setStatus] = useState(null);
@@ -12,14 +14,22 @@ const RequestStatus = () => {
       setStatus(requestStatus);
     };
 
+    // The market data responses keep the budget current; poll in case this tab is idle
+    const syncBudget = () => rateLimiter.syncServerBudget().then(updateStatus);
+
     updateStatus();
+    syncBudget();
     const interval = setInterval(updateStatus, 1000);
-    return () => clearInterval(interval);
+    const budgetInterval = setInterval(syncBudget, BUDGET_SYNC_MS);
+    return () => {
+      clearInterval(interval);
+      clearInterval(budgetInterval);
+    };
   }, []);
 
   if (!status) return null;
 
-  const { current, limit, remaining, resetIn } = status;
+  const { current, limit, remaining, resetIn, isServerBudget } = status;
   const percentage = (current / limit) * 100;
   const isNearLimit = percentage > 80;
   const isAtLimit = percentage >= 100;
@@ -40,11 +50,14 @@ const RequestStatus = () => {
       minWidth: '120px'
     }}>
       <div style={{ fontWeight: 'bold', marginBottom: '2px' }}>
-        API Requests
+        {isServerBudget ? 'API Credits' : 'API Requests'}
       </div>
       <div style={{ fontSize: '11px' }}>
         {current}/{limit} ({percentage.toFixed(0)}%)
       </div>
+      <div style={{ fontSize: '10px', color: '#888' }}>
+        {remaining} left
+      </div>
       <div style={{ fontSize: '10px', color: '#888' }}>
         Reset in {resetIn}s
       </div>
@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { useThemeColor } from '../ThemeContext';
+import { calculateRiskMetrics, calculateRollingRisk, ROLLING_WINDOWS } from '../data/riskAnalytics';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip);
+
+const CRT_GREEN = 'rgb(149,184,163)';
+const CRT_RED = '#e31507';
+
+const ROLLING_METRICS = [
+  { key: 'volatility', label: 'VOL', unit: '%' },
+  { key: 'sharpe', label: 'SHARPE', unit: '' },
+  { key: 'sortino', label: 'SORTINO', unit: '' },
+  { key: 'calmar', label: 'CALMAR', unit: '' },
+  { key: 'maxDrawdown', label: 'MAX DD', unit: '%' },
+  { key: 'bestDay', label: 'BEST DAY', unit: '%' },
+  { key: 'worstDay', label: 'WORST DAY', unit: '%' }
+];
+
+const formatNumber = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : '–');
+const formatPercent = (value) => (Number.isFinite(value) ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}%` : '–');
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleDateString() : '–');
+
+/**
+ * Drawdown, volatility, Sharpe, Sortino, Calmar and best/worst day of a NAV
+ * series' session closes, with a trailing-window chart of any one of them
+ */
+const RiskPanel = ({ navPoints, riskFreeRate }) => {
+  const green = useThemeColor(CRT_GREEN);
+  const red = useThemeColor(CRT_RED);
+  const black = useThemeColor('black');
+  const [rollingMetric, setRollingMetric] = useState('volatility');
+  const [rollingWindow, setRollingWindow] = useState(ROLLING_WINDOWS[0]);
+
+  const metrics = useMemo(() => calculateRiskMetrics(navPoints, { riskFreeRate }), [navPoints, riskFreeRate]);
+  const rolling = useMemo(
+    () => calculateRollingRisk(navPoints, { window: rollingWindow, riskFreeRate }),
+    [navPoints, rollingWindow, riskFreeRate]
+  );
+
+  const buttonStyle = (active) => ({
+    background: active ? green : 'transparent',
+    color: active ? black : green,
+    border: `1px solid ${green}`,
+    padding: '4px 8px',
+    fontSize: '10px',
+    fontFamily: "'Courier New'",
+    cursor: 'pointer'
+  });
+
+  if (!metrics) {
+    return (
+      <div style={{ fontFamily: "'Courier New'", fontSize: '11px', color: green, opacity: 0.7 }}>
+        RISK — not enough history yet
+      </div>
+    );
+  }
+
+  const drawdownNote = metrics.trough
+    ? `${formatDate(metrics.peak)} → ${formatDate(metrics.trough)}, ${metrics.recovery ? `recovered ${formatDate(metrics.recovery)}` : 'not recovered'} (${metrics.durationDays}d)`
+    : 'No drawdown';
+
+  const rows = [
+    ['Max drawdown', formatPercent(metrics.maxDrawdown), drawdownNote],
+    ['Current drawdown', formatPercent(metrics.currentDrawdown), 'Distance below the highest NAV so far'],
+    ['Volatility', `${formatNumber(metrics.volatility)}%`, 'Annualized standard deviation of returns'],
+    ['Sharpe', formatNumber(metrics.sharpe), 'Annualized excess return per unit of volatility'],
+    ['Sortino', formatNumber(metrics.sortino), 'Annualized excess return per unit of downside deviation'],
+    ['Calmar', formatNumber(metrics.calmar), `Annualized return ${formatPercent(metrics.annualizedReturn)} over max drawdown`],
+    ['Best day', formatPercent(metrics.bestDay?.returnPercent), formatDate(metrics.bestDay?.timestamp)],
+    ['Worst day', formatPercent(metrics.worstDay?.returnPercent), formatDate(metrics.worstDay?.timestamp)]
+  ];
+
+  const metric = ROLLING_METRICS.find(m => m.key === rollingMetric);
+  const chartData = {
+    labels: rolling.map(point => formatDate(point.timestamp)),
+    datasets: [{
+      data: rolling.map(point => point[rollingMetric]),
+      borderColor: green,
+      borderWidth: 1.5,
+      pointRadius: 0,
+      spanGaps: true,
+      tension: 0.2
+    }]
+  };
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${metric.label} ${formatNumber(context.parsed.y)}${metric.unit}`
+        }
+      }
+    },
+    scales: {
+      x: { display: false },
+      y: {
+        ticks: { color: green, font: { family: 'Courier New', size: 10 } },
+        grid: { color: 'rgba(149,184,163,0.15)' }
+      }
+    }
+  };
+
+  return (
+    <div style={{ fontFamily: "'Courier New'", fontSize: '11px', color: green }}>
+      <div style={{ opacity: 0.7, marginBottom: '6px' }}>RISK</div>
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))',
+        gap: '6px 16px',
+        padding: '8px 10px',
+        border: `1px solid ${green}`
+      }}>
+        {rows.map(([label, value, description]) => (
+          <div key={label} title={description}>
+            <div style={{ opacity: 0.7 }}>{label}</div>
+            <div style={{
+              fontSize: '13px',
+              fontWeight: 'bold',
+              color: label.includes('drawdown') && value.startsWith('-') ? red : green
+            }}>
+              {value}
+            </div>
+          </div>
+        ))}
+        <div style={{ gridColumn: '1 / -1', opacity: 0.6 }}>
+          {drawdownNote} · {metrics.periods} daily returns
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '4px', flexWrap: 'wrap', marginTop: '8px' }}>
+        <span style={{ opacity: 0.7 }}>ROLLING</span>
+        {ROLLING_WINDOWS.map(window => (
+          <button key={window} onClick={() => setRollingWindow(window)} style={buttonStyle(rollingWindow === window)} title={`${window} trading days`}>
+            {window}D
+          </button>
+        ))}
+        <span style={{ width: '8px' }} />
+        {ROLLING_METRICS.map(({ key, label }) => (
+          <button key={key} onClick={() => setRollingMetric(key)} style={buttonStyle(rollingMetric === key)}>
+            {label}
+          </button>
+        ))}
+      </div>
+      {rolling.length > 0 ? (
+        <div style={{ height: '120px', marginTop: '6px' }}>
+          <Line data={chartData} options={chartOptions} />
+        </div>
+      ) : (
+        <div style={{ marginTop: '6px', opacity: 0.7 }}>Needs more than {rollingWindow} trading days for a rolling window</div>
+      )}
+    </div>
+  );
+};
+
+export default RiskPanel;
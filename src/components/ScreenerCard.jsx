@@ -2,6 +2,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { useTheme, useThemeColor } from '../ThemeContext';
 import { logger } from '../utils/logger';
+import { SCREENER_SOURCES, getScreenerSource, describeFilter } from '../data/screenerFilters';
 
 const CRT_GREEN = 'rgb(140,185,162)';
 
@@ -130,8 +131,8 @@ const ScreenerCard = ({ screener, onDelete, onEdit, isEditMode = false }) => {
           marginBottom: 2,
           cursor: 'help'
         }}
-        title={`Screener Type: Market | Created: ${new Date(screener.createdAt).toLocaleDateString()}`}>
-          Market Screener
+        title={(screener.filters || []).map(describeFilter).join('\n') || `Created: ${new Date(screener.createdAt).toLocaleDateString()}`}>
+          {SCREENER_SOURCES[getScreenerSource(screener)].label}
         </div>
         
         {/* Last update */}
@@ -0,0 +1,191 @@
+import React from 'react';
+import { useThemeColor } from '../ThemeContext';
+import {
+  SECTORS,
+  RANGE_FIELDS,
+  PERFORMANCE_WINDOWS,
+  INDICATOR_CONDITIONS,
+  FILTER_FIELDS,
+  createFilter
+} from '../data/screenerFilters';
+
+const CRT_GREEN = 'rgb(140,185,162)';
+
+/**
+ * List of screener filters with an "add filter" menu
+ *
+ * @param {Object} props - { filters, onChange, errors: { [index]: message } }
+ */
+const ScreenerFilterBuilder = ({ filters, onChange, errors = {} }) => {
+  const green = useThemeColor(CRT_GREEN);
+  const black = useThemeColor('black');
+  const red = useThemeColor('#e31507');
+  const gray = useThemeColor('#888');
+
+  const controlStyle = {
+    padding: '4px 6px',
+    border: `1px solid ${green}`,
+    borderRadius: '4px',
+    backgroundColor: black,
+    color: green,
+    fontFamily: 'Courier New',
+    fontSize: '13px'
+  };
+  const numberStyle = { ...controlStyle, width: '80px' };
+
+  const updateFilter = (index, changes) => {
+    onChange(filters.map((filter, i) => (i === index ? { ...filter, ...changes } : filter)));
+  };
+
+  const removeFilter = (index) => {
+    onChange(filters.filter((_, i) => i !== index));
+  };
+
+  const renderControls = (filter, index) => {
+    if (RANGE_FIELDS[filter.field]) {
+      const { unit } = RANGE_FIELDS[filter.field];
+      const bound = (key, placeholder) => (
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={filter[key] ?? ''}
+          placeholder={placeholder}
+          onChange={(e) => updateFilter(index, { [key]: e.target.value === '' ? null : e.target.value })}
+          style={numberStyle}
+        />
+      );
+      return (
+        <>
+          {bound('min', 'min')}
+          <span>to</span>
+          {bound('max', 'max')}
+          {unit && <span style={{ color: gray }}>{unit}</span>}
+        </>
+      );
+    }
+
+    if (filter.field === 'sector') {
+      return (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+          {SECTORS.map(sector => {
+            const selected = filter.values.includes(sector);
+            return (
+              <button
+                key={sector}
+                type="button"
+                onClick={() => updateFilter(index, {
+                  values: selected ? filter.values.filter(value => value !== sector) : [...filter.values, sector]
+                })}
+                style={{
+                  ...controlStyle,
+                  fontSize: '11px',
+                  cursor: 'pointer',
+                  background: selected ? green : black,
+                  color: selected ? black : green
+                }}
+              >
+                {sector}
+              </button>
+            );
+          })}
+        </div>
+      );
+    }
+
+    if (filter.field === 'performance') {
+      const window = PERFORMANCE_WINDOWS[filter.window];
+      return (
+        <>
+          <select
+            value={filter.window}
+            onChange={(e) => updateFilter(index, { window: e.target.value, percent: 0 })}
+            style={controlStyle}
+          >
+            {Object.entries(PERFORMANCE_WINDOWS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <select value={filter.move} onChange={(e) => updateFilter(index, { move: e.target.value })} style={controlStyle}>
+            <option value="up">up</option>
+            <option value="down">down</option>
+          </select>
+          <select
+            value={filter.percent}
+            onChange={(e) => updateFilter(index, { percent: Number(e.target.value) })}
+            style={controlStyle}
+          >
+            <option value={0}>any amount</option>
+            {window?.percents.map(percent => <option key={percent} value={percent}>{percent}% or more</option>)}
+          </select>
+        </>
+      );
+    }
+
+    if (filter.field === 'indicator') {
+      const condition = INDICATOR_CONDITIONS[filter.condition];
+      return (
+        <>
+          <select
+            value={filter.condition}
+            onChange={(e) => {
+              const next = INDICATOR_CONDITIONS[e.target.value];
+              updateFilter(index, { condition: e.target.value, value: next.values ? next.values[Math.floor(next.values.length / 2)] : null });
+            }}
+            style={controlStyle}
+          >
+            {Object.entries(INDICATOR_CONDITIONS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          {condition?.values && (
+            <select value={filter.value} onChange={(e) => updateFilter(index, { value: Number(e.target.value) })} style={controlStyle}>
+              {condition.values.map(value => <option key={value} value={value}>{value}</option>)}
+            </select>
+          )}
+        </>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <div>
+      {filters.length === 0 && (
+        <div style={{ color: gray, fontSize: '12px', marginBottom: '8px' }}>
+          No filters yet
+        </div>
+      )}
+      {filters.map((filter, index) => (
+        <div key={index} style={{ marginBottom: '8px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap', fontSize: '13px' }}>
+            <span style={{ minWidth: '100px', fontWeight: 'bold' }}>{FILTER_FIELDS[filter.field]?.label || filter.field}</span>
+            {renderControls(filter, index)}
+            <button
+              type="button"
+              onClick={() => removeFilter(index)}
+              style={{ background: 'none', border: 'none', color: red, cursor: 'pointer', fontSize: '14px', marginLeft: 'auto' }}
+              aria-label="Remove filter"
+            >
+              ×
+            </button>
+          </div>
+          {errors[index] && (
+            <div style={{ color: red, fontSize: '12px', marginTop: '2px' }}>
+              {errors[index]}
+            </div>
+          )}
+        </div>
+      ))}
+      <select
+        value=""
+        onChange={(e) => {
+          if (e.target.value) onChange([...filters, createFilter(e.target.value)]);
+        }}
+        style={controlStyle}
+      >
+        <option value="">+ add filter</option>
+        {Object.entries(FILTER_FIELDS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+    </div>
+  );
+};
+
+export default ScreenerFilterBuilder;
@@ -1,7 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useTheme, useThemeColor } from '../ThemeContext';
 import CustomButton from './CustomButton';
+import ScreenerFilterBuilder from './ScreenerFilterBuilder';
 import { logger } from '../utils/logger';
+import { storage } from '../utils/storage';
+import { SCREENER_SOURCES, getScreenerSource, compileFinvizUrl, validateFilters } from '../data/screenerFilters';
 
 const CRT_GREEN = 'rgb(140,185,162)';
 
@@ -14,33 +17,45 @@ const ScreenerFormModal = ({ isOpen, onClose, onSave, screener = null }) => {
 
   const [formData, setFormData] = useState({
     name: '',
+    source: 'finviz',
+    filters: [],
+    universeId: '',
     apiLink: '',
-    apiKey: '',
     notes: ''
   });
 
   const [errors, setErrors] = useState({});
+  const [universes, setUniverses] = useState({});
 
   // Initialize form data when screener is provided (edit mode)
   useEffect(() => {
     if (screener) {
       setFormData({
         name: screener.name || '',
+        source: getScreenerSource(screener),
+        filters: screener.filters || [],
+        universeId: screener.universeId || '',
         apiLink: screener.apiLink || '',
-        apiKey: screener.apiKey || '',
         notes: screener.notes || ''
       });
     } else {
       setFormData({
         name: '',
+        source: 'finviz',
+        filters: [],
+        universeId: '',
         apiLink: '',
-        apiKey: '',
         notes: ''
       });
     }
     setErrors({});
+    if (isOpen) setUniverses(storage.getUniverses());
   }, [screener, isOpen]);
 
+  const usesFilters = formData.source !== 'url';
+  const filterErrors = useMemo(() => validateFilters(formData.filters), [formData.filters]);
+  const compiled = useMemo(() => compileFinvizUrl(formData.filters), [formData.filters]);
+
   const validateForm = () => {
     const newErrors = {};
     
@@ -48,14 +63,22 @@ const ScreenerFormModal = ({ isOpen, onClose, onSave, screener = null }) => {
       newErrors.name = 'Name is required';
     }
     
-    if (!formData.apiLink.trim()) {
-      newErrors.apiLink = 'API link is required';
-    } else if (!formData.apiLink.includes('finviz.com')) {
-      newErrors.apiLink = 'API link must be a valid Finviz URL';
+    if (formData.source === 'url') {
+      if (!formData.apiLink.trim()) {
+        newErrors.apiLink = 'API link is required';
+      } else if (!formData.apiLink.includes('finviz.com')) {
+        newErrors.apiLink = 'API link must be a valid Finviz URL';
+      }
+    } else if (formData.filters.length === 0) {
+      newErrors.filters = 'Add at least one filter';
+    } else if (formData.source === 'finviz' && compiled.errors.length > 0) {
+      newErrors.filters = compiled.errors.join('; ');
+    } else if (Object.keys(filterErrors).length > 0) {
+      newErrors.filters = 'Fix the filters marked above';
     }
 
-    if (!formData.apiKey.trim()) {
-      newErrors.apiKey = 'API key is required';
+    if (formData.source === 'local' && !universes[formData.universeId]) {
+      newErrors.universeId = 'Choose a universe to screen';
     }
     
     setErrors(newErrors);
@@ -69,8 +92,12 @@ const ScreenerFormModal = ({ isOpen, onClose, onSave, screener = null }) => {
       return;
     }
 
+    // Builder screeners keep their filters; a Finviz one also keeps the URL they compile to
     const screenerData = {
       ...formData,
+      filters: usesFilters ? formData.filters : [],
+      universeId: formData.source === 'local' ? formData.universeId : '',
+      apiLink: formData.source === 'finviz' ? compiled.url : formData.source === 'url' ? formData.apiLink : '',
       id: screener?.id || `screener_${Date.now()}`,
       slug: formData.name.toLowerCase().replace(/[^a-z0-9]/g, '-'),
       createdAt: screener?.createdAt || new Date().toISOString(),
@@ -110,7 +137,7 @@ const ScreenerFormModal = ({ isOpen, onClose, onSave, screener = null }) => {
         border: `2px solid ${green}`,
         borderRadius: '8px',
         padding: '24px',
-        maxWidth: '500px',
+        maxWidth: usesFilters ? '640px' : '500px',
         width: '100%',
         maxHeight: '90vh',
         overflow: 'auto'
@@ -160,7 +187,7 @@ const ScreenerFormModal = ({ isOpen, onClose, onSave, screener = null }) => {
             )}
           </div>
 
-          {/* API Link Field */}
+          {/* Source Field */}
           <div style={{ marginBottom: '16px' }}>
             <label style={{
               display: 'block',
@@ -169,77 +196,163 @@ const ScreenerFormModal = ({ isOpen, onClose, onSave, screener = null }) => {
               fontSize: '14px',
               fontWeight: 'bold'
             }}>
-              Finviz API Link *
+              Source
             </label>
-            <input
-              type="url"
-              value={formData.apiLink}
-              onChange={(e) => handleInputChange('apiLink', e.target.value)}
-              style={{
-                width: '100%',
-                padding: '10px',
-                border: `1px solid ${errors.apiLink ? red : green}`,
-                borderRadius: '4px',
-                backgroundColor: black,
-                color: green,
-                fontFamily: 'Courier New',
-                fontSize: '14px',
-                boxSizing: 'border-box'
-              }}
-              placeholder="https://elite.finviz.com/export.ashx?v=111&f=..."
-            />
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+              {Object.entries(SCREENER_SOURCES).map(([key, { label }]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => handleInputChange('source', key)}
+                  style={{
+                    padding: '6px 12px',
+                    border: `1px solid ${green}`,
+                    borderRadius: '4px',
+                    background: formData.source === key ? green : black,
+                    color: formData.source === key ? black : green,
+                    fontFamily: 'Courier New',
+                    fontSize: '12px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {label.toUpperCase()}
+                </button>
+              ))}
+            </div>
             <div style={{ 
               fontSize: '11px', 
               color: gray, 
               marginTop: '4px',
               fontStyle: 'italic'
             }}>
-              Note: This URL serves as both the API endpoint and CSV data source for Finviz Elite screeners.
+              {formData.source === 'finviz' && 'Filters are compiled to a Finviz Elite export URL.'}
+              {formData.source === 'local' && 'Filters run in the browser against the enriched tickers of a universe.'}
+              {formData.source === 'url' && 'Paste an export URL built on Finviz.'}
             </div>
-            {errors.apiLink && (
-              <div style={{ color: red, fontSize: '12px', marginTop: '4px' }}>
-                {errors.apiLink}
-              </div>
-            )}
           </div>
 
-          {/* API Key Field */}
-          <div style={{ marginBottom: '16px' }}>
-            <label style={{
-              display: 'block',
-              marginBottom: '8px',
-              color: green,
-              fontSize: '14px',
-              fontWeight: 'bold'
-            }}>
-              API Key *
-            </label>
-            <input
-              type="text"
-              value={formData.apiKey}
-              onChange={(e) => handleInputChange('apiKey', e.target.value)}
-              autoComplete="off"
-              data-form-type="other"
-              name="api-key"
-              style={{
-                width: '100%',
-                padding: '10px',
-                border: `1px solid ${errors.apiKey ? red : green}`,
-                borderRadius: '4px',
-                backgroundColor: black,
+          {/* Universe Field */}
+          {formData.source === 'local' && (
+            <div style={{ marginBottom: '16px' }}>
+              <label style={{
+                display: 'block',
+                marginBottom: '8px',
                 color: green,
-                fontFamily: 'Courier New',
                 fontSize: '14px',
-                boxSizing: 'border-box'
-              }}
-              placeholder="Enter your API key"
-            />
-            {errors.apiKey && (
-              <div style={{ color: red, fontSize: '12px', marginTop: '4px' }}>
-                {errors.apiKey}
+                fontWeight: 'bold'
+              }}>
+                Universe *
+              </label>
+              <select
+                value={formData.universeId}
+                onChange={(e) => handleInputChange('universeId', e.target.value)}
+                style={{
+                  width: '100%',
+                  padding: '10px',
+                  border: `1px solid ${errors.universeId ? red : green}`,
+                  borderRadius: '4px',
+                  backgroundColor: black,
+                  color: green,
+                  fontFamily: 'Courier New',
+                  fontSize: '14px',
+                  boxSizing: 'border-box'
+                }}
+              >
+                <option value="">Choose a universe</option>
+                {Object.values(universes).map(universe => (
+                  <option key={universe.id} value={universe.id}>
+                    {universe.name} ({(universe.items || []).length})
+                  </option>
+                ))}
+              </select>
+              {errors.universeId && (
+                <div style={{ color: red, fontSize: '12px', marginTop: '4px' }}>
+                  {errors.universeId}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Filters Field */}
+          {usesFilters && (
+            <div style={{ marginBottom: '16px' }}>
+              <label style={{
+                display: 'block',
+                marginBottom: '8px',
+                color: green,
+                fontSize: '14px',
+                fontWeight: 'bold'
+              }}>
+                Filters *
+              </label>
+              <ScreenerFilterBuilder
+                filters={formData.filters}
+                onChange={(filters) => handleInputChange('filters', filters)}
+                errors={filterErrors}
+              />
+              {formData.source === 'finviz' && compiled.url && (
+                <div style={{ 
+                  fontSize: '11px', 
+                  color: gray, 
+                  marginTop: '8px',
+                  wordBreak: 'break-all'
+                }}>
+                  {compiled.url}
+                </div>
+              )}
+              {errors.filters && (
+                <div style={{ color: red, fontSize: '12px', marginTop: '4px' }}>
+                  {errors.filters}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* API Link Field */}
+          {formData.source === 'url' && (
+            <div style={{ marginBottom: '16px' }}>
+              <label style={{
+                display: 'block',
+                marginBottom: '8px',
+                color: green,
+                fontSize: '14px',
+                fontWeight: 'bold'
+              }}>
+                Finviz API Link *
+              </label>
+              <input
+                type="url"
+                value={formData.apiLink}
+                onChange={(e) => handleInputChange('apiLink', e.target.value)}
+                style={{
+                  width: '100%',
+                  padding: '10px',
+                  border: `1px solid ${errors.apiLink ? red : green}`,
+                  borderRadius: '4px',
+                  backgroundColor: black,
+                  color: green,
+                  fontFamily: 'Courier New',
+                  fontSize: '14px',
+                  boxSizing: 'border-box'
+                }}
+                placeholder="https://elite.finviz.com/export.ashx?v=111&f=..."
+              />
+              <div style={{ 
+                fontSize: '11px', 
+                color: gray, 
+                marginTop: '4px',
+                fontStyle: 'italic'
+              }}>
+                Note: This URL serves as both the API endpoint and CSV data source for Finviz Elite screeners.
+                Leave out auth=: the server adds the Finviz token configured in Settings.
               </div>
-            )}
-          </div>
+              {errors.apiLink && (
+                <div style={{ color: red, fontSize: '12px', marginTop: '4px' }}>
+                  {errors.apiLink}
+                </div>
+              )}
+            </div>
+          )}
 
           {/* Notes Field */}
           <div style={{ marginBottom: '24px' }}>
@@ -0,0 +1,140 @@
+import React from 'react';
+import { Chart as ChartJS, ArcElement, Tooltip } from 'chart.js';
+import { Doughnut } from 'react-chartjs-2';
+import { useThemeColor } from '../ThemeContext';
+
+ChartJS.register(ArcElement, Tooltip);
+
+const CRT_GREEN = 'rgb(149,184,163)';
+const CRT_RED = '#e31507';
+
+// Donut slices, in the order of the largest sectors
+const SLICE_COLORS = [
+  'rgb(149,184,163)', '#FFD700', '#FFA500', 'rgb(100,160,200)', 'rgb(190,130,200)',
+  'rgb(120,150,130)', 'rgb(220,200,120)', 'rgb(200,110,90)', 'rgb(90,200,190)',
+  'rgb(170,170,170)', 'rgb(230,150,180)', 'rgb(80,110,90)'
+];
+
+const formatWeight = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : '–');
+const formatActive = (value) => (Number.isFinite(value) ? `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}` : '–');
+
+/**
+ * Sector exposure donut with over/underweights against the market
+ * weights of the Finviz sector table
+ */
+const SectorExposurePanel = ({ exposure, comparison, tagging = false, onRefresh }) => {
+  const green = useThemeColor(CRT_GREEN);
+  const red = useThemeColor(CRT_RED);
+  const black = useThemeColor('black');
+
+  const sectors = exposure?.sectors || [];
+  const hasComparison = comparison && comparison.length > 0;
+
+  const chartData = {
+    labels: sectors.map(sector => sector.sector),
+    datasets: [{
+      data: sectors.map(sector => sector.value),
+      backgroundColor: sectors.map((_, i) => SLICE_COLORS[i % SLICE_COLORS.length]),
+      borderColor: black,
+      borderWidth: 1
+    }]
+  };
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    cutout: '60%',
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (context) => {
+            const sector = sectors[context.dataIndex];
+            return `${sector.sector} ${formatWeight(sector.weight)} (${sector.symbols.join(', ')})`;
+          }
+        }
+      }
+    }
+  };
+
+  const rows = hasComparison
+    ? comparison
+    : sectors.map(sector => ({ sector: sector.sector, weight: sector.weight, marketWeight: null, active: null }));
+
+  return (
+    <div style={{ fontFamily: "'Courier New'", fontSize: '11px', color: green }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+        <span style={{ opacity: 0.7 }}>SECTORS</span>
+        {onRefresh && (
+          <button
+            onClick={onRefresh}
+            disabled={tagging}
+            title="Look up sector and industry for every ticker again"
+            style={{
+              background: 'transparent',
+              color: green,
+              border: `1px solid ${green}`,
+              padding: '4px 8px',
+              fontSize: '10px',
+              fontFamily: "'Courier New'",
+              cursor: tagging ? 'wait' : 'pointer'
+            }}
+          >
+            RETAG
+          </button>
+        )}
+        {tagging && <span style={{ opacity: 0.7 }}>tagging…</span>}
+      </div>
+
+      {sectors.length === 0 ? (
+        <div style={{ opacity: 0.7 }}>No priced positions yet</div>
+      ) : (
+        <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+          <div style={{ width: '180px', height: '180px' }}>
+            <Doughnut data={chartData} options={chartOptions} />
+          </div>
+          <table style={{ borderCollapse: 'collapse', minWidth: '280px' }}>
+            <thead>
+              <tr style={{ opacity: 0.7 }}>
+                <th style={{ textAlign: 'left', padding: '2px 8px 2px 0' }}>Sector</th>
+                <th style={{ textAlign: 'right', padding: '2px 8px' }}>Weight</th>
+                {hasComparison && <th style={{ textAlign: 'right', padding: '2px 8px' }}>Market</th>}
+                {hasComparison && <th style={{ textAlign: 'right', padding: '2px 0 2px 8px' }}>+/− pts</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => {
+                const sector = sectors.find(s => s.sector === row.sector);
+                const colorIndex = sectors.indexOf(sector);
+                return (
+                  <tr
+                    key={row.sector}
+                    title={sector ? sector.industries.map(i => `${i.industry} ${formatWeight(i.weight)}`).join('\n') : 'Not held'}
+                    style={{ opacity: sector ? 1 : 0.5 }}
+                  >
+                    <td style={{ padding: '2px 8px 2px 0' }}>
+                      <span style={{ color: colorIndex >= 0 ? SLICE_COLORS[colorIndex % SLICE_COLORS.length] : 'transparent' }}>■ </span>
+                      {row.sector}
+                    </td>
+                    <td style={{ textAlign: 'right', padding: '2px 8px' }}>{formatWeight(row.weight)}</td>
+                    {hasComparison && <td style={{ textAlign: 'right', padding: '2px 8px' }}>{formatWeight(row.marketWeight)}</td>}
+                    {hasComparison && (
+                      <td style={{ textAlign: 'right', padding: '2px 0 2px 8px', color: row.active < 0 ? red : green }}>
+                        {formatActive(row.active)}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {sectors.length > 0 && !hasComparison && (
+        <div style={{ marginTop: '6px', opacity: 0.6 }}>Sector market weights unavailable (needs the Finviz sector overview)</div>
+      )}
+    </div>
+  );
+};
+
+export default SectorExposurePanel;
@@ -1,8 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import box from '../assets/box.png';
 import checkbox from '../assets/checkbox.png';
+import { getFieldFreshness, describeFreshness } from '../data/universeEnrichment';
 const CRT_GREEN = 'rgb(140,185,162)';
 
+// Source and age of an enriched field, "manual" once edited here
+function Freshness({ item, field }) {
+  return (
+    <span style={{ color: '#888', fontSize: 11, marginLeft: 8 }}>
+      {describeFreshness(getFieldFreshness(item, field))}
+    </span>
+  );
+}
+
 export default function TickerEditPanel({ ticker, open, onClose, onSave }) {
   const [form, setForm] = useState({});
   const [volume24h, setVolume24h] = useState('');
@@ -37,7 +47,7 @@ export default function TickerEditPanel({ ticker, open, onClose, onSave }) {
 
   const handle24hVolumeChange = (value) => {
     setVolume24h(value);
-    setForm(prev => ({ ...prev, relVolume: recalcRelVolume(prev.avgVolume, value) }));
+    setForm(prev => ({ ...prev, volume24h: value, relVolume: recalcRelVolume(prev.avgVolume, value) }));
   };
 
   const handleFlagChange = (flag, value) => {
@@ -94,39 +104,39 @@ export default function TickerEditPanel({ ticker, open, onClose, onSave }) {
           <h2 style={{ color: CRT_GREEN, marginBottom: 18, fontWeight: 700, fontSize: 24 }}>Edit {ticker.symbol}</h2>
           <div style={{ display: 'flex', flexDirection: 'column', gap: 18 }}>
             <label>
-              EPS Growth (%)
+              EPS Growth (%)<Freshness item={form} field="epsGrowth" />
               <input type="number" value={form.epsGrowth || ''} onChange={e => handleChange('epsGrowth', e.target.value)} style={inputStyle} />
             </label>
             <label>
-              Avg Volume
+              Avg Volume<Freshness item={form} field="avgVolume" />
               <input type="number" value={form.avgVolume || ''} onChange={e => handleChange('avgVolume', e.target.value)} style={inputStyle} />
             </label>
             <label>
-              24h Volume
+              24h Volume<Freshness item={form} field="volume24h" />
               <input type="number" value={volume24h} onChange={e => handle24hVolumeChange(e.target.value)} style={inputStyle} />
             </label>
             <label>
-              Rel Volume
+              Rel Volume<Freshness item={form} field="relVolume" />
               <input type="number" value={form.relVolume || ''} readOnly style={{ ...inputStyle, background: '#222' }} />
             </label>
             <label>
-              ATR
+              ATR<Freshness item={form} field="atr" />
               <input type="number" value={form.atr || ''} onChange={e => handleChange('atr', e.target.value)} style={inputStyle} />
             </label>
             <label>
-              Earnings Days Away
-              <input type="number" value={form.earningsDaysAway || ''} onChange={e => handleChange('earningsDaysAway', e.target.value)} style={inputStyle} />
+              Earnings Days Away<Freshness item={form} field="earningsDaysAway" />
+              <input type="number" value={form.earningsDaysAway ?? ''} onChange={e => handleChange('earningsDaysAway', e.target.value)} style={inputStyle} />
             </label>
             <label>
-              P/E Ratio
+              P/E Ratio<Freshness item={form} field="pe" />
               <input type="number" value={form.pe || ''} onChange={e => handleChange('pe', e.target.value)} style={inputStyle} />
             </label>
             <label>
-              Market Cap
+              Market Cap<Freshness item={form} field="marketCap" />
               <input type="number" value={form.marketCap || ''} onChange={e => handleChange('marketCap', e.target.value)} style={inputStyle} />
             </label>
             <label>
-              Beta
+              Beta<Freshness item={form} field="beta" />
               <input type="number" value={form.beta || ''} onChange={e => handleChange('beta', e.target.value)} style={inputStyle} />
             </label>
             <div style={{ display: 'flex', gap: 16 }}>
@@ -16,7 +16,9 @@ const CRT_RED = '#e31507';
 
 const TickerRow = ({
   item, index, editMode, selectedTimeframe = 'W', // Add selectedTimeframe prop
-  handleChangeSymbol, handleBuyPriceChange, handleBuyDateChange, handleRevertBuyDate, handleFetchHistoricalData, handleDelete, handleRefreshPrice, items, changePercent, lookedUpBuyPrice, isInactive = false
+  handleChangeSymbol, handleBuyPriceChange, handleBuyDateChange, handleRevertBuyDate, handleFetchHistoricalData, handleDelete, handleRefreshPrice, items, changePercent, lookedUpBuyPrice, isInactive = false,
+  handlePositionChange, showPosition = false, position = null, weighting = 'equal',
+  showContribution = false, contribution = null
 }) => {
   const green = useThemeColor(CRT_GREEN);
   const red = useThemeColor(CRT_RED);
@@ -445,6 +447,72 @@ const TickerRow = ({
           })()
         }
       </td>
+      {/* Position: quantity, cost basis and weight used by the position NAV */}
+      {showPosition && (
+        <td style={{ 
+          padding: 8, 
+          fontFamily: "'Courier New', Courier, monospace", 
+          color: green, 
+          fontSize: 13,
+          textAlign: 'center'
+        }}
+            title={position ? `Quantity: ${position.hasQuantity ? position.quantity : `none ($${position.value.toFixed(2)} notional)`} | Cost basis: $${position.costBasis.toFixed(2)} | Weight: ${(position.weight * 100).toFixed(1)}% | Value: $${position.value.toFixed(2)}` : 'No price yet'}>
+          {editMode ? (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 4, alignItems: 'center' }}>
+              {[
+                { field: 'quantity', placeholder: 'qty', step: '1' },
+                { field: 'costBasis', placeholder: 'cost', step: '0.01' },
+                ...(weighting === 'custom' ? [{ field: 'weight', placeholder: 'weight', step: '0.1' }] : [])
+              ].map(({ field, placeholder, step }) => (
+                <input
+                  key={field}
+                  type="number"
+                  min="0"
+                  step={step}
+                  value={item[field] ?? ''}
+                  placeholder={placeholder}
+                  onChange={e => {
+                    if (typeof handlePositionChange === 'function') {
+                      handlePositionChange(index, field, e.target.value);
+                    }
+                  }}
+                  style={{
+                    fontFamily: "'Courier New', Courier, monospace",
+                    fontSize: "0.85rem",
+                    backgroundColor: black,
+                    border: `1px solid ${green}`,
+                    color: green,
+                    padding: 2,
+                    width: 80,
+                    textAlign: 'center'
+                  }}
+                  title={`Position ${placeholder}`}
+                />
+              ))}
+            </div>
+          ) : position ? (
+            <div>
+              <div>{position.hasQuantity ? Number(position.quantity.toFixed(4)) : '-'} @ {position.costBasis.toFixed(2)}</div>
+              <div style={{ opacity: 0.7, fontSize: 12 }}>{(position.weight * 100).toFixed(1)}%</div>
+            </div>
+          ) : "-"}
+        </td>
+      )}
+      {/* Contribution: percentage points of the watchlist return over the timeframe */}
+      {showContribution && (
+        <td style={{ 
+          padding: 8, 
+          fontFamily: "'Courier New', Courier, monospace", 
+          color: contribution && contribution.contribution < 0 ? red : green, 
+          fontSize: 13,
+          textAlign: 'center'
+        }}
+            title={contribution ? `${contribution.symbol}: ${contribution.returnPercent.toFixed(2)}% from $${contribution.startPrice.toFixed(2)} to $${contribution.endPrice.toFixed(2)}` : 'No price yet'}>
+          {contribution
+            ? `${contribution.contribution >= 0 ? '+' : ''}${contribution.contribution.toFixed(2)}%`
+            : "-"}
+        </td>
+      )}
       {editMode && (
         <td style={{ 
           padding: 8,
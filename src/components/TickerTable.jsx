@@ -1,4 +1,4 @@
-import React, { useMemo } from "react";
+import React, { useMemo, useState } from "react";
 import { useThemeColor } from '../ThemeContext';
 import TickerRow from "./TickerRow";
 import MobileTableWrapper from "./MobileTableWrapper";
@@ -13,6 +13,7 @@ const TickerTable = ({
   editMode,
   handleChangeSymbol,
   handleBuyPriceChange,
+  handlePositionChange,
   handleBuyDateChange,
   handleRevertBuyDate,
   handleFetchHistoricalData,
@@ -20,10 +21,17 @@ const TickerTable = ({
   handleRefreshPrice,
   selectedTimeframe = 'W', // Default to weekly if not provided
   showInactiveBadges = false,
+  positions = null, // summarizePositions() entries, adds the Position column
+  weighting = 'equal',
+  contributions = null, // calculateAttribution() positions, adds the sortable Contribution column
 }) => {
   const green = useThemeColor(CRT_GREEN);
   const black = useThemeColor('black');
   const greenDark = useThemeColor(CRT_GREEN_DARK);
+  const showPositions = Array.isArray(positions);
+  const showContributions = Array.isArray(contributions);
+  const columnWidth = `${(100 / (5 + (showPositions ? 1 : 0) + (showContributions ? 1 : 0) + (editMode ? 1 : 0))).toFixed(2)}%`;
+  const [sortConfig, setSortConfig] = useState({ key: 'symbol', direction: 'asc' });
 
   // NEW NAV CALCULATION: Calculate average return using simple logic
   const averageReturn = useMemo(() => {
@@ -63,11 +71,27 @@ const TickerTable = ({
     }
   }, [items, selectedTimeframe]);
 
-  // Sort items by symbol (alphabetical)
+  const contributionByIndex = useMemo(
+    () => new Map((contributions || []).map(entry => [entry.index, entry])),
+    [contributions]
+  );
+
+  // Sort items by symbol (alphabetical) or by contribution to the return
   const sortedItems = useMemo(() => {
     if (!Array.isArray(items)) return [];
-    return [...items].sort((a, b) => (a.symbol || '').localeCompare(b.symbol || ''));
-  }, [items]);
+    const direction = sortConfig.direction === 'asc' ? 1 : -1;
+    return items
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => {
+        if (sortConfig.key === 'contribution' && showContributions) {
+          const ca = contributionByIndex.get(a.index)?.contribution ?? -Infinity;
+          const cb = contributionByIndex.get(b.index)?.contribution ?? -Infinity;
+          if (ca !== cb) return ca > cb ? direction : -direction;
+        }
+        return (a.item.symbol || '').localeCompare(b.item.symbol || '') * (sortConfig.key === 'symbol' ? direction : 1);
+      })
+      .map(({ item }) => item);
+  }, [items, sortConfig, showContributions, contributionByIndex]);
 
   // Check if ticker is inactive (no price update in over 4 hours)
   const isTickerInactive = (ticker) => {
@@ -84,10 +108,20 @@ const TickerTable = ({
 
   const handleSort = (key) => {
     logger.log(`🔄 Sorting by: ${key}`);
+    setSortConfig(prev => ({
+      key,
+      // Contributions read best largest first; a second click flips either column
+      direction: prev.key === key ? (prev.direction === 'asc' ? 'desc' : 'asc') : (key === 'contribution' ? 'desc' : 'asc')
+    }));
   };
 
   const renderSortArrow = (key) => {
-    return <span style={{ marginLeft: '4px' }}>↑</span>;
+    const active = sortConfig.key === key;
+    return (
+      <span style={{ marginLeft: '4px', opacity: active ? 1 : 0.4 }}>
+        {active && sortConfig.direction === 'desc' ? '↓' : '↑'}
+      </span>
+    );
   };
 
   if (!Array.isArray(items) || items.length === 0) {
@@ -133,8 +167,9 @@ const TickerTable = ({
               transition: 'background-color 0.2s',
               cursor: 'pointer',
               borderRight: `1px solid rgba(149,184,163,0.2)`,
-              width: editMode ? '16.66%' : '20%'
-            }}>
+              width: columnWidth
+            }}
+            onClick={() => handleSort("symbol")}>
               Symbol {renderSortArrow("symbol")}
             </th>
             <th style={{ 
@@ -147,7 +182,7 @@ const TickerTable = ({
               transition: 'background-color 0.2s',
               cursor: 'pointer',
               borderRight: `1px solid rgba(149,184,163,0.2)`,
-              width: editMode ? '16.66%' : '20%'
+              width: columnWidth
             }}>
               Buy Price
             </th>
@@ -161,7 +196,7 @@ const TickerTable = ({
               transition: 'background-color 0.2s',
               cursor: 'pointer',
               borderRight: `1px solid rgba(149,184,163,0.2)`,
-              width: editMode ? '16.66%' : '20%'
+              width: columnWidth
             }}>
               Buy Date
             </th>
@@ -175,7 +210,7 @@ const TickerTable = ({
               transition: 'background-color 0.2s',
               cursor: 'pointer',
               borderRight: `1px solid rgba(149,184,163,0.2)`,
-              width: editMode ? '16.66%' : '20%'
+              width: columnWidth
             }}>
               Current Price
             </th>
@@ -189,10 +224,37 @@ const TickerTable = ({
               transition: 'background-color 0.2s',
               cursor: 'pointer',
               borderRight: `1px solid rgba(149,184,163,0.2)`,
-              width: editMode ? '16.66%' : '20%'
+              width: columnWidth
             }}>
               Change % {renderSortArrow("changePercent")}
             </th>
+            {showPositions && <th style={{ 
+              padding: '16px 12px', 
+              textAlign: "center", 
+              color: green,
+              fontWeight: 'bold',
+              fontSize: '14.5px',
+              userSelect: 'none',
+              borderRight: `1px solid rgba(149,184,163,0.2)`,
+              width: columnWidth
+            }}>
+              Position
+            </th>}
+            {showContributions && <th style={{ 
+              padding: '16px 12px', 
+              textAlign: "center", 
+              color: green,
+              fontWeight: 'bold',
+              fontSize: '14.5px',
+              userSelect: 'none',
+              cursor: 'pointer',
+              borderRight: `1px solid rgba(149,184,163,0.2)`,
+              width: columnWidth
+            }}
+            onClick={() => handleSort("contribution")}
+            title="Percentage points each ticker added to the watchlist return over the timeframe">
+              Contrib. {renderSortArrow("contribution")}
+            </th>}
             {/* Show Actions column only if edit mode is enabled */}
             {editMode && <th style={{ 
               color: green, 
@@ -203,7 +265,7 @@ const TickerTable = ({
               textAlign: "center",
               fontWeight: 'bold',
               fontSize: '14.5px',
-              width: '16.66%'
+              width: columnWidth
             }}>Actions</th>}
           </tr>
         </thead>
@@ -227,6 +289,12 @@ const TickerTable = ({
                 editMode={editMode}
                 handleChangeSymbol={handleChangeSymbol}
                 handleBuyPriceChange={typeof handleBuyPriceChange === 'function' ? handleBuyPriceChange : undefined}
+                handlePositionChange={typeof handlePositionChange === 'function' ? handlePositionChange : undefined}
+                showPosition={showPositions}
+                position={showPositions ? positions.find(p => p.index === originalIndex) : null}
+                weighting={weighting}
+                showContribution={showContributions}
+                contribution={showContributions ? contributionByIndex.get(originalIndex) : null}
                 handleBuyDateChange={typeof handleBuyDateChange === 'function' ? handleBuyDateChange : undefined}
                 handleRevertBuyDate={typeof handleRevertBuyDate === 'function' ? handleRevertBuyDate : undefined}
                 handleFetchHistoricalData={typeof handleFetchHistoricalData === 'function' ? handleFetchHistoricalData : undefined}
@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { diffSnapshots, getTickerTimeline } from '../data/universeHistory';
+const CRT_GREEN = 'rgb(140,185,162)';
+const gray = '#888';
+const RED = '#e31507';
+
+// Most recent snapshots drawn in the timeline
+const TIMELINE_COLUMNS = 30;
+
+const formatDate = (at) => new Date(at).toLocaleDateString('en-GB', { day: '2-digit', month: 'short' });
+const describeSnapshot = (snapshot) => `${new Date(snapshot.at).toLocaleString('en-GB', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })} · ${snapshot.source} · ${snapshot.rows.length}`;
+const signedPercent = (value) => `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+
+function ChangeList({ title, rows, render, empty = 'none' }) {
+  return (
+    <>
+      <h3 style={sectionStyle}>{title} ({rows.length})</h3>
+      {rows.length === 0
+        ? <div style={{ color: gray }}>{empty}</div>
+        : <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 14px' }}>{rows.map(render)}</div>}
+    </>
+  );
+}
+
+/**
+ * Side panel showing a universe's snapshot history: what changed between
+ * two snapshots, and how long each ticker has been on the list
+ *
+ * @param {Object} props - { open, onClose, history, profile }
+ */
+export default function UniverseHistoryPanel({ open, onClose, history, profile }) {
+  const snapshots = history || [];
+  const [fromIndex, setFromIndex] = useState(Math.max(0, snapshots.length - 2));
+  const [toIndex, setToIndex] = useState(snapshots.length - 1);
+
+  // Latest against the one before, whenever the panel opens or a snapshot lands
+  useEffect(() => {
+    if (!open) return;
+    setFromIndex(Math.max(0, snapshots.length - 2));
+    setToIndex(snapshots.length - 1);
+  }, [open, snapshots.length]);
+
+  const diff = useMemo(() => (
+    snapshots[fromIndex] && snapshots[toIndex] ? diffSnapshots(snapshots[fromIndex], snapshots[toIndex], { profile }) : null
+  ), [snapshots, fromIndex, toIndex, profile]);
+
+  const timeline = useMemo(() => getTickerTimeline(snapshots), [snapshots]);
+  const firstColumn = Math.max(0, snapshots.length - TIMELINE_COLUMNS);
+
+  if (!open) return null;
+
+  const snapshotSelect = (value, onChange) => (
+    <select value={value} onChange={e => onChange(Number(e.target.value))} style={selectStyle}>
+      {snapshots.map((snapshot, index) => <option key={snapshot.at} value={index}>{describeSnapshot(snapshot)}</option>)}
+    </select>
+  );
+
+  return (
+    <>
+      {/* Overlay for closing */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          width: '100vw',
+          height: '100vh',
+          background: 'rgba(0,0,0,0.3)',
+          zIndex: 10009,
+          pointerEvents: 'auto',
+        }}
+      />
+      <div
+        style={{
+          position: 'fixed',
+          top: 0,
+          right: 0,
+          width: 640,
+          maxWidth: '100vw',
+          height: '100vh',
+          background: '#0a0a0a',
+          color: CRT_GREEN,
+          zIndex: 10010,
+          boxShadow: `-4px 0 24px 0 ${CRT_GREEN}33`,
+          borderLeft: `2px solid ${CRT_GREEN}`,
+          display: 'flex',
+          flexDirection: 'column',
+          fontFamily: 'Courier New',
+          fontSize: 13,
+          pointerEvents: 'auto',
+        }}
+        onClick={e => e.stopPropagation()}
+        onMouseDown={e => e.stopPropagation()}
+      >
+        <div style={{ padding: 24, flex: 1, overflowY: 'auto' }}>
+          <h2 style={{ color: CRT_GREEN, marginBottom: 14, fontWeight: 700, fontSize: 22 }}>Universe History</h2>
+
+          {snapshots.length === 0 ? (
+            <div style={{ color: gray }}>
+              No snapshots yet. They are added each time the screener is sent to this universe, and once a day after enrichment.
+            </div>
+          ) : (
+            <>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                <span>From {snapshotSelect(fromIndex, setFromIndex)}</span>
+                <span>To&nbsp;&nbsp; {snapshotSelect(toIndex, setToIndex)}</span>
+              </div>
+
+              {diff && (
+                <>
+                  <ChangeList
+                    title="ADDED"
+                    rows={diff.added}
+                    render={row => <span key={row.symbol} style={{ color: CRT_GREEN }}>+{row.symbol}</span>}
+                  />
+                  <ChangeList
+                    title="DROPPED"
+                    rows={diff.dropped}
+                    render={row => <span key={row.symbol} style={{ color: RED }}>−{row.symbol}</span>}
+                  />
+                  <ChangeList
+                    title="SCORE CHANGED (±5)"
+                    rows={diff.scoreChanged}
+                    render={row => (
+                      <span key={row.symbol}>
+                        {row.symbol} {row.before.toFixed(1)}→{row.after.toFixed(1)}
+                        <span style={{ color: row.change > 0 ? CRT_GREEN : RED }}> ({row.change > 0 ? '+' : ''}{row.change.toFixed(1)})</span>
+                      </span>
+                    )}
+                  />
+                  <ChangeList
+                    title="PRICE MOVED (±5%)"
+                    rows={diff.priceMoved}
+                    render={row => (
+                      <span key={row.symbol}>
+                        {row.symbol} ${row.before.toFixed(2)}→${row.after.toFixed(2)}
+                        <span style={{ color: row.change > 0 ? CRT_GREEN : RED }}> ({signedPercent(row.change)})</span>
+                      </span>
+                    )}
+                  />
+                  <div style={{ color: gray, marginTop: 8 }}>{diff.unchanged} unchanged</div>
+                </>
+              )}
+
+              <h3 style={sectionStyle}>TIMELINE</h3>
+              <table style={{ borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ color: gray }}>
+                    <th style={{ ...cellStyle, textAlign: 'left' }}>Symbol</th>
+                    <th style={{ ...cellStyle, textAlign: 'right' }} title="Days in the current (or last) unbroken run">Days</th>
+                    <th style={{ ...cellStyle, textAlign: 'left' }}>
+                      {formatDate(snapshots[firstColumn].at)} → {formatDate(snapshots[snapshots.length - 1].at)}
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {timeline.map(ticker => (
+                    <tr key={ticker.symbol} style={{ borderTop: `1px solid ${CRT_GREEN}33`, color: ticker.onList ? CRT_GREEN : gray }}>
+                      <td style={cellStyle}>{ticker.symbol}</td>
+                      <td style={{ ...cellStyle, textAlign: 'right' }} title={`Since ${formatDate(ticker.since)}, first seen ${formatDate(ticker.firstSeen)}`}>
+                        {ticker.daysOnList}
+                      </td>
+                      <td style={cellStyle}>
+                        <span style={{ display: 'inline-flex', gap: 2 }}>
+                          {ticker.presence.slice(firstColumn).map((present, i) => (
+                            <span
+                              key={i}
+                              title={formatDate(snapshots[firstColumn + i].at)}
+                              style={{ width: 8, height: 12, background: present ? (ticker.onList ? CRT_GREEN : gray) : '#222' }}
+                            />
+                          ))}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 10, padding: 16, borderTop: `1.5px solid ${CRT_GREEN}`, background: '#111' }}>
+          <button onClick={onClose} style={buttonStyle}>Done</button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+const cellStyle = {
+  padding: '4px 6px'
+};
+
+const sectionStyle = {
+  fontSize: 14,
+  margin: '20px 0 8px',
+  borderBottom: `1px solid ${CRT_GREEN}`,
+  paddingBottom: 4
+};
+
+const selectStyle = {
+  background: 'black',
+  color: CRT_GREEN,
+  border: `1px solid ${CRT_GREEN}`,
+  borderRadius: 0,
+  padding: '3px 6px',
+  fontFamily: 'Courier New',
+  fontSize: 13
+};
+
+const buttonStyle = {
+  fontFamily: 'Courier New',
+  fontWeight: 700,
+  fontSize: 15,
+  borderRadius: 4,
+  padding: '6px 18px',
+  cursor: 'pointer',
+  background: CRT_GREEN,
+  color: 'black',
+  border: `2px solid ${CRT_GREEN}`
+};
@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { calculateBuyScore } from '../data/buyScore';
+import { storage, STORAGE_KEYS } from '../utils/storage';
+import { useIndicators } from '../hooks/useIndicators';
 
-// Helper to get/set toggles in localStorage
+// Helper to get/set toggles in storage
 function getToggleState(ticker) {
-  const data = localStorage.getItem(`universe_toggles_${ticker}`);
-  return data ? JSON.parse(data) : {
+  const data = storage.get(`${STORAGE_KEYS.UNIVERSE_TOGGLES}${ticker}`);
+  return data ? data : {
     technicalFlags: false,
     newsFlag: false,
     sectorAlignment: false,
@@ -14,7 +16,7 @@ function getToggleState(ticker) {
   };
 }
 function setToggleState(ticker, state) {
-  localStorage.setItem(`universe_toggles_${ticker}` , JSON.stringify(state));
+  storage.setUniverseToggles(ticker, state);
 }
 
 // Example tickers data (replace with real data source)
@@ -47,15 +49,21 @@ const exampleTickers = [
   },
 ];
 
+const formatNumber = (value, digits = 1) => (Number.isFinite(value) ? value.toFixed(digits) : '–');
+const formatSigned = (value, digits = 1) => (Number.isFinite(value) ? `${value >= 0 ? '+' : ''}${value.toFixed(digits)}` : '–');
+
+// Close against a moving average, as +/−% of the average
+const fromAverage = (close, average) => (Number.isFinite(average) && average > 0 ? (close / average - 1) * 100 : null);
+
 const tagColors = {
   'Prime Entry': 'bg-green-500',
   'Almost Ready': 'bg-yellow-400',
   'Standby': 'bg-gray-400',
 };
 
-export default function UniverseTickerTable() {
-  const [tickers, setTickers] = useState(exampleTickers);
+export default function UniverseTickerTable({ tickers = exampleTickers }) {
   const [toggleStates, setToggleStates] = useState({});
+  const indicators = useIndicators(tickers.map(ticker => ticker.symbol));
 
   useEffect(() => {
     // Load toggle states for all tickers
@@ -87,12 +95,24 @@ export default function UniverseTickerTable() {
             <th className="px-4 py-2">Market</th>
             <th className="px-4 py-2">Volatility</th>
             <th className="px-4 py-2">Breadth</th>
+            <th className="px-4 py-2" title="RSI(14), daily">RSI</th>
+            <th className="px-4 py-2" title="MACD histogram (12, 26, 9) and crossovers in the last 3 days">MACD</th>
+            <th className="px-4 py-2" title="Close vs 20 EMA / 50 SMA, %">20E / 50S</th>
+            <th className="px-4 py-2" title="Bollinger %B (20, 2)">%B</th>
+            <th className="px-4 py-2" title="ATR(14) as % of close">ATR%</th>
+            <th className="px-4 py-2" title="Volume vs 20-day average: last day / last 3 days">RVol</th>
+            <th className="px-4 py-2" title="Distance from the 52-week high, %">52wH</th>
+            <th className="px-4 py-2" title="Session VWAP from 5-minute candles">VWAP</th>
           </tr>
         </thead>
         <tbody>
           {tickers.map(ticker => {
             const toggles = toggleStates[ticker.symbol] || {};
+            const values = indicators[ticker.symbol.toUpperCase()];
             const scoreObj = calculateBuyScore({
+              // Measured volumes stand in for ones not entered by hand
+              ...(values?.relativeVolume !== null && values?.relativeVolume !== undefined && { relVolume: Number(values.relativeVolume.toFixed(2)) }),
+              ...(values?.avgVolume20 && { avgVolume: Math.round(values.avgVolume20) }),
               ...ticker,
               ...toggles,
             });
@@ -131,6 +151,21 @@ export default function UniverseTickerTable() {
                 <td className="px-4 py-2 text-center">
                   <input type="checkbox" checked={!!toggles.breadthHealthy} onChange={() => handleToggle(ticker.symbol, 'breadthHealthy')} />
                 </td>
+                <td className="px-4 py-2 text-right font-mono">{formatNumber(values?.rsi14)}</td>
+                <td className="px-4 py-2 text-right font-mono">
+                  {formatSigned(values?.macdHistogram, 2)}
+                  {values?.macdCross && <span className="text-xs"> {values.macdCross === 'bullish' ? '▲' : '▼'}</span>}
+                </td>
+                <td className="px-4 py-2 text-right font-mono">
+                  {formatSigned(fromAverage(values?.close, values?.ema20))} / {formatSigned(fromAverage(values?.close, values?.sma50))}
+                </td>
+                <td className="px-4 py-2 text-right font-mono">{formatNumber(values?.percentB, 2)}</td>
+                <td className="px-4 py-2 text-right font-mono">{formatNumber(values?.atrPercent)}</td>
+                <td className="px-4 py-2 text-right font-mono">
+                  {formatNumber(values?.relativeVolume, 2)} / {formatNumber(values?.relativeVolume3, 2)}
+                </td>
+                <td className="px-4 py-2 text-right font-mono">{formatSigned(values?.fromHigh52w)}</td>
+                <td className="px-4 py-2 text-right font-mono">{formatNumber(values?.vwap, 2)}</td>
               </tr>
             );
           })}
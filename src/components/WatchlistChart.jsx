@@ -46,7 +46,8 @@ const WatchlistChart = React.memo(({
   hideAxes = false,
   hideBorder = false,
   navData = [],
-  navMetadata = {}
+  navMetadata = {},
+  overlays = [] // [{ label, color, data: [{ timestamp, returnPercent }] }] drawn dashed over the NAV
 }) => {
   const green = useThemeColor(CRT_GREEN);
   const black = useThemeColor('black');
@@ -145,7 +146,7 @@ const WatchlistChart = React.memo(({
 
   // Memoize portfolio return data for chart
   const memoizedChartData = useMemo(() => {
-    // PRIORITY 0: Use navData if provided (from simpleNavCalculator)
+    // PRIORITY 0: Use navData if provided (from positionNavCalculator)
     if (navData && navData.length > 0) {
       logger.debug(`[WATCHLIST CHART] Using provided navData: ${navData.length} points`);
       
@@ -154,9 +155,10 @@ const WatchlistChart = React.memo(({
         timestampValue: new Date(datapoint.timestamp).getTime(),
         returnPercent: datapoint.returnPercent,
         etfPrice: datapoint.etfPrice || 0,
+        value: datapoint.value,
         xIndex: index,
         valid: true,
-        source: 'simple-nav',
+        source: 'position-nav',
         dataCoverage: datapoint.validTickers / datapoint.totalTickers,
         validTickers: datapoint.validTickers,
         totalTickers: datapoint.totalTickers,
@@ -284,8 +286,27 @@ const WatchlistChart = React.memo(({
   const labels = memoizedChartData.map((_, index) => index);
   const data = memoizedChartData.map(point => point.returnPercent);
 
+  // Overlay points are matched to the NAV points by timestamp; gaps are bridged
+  const overlayDatasets = (overlays || []).map(overlay => {
+    const byTime = new Map((overlay.data || []).map(point => [new Date(point.timestamp).getTime(), point.returnPercent]));
+    return {
+      label: overlay.label,
+      data: memoizedChartData.map(point => (byTime.has(point.timestampValue) ? byTime.get(point.timestampValue) : null)),
+      borderColor: overlay.color || CRT_YELLOW,
+      backgroundColor: 'transparent',
+      borderDash: [6, 4],
+      borderWidth: 2,
+      fill: false,
+      tension: 0.4,
+      spanGaps: true
+    };
+  });
+
   // Calculate Y axis domain with enhanced curve visibility
-  const returnPercents = memoizedChartData.map(p => Number.isFinite(p.returnPercent) ? p.returnPercent : 0);
+  const returnPercents = [
+    ...memoizedChartData.map(p => Number.isFinite(p.returnPercent) ? p.returnPercent : 0),
+    ...overlayDatasets.flatMap(dataset => dataset.data.filter(Number.isFinite))
+  ];
   const minReturn = Math.min(...returnPercents);
   const maxReturn = Math.max(...returnPercents);
   const range = maxReturn - minReturn;
@@ -366,7 +387,8 @@ const WatchlistChart = React.memo(({
           }
           return 2;
         }
-      }
+      },
+      ...overlayDatasets
     ]
   };
 
@@ -443,8 +465,10 @@ const WatchlistChart = React.memo(({
             // Return % and ETF price on top
             let title = `Return: ${prefix}${returnValue.toFixed(2)}%`;
             
-            // Add ETF price if available
-            if (point && point.etfPrice !== undefined && point.etfPrice > 0) {
+            // Portfolio value when the NAV carries one, the average price otherwise
+            if (point && Number.isFinite(point.value)) {
+              title += ` | Value: $${point.value.toFixed(2)}`;
+            } else if (point && point.etfPrice !== undefined && point.etfPrice > 0) {
               title += ` | ETF: $${point.etfPrice.toFixed(2)}`;
             }
             
@@ -459,6 +483,10 @@ const WatchlistChart = React.memo(({
             }
             const dataIndex = context.dataIndex;
             console.log('🔍 Data index:', dataIndex);
+            if (context.datasetIndex > 0) {
+              const value = context.parsed?.y;
+              return Number.isFinite(value) ? `${context.dataset.label}: ${value >= 0 ? '+' : ''}${value.toFixed(2)}%` : '';
+            }
             const point = memoizedChartData[dataIndex];
             console.log('🔍 Point data:', point);
             if (point && point.timestampValue) {
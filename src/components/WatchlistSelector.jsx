@@ -1,4 +1,5 @@
 import React, { useEffect, useState } from "react";
+import { storage } from "../utils/storage";
 
 const CRT_GREEN = "rgb(140,185,162)";
 
@@ -7,9 +8,8 @@ const WatchlistSelector = ({ value, onSelect }) => {
 
   useEffect(() => {
     try {
-      const saved = localStorage.getItem("burnlist_watchlists");
-      if (saved) {
-        const parsed = JSON.parse(saved);
+      const parsed = storage.getWatchlists();
+      if (parsed) {
         const listArr = Object.values(parsed).map(w => ({ name: w.name, slug: w.slug }));
         setWatchlists(listArr);
       }
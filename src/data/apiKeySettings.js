@@ -0,0 +1,55 @@
+const SETTINGS_API = '/api/settings/keys';
+
+async function request(path = '', { method = 'GET', body } = {}) {
+  const response = await fetch(`${SETTINGS_API}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok && response.status !== 422) {
+    throw new Error(data.error || `Settings request failed (${response.status})`);
+  }
+  return data;
+}
+
+/**
+ * Client for the server's vendor key settings (/api/settings/keys)
+ *
+ * Keys are written here but never read back: the server only reports
+ * whether each key is configured, where from (env or file), its last four
+ * characters and the last validation result.
+ */
+class ApiKeySettings {
+  /**
+   * @returns {Promise<Array>} [{ name, label, env, configured, source, masked, updatedAt, rotations, validation }]
+   */
+  async list() {
+    const { keys } = await request();
+    return keys || [];
+  }
+
+  /**
+   * Save or rotate a key; the server tests it first and refuses rejected keys
+   * @returns {Promise<Object>} { key, validation, error } (error set when rejected)
+   */
+  save(name, value, { skipValidation = false } = {}) {
+    return request(`/${name}`, { method: 'PUT', body: { value, skipValidation } });
+  }
+
+  /**
+   * Test a candidate value, or the key in use when value is omitted
+   * @returns {Promise<Object>} { key, validation }
+   */
+  test(name, value) {
+    return request(`/${name}/test`, { method: 'POST', body: value ? { value } : {} });
+  }
+
+  remove(name) {
+    return request(`/${name}`, { method: 'DELETE' });
+  }
+}
+
+const apiKeySettings = new ApiKeySettings();
+
+export default apiKeySettings;
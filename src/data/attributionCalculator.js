@@ -0,0 +1,74 @@
+import { logger } from '../utils/logger';
+import returnCalculator from './returnCalculator';
+import { valuePositionsAt } from './positionNavCalculator';
+
+// Sector label for items without one
+export const UNCLASSIFIED = 'Unclassified';
+
+/**
+ * Split a watchlist's NAV change over a timeframe into per-ticker and
+ * per-sector contributions
+ *
+ * Each position's contribution is its change in value divided by the NAV
+ * at the start of the window, so contributions add up to the NAV return
+ * over the window. MAX measures from cost. A position first priced inside
+ * the window counts from its cost basis, as in the NAV. Sectors are the
+ * items' tags from useSectorExposure (the profiles route, falling back to
+ * server/reference/ticker-reference.csv); untagged items are Unclassified.
+ *
+ * @param {Array} items - Watchlist items with historicalData (and optional sector)
+ * @param {Object} options - { mode, cash, timeframe: 'D' | 'W' | 'M' | 'YTD' | 'MAX', now }
+ * @returns {Object} { timeframe, startTime, startValue, endValue, returnPercent,
+ *   positions: [{ index, symbol, sector, startPrice, endPrice, returnPercent, contribution }],
+ *   sectors: [{ sector, contribution, symbols }] }, contributions in percentage points,
+ *   both lists sorted from largest to smallest contribution
+ */
+export function calculateAttribution(items, { mode, cash, timeframe = 'MAX', now = new Date() } = {}) {
+  const startDate = returnCalculator.getTimeframeStartTime(timeframe, now);
+  const startTime = startDate ? startDate.getTime() : -Infinity;
+  const empty = { timeframe, startTime: startDate ? startDate.toISOString() : null, startValue: 0, endValue: 0, returnPercent: 0, positions: [], sectors: [] };
+
+  try {
+    const start = valuePositionsAt(items, { mode, cash }, startTime);
+    const end = valuePositionsAt(items, { mode, cash }, Infinity);
+    if (!(start.value > 0)) return empty;
+
+    const positions = end.positions.map((position, i) => {
+      const from = start.positions[i];
+      return {
+        index: position.index,
+        symbol: position.symbol,
+        sector: items[position.index]?.sector || UNCLASSIFIED,
+        startPrice: from.price,
+        endPrice: position.price,
+        returnPercent: (position.price / from.price - 1) * 100,
+        contribution: (position.value - from.value) / start.value * 100
+      };
+    });
+
+    const bySector = new Map();
+    positions.forEach(position => {
+      const entry = bySector.get(position.sector) || { sector: position.sector, contribution: 0, symbols: [] };
+      entry.contribution += position.contribution;
+      entry.symbols.push(position.symbol);
+      bySector.set(position.sector, entry);
+    });
+
+    const byContribution = (a, b) => b.contribution - a.contribution;
+    return {
+      ...empty,
+      startValue: start.value,
+      endValue: end.value,
+      returnPercent: (end.value / start.value - 1) * 100,
+      positions: positions.sort(byContribution),
+      sectors: Array.from(bySector.values()).sort(byContribution)
+    };
+  } catch (error) {
+    logger.error('[ATTRIBUTION] Error calculating attribution:', error);
+    return empty;
+  }
+}
+
+export default {
+  calculateAttribution
+};
@@ -1,11 +1,12 @@
-import { fetchHistoricalData } from './twelvedataAdapter';
 import activeBurnlistManager from './activeBurnlistManager';
 import historicalDataManager from './historicalDataManager';
 import returnCalculator from './returnCalculator';
+import symbolPriceCache from './symbolPriceCache';
 import notificationManager from './notificationManager';
 import realTimeNavCalculator from './realTimeNavCalculator';
 import navEventEmitter from './navEventEmitter';
 import { logger } from '../utils/logger';
+import { storage } from '../utils/storage';
 
 /**
  * Batched Fetch Manager for Twelve Data API
@@ -193,36 +194,15 @@ class BatchedFetchManager {
     logger.fetch(`Batch fetch ${batchNumber}/${totalBatches}`, `[${batch.join(', ')}] (${this.batchesInCurrentMinute}/${this.MAX_BATCHES_PER_MINUTE} this minute, ${batch.length} credits)`);
 
     try {
-      // Fetch historical data for each ticker in the batch
-      const results = [];
-      for (const symbol of batch) {
-        try {
-          // Get historical data for the last 6 hours to create chart data points
-          const endDate = new Date();
-          const startDate = new Date(endDate.getTime() - (6 * 60 * 60 * 1000)); // 6 hours ago
-          
-          const historicalData = await fetchHistoricalData(
-            symbol, 
-            startDate.toISOString().split('T')[0], 
-            endDate.toISOString().split('T')[0], 
-            '5min', 
-            72 // Get 72 data points (6 hours * 12 per hour)
-          );
-          
-          if (historicalData) {
-            results.push(historicalData);
-          }
-        } catch (error) {
-          console.error(`❌ Failed to fetch historical data for ${symbol}:`, error);
-        }
-      }
+      // Symbols already refreshed this cycle (e.g. by the sync manager) are served from the cache
+      const { prices, fetched } = await symbolPriceCache.refresh(batch, { source: 'batched' });
       
-      if (results && results.length > 0) {
-        console.log(`✅ Batch ${batchNumber} successful: ${results.length} historical datasets received`);
+      if (prices.length > 0) {
+        console.log(`✅ Batch ${batchNumber} successful: ${prices.length} prices (${fetched.length} fetched, ${batch.length - fetched.length} cached)`);
         this.stats.successfulBatches++;
         
-        // Update prices in active burnlists
-        this.updateBurnlistPrices(results);
+        // Recalculate NAV for active burnlists holding these symbols
+        this.updateBurnlistPrices(prices);
       } else {
         console.warn(`❌ Batch ${batchNumber} failed: no data received`);
         this.stats.failedBatches++;
@@ -235,129 +215,28 @@ class BatchedFetchManager {
   }
 
   /**
-   * Update prices in active burnlists with new data
+   * Queue NAV recalculation for active burnlists holding updated symbols.
+   * The watchlist items themselves are updated once by symbolPriceCache.
    */
   updateBurnlistPrices(newPrices) {
-    const activeBurnlists = activeBurnlistManager.getActiveBurnlists();
+    const affected = new Set();
+    newPrices.forEach(price => {
+      activeBurnlistManager.getBurnlistsForTicker(price.symbol).forEach(slug => affected.add(slug));
+    });
+    
+    if (affected.size === 0) return;
     
-    activeBurnlists.forEach(burnlistSlug => {
-      // Update the burnlist with new prices
-      const updatedItems = this.updateWatchlistItems(burnlistSlug, newPrices);
+    const watchlists = storage.getWatchlists();
+    affected.forEach(burnlistSlug => {
+      const watchlist = Object.values(watchlists).find(wl => wl.slug === burnlistSlug);
       
-      if (updatedItems.length > 0) {
-        console.log(`📊 Updated ${updatedItems.length} items in watchlist ${burnlistSlug}`);
-        
-        // Queue real-time NAV calculation for this burnlist
-        const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
-        const watchlistKey = Object.keys(watchlists).find(key => watchlists[key].slug === burnlistSlug);
-        
-        if (watchlistKey && watchlists[watchlistKey].items) {
-          const items = watchlists[watchlistKey].items;
-          realTimeNavCalculator.queueAlignedCalculation(burnlistSlug, items, 'MAX');
-        }
+      if (watchlist?.items) {
+        console.log(`📊 Updated prices in watchlist ${burnlistSlug}`);
+        realTimeNavCalculator.queueAlignedCalculation(burnlistSlug, watchlist.items, 'MAX');
       }
     });
   }
 
-  /**
-   * Update individual watchlist items with new price data
-   */
-  updateWatchlistItems(burnlistSlug, newPrices) {
-    try {
-      const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
-      const watchlistKey = Object.keys(watchlists).find(key => watchlists[key].slug === burnlistSlug);
-      
-      if (!watchlistKey || !watchlists[watchlistKey].items) {
-        return [];
-      }
-
-      const watchlist = watchlists[watchlistKey];
-      const updatedItems = [];
-
-      // Update items with new historical data
-      watchlist.items.forEach(item => {
-        const newHistoricalData = newPrices.find(price => price.symbol === item.symbol);
-        
-        if (newHistoricalData) {
-          console.log('🔧 DEBUG: Processing', item.symbol);
-          console.log('🔧 DEBUG: Original buy price:', item.buyPrice);
-          console.log('🔧 DEBUG: Original buy date:', item.buyDate);
-          console.log('🔧 DEBUG: New historical data:', newHistoricalData);
-          
-          // PRESERVE the original buy price - don't overwrite it!
-          const originalBuyPrice = item.buyPrice;
-          const originalBuyDate = item.buyDate;
-          
-          // Update current price with the latest historical price
-          const latestPrice = newHistoricalData.historicalData[newHistoricalData.historicalData.length - 1]?.price;
-          
-          if (latestPrice) {
-            logger.log(`💰 Setting current price for ${item.symbol}: $${latestPrice} (from historical data)`);
-            item.currentPrice = latestPrice;
-          }
-          
-          // Merge new historical data with existing data
-          if (!item.historicalData) {
-            item.historicalData = [];
-          }
-          
-          // Add new historical data points
-          newHistoricalData.historicalData.forEach(newPoint => {
-            // Check if we already have this timestamp to avoid duplicates
-            const existingPoint = item.historicalData.find(existing => 
-              existing.timestamp === newPoint.timestamp
-            );
-            
-            if (!existingPoint) {
-              item.historicalData.push({
-                price: newPoint.price,
-                timestamp: newPoint.timestamp,
-                fetchTimestamp: new Date().toISOString(),
-                symbol: item.symbol
-              });
-            }
-          });
-          
-          // Sort by timestamp to ensure chronological order
-          item.historicalData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-          
-          // Keep only the last 100 data points to prevent memory issues
-          if (item.historicalData.length > 100) {
-            item.historicalData = item.historicalData.slice(-100);
-          }
-          
-          // RESTORE the original buy price and date
-          item.buyPrice = originalBuyPrice;
-          item.buyDate = originalBuyDate;
-          
-          console.log('🔧 DEBUG: Final buy price after restore:', item.buyPrice);
-          console.log('🔧 DEBUG: Final current price:', item.currentPrice);
-          
-          updatedItems.push(item);
-        }
-      });
-
-      // Save updated watchlist
-      if (updatedItems.length > 0) {
-        localStorage.setItem('burnlist_watchlists', JSON.stringify(watchlists));
-        
-        // Trigger a storage event to notify React components of the update
-        window.dispatchEvent(new StorageEvent('storage', {
-          key: 'burnlist_watchlists',
-          newValue: JSON.stringify(watchlists),
-          storageArea: localStorage
-        }));
-        
-        console.log(`💾 Updated localStorage and triggered storage event for ${burnlistSlug}`);
-      }
-
-      return updatedItems;
-    } catch (error) {
-      console.error(`❌ Error updating watchlist items for ${burnlistSlug}:`, error);
-      return [];
-    }
-  }
-
   /**
    * Complete the current cycle by computing watchlist averages
    */
@@ -369,8 +248,8 @@ class BatchedFetchManager {
     // Get all active burnlists and compute their average returns
     const activeBurnlists = activeBurnlistManager.getActiveBurnlists();
     
-    for (const burnlistSlug of activeBurnlists) {
-      await this.computeAndSaveWatchlistAverage(burnlistSlug);
+    for (const { slug } of activeBurnlists) {
+      await this.computeAndSaveWatchlistAverage(slug);
     }
 
     const cycleTime = Date.now() - this.currentCycleStartTime;
@@ -382,7 +261,7 @@ class BatchedFetchManager {
    */
   async computeAndSaveWatchlistAverage(burnlistSlug) {
     try {
-      const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
+      const watchlists = storage.getWatchlists();
       const watchlistKey = Object.keys(watchlists).find(key => watchlists[key].slug === burnlistSlug);
       
       if (!watchlistKey || !watchlists[watchlistKey].items) {
@@ -0,0 +1,143 @@
+import { logger } from '../utils/logger';
+import { sortSeries } from './positionNavCalculator';
+import { getPeriodsPerYear, getTradingDate, toDailyCloses } from './riskAnalytics';
+
+export const BENCHMARK_SYMBOLS = ['SPY', 'QQQ', 'IWM'];
+
+const MIN_PERIODS = 3;
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function covariance(a, b) {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+}
+
+/**
+ * Benchmark growth at each session close of the NAV, rebased to its first one
+ *
+ * The NAV is reduced to the last point of each trading session and matched
+ * with the benchmark's daily bar of the same trading date, so intraday NAV
+ * points are never compared with a close that hadn't happened yet. Sessions
+ * without a benchmark bar are left out.
+ *
+ * @param {Array} navPoints - NAV points oldest first ({ timestamp, returnPercent })
+ * @param {Array} benchmarkBars - Daily benchmark bars in any order ({ timestamp, price })
+ * @returns {Array} [{ timestamp, returnPercent, price }] oldest first, at the NAV's session closes
+ */
+export function alignBenchmark(navPoints, benchmarkBars) {
+  const bars = sortSeries(benchmarkBars);
+  if (!Array.isArray(navPoints) || navPoints.length === 0 || bars.length === 0) return [];
+
+  const priceByDate = new Map(bars.map(bar => [getTradingDate(bar.timestamp), bar.price]));
+  const aligned = [];
+  let base = null;
+
+  toDailyCloses(navPoints).forEach(point => {
+    const price = priceByDate.get(getTradingDate(point.timestamp));
+    if (price === undefined) return;
+
+    if (!base) {
+      // Start from the same level as the NAV so the two lines share their first point
+      base = { price, growth: 1 + (point.returnPercent || 0) / 100 };
+    }
+    aligned.push({
+      timestamp: point.timestamp,
+      returnPercent: (base.growth * price / base.price - 1) * 100,
+      price
+    });
+  });
+
+  return aligned;
+}
+
+/**
+ * Relative strength of the NAV against the aligned benchmark, in percent:
+ * 0 while both have grown alike, positive while the watchlist leads
+ */
+export function calculateRelativeStrength(navPoints, alignedBenchmark) {
+  const byTimestamp = new Map(alignedBenchmark.map(point => [point.timestamp, point.returnPercent]));
+  return navPoints
+    .filter(point => byTimestamp.has(point.timestamp))
+    .map(point => ({
+      timestamp: point.timestamp,
+      returnPercent: ((1 + point.returnPercent / 100) / (1 + byTimestamp.get(point.timestamp) / 100) - 1) * 100
+    }));
+}
+
+/**
+ * Beta, alpha, correlation and tracking error of a NAV against a benchmark
+ *
+ * Statistics use the daily returns between consecutive session closes of
+ * the NAV and the benchmark (see alignBenchmark). Alpha and tracking error
+ * are annualized from the spacing of the sessions (see getPeriodsPerYear in
+ * riskAnalytics).
+ *
+ * @param {Array} navPoints - Unsampled NAV points oldest first
+ * @param {Array} benchmarkBars - Benchmark bars in any order
+ * @returns {Object|null} { beta, alpha, correlation, trackingError, informationRatio,
+ *   portfolioReturn, benchmarkReturn, excessReturn, periods }, alpha, returns and
+ *   tracking error in percent; null with fewer than 3 aligned periods
+ */
+export function calculateBenchmarkStats(navPoints, benchmarkBars) {
+  const aligned = alignBenchmark(navPoints, benchmarkBars);
+  if (aligned.length <= MIN_PERIODS) return null;
+
+  try {
+    const byTimestamp = new Map(aligned.map(point => [point.timestamp, point]));
+    const pairs = toDailyCloses(navPoints).filter(point => byTimestamp.has(point.timestamp));
+
+    const portfolioReturns = [];
+    const benchmarkReturns = [];
+    for (let i = 1; i < pairs.length; i++) {
+      const previous = byTimestamp.get(pairs[i - 1].timestamp);
+      const current = byTimestamp.get(pairs[i].timestamp);
+      portfolioReturns.push((1 + pairs[i].returnPercent / 100) / (1 + pairs[i - 1].returnPercent / 100) - 1);
+      benchmarkReturns.push(current.price / previous.price - 1);
+    }
+
+    if (portfolioReturns.length < MIN_PERIODS) return null;
+
+    const periodsPerYear = getPeriodsPerYear(pairs.map(point => point.timestamp));
+
+    const benchmarkVariance = covariance(benchmarkReturns, benchmarkReturns);
+    const portfolioVariance = covariance(portfolioReturns, portfolioReturns);
+    const beta = benchmarkVariance > 0 ? covariance(portfolioReturns, benchmarkReturns) / benchmarkVariance : null;
+    const correlation = benchmarkVariance > 0 && portfolioVariance > 0
+      ? covariance(portfolioReturns, benchmarkReturns) / Math.sqrt(benchmarkVariance * portfolioVariance)
+      : null;
+
+    const activeReturns = portfolioReturns.map((value, i) => value - benchmarkReturns[i]);
+    const trackingError = Math.sqrt(covariance(activeReturns, activeReturns) * periodsPerYear);
+    const alpha = beta === null ? null : (mean(portfolioReturns) - beta * mean(benchmarkReturns)) * periodsPerYear;
+
+    const first = pairs[0];
+    const last = pairs[pairs.length - 1];
+    const portfolioReturn = ((1 + last.returnPercent / 100) / (1 + first.returnPercent / 100) - 1) * 100;
+    const benchmarkReturn = (byTimestamp.get(last.timestamp).price / byTimestamp.get(first.timestamp).price - 1) * 100;
+
+    return {
+      beta,
+      alpha: alpha === null ? null : alpha * 100,
+      correlation,
+      trackingError: trackingError * 100,
+      informationRatio: trackingError > 0 ? mean(activeReturns) * periodsPerYear / trackingError : null,
+      portfolioReturn,
+      benchmarkReturn,
+      excessReturn: portfolioReturn - benchmarkReturn,
+      periods: portfolioReturns.length
+    };
+  } catch (error) {
+    logger.error('[BENCHMARK] Error calculating benchmark statistics:', error);
+    return null;
+  }
+}
+
+export default {
+  alignBenchmark,
+  calculateRelativeStrength,
+  calculateBenchmarkStats
+};
@@ -1,5 +1,53 @@
 // Buy Score calculation module for Universe Screener
 
+/*
+ * A scoring profile describes the whole model as data:
+ *   factors:  [{ metric, weight, scorer }] core factors, each scored 0–100
+ *             and weighted; the weighted average is scaled to corePoints
+ *   context:  [{ metric, points }] yes/no toggles adding their points
+ *   tags:     [{ label, min }] first tag whose min the total reaches,
+ *             fallbackTag otherwise
+ * Profiles are kept in storage next to the universes (scoringProfiles),
+ * each universe picks one by scoringProfileId.
+ */
+
+// Metrics the core factors can score, as built by getItemMetrics
+export const BUY_SCORE_METRICS = {
+  epsGrowth: { label: 'EPS Growth (%)', type: 'number' },
+  avgVolume: { label: 'Avg Volume', type: 'number' },
+  relVolume: { label: 'Rel Volume', type: 'number' },
+  technicalFlags: { label: 'Qualified Setup', type: 'boolean' },
+  earningsDaysAway: { label: 'Earnings Days Away', type: 'number' },
+  price: { label: 'Price', type: 'number' },
+  pe: { label: 'P/E', type: 'number' },
+  marketCap: { label: 'Market Cap', type: 'number' },
+  debtEquity: { label: 'Debt/Equity', type: 'number' },
+  pb: { label: 'P/B', type: 'number' },
+  beta: { label: 'Beta', type: 'number' },
+  newsFlag: { label: 'News', type: 'boolean' }
+};
+
+export const CONTEXT_METRICS = {
+  sectorAlignment: { label: 'Sector Alignment' },
+  marketSupport: { label: 'Market Support' },
+  volatilityClear: { label: 'Volatility Clear' },
+  breadthHealthy: { label: 'Breadth Healthy' }
+};
+
+/**
+ * Scorer types, each mapping a metric value to 0–100
+ *   linear: min → 0, max → 100, straight line between (min > max scores lower values higher)
+ *   steps:  score of the first step whose upTo the value doesn't exceed, otherwise past the last
+ *   band:   inside for min ≤ value ≤ max, outside elsewhere
+ *   flag:   100 when set, 0 when not
+ */
+export const SCORER_TYPES = {
+  linear: { label: 'Linear', defaults: { min: 0, max: 100 } },
+  steps: { label: 'Steps', defaults: { steps: [{ upTo: 0, score: 0 }], otherwise: 100 } },
+  band: { label: 'Band', defaults: { min: 0, max: 1, inside: 100, outside: 0 } },
+  flag: { label: 'Yes/No', defaults: {} }
+};
+
 // Normalization helpers
 function normalize(value, min, max) {
   if (value <= min) return 0;
@@ -7,98 +55,187 @@ function normalize(value, min, max) {
   return ((value - min) / (max - min)) * 100;
 }
 
-function peScore(pe) {
-  if (pe <= 15) return 100;
-  if (pe <= 30) return 70;
-  if (pe <= 50) return 40;
-  return 0;
+export function scoreFactor(scorer, value) {
+  switch (scorer?.type) {
+    case 'linear':
+      return scorer.min <= scorer.max
+        ? normalize(value, scorer.min, scorer.max)
+        : 100 - normalize(value, scorer.max, scorer.min);
+    case 'steps': {
+      const step = [...(scorer.steps || [])].sort((a, b) => a.upTo - b.upTo).find(s => value <= s.upTo);
+      return step ? step.score : scorer.otherwise;
+    }
+    case 'band':
+      return value >= scorer.min && value <= scorer.max ? scorer.inside : scorer.outside;
+    case 'flag':
+      return value ? 100 : 0;
+    default:
+      return 0;
+  }
+}
+
+// The original hard-coded model: 70 core points, 30 context points
+export const DEFAULT_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  corePoints: 70,
+  factors: [
+    { metric: 'epsGrowth', weight: 0.15, scorer: { type: 'linear', min: 0, max: 50 } },
+    { metric: 'avgVolume', weight: 0.12, scorer: { type: 'linear', min: 500_000, max: 2_000_000 } },
+    { metric: 'relVolume', weight: 0.10, scorer: { type: 'linear', min: 1.0, max: 3.0 } },
+    { metric: 'technicalFlags', weight: 0.10, scorer: { type: 'flag' } },
+    { metric: 'earningsDaysAway', weight: 0.10, scorer: { type: 'steps', steps: [{ upTo: 5, score: 0 }], otherwise: 100 } },
+    { metric: 'price', weight: 0.08, scorer: { type: 'linear', min: 7, max: 50 } },
+    { metric: 'pe', weight: 0.08, scorer: { type: 'steps', steps: [{ upTo: 15, score: 100 }, { upTo: 30, score: 70 }, { upTo: 50, score: 40 }], otherwise: 0 } },
+    { metric: 'marketCap', weight: 0.07, scorer: { type: 'linear', min: 500_000_000, max: 50_000_000_000 } },
+    { metric: 'beta', weight: 0.05, scorer: { type: 'band', min: 1.2, max: 2.5, inside: 100, outside: 50 } },
+    { metric: 'newsFlag', weight: 0.02, scorer: { type: 'flag' } }
+  ],
+  context: [
+    { metric: 'sectorAlignment', points: 10 },
+    { metric: 'marketSupport', points: 10 },
+    { metric: 'volatilityClear', points: 5 },
+    { metric: 'breadthHealthy', points: 5 }
+  ],
+  tags: [
+    { label: 'Prime Entry', min: 90 },
+    { label: 'Almost Ready', min: 75 }
+  ],
+  fallbackTag: 'Standby'
+};
+
+/**
+ * Most points a profile can give: core points plus every context toggle
+ */
+export function getMaxScore(profile = DEFAULT_PROFILE) {
+  return profile.corePoints + (profile.context || []).reduce((sum, item) => sum + item.points, 0);
 }
 
-function betaScore(beta) {
-  return (beta >= 1.2 && beta <= 2.5) ? 100 : 50;
+// Days to the next report; a past report means none is known, so the factor is skipped
+function getEarningsDaysAway(item) {
+  const value = item.earningsDaysAway;
+  if (value === undefined || value === null || value === '') return 10;
+  return Number(value) < 0 ? null : value;
+}
+
+/**
+ * Buy Score metrics of a universe item; missing fields get neutral defaults
+ */
+export function getItemMetrics(item) {
+  return {
+    epsGrowth: item.epsGrowth || 0,
+    avgVolume: item.avgVolume || 0,
+    relVolume: item.relVolume || 1,
+    technicalFlags: (item.tradeType && item.journalVerdictType === "qualified") ? true : false,
+    earningsDaysAway: getEarningsDaysAway(item),
+    price: item.lastPrice || 0,
+    pe: item.pe || 15,
+    marketCap: item.marketCap || 500000000,
+    debtEquity: item.debtEquity || 0.25,
+    pb: item.pb || 1.1,
+    beta: item.beta || 1.5,
+    newsFlag: item.flags?.news || false,
+    sectorAlignment: item.sectorAlignment || false,
+    marketSupport: item.marketSupport || false,
+    volatilityClear: item.volatilityClear || false,
+    breadthHealthy: item.breadthHealthy || false,
+  };
 }
 
 // Main calculation function
-export function calculateBuyScore({
-  epsGrowth,
-  avgVolume,
-  relVolume,
-  technicalFlags,
-  earningsDaysAway,
-  price,
-  pe,
-  marketCap,
-  beta,
-  newsFlag,
-  // Context toggles
-  sectorAlignment,
-  marketSupport,
-  volatilityClear,
-  breadthHealthy,
-} = {}) {
-  // Core Setup Score (out of 70)
+export function calculateBuyScore(metrics = {}, profile = DEFAULT_PROFILE) {
+  // Core Setup Score: weighted average of the factors that have a value,
+  // scaled to corePoints
   let core = 0;
   let totalWeight = 0;
-  if (epsGrowth !== undefined && epsGrowth !== null && epsGrowth !== '') {
-    core += normalize(epsGrowth, 0, 50) * 0.15;
-    totalWeight += 0.15;
-  }
-  if (avgVolume !== undefined && avgVolume !== null && avgVolume !== '') {
-    core += normalize(avgVolume, 500_000, 2_000_000) * 0.12;
-    totalWeight += 0.12;
-  }
-  if (relVolume !== undefined && relVolume !== null && relVolume !== '') {
-    core += normalize(relVolume, 1.0, 3.0) * 0.10;
-    totalWeight += 0.10;
-  }
-  if (technicalFlags !== undefined && technicalFlags !== null) {
-    core += (technicalFlags ? 100 : 0) * 0.10;
-    totalWeight += 0.10;
-  }
-  if (earningsDaysAway !== undefined && earningsDaysAway !== null && earningsDaysAway !== '') {
-    core += (earningsDaysAway > 5 ? 100 : 0) * 0.10;
-    totalWeight += 0.10;
-  }
-  if (price !== undefined && price !== null && price !== '') {
-    core += normalize(price, 7, 50) * 0.08;
-    totalWeight += 0.08;
-  }
-  if (pe !== undefined && pe !== null && pe !== '') {
-    core += peScore(pe) * 0.08;
-    totalWeight += 0.08;
-  }
-  if (marketCap !== undefined && marketCap !== null && marketCap !== '') {
-    core += normalize(marketCap, 500_000_000, 50_000_000_000) * 0.07;
-    totalWeight += 0.07;
-  }
-  if (beta !== undefined && beta !== null && beta !== '') {
-    core += betaScore(beta) * 0.05;
-    totalWeight += 0.05;
-  }
-  if (newsFlag !== undefined && newsFlag !== null) {
-    core += (newsFlag ? 100 : 0) * 0.02;
-    totalWeight += 0.02;
-  }
-  // Scale core score to 70 pts, but only if totalWeight > 0
-  const coreSetupScore = totalWeight > 0 ? (core * (70 / (100 * totalWeight))) : 0;
+  const factorScores = {};
+  profile.factors.forEach(({ metric, weight, scorer }) => {
+    const value = metrics[metric];
+    if (value === undefined || value === null || value === '') return;
+    const score = scoreFactor(scorer, value);
+    factorScores[metric] = score;
+    core += score * weight;
+    totalWeight += weight;
+  });
+  const coreSetupScore = totalWeight > 0 ? (core * (profile.corePoints / (100 * totalWeight))) : 0;
 
-  // Context Score (out of 30)
+  // Context Score
   let contextScore = 0;
-  if (sectorAlignment) contextScore += 10;
-  if (marketSupport) contextScore += 10;
-  if (volatilityClear) contextScore += 5;
-  if (breadthHealthy) contextScore += 5;
+  profile.context.forEach(({ metric, points }) => {
+    if (metrics[metric]) contextScore += points;
+  });
 
   const totalBuyScore = coreSetupScore + contextScore;
 
-  let tag = "Standby";
-  if (totalBuyScore >= 90) tag = "Prime Entry";
-  else if (totalBuyScore >= 75) tag = "Almost Ready";
+  const tag = [...profile.tags].sort((a, b) => b.min - a.min).find(t => totalBuyScore >= t.min)?.label || profile.fallbackTag;
 
   return {
     coreSetupScore: Math.round(coreSetupScore * 100) / 100,
     contextScore,
     totalBuyScore: Math.round(totalBuyScore * 100) / 100,
     tag,
+    factorScores,
   };
-} 
\ No newline at end of file
+}
+
+/**
+ * Score and rank universe items under a profile, best first
+ *
+ * @returns {Array} [{ id, symbol, score, tag, rank }], rank starting at 1
+ */
+export function rankItems(items, profile = DEFAULT_PROFILE) {
+  return (items || [])
+    .map(item => {
+      const { totalBuyScore, tag } = calculateBuyScore(getItemMetrics(item), profile);
+      return { id: item.id, symbol: item.symbol, score: totalBuyScore, tag };
+    })
+    .sort((a, b) => b.score - a.score || String(a.symbol).localeCompare(String(b.symbol)))
+    .map((row, index) => ({ ...row, rank: index + 1 }));
+}
+
+/**
+ * The profile a universe uses: its own pick, else the stored or built-in default
+ */
+export function resolveProfile(profiles, profileId) {
+  return profiles?.[profileId] || profiles?.[DEFAULT_PROFILE.id] || DEFAULT_PROFILE;
+}
+
+/**
+ * Problems that would make a profile score nonsense, empty when it's usable
+ */
+export function validateProfile(profile) {
+  const errors = [];
+  if (!profile.name?.trim()) errors.push('Profile needs a name');
+  if (!(profile.corePoints >= 0)) errors.push('Core points must be 0 or more');
+  if (profile.factors.length === 0) errors.push('Add at least one factor');
+  profile.factors.forEach(({ metric, weight, scorer }) => {
+    const label = BUY_SCORE_METRICS[metric]?.label || metric;
+    if (!(weight > 0)) errors.push(`${label}: weight must be above 0`);
+    if ((scorer.type === 'linear' || scorer.type === 'band') && scorer.min === scorer.max) {
+      errors.push(`${label}: min and max must differ`);
+    }
+    if (scorer.type === 'steps' && (scorer.steps || []).length === 0) errors.push(`${label}: add at least one step`);
+  });
+  const values = [
+    ...profile.factors.flatMap(({ scorer }) => Object.values(scorer).filter(v => typeof v !== 'string')),
+    ...profile.factors.flatMap(({ scorer }) => (scorer.steps || []).flatMap(s => [s.upTo, s.score])),
+    ...profile.context.map(item => item.points),
+    ...profile.tags.map(t => t.min)
+  ].filter(v => !Array.isArray(v));
+  if (values.some(v => !Number.isFinite(v))) errors.push('Every number must be filled in');
+  return errors;
+}
+
+export default {
+  BUY_SCORE_METRICS,
+  CONTEXT_METRICS,
+  SCORER_TYPES,
+  DEFAULT_PROFILE,
+  scoreFactor,
+  getMaxScore,
+  getItemMetrics,
+  calculateBuyScore,
+  rankItems,
+  resolveProfile,
+  validateProfile
+};
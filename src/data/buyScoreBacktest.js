@@ -0,0 +1,222 @@
+import { logger } from '../utils/logger';
+import { calculateBuyScore, getMaxScore, DEFAULT_PROFILE } from './buyScore';
+import { relativeVolume } from './indicators';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Forward return horizons, in trading days (daily bars)
+export const HORIZONS = [1, 5, 20];
+
+// Equal-width score buckets between 0 and the profile's max score
+const BUCKET_COUNT = 5;
+
+// Tickers a date needs before its rank correlation counts
+const MIN_IC_OBSERVATIONS = 3;
+
+// Index of the last bar at or before time, -1 when all bars are later
+function barIndexAt(bars, time) {
+  let lo = 0;
+  let hi = bars.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (bars[mid].time <= time) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Return from the last close at or before time to the close `horizon` bars later
+ * @returns {number|null} Fraction (0.05 = +5%), null without enough bars
+ */
+export function forwardReturn(bars, time, horizon) {
+  const entry = barIndexAt(bars, time);
+  if (entry < 0 || entry + horizon >= bars.length) return null;
+  return bars[entry + horizon].close / bars[entry].close - 1;
+}
+
+/**
+ * Rebuild past snapshots from daily candles
+ *
+ * Only price, average volume and relative volume are known as they were on
+ * each date. Every other metric (fundamentals, earnings, journal flags) has
+ * no stored history and is left out rather than leaking today's value into
+ * the past; the scorer skips missing factors, so these snapshots are
+ * marked `partial`. Dates are every `stepDays` bars of the longest series.
+ *
+ * @param {Array} items - Universe items
+ * @param {Object} barsBySymbol - { [symbol]: oldest-first daily candles }
+ * @param {Object} options - { stepDays, lookbackDays }
+ * @returns {Array} Snapshots with source 'reconstructed' and partial: true, oldest first
+ */
+export function reconstructSnapshots(items, barsBySymbol, { stepDays = 5, lookbackDays = 365 } = {}) {
+  const series = {};
+  (items || []).forEach(item => {
+    const symbol = item?.symbol?.toUpperCase();
+    const bars = barsBySymbol[symbol] || [];
+    if (bars.length === 0) return;
+    const relVolume = relativeVolume(bars, 20, 1);
+    const avgVolume = bars.map((_, i) => {
+      const window = bars.slice(Math.max(0, i - 20), i).filter(bar => bar.volume !== null);
+      return window.length === 20 ? window.reduce((sum, bar) => sum + bar.volume, 0) / 20 : null;
+    });
+    series[symbol] = { bars, relVolume, avgVolume };
+  });
+
+  const calendar = Object.values(series).reduce((longest, s) => (s.bars.length > longest.length ? s.bars : longest), []);
+  if (calendar.length === 0) return [];
+  const start = calendar[calendar.length - 1].time - lookbackDays * DAY_MS;
+
+  const snapshots = [];
+  for (let i = calendar.length - 1; i >= 0 && calendar[i].time >= start; i -= stepDays) {
+    const time = calendar[i].time;
+    const rows = [];
+    Object.entries(series).forEach(([symbol, { bars, relVolume, avgVolume }]) => {
+      const index = barIndexAt(bars, time);
+      if (index < 0 || time - bars[index].time > 7 * DAY_MS) return;
+      const metrics = {
+        price: bars[index].close,
+        ...(avgVolume[index] !== null && { avgVolume: avgVolume[index] }),
+        ...(relVolume[index] !== null && { relVolume: relVolume[index] })
+      };
+      rows.push({ symbol, price: metrics.price, metrics });
+    });
+    if (rows.length > 0) {
+      snapshots.push({ at: new Date(time).toISOString(), source: 'reconstructed', profileId: null, partial: true, rows });
+    }
+  }
+  return snapshots.reverse();
+}
+
+// Average ranks, ties sharing the mean of their positions
+function ranks(values) {
+  const order = values.map((value, i) => [value, i]).sort((a, b) => a[0] - b[0]);
+  const result = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) result[order[k][1]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return result;
+}
+
+/**
+ * Spearman rank correlation, null when either side has no spread
+ */
+export function spearman(xs, ys) {
+  if (xs.length < 2) return null;
+  const rx = ranks(xs);
+  const ry = ranks(ys);
+  const mean = (rx.length + 1) / 2;
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  rx.forEach((r, i) => {
+    cov += (r - mean) * (ry[i] - mean);
+    vx += (r - mean) ** 2;
+    vy += (ry[i] - mean) ** 2;
+  });
+  return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : null;
+}
+
+function summarize(returns) {
+  if (returns.length === 0) return { count: 0, hitRate: null, avgReturn: null };
+  return {
+    count: returns.length,
+    hitRate: returns.filter(r => r > 0).length / returns.length,
+    avgReturn: returns.reduce((sum, r) => sum + r, 0) / returns.length
+  };
+}
+
+/**
+ * Forward returns of past scores, grouped by score bucket and tag
+ *
+ * Every snapshot row is re-scored under `profile`, so the report is for the
+ * profile in use, whichever profile the snapshot was taken with.
+ *
+ * @param {Array} snapshots - From the universe history (see universeHistory) or reconstructSnapshots
+ * @param {Object} barsBySymbol - { [symbol]: oldest-first daily candles }
+ * @param {Object} profile - Scoring profile
+ * @returns {Object} {
+ *   observations, dates, partial (some snapshots lack most metrics),
+ *   horizons: { [h]: { count, hitRate, avgReturn, ic, icDates } },
+ *   buckets: [{ label, min, max, horizons: { [h]: { count, hitRate, avgReturn } } }],
+ *   tags: [{ label, horizons }]
+ * } Returns are fractions; ic is the mean per-date Spearman correlation
+ * between score and forward return
+ */
+export function runBacktest(snapshots, barsBySymbol, profile = DEFAULT_PROFILE, horizons = HORIZONS) {
+  const observations = [];
+  (snapshots || []).forEach(snapshot => {
+    const time = new Date(snapshot.at).getTime();
+    snapshot.rows.forEach(row => {
+      const bars = barsBySymbol[row.symbol];
+      if (!bars || bars.length === 0) return;
+      const { totalBuyScore, tag } = calculateBuyScore(row.metrics, profile);
+      const returns = {};
+      horizons.forEach(h => {
+        returns[h] = forwardReturn(bars, time, h);
+      });
+      observations.push({ at: snapshot.at, symbol: row.symbol, score: totalBuyScore, tag, returns });
+    });
+  });
+
+  const maxScore = getMaxScore(profile);
+  const width = maxScore / BUCKET_COUNT;
+  const bucketOf = (score) => Math.min(BUCKET_COUNT - 1, Math.max(0, Math.floor(score / width)));
+  const group = (rows) => Object.fromEntries(horizons.map(h => [
+    h,
+    summarize(rows.map(o => o.returns[h]).filter(r => r !== null))
+  ]));
+
+  const byDate = new Map();
+  observations.forEach(o => {
+    if (!byDate.has(o.at)) byDate.set(o.at, []);
+    byDate.get(o.at).push(o);
+  });
+
+  const overall = group(observations);
+  horizons.forEach(h => {
+    const ics = [];
+    byDate.forEach(rows => {
+      const usable = rows.filter(o => o.returns[h] !== null);
+      if (usable.length < MIN_IC_OBSERVATIONS) return;
+      const ic = spearman(usable.map(o => o.score), usable.map(o => o.returns[h]));
+      if (ic !== null) ics.push(ic);
+    });
+    overall[h].ic = ics.length > 0 ? ics.reduce((sum, ic) => sum + ic, 0) / ics.length : null;
+    overall[h].icDates = ics.length;
+  });
+
+  const buckets = Array.from({ length: BUCKET_COUNT }, (_, i) => {
+    const rows = observations.filter(o => bucketOf(o.score) === i);
+    return { label: `${Math.round(i * width)}–${Math.round((i + 1) * width)}`, min: i * width, max: (i + 1) * width, horizons: group(rows) };
+  });
+
+  const tagLabels = [...[...profile.tags].sort((a, b) => b.min - a.min).map(t => t.label), profile.fallbackTag];
+  const tags = tagLabels.map(label => ({ label, horizons: group(observations.filter(o => o.tag === label)) }));
+
+  logger.debug(`[BACKTEST] ${observations.length} observations over ${byDate.size} dates`);
+  return {
+    observations: observations.length,
+    dates: byDate.size,
+    partial: (snapshots || []).some(snapshot => snapshot.partial),
+    horizons: overall,
+    buckets,
+    tags
+  };
+}
+
+export default {
+  HORIZONS,
+  forwardReturn,
+  reconstructSnapshots,
+  spearman,
+  runBacktest
+};
@@ -0,0 +1,163 @@
+import { logger } from '../utils/logger';
+import { sortSeries } from './positionNavCalculator';
+import { getTradingDate } from './riskAnalytics';
+
+// Pairs sharing fewer daily returns than this get no correlation
+export const MIN_OVERLAP = 5;
+
+// Daily returns keyed by date, from the last price of each day
+function toDailyReturns(historicalData) {
+  const closes = new Map();
+  sortSeries(historicalData).forEach(point => {
+    const date = getTradingDate(point.time);
+    if (date) closes.set(date, point.price);
+  });
+
+  const returns = new Map();
+  let previous = null;
+  closes.forEach((price, date) => {
+    if (previous !== null) returns.set(date, price / previous - 1);
+    previous = price;
+  });
+  return returns;
+}
+
+// Correlation and covariance over the dates both series have a return for
+function pairStats(a, b) {
+  const x = [];
+  const y = [];
+  a.forEach((value, date) => {
+    if (b.has(date)) {
+      x.push(value);
+      y.push(b.get(date));
+    }
+  });
+
+  const overlap = x.length;
+  if (overlap < MIN_OVERLAP) return { correlation: null, covariance: null, overlap };
+
+  const meanX = x.reduce((sum, value) => sum + value, 0) / overlap;
+  const meanY = y.reduce((sum, value) => sum + value, 0) / overlap;
+  let cov = 0;
+  let varX = 0;
+  let varY = 0;
+  for (let i = 0; i < overlap; i++) {
+    cov += (x[i] - meanX) * (y[i] - meanY);
+    varX += (x[i] - meanX) ** 2;
+    varY += (y[i] - meanY) ** 2;
+  }
+
+  return {
+    correlation: varX > 0 && varY > 0 ? cov / Math.sqrt(varX * varY) : null,
+    covariance: cov / (overlap - 1),
+    overlap
+  };
+}
+
+/**
+ * Pairwise correlation and covariance of the tickers' daily returns
+ *
+ * Each pair uses the dates both tickers have a return for, so tickers
+ * added at different times are still compared over their shared history.
+ * Repeated symbols are counted once.
+ *
+ * @param {Array} items - Watchlist items with historicalData in any order
+ * @returns {Object} { symbols, correlation, covariance, overlap } with n×n
+ *   matrices; covariance is per day, null where a pair shares too few days
+ */
+export function calculateCorrelationMatrix(items) {
+  const seen = new Set();
+  const series = [];
+  (items || []).forEach(item => {
+    if (!item?.symbol || seen.has(item.symbol)) return;
+    seen.add(item.symbol);
+    series.push({ symbol: item.symbol, returns: toDailyReturns(item.historicalData) });
+  });
+
+  const n = series.length;
+  const correlation = Array.from({ length: n }, () => new Array(n).fill(null));
+  const covariance = Array.from({ length: n }, () => new Array(n).fill(null));
+  const overlap = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  try {
+    for (let i = 0; i < n; i++) {
+      for (let j = i; j < n; j++) {
+        const stats = pairStats(series[i].returns, series[j].returns);
+        correlation[i][j] = correlation[j][i] = i === j && stats.correlation !== null ? 1 : stats.correlation;
+        covariance[i][j] = covariance[j][i] = stats.covariance;
+        overlap[i][j] = overlap[j][i] = stats.overlap;
+      }
+    }
+  } catch (error) {
+    logger.error('[CORRELATION] Error calculating correlation matrix:', error);
+  }
+
+  return { symbols: series.map(s => s.symbol), correlation, covariance, overlap };
+}
+
+/**
+ * Leaf order of an average-linkage hierarchical clustering on 1 − correlation
+ *
+ * Tickers that move together end up next to each other, so correlated
+ * groups show as blocks along the heatmap's diagonal. Unknown correlations
+ * count as 0.
+ *
+ * @param {Array} correlation - n×n correlation matrix
+ * @returns {Array} Row indices in display order
+ */
+export function getClusterOrder(correlation) {
+  const n = correlation.length;
+  const distance = (i, j) => 1 - (correlation[i][j] ?? 0);
+
+  let clusters = Array.from({ length: n }, (_, i) => ({ members: [i], order: [i] }));
+  const linkage = (a, b) => {
+    let total = 0;
+    a.members.forEach(i => b.members.forEach(j => { total += distance(i, j); }));
+    return total / (a.members.length * b.members.length);
+  };
+
+  while (clusters.length > 1) {
+    let best = { distance: Infinity, a: 0, b: 1 };
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        const d = linkage(clusters[a], clusters[b]);
+        if (d < best.distance) best = { distance: d, a, b };
+      }
+    }
+
+    const merged = {
+      members: [...clusters[best.a].members, ...clusters[best.b].members],
+      order: [...clusters[best.a].order, ...clusters[best.b].order]
+    };
+    clusters = clusters.filter((_, index) => index !== best.a && index !== best.b);
+    clusters.push(merged);
+  }
+
+  return clusters[0]?.order || [];
+}
+
+/**
+ * Most correlated distinct pairs, highest first
+ *
+ * @param {Object} matrix - Result of calculateCorrelationMatrix
+ * @param {number} limit - Number of pairs to return
+ * @returns {Array} [{ a, b, correlation, overlap }]
+ */
+export function findCorrelatedPairs(matrix, limit = 10) {
+  const pairs = [];
+  const { symbols, correlation, overlap } = matrix;
+  for (let i = 0; i < symbols.length; i++) {
+    for (let j = i + 1; j < symbols.length; j++) {
+      if (correlation[i][j] !== null) {
+        pairs.push({ a: symbols[i], b: symbols[j], correlation: correlation[i][j], overlap: overlap[i][j] });
+      }
+    }
+  }
+  return pairs.sort((x, y) => y.correlation - x.correlation).slice(0, limit);
+}
+
+export default {
+  calculateCorrelationMatrix,
+  getClusterOrder,
+  findCorrelatedPairs
+};
@@ -1,4 +1,4 @@
-import { fetchQuote } from '@data/finhubAdapter';
+import { fetchQuote } from '@data/marketDataAdapter';
 import { fetchThreeYearHistoricalData, validateFiveMinuteSpacing } from '@data/historicalDataFetcher';
 import { normalizeSymbol } from '@data/tickerUtils';
 import normalizeTicker from '@data/normalizeTicker';
@@ -41,8 +41,7 @@ export async function createTicker(symbol, type = 'real', customBuyPrice = null,
     
     try {
       // Fetch current price from quote endpoint to get the most recent available price
-      const { fetchQuote } = await import('@data/twelvedataAdapter');
-      const quoteData = await fetchQuote(symbol);
+      const quoteData = await fetchQuote(symbol, '1min', { priority: 'manual' });
       
       if (quoteData && quoteData.buyPrice) {
         currentPrice = quoteData.buyPrice;
@@ -65,6 +64,7 @@ export async function createTicker(symbol, type = 'real', customBuyPrice = null,
         ? customBuyDate
         : currentTimestamp,
       historicalData: historicalData, // Full 3-year dataset
+      historicalInterval: '5min',
       currentPrice: currentPrice,
       addedAt: addedAt,
       type: 'real'
@@ -1,4 +1,4 @@
-import { fetchQuote, fetchBatchQuotes } from '@data/twelvedataAdapter';
+import { fetchQuote, fetchBatchQuotes } from '@data/marketDataAdapter';
 import normalizeTicker from '@data/normalizeTicker';
 import { logger } from '../utils/logger';
 
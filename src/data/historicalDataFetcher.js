@@ -1,15 +1,11 @@
-import axios from 'axios';
+import { fetchHistoricalData } from './marketDataAdapter';
+import { pickBarFields } from './ohlcv';
 import { logger } from '../utils/logger';
 
-// Twelve Data API server endpoint
-const TWELVE_DATA_API_BASE = process.env.NODE_ENV === 'production' 
-  ? '/api'
-  : '/api';
-
 /**
  * Fetch 3 years of historical data at 5-minute intervals for trading hours only
  * @param {string} symbol - Stock symbol
- * @returns {Promise<Array>} Array of {timestamp, price} objects
+ * @returns {Promise<Array>} Array of {timestamp, price, open, high, low, volume} objects
  */
 export async function fetchThreeYearHistoricalData(symbol) {
   try {
@@ -24,14 +20,11 @@ export async function fetchThreeYearHistoricalData(symbol) {
     const startDate = threeYearsAgo.toISOString().split('T')[0];
     const endDate = now.toISOString().split('T')[0];
     
-    const url = `${TWELVE_DATA_API_BASE}/twelvedata-historical?symbol=${symbol}&start_date=${startDate}&end_date=${endDate}&interval=5min&outputsize=5000`;
-    
     logger.log(`📡 Requesting historical data: ${symbol} from ${startDate} to ${endDate} (5min intervals)`);
     
-    const response = await axios.get(url);
-    const data = response.data;
+    const data = await fetchHistoricalData(symbol, startDate, endDate, '5min', 5000);
     
-    if (!data || data.status !== 'ok' || !data.historicalData) {
+    if (!data || !data.historicalData) {
       logger.warn(`❗ No historical data received for ${symbol}:`, data);
       return [];
     }
@@ -41,8 +34,9 @@ export async function fetchThreeYearHistoricalData(symbol) {
     // Temporarily disable trading hours filter for debugging
     const tradingHoursData = data.historicalData.map(point => ({
       timestamp: point.timestamp,
-      price: parseFloat(point.close || point.price),
-      symbol: point.symbol
+      price: parseFloat(point.price),
+      symbol: point.symbol,
+      ...pickBarFields(point)
     }));
     
     logger.log(`📊 Processed ${tradingHoursData.length} datapoints for ${symbol} (trading hours filter disabled)`);
@@ -84,7 +78,8 @@ function filterTradingHoursOnly(historicalData) {
         tradingHoursData.push({
           timestamp: point.timestamp,
           price: parseFloat(point.close || point.price),
-          symbol: point.symbol
+          symbol: point.symbol,
+          ...pickBarFields(point)
         });
       }
     }
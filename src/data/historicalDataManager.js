@@ -1,5 +1,7 @@
 import { findClosestFiveMinutePoint, validateFiveMinuteSpacing } from './historicalDataFetcher';
+import symbolPriceCache from './symbolPriceCache';
 import { logger } from '../utils/logger';
+import { storage } from '../utils/storage';
 
 class HistoricalDataManager {
   constructor() {
@@ -10,8 +12,7 @@ class HistoricalDataManager {
   // Save a watchlist datapoint (created after all tickers updated)
   saveWatchlistDatapoint(slug, datapoint) {
     try {
-      const key = `burnlist_chart_data_${slug}`;
-      let chartData = JSON.parse(localStorage.getItem(key) || '[]');
+      let chartData = storage.getChartData(slug);
       
       // Add new datapoint
       chartData.push({
@@ -26,7 +27,7 @@ class HistoricalDataManager {
         chartData = chartData.slice(-1000);
       }
       
-      localStorage.setItem(key, JSON.stringify(chartData));
+      storage.setChartData(slug, chartData);
       console.log(`📊 Saved watchlist datapoint for ${slug}: ${datapoint.averageReturn.toFixed(2)}% (${datapoint.tickerCount} tickers)`);
       
       return true;
@@ -39,8 +40,7 @@ class HistoricalDataManager {
   // Get chart data for a watchlist
   getWatchlistChartData(slug, limit = 1000) {
     try {
-      const key = `burnlist_chart_data_${slug}`;
-      const chartData = JSON.parse(localStorage.getItem(key) || '[]');
+      const chartData = storage.getChartData(slug);
       return chartData.slice(-limit);
     } catch (error) {
       console.error(`❌ Error getting chart data for ${slug}:`, error);
@@ -83,65 +83,16 @@ class HistoricalDataManager {
   }
 
   // Update historical data for a ticker across all watchlists with 5-minute alignment
+  // (merged once into the shared series by symbolPriceCache)
   updateTickerHistoricalData(symbol, newDatapoint) {
     try {
-      const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
-      let updated = false;
+      const applied = symbolPriceCache.ingest([{ ...newDatapoint, symbol }], 'historical');
       
-      Object.values(watchlists).forEach(watchlist => {
-        if (watchlist.items) {
-          const ticker = watchlist.items.find(item => item.symbol === symbol);
-          if (ticker) {
-            // Ensure historicalData exists
-            if (!ticker.historicalData) {
-              ticker.historicalData = [];
-            }
-            
-            // Check if this timestamp already exists (within 5-minute tolerance)
-            const existingIndex = ticker.historicalData.findIndex(point => {
-              const pointTime = new Date(point.timestamp).getTime();
-              const newTime = new Date(newDatapoint.timestamp).getTime();
-              const diffMinutes = Math.abs(pointTime - newTime) / (1000 * 60);
-              return diffMinutes < 5; // 5-minute tolerance
-            });
-            
-            if (existingIndex === -1) {
-              // Add new datapoint
-              ticker.historicalData.push(newDatapoint);
-              
-              // Sort by timestamp to maintain chronological order
-              ticker.historicalData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-              
-              // Validate 5-minute spacing
-              if (!validateFiveMinuteSpacing(ticker.historicalData)) {
-                logger.warn(`⚠️ Irregular 5-minute spacing detected for ${symbol} after update`);
-              }
-              
-              // Keep only last maxDataPoints (10,000 for 3-year dataset)
-              if (ticker.historicalData.length > this.maxDataPoints) {
-                ticker.historicalData = ticker.historicalData.slice(-this.maxDataPoints);
-              }
-              
-              // Update current price for return calculations
-              ticker.currentPrice = newDatapoint.price;
-              
-              updated = true;
-            } else {
-              // Update existing point with newer data
-              ticker.historicalData[existingIndex] = newDatapoint;
-              ticker.currentPrice = newDatapoint.price;
-              updated = true;
-            }
-          }
-        }
-      });
-      
-      if (updated) {
-        localStorage.setItem('burnlist_watchlists', JSON.stringify(watchlists));
+      if (applied.size > 0) {
         console.log(`💾 Updated historical data for ${symbol} across all watchlists (5-minute aligned)`);
       }
       
-      return updated;
+      return applied.size > 0;
     } catch (error) {
       console.error(`❌ Error updating historical data for ${symbol}:`, error);
       return false;
@@ -162,7 +113,7 @@ class HistoricalDataManager {
   // Get historical data for a specific ticker
   getHistoricalData(symbol, limit = 10000) {
     try {
-      const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
+      const watchlists = storage.getWatchlists();
       
       for (const watchlist of Object.values(watchlists)) {
         if (watchlist.items) {
@@ -222,7 +173,7 @@ class HistoricalDataManager {
   // Clean up old historical data (3-year retention)
   cleanupOldData() {
     try {
-      const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
+      const watchlists = storage.getWatchlists();
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - this.cleanupDays);
       
@@ -247,7 +198,7 @@ class HistoricalDataManager {
       });
       
       if (cleanedCount > 0) {
-        localStorage.setItem('burnlist_watchlists', JSON.stringify(watchlists));
+        storage.setWatchlists(watchlists);
         console.log(`🧹 Cleaned up ${cleanedCount} old datapoints (3-year retention)`);
       }
       
@@ -261,7 +212,7 @@ class HistoricalDataManager {
   // Get statistics about historical data
   getHistoricalDataStats() {
     try {
-      const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
+      const watchlists = storage.getWatchlists();
       const stats = {
         totalTickers: 0,
         tickersWithHistoricalData: 0,
@@ -320,7 +271,7 @@ class HistoricalDataManager {
   // Export historical data for backup
   exportHistoricalData() {
     try {
-      const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
+      const watchlists = storage.getWatchlists();
       const exportData = {
         timestamp: new Date().toISOString(),
         watchlists: {},
@@ -0,0 +1,277 @@
+import { logger } from '../utils/logger';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// Bars back a MACD crossover still counts as fresh
+const CROSS_LOOKBACK = 3;
+
+/*
+ * Series functions return arrays aligned with their input, with null until
+ * enough bars have passed. Bars are oldest-first candles from ohlcv.toBars.
+ */
+
+const last = (series) => (series.length > 0 ? series[series.length - 1] : null);
+
+/**
+ * Simple moving average
+ */
+export function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  values.forEach((value, i) => {
+    sum += value;
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  });
+  return result;
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first period values.
+ * Leading nulls (e.g. a MACD line) are skipped.
+ */
+export function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex(value => value !== null);
+  if (start < 0 || values.length - start < period) return result;
+
+  const k = 2 / (period + 1);
+  let average = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+  result[start + period - 1] = average;
+  for (let i = start + period; i < values.length; i++) {
+    average = values[i] * k + average * (1 - k);
+    result[i] = average;
+  }
+  return result;
+}
+
+/**
+ * Relative Strength Index with Wilder's smoothing, 0–100
+ */
+export function rsi(values, period = 14) {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) return result;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    gain += Math.max(change, 0);
+    loss += Math.max(-change, 0);
+  }
+  gain /= period;
+  loss /= period;
+
+  const toRsi = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  result[period] = toRsi();
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRsi();
+  }
+  return result;
+}
+
+/**
+ * MACD line (fast EMA − slow EMA), its signal EMA and the histogram between them
+ */
+export function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) => (fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null));
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((value, i) => (value !== null && signal[i] !== null ? value - signal[i] : null));
+  return { macd: line, signal, histogram };
+}
+
+/**
+ * Average True Range with Wilder's smoothing
+ */
+export function atr(bars, period = 14) {
+  const result = new Array(bars.length).fill(null);
+  if (bars.length <= period) return result;
+
+  const trueRange = (i) => {
+    const previousClose = bars[i - 1].close;
+    return Math.max(bars[i].high - bars[i].low, Math.abs(bars[i].high - previousClose), Math.abs(bars[i].low - previousClose));
+  };
+
+  let average = 0;
+  for (let i = 1; i <= period; i++) average += trueRange(i);
+  average /= period;
+  result[period] = average;
+  for (let i = period + 1; i < bars.length; i++) {
+    average = (average * (period - 1) + trueRange(i)) / period;
+    result[i] = average;
+  }
+  return result;
+}
+
+/**
+ * Bollinger Bands: SMA ± k population standard deviations
+ */
+export function bollinger(values, period = 20, k = 2) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  middle.forEach((mean, i) => {
+    if (mean === null) return;
+    const window = values.slice(i - period + 1, i + 1);
+    const deviation = Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+    upper[i] = mean + k * deviation;
+    lower[i] = mean - k * deviation;
+  });
+  return { upper, middle, lower };
+}
+
+/**
+ * Volume of each bar (or the average of the last `span` bars) over the
+ * average volume of the `period` bars before them
+ */
+export function relativeVolume(bars, period = 20, span = 1) {
+  const result = new Array(bars.length).fill(null);
+  for (let i = period + span - 1; i < bars.length; i++) {
+    const recent = bars.slice(i - span + 1, i + 1);
+    const base = bars.slice(i - span + 1 - period, i - span + 1);
+    if ([...recent, ...base].some(bar => bar.volume === null)) continue;
+    const baseAverage = base.reduce((sum, bar) => sum + bar.volume, 0) / period;
+    const recentAverage = recent.reduce((sum, bar) => sum + bar.volume, 0) / span;
+    if (baseAverage > 0) result[i] = recentAverage / baseAverage;
+  }
+  return result;
+}
+
+/**
+ * Session VWAP from intraday bars, restarting at each UTC date
+ * (typical price (H + L + C) / 3 weighted by volume)
+ */
+export function vwap(bars) {
+  const result = new Array(bars.length).fill(null);
+  let day = null;
+  let priceVolume = 0;
+  let volume = 0;
+  bars.forEach((bar, i) => {
+    const barDay = Math.floor(bar.time / DAY_MS);
+    if (barDay !== day) {
+      day = barDay;
+      priceVolume = 0;
+      volume = 0;
+    }
+    if (bar.volume > 0) {
+      priceVolume += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+      volume += bar.volume;
+    }
+    result[i] = volume > 0 ? priceVolume / volume : null;
+  });
+  return result;
+}
+
+/**
+ * Highest high and lowest low over the year to the last bar, and how far
+ * the last close sits from each
+ *
+ * @returns {Object} { high, low, fromHigh, fromLow }, distances in percent
+ *   (fromHigh ≤ 0, fromLow ≥ 0); nulls without bars
+ */
+export function yearRange(bars) {
+  const lastBar = last(bars);
+  if (!lastBar) return { high: null, low: null, fromHigh: null, fromLow: null };
+
+  const year = bars.filter(bar => bar.time > lastBar.time - YEAR_MS);
+  const high = Math.max(...year.map(bar => bar.high));
+  const low = Math.min(...year.map(bar => bar.low));
+  return {
+    high,
+    low,
+    fromHigh: (lastBar.close / high - 1) * 100,
+    fromLow: (lastBar.close / low - 1) * 100
+  };
+}
+
+/**
+ * Latest value of every indicator for one symbol
+ *
+ * Everything but VWAP comes from daily candles. VWAP needs intraday
+ * candles and is null without them, as are indicators the history is too
+ * short for. Other modules (checklists, Buy Score) read this flat shape.
+ *
+ * @param {Object} series - { daily: bars, intraday?: bars }
+ * @returns {Object|null} { time, close, sma20, sma50, ema20, rsi14, macd, macdSignal,
+ *   macdHistogram, macdCross: 'bullish' | 'bearish' | null, atr14, atrPercent,
+ *   bollingerUpper, bollingerMiddle, bollingerLower, percentB, volume, avgVolume20,
+ *   relativeVolume, relativeVolume3, high52w, low52w, fromHigh52w, fromLow52w, vwap },
+ *   null without daily bars
+ */
+export function calculateIndicators({ daily = [], intraday = [] } = {}) {
+  if (daily.length === 0) return null;
+
+  try {
+    const closes = daily.map(bar => bar.close);
+    const lastBar = last(daily);
+    const macdSeries = macd(closes);
+    const bands = bollinger(closes);
+    const range = yearRange(daily);
+    const atr14 = last(atr(daily));
+    const volumes = daily.slice(-21, -1).filter(bar => bar.volume !== null);
+
+    // A crossover in the last few bars: the histogram changed sign
+    const histogram = macdSeries.histogram.slice(-(CROSS_LOOKBACK + 1)).filter(value => value !== null);
+    let macdCross = null;
+    for (let i = 1; i < histogram.length; i++) {
+      if (histogram[i - 1] <= 0 && histogram[i] > 0) macdCross = 'bullish';
+      if (histogram[i - 1] >= 0 && histogram[i] < 0) macdCross = 'bearish';
+    }
+
+    const upper = last(bands.upper);
+    const lower = last(bands.lower);
+    const lastSession = intraday.length > 0
+      ? intraday.filter(bar => Math.floor(bar.time / DAY_MS) === Math.floor(last(intraday).time / DAY_MS))
+      : [];
+
+    return {
+      time: lastBar.time,
+      close: lastBar.close,
+      sma20: last(sma(closes, 20)),
+      sma50: last(sma(closes, 50)),
+      ema20: last(ema(closes, 20)),
+      rsi14: last(rsi(closes, 14)),
+      macd: last(macdSeries.macd),
+      macdSignal: last(macdSeries.signal),
+      macdHistogram: last(macdSeries.histogram),
+      macdCross,
+      atr14,
+      atrPercent: atr14 !== null ? (atr14 / lastBar.close) * 100 : null,
+      bollingerUpper: upper,
+      bollingerMiddle: last(bands.middle),
+      bollingerLower: lower,
+      percentB: upper !== null && upper > lower ? (lastBar.close - lower) / (upper - lower) : null,
+      volume: lastBar.volume,
+      avgVolume20: volumes.length === 20 ? volumes.reduce((sum, bar) => sum + bar.volume, 0) / 20 : null,
+      relativeVolume: last(relativeVolume(daily, 20, 1)),
+      relativeVolume3: last(relativeVolume(daily, 20, 3)),
+      high52w: range.high,
+      low52w: range.low,
+      fromHigh52w: range.fromHigh,
+      fromLow52w: range.fromLow,
+      vwap: lastSession.length > 0 ? last(vwap(lastSession)) : null
+    };
+  } catch (error) {
+    logger.error('[INDICATORS] Error calculating indicators:', error);
+    return null;
+  }
+}
+
+export default {
+  sma,
+  ema,
+  rsi,
+  macd,
+  atr,
+  bollinger,
+  relativeVolume,
+  vwap,
+  yearRange,
+  calculateIndicators
+};
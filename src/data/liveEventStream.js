@@ -0,0 +1,121 @@
+import { logger } from '../utils/logger';
+
+const EVENTS_API = '/api/events';
+const EVENT_TYPES = ['prices', 'nav', 'cycle'];
+
+/**
+ * Client for the server push channel (/api/events, Server-Sent Events)
+ *
+ * One EventSource per tab, shared by every subscriber. EventSource
+ * reconnects on its own and resumes from the last event id; while it is
+ * down `isConnected` is false and callers fall back to polling.
+ */
+class LiveEventStream {
+  constructor() {
+    this.source = null;
+    this.clientId = null;
+    this.isConnected = false;
+    this.listeners = new Map(); // event type -> Set(callback)
+    this.connectionListeners = new Set();
+  }
+
+  isSupported() {
+    return typeof EventSource !== 'undefined';
+  }
+
+  connect() {
+    if (this.source || !this.isSupported()) return;
+
+    this.source = new EventSource(EVENTS_API);
+
+    this.source.addEventListener('hello', event => {
+      this.clientId = JSON.parse(event.data).clientId;
+      this.setConnected(true);
+      logger.info(`📡 Live event stream connected (client ${this.clientId})`);
+    });
+
+    this.source.onerror = () => {
+      if (this.isConnected) {
+        logger.warn('📡 Live event stream lost, polling until it reconnects');
+      }
+      this.setConnected(false);
+    };
+
+    EVENT_TYPES.forEach(type => {
+      this.source.addEventListener(type, event => {
+        let payload;
+        try {
+          payload = JSON.parse(event.data);
+        } catch (error) {
+          logger.warn(`📡 Ignoring malformed ${type} event`);
+          return;
+        }
+        this.dispatch(type, payload);
+      });
+    });
+  }
+
+  disconnect() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    this.setConnected(false);
+  }
+
+  setConnected(connected) {
+    if (this.isConnected === connected) return;
+    this.isConnected = connected;
+    this.connectionListeners.forEach(callback => callback(connected));
+  }
+
+  /**
+   * Listen to pushed events of one type ('prices', 'nav', 'cycle')
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(type, callback) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(callback);
+    this.connect();
+    return () => this.listeners.get(type)?.delete(callback);
+  }
+
+  /**
+   * Be told when the stream connects or drops
+   * @returns {Function} Unsubscribe
+   */
+  onConnectionChange(callback) {
+    this.connectionListeners.add(callback);
+    return () => this.connectionListeners.delete(callback);
+  }
+
+  dispatch(type, payload) {
+    (this.listeners.get(type) || []).forEach(callback => {
+      try {
+        callback(payload);
+      } catch (error) {
+        logger.error(`❌ Live ${type} event handler failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Relay a NAV calculated in this tab to the other tabs and devices.
+   * Best effort: nothing is sent while the stream is down.
+   */
+  publishNav(slug, navData, source) {
+    if (!this.isConnected) return;
+
+    fetch(`${EVENTS_API}/nav`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Client-Id': this.clientId },
+      body: JSON.stringify({ slug, navData, source })
+    }).catch(error => logger.debug('📡 NAV relay failed:', error.message));
+  }
+}
+
+const liveEventStream = new LiveEventStream();
+
+export default liveEventStream;
@@ -1,5 +1,5 @@
 import { findClosestFiveMinutePoint, validateFiveMinuteSpacing } from './historicalDataFetcher';
-import historicalDataManager from './historicalDataManager';
+import symbolPriceCache from './symbolPriceCache';
 import { logger } from '../utils/logger';
 
 /**
@@ -71,55 +71,58 @@ class LivePriceUpdater {
 
   /**
    * Process all queued price updates
+   * Fresh updates are merged into symbolPriceCache in one pass, so every
+   * watchlist holding a symbol is updated with a single save.
    */
   async processPriceUpdates() {
     const updates = Array.from(this.updateQueue.entries());
+    const datapoints = [];
     
     for (const [symbol, update] of updates) {
-      try {
-        // Check if this update is recent enough (within last 10 minutes)
-        const updateTime = new Date(update.timestamp).getTime();
-        const now = Date.now();
-        const timeDiff = now - updateTime;
-        
-        if (timeDiff > 10 * 60 * 1000) { // 10 minutes
-          logger.warn(`⚠️ Skipping stale update for ${symbol}: ${Math.round(timeDiff / 60000)} minutes old`);
-          this.updateQueue.delete(symbol);
-          continue;
-        }
-        
-        // Create datapoint
-        const datapoint = {
-          price: update.price,
-          timestamp: update.timestamp,
-          symbol: symbol
-        };
-        
-        // Update historical data
-        const success = historicalDataManager.updateTickerHistoricalData(symbol, datapoint);
-        
-        if (success) {
-          logger.debug(`✅ Successfully updated ${symbol}: $${update.price} at ${update.timestamp}`);
-          this.updateQueue.delete(symbol);
-        } else {
-          update.attempts++;
-          
-          if (update.attempts >= this.maxRetries) {
-            logger.warn(`⚠️ Max retries reached for ${symbol}, removing from queue`);
-            this.updateQueue.delete(symbol);
-          } else {
-            logger.debug(`⚠️ Failed to update ${symbol}, attempt ${update.attempts}/${this.maxRetries}`);
-          }
-        }
-      } catch (error) {
-        logger.error(`❌ Error processing price update for ${symbol}:`, error);
-        update.attempts++;
-        
-        if (update.attempts >= this.maxRetries) {
-          this.updateQueue.delete(symbol);
-        }
+      // Check if this update is recent enough (within last 10 minutes)
+      const updateTime = new Date(update.timestamp).getTime();
+      const timeDiff = Date.now() - updateTime;
+      
+      if (timeDiff > 10 * 60 * 1000) { // 10 minutes
+        logger.warn(`⚠️ Skipping stale update for ${symbol}: ${Math.round(timeDiff / 60000)} minutes old`);
+        this.updateQueue.delete(symbol);
+        continue;
       }
+      
+      datapoints.push({
+        price: update.price,
+        timestamp: update.timestamp,
+        symbol: symbol
+      });
     }
+    
+    if (datapoints.length === 0) return;
+    
+    let applied = new Set();
+    try {
+      applied = symbolPriceCache.ingest(datapoints, 'live');
+    } catch (error) {
+      logger.error('❌ Error processing price updates:', error);
+    }
+    
+    datapoints.forEach(({ symbol }) => {
+      const update = this.updateQueue.get(symbol);
+      
+      if (applied.has(symbol.toUpperCase())) {
+        logger.debug(`✅ Successfully updated ${symbol}: $${update.price} at ${update.timestamp}`);
+        this.updateQueue.delete(symbol);
+        return;
+      }
+      
+      update.attempts++;
+      
+      if (update.attempts >= this.maxRetries) {
+        logger.warn(`⚠️ Max retries reached for ${symbol}, removing from queue`);
+        this.updateQueue.delete(symbol);
+      } else {
+        logger.debug(`⚠️ Failed to update ${symbol}, attempt ${update.attempts}/${this.maxRetries}`);
+      }
+    });
   }
 
   /**
@@ -1,8 +1,11 @@
+import liveEventStream from './liveEventStream';
 import { logger } from '../utils/logger';
 
 /**
  * Real-time NAV Event Emitter
- * Provides event-driven updates for NAV calculations and chart refreshes
+ * Provides event-driven updates for NAV calculations and chart refreshes.
+ * NAVs calculated in this tab are relayed through the server push channel,
+ * and NAVs pushed by the server (scheduler or other tabs) are emitted here.
  */
 class NAVEventEmitter {
   constructor() {
@@ -10,6 +13,17 @@ class NAVEventEmitter {
     this.lastNAVUpdate = null;
     this.updateQueue = [];
     this.isProcessing = false;
+    this.unsubscribeRemote = null;
+  }
+
+  // Emit NAV events pushed by the server to the local listeners
+  connectRemote() {
+    if (this.unsubscribeRemote) return;
+    this.unsubscribeRemote = liveEventStream.subscribe('nav', ({ slug, navData, source }) => {
+      if (slug && Array.isArray(navData)) {
+        this.emit(slug, navData, source, { remote: true });
+      }
+    });
   }
 
   /**
@@ -24,6 +38,7 @@ class NAVEventEmitter {
     }
     
     this.listeners.get(watchlistSlug).add(callback);
+    this.connectRemote();
     
     logger.debug(`[NAV EVENT] Subscribed to NAV updates for ${watchlistSlug}`);
     
@@ -44,18 +59,24 @@ class NAVEventEmitter {
    * Emit NAV update event for a specific watchlist
    * @param {string} watchlistSlug - Watchlist identifier
    * @param {Object} navData - NAV calculation data
-   * @param {string} source - Source of the update ('batch', 'realtime', 'manual')
+   * @param {string} source - Source of the update ('batch', 'realtime', 'manual', 'scheduler')
+   * @param {Object} options - { remote: the event came from the server, don't relay it back }
    */
-  emit(watchlistSlug, navData, source = 'batch') {
+  emit(watchlistSlug, navData, source = 'batch', { remote = false } = {}) {
     const timestamp = new Date().toISOString();
     const event = {
       watchlistSlug,
       navData,
       source,
       timestamp,
-      isRealTime: source === 'realtime'
+      isRealTime: source === 'realtime',
+      isRemote: remote
     };
 
+    if (!remote) {
+      liveEventStream.publishNav(watchlistSlug, navData, source);
+    }
+
     // Store last update
     this.lastNAVUpdate = {
       watchlistSlug,
@@ -101,7 +122,7 @@ class NAVEventEmitter {
    * @param {Object} event - NAV update event
    */
   async notifyListeners(event) {
-    const { watchlistSlug, navData, source, timestamp, isRealTime } = event;
+    const { watchlistSlug, navData, source, timestamp, isRealTime, isRemote } = event;
     
     const listeners = this.listeners.get(watchlistSlug);
     if (!listeners || listeners.size === 0) {
@@ -114,7 +135,7 @@ class NAVEventEmitter {
     // Notify all listeners
     const promises = Array.from(listeners).map(callback => {
       try {
-        return callback(navData, { source, timestamp, isRealTime });
+        return callback(navData, { source, timestamp, isRealTime, isRemote });
       } catch (error) {
         logger.error(`[NAV EVENT] Error in listener callback:`, error);
         return Promise.resolve();
@@ -170,6 +191,10 @@ class NAVEventEmitter {
    * Clear all listeners
    */
   clear() {
+    if (this.unsubscribeRemote) {
+      this.unsubscribeRemote();
+      this.unsubscribeRemote = null;
+    }
     this.listeners.clear();
     this.updateQueue = [];
     this.lastNAVUpdate = null;
@@ -190,6 +215,7 @@ class NAVEventEmitter {
       activeWatchlists,
       queueLength: this.updateQueue.length,
       isProcessing: this.isProcessing,
+      isStreamConnected: liveEventStream.isConnected,
       lastUpdate: this.lastNAVUpdate
     };
   }
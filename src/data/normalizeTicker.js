@@ -1,4 +1,5 @@
 import { logger } from '../utils/logger';
+import { pickBarFields } from './ohlcv';
 
 function normalizeTicker(ticker) {
   if (!ticker || typeof ticker !== "object") {
@@ -29,6 +30,8 @@ function normalizeTicker(ticker) {
         return {
           price: isNaN(price) ? 0 : price,
           timestamp,
+          // Candles keep their range and volume for charts and ATR
+          ...pickBarFields(entry),
         };
       })
     : [];
@@ -60,6 +63,17 @@ function normalizeTicker(ticker) {
     incomplete,
     // Preserve currentPrice if it exists
     ...(ticker.currentPrice !== undefined && { currentPrice: Number(ticker.currentPrice) }),
+    // Keep the reference to the shared series in priceSeriesStore
+    ...(ticker.historicalInterval && { historicalInterval: ticker.historicalInterval }),
+    // Position sizing used by positionNavCalculator
+    ...(Number(ticker.quantity) > 0 && { quantity: Number(ticker.quantity) }),
+    ...(Number(ticker.costBasis) > 0 && { costBasis: Number(ticker.costBasis) }),
+    ...(Number(ticker.weight) >= 0 && ticker.weight !== null && ticker.weight !== '' && { weight: Number(ticker.weight) }),
+    // Classification from /api/profiles, used by the sector exposure and attribution
+    ...(ticker.sector && { sector: ticker.sector }),
+    ...(ticker.industry && { industry: ticker.industry }),
+    ...(Number(ticker.marketCap) > 0 && { marketCap: Number(ticker.marketCap) }),
+    ...(ticker.profileCheckedAt && { profileCheckedAt: ticker.profileCheckedAt }),
   };
 
   logger.log("🧼 normalizeTicker →", normalizedTicker);
@@ -0,0 +1,156 @@
+import { logger } from '../utils/logger';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Optional bar fields next to price (the close); volume may be 0, prices may not
+const BAR_FIELDS = ['open', 'high', 'low', 'volume'];
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value !== null && value !== '' && Number.isFinite(number) ? number : null;
+};
+
+/**
+ * The open/high/low/volume of a provider bar that are actually present,
+ * to spread onto a historical point next to its price
+ */
+export function pickBarFields(bar) {
+  const fields = {};
+  BAR_FIELDS.forEach(field => {
+    const value = toNumber(bar?.[field]);
+    if (value !== null && (field === 'volume' ? value >= 0 : value > 0)) fields[field] = value;
+  });
+  return fields;
+}
+
+/**
+ * True when the series carries real highs and lows, not just closes
+ */
+export function hasOHLC(points) {
+  return Array.isArray(points) && points.some(point => point?.high > 0 && point?.low > 0);
+}
+
+/**
+ * Historical points as oldest-first candles
+ *
+ * Close-only points (live quotes, old series) become flat candles at the
+ * close with no volume, so callers can mix both kinds.
+ *
+ * @param {Array} points - Historical points { price, timestamp, open?, high?, low?, volume? }
+ * @returns {Array} [{ time, open, high, low, close, volume }], time in epoch ms, volume null if unknown
+ */
+export function toBars(points) {
+  if (!Array.isArray(points)) return [];
+
+  return points
+    .map(point => {
+      const close = Number(point?.price);
+      const time = new Date(point?.timestamp).getTime();
+      if (!(close > 0) || !Number.isFinite(time)) return null;
+      const open = point.open > 0 ? point.open : close;
+      return {
+        time,
+        open,
+        high: Math.max(point.high > 0 ? point.high : close, open, close),
+        low: Math.min(point.low > 0 ? point.low : close, open, close),
+        close,
+        volume: Number.isFinite(point.volume) ? point.volume : null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Roll intraday candles up into one candle per trading day
+ *
+ * Days are UTC dates, which holds the whole US regular session (13:30–21:00
+ * UTC in summer, 14:30–21:00 in winter).
+ *
+ * @param {Array} bars - Oldest-first candles from toBars
+ * @returns {Array} Daily candles, time = first bar of the day
+ */
+export function toDailyBars(bars) {
+  const days = [];
+  let current = null;
+
+  (bars || []).forEach(bar => {
+    const day = Math.floor(bar.time / DAY_MS);
+    if (!current || current.day !== day) {
+      current = { day, ...bar };
+      days.push(current);
+      return;
+    }
+    current.high = Math.max(current.high, bar.high);
+    current.low = Math.min(current.low, bar.low);
+    current.close = bar.close;
+    if (bar.volume !== null) current.volume = (current.volume || 0) + bar.volume;
+  });
+
+  return days.map(({ day, ...bar }) => bar);
+}
+
+/**
+ * Pack points into one typed array per field for IndexedDB
+ *
+ * 48 bytes per full bar instead of an object with a string timestamp;
+ * fields no point has are left out and missing values are NaN.
+ *
+ * @param {Array} points - Historical points
+ * @returns {Object} { time, close, open?, high?, low?, volume? } as Float64Arrays
+ */
+export function encodeColumns(points) {
+  const columns = {
+    time: new Float64Array(points.length),
+    close: new Float64Array(points.length)
+  };
+  const present = BAR_FIELDS.filter(field => points.some(point => Number.isFinite(point?.[field])));
+  present.forEach(field => {
+    columns[field] = new Float64Array(points.length);
+  });
+
+  points.forEach((point, i) => {
+    columns.time[i] = new Date(point.timestamp).getTime();
+    columns.close[i] = Number(point.price);
+    present.forEach(field => {
+      columns[field][i] = Number.isFinite(point[field]) ? point[field] : NaN;
+    });
+  });
+  return columns;
+}
+
+/**
+ * Historical points back from encodeColumns, in the stored order
+ *
+ * @param {Object} columns - Encoded columns
+ * @param {string} symbol - Symbol to put on every point
+ * @returns {Array} Points { price, timestamp, symbol, open?, high?, low?, volume? }
+ */
+export function decodeColumns(columns, symbol) {
+  try {
+    const present = BAR_FIELDS.filter(field => columns[field]);
+    const points = [];
+    columns.time.forEach((time, i) => {
+      // Points whose timestamp didn't parse can't be placed, drop them
+      if (!Number.isFinite(time)) return;
+      const point = { price: columns.close[i], timestamp: new Date(time).toISOString(), symbol };
+      present.forEach(field => {
+        if (Number.isFinite(columns[field][i])) point[field] = columns[field][i];
+      });
+      points.push(point);
+    });
+    return points;
+  } catch (error) {
+    logger.error(`[OHLCV] Error decoding ${symbol} series:`, error);
+    return [];
+  }
+}
+
+export default {
+  pickBarFields,
+  hasOHLC,
+  toBars,
+  toDailyBars,
+  encodeColumns,
+  decodeColumns
+};
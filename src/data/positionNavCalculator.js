@@ -0,0 +1,156 @@
+import { logger } from '../utils/logger';
+import { WEIGHTING_MODES, DEFAULT_NOTIONAL, sortSeries, buildPositions, getOptions, valuePositionsAt } from './positionValuation';
+
+export { WEIGHTING_MODES, DEFAULT_NOTIONAL, sortSeries, valuePositionsAt };
+
+/**
+ * Position-weighted NAV series for a watchlist
+ *
+ * Dollar mode values each position at quantity × price and adds the cash
+ * leg. Equal and custom modes apply their weights to each position's
+ * return since cost basis; cash keeps its share of the money at cost and
+ * earns nothing. Returns are measured against cost, so a position bought
+ * below its first charted price starts above 0%.
+ *
+ * @param {Array} items - Watchlist items with historicalData, quantity, costBasis, weight
+ * @param {Object} options - { mode: 'equal' | 'dollar' | 'custom', cash, sample },
+ *   sample: false keeps every timestamp (for statistics rather than charts)
+ * @returns {Array} Oldest first: { timestamp, returnPercent, value, costValue, cash,
+ *   invested, etfPrice, validTickers, totalTickers }
+ */
+export function calculatePositionNAV(items, options = {}) {
+  const { mode, cash } = getOptions(options);
+  const { positions, totalCost } = buildPositions(items, mode);
+  const priced = positions.filter(position => position.series.length > 0);
+
+  if (priced.length === 0) {
+    logger.debug('[POSITION NAV] No priced positions, returning empty array');
+    return [];
+  }
+
+  try {
+    // Same sampling as the simple calculator: every 20th point above 100, every 5th above 20
+    const maxPoints = Math.max(...priced.map(position => position.series.length));
+    const samplingInterval = options.sample === false ? 1 : (maxPoints > 100 ? 20 : (maxPoints > 20 ? 5 : 1));
+
+    const timestamps = new Map(); // time -> original timestamp
+    priced.forEach(({ series }) => {
+      for (let i = 0; i < series.length; i += samplingInterval) {
+        if (!timestamps.has(series[i].time)) timestamps.set(series[i].time, series[i].timestamp);
+      }
+      const latest = series[series.length - 1];
+      if (!timestamps.has(latest.time)) timestamps.set(latest.time, latest.timestamp);
+    });
+    const times = Array.from(timestamps.keys()).sort((a, b) => a - b);
+
+    const costValue = cash + totalCost;
+    const cashShare = costValue > 0 ? cash / costValue : 0;
+    const cursors = positions.map(() => -1);
+    const navPoints = [];
+
+    times.forEach(time => {
+      let invested = 0;
+      let weightedReturn = 0;
+      let totalPrice = 0;
+      let validTickers = 0;
+
+      positions.forEach((position, index) => {
+        // Carry the last known price forward; before its first price a position sits at cost
+        const { series } = position;
+        while (cursors[index] + 1 < series.length && series[cursors[index] + 1].time <= time) {
+          cursors[index]++;
+        }
+        const price = cursors[index] >= 0 ? series[cursors[index]].price : position.basis;
+        if (cursors[index] >= 0) {
+          totalPrice += price;
+          validTickers++;
+        }
+
+        invested += position.quantity * price;
+        weightedReturn += position.weight * (price / position.basis - 1);
+      });
+
+      const value = mode === 'dollar'
+        ? cash + invested
+        : costValue * (1 + (1 - cashShare) * weightedReturn);
+
+      navPoints.push({
+        timestamp: timestamps.get(time),
+        returnPercent: costValue > 0 ? (value / costValue - 1) * 100 : 0,
+        value,
+        costValue,
+        cash,
+        invested: value - cash,
+        etfPrice: validTickers > 0 ? totalPrice / validTickers : 0,
+        validTickers,
+        totalTickers: positions.length
+      });
+    });
+
+    logger.debug(`[POSITION NAV] ${navPoints.length} points for ${positions.length} positions (${mode}, cash $${cash})`);
+    return navPoints;
+  } catch (error) {
+    logger.error('[POSITION NAV] Error calculating position NAV:', error);
+    return [];
+  }
+}
+
+/**
+ * Weight of each priced item under a weighting mode, summing to 1
+ * @returns {Array} [{ index, symbol, weight }], index being the item's place in `items`
+ */
+export function getTargetWeights(items, mode = 'equal') {
+  const { positions } = buildPositions(items, WEIGHTING_MODES.includes(mode) ? mode : 'equal');
+  return positions.map(({ index, symbol, weight }) => ({ index, symbol, weight }));
+}
+
+/**
+ * Latest state of each position and of the whole watchlist
+ *
+ * @param {Array} items - Watchlist items
+ * @param {Object} options - { mode, cash }, as for calculatePositionNAV
+ * @returns {Object} { mode, cash, value, costValue, returnPercent, positions: [{ index,
+ *   symbol, quantity, hasQuantity, costBasis, price, value, weight, returnPercent, contribution }] },
+ *   index being the item's place in `items` (items without any price are left out)
+ */
+export function summarizePositions(items, options = {}) {
+  const { mode, cash } = getOptions(options);
+  const { positions, totalCost } = buildPositions(items, mode);
+  const costValue = cash + totalCost;
+  const investedShare = costValue > 0 ? totalCost / costValue : 0;
+
+  const summary = positions.map(position => {
+    const price = position.series.length > 0 ? position.series[position.series.length - 1].price : position.basis;
+    const positionReturn = price / position.basis - 1;
+    return {
+      index: position.index,
+      symbol: position.symbol,
+      quantity: position.quantity,
+      hasQuantity: position.hasQuantity,
+      costBasis: position.basis,
+      price,
+      value: position.quantity * price,
+      weight: position.weight,
+      returnPercent: positionReturn * 100,
+      // Percentage points this position adds to the watchlist return
+      contribution: (mode === 'dollar' ? position.quantity * position.basis / (costValue || 1) : position.weight * investedShare) * positionReturn * 100
+    };
+  });
+
+  const returnPercent = summary.reduce((sum, position) => sum + position.contribution, 0);
+  return {
+    mode,
+    cash,
+    costValue,
+    value: costValue * (1 + returnPercent / 100),
+    returnPercent,
+    positions: summary
+  };
+}
+
+export default {
+  calculatePositionNAV,
+  summarizePositions,
+  getTargetWeights,
+  valuePositionsAt
+};
@@ -0,0 +1,135 @@
+/*
+ * Position sizing and valuation shared by the browser's position NAV
+ * (positionNavCalculator) and the scheduler's server-side NAV datapoints.
+ * Kept free of browser-only imports so Node can load it as is.
+ */
+
+export const WEIGHTING_MODES = ['equal', 'dollar', 'custom'];
+
+// Positions without a quantity are sized as this much money at cost in dollar mode
+export const DEFAULT_NOTIONAL = 1000;
+
+function positiveNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+function toTime(timestamp) {
+  const time = new Date(timestamp).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// Oldest to newest, whatever order the series was stored in
+export function sortSeries(historicalData) {
+  const series = [];
+  (historicalData || []).forEach(point => {
+    const time = toTime(point?.timestamp);
+    const price = Number(point?.price);
+    if (time !== null && price > 0) {
+      series.push({ time, timestamp: point.timestamp, price });
+    }
+  });
+  return series.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Resolve quantity, cost basis and weight of each watchlist item
+ *
+ * Cost basis per share is item.costBasis, then item.buyPrice, then the
+ * oldest price. Items without a quantity get DEFAULT_NOTIONAL at cost.
+ * Weights sum to 1 over the invested part, per mode: 1/n (equal), cost
+ * value (dollar) or item.weight (custom, missing weights count as 1).
+ */
+export function buildPositions(items, mode) {
+  const positions = [];
+
+  (items || []).forEach((item, index) => {
+    const series = sortSeries(item?.historicalData);
+    const basis = positiveNumber(item?.costBasis) || positiveNumber(item?.buyPrice) || series[0]?.price;
+    if (!basis) return;
+
+    const quantity = positiveNumber(item.quantity);
+    const weight = item.weight === '' || item.weight == null ? NaN : Number(item.weight);
+    positions.push({
+      index,
+      symbol: item.symbol,
+      series,
+      basis,
+      quantity: quantity || DEFAULT_NOTIONAL / basis,
+      hasQuantity: Boolean(quantity),
+      customWeight: Number.isFinite(weight) ? Math.max(0, weight) : 1
+    });
+  });
+
+  const totalCost = positions.reduce((sum, position) => sum + position.quantity * position.basis, 0);
+  const totalCustom = positions.reduce((sum, position) => sum + position.customWeight, 0);
+
+  positions.forEach(position => {
+    if (mode === 'dollar') {
+      position.weight = totalCost > 0 ? position.quantity * position.basis / totalCost : 0;
+    } else if (mode === 'custom') {
+      position.weight = totalCustom > 0 ? position.customWeight / totalCustom : 1 / positions.length;
+    } else {
+      position.weight = 1 / positions.length;
+    }
+  });
+
+  return { positions, totalCost };
+}
+
+export function getOptions(options) {
+  const mode = WEIGHTING_MODES.includes(options.mode) ? options.mode : 'equal';
+  const cash = Math.max(0, Number(options.cash) || 0);
+  return { mode, cash };
+}
+
+/**
+ * Value of each position and of the whole watchlist at a point in time
+ *
+ * Uses the same valuation as calculatePositionNAV: the last price at or
+ * before `time`, cost basis before the first price, and the cash leg on
+ * top. Position values add up to `value - cash` in every mode.
+ *
+ * @param {Array} items - Watchlist items
+ * @param {Object} options - { mode, cash }, as for calculatePositionNAV
+ * @param {number} time - Epoch ms; Infinity for the latest prices, -Infinity for cost
+ * @returns {Object} { value, cash, positions: [{ index, symbol, price, priced, value }] }
+ */
+export function valuePositionsAt(items, options = {}, time = Infinity) {
+  const { mode, cash } = getOptions(options);
+  const { positions, totalCost } = buildPositions(items, mode);
+
+  const valued = positions.map(position => {
+    let last = null;
+    for (const point of position.series) {
+      if (point.time > time) break;
+      last = point;
+    }
+    const price = last ? last.price : position.basis;
+    return {
+      index: position.index,
+      symbol: position.symbol,
+      price,
+      priced: Boolean(last),
+      // Equal and custom modes hold each weight of the money at cost, scaled by the price move
+      value: mode === 'dollar'
+        ? position.quantity * price
+        : totalCost * position.weight * price / position.basis
+    };
+  });
+
+  return {
+    value: cash + valued.reduce((sum, position) => sum + position.value, 0),
+    cash,
+    positions: valued
+  };
+}
+
+export default {
+  WEIGHTING_MODES,
+  DEFAULT_NOTIONAL,
+  sortSeries,
+  buildPositions,
+  getOptions,
+  valuePositionsAt
+};
@@ -0,0 +1,342 @@
+import { fetchThreeYearHistoricalData } from './historicalDataFetcher';
+import { fetchHistoricalData } from './marketDataAdapter';
+import { encodeColumns, decodeColumns, toBars } from './ohlcv';
+import { logger } from '../utils/logger';
+
+const DB_NAME = 'burnlist';
+const DB_VERSION = 1;
+const SERIES_STORE = 'priceSeries';
+const WRITE_DELAY_MS = 1000;
+const MIGRATION_KEY = 'burnlist_series_migrated';
+const WATCHLISTS_KEY = 'burnlist_watchlists';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getSeriesKey(symbol, interval) {
+  return `${symbol.toUpperCase()}:${interval}`;
+}
+
+function getSignature(points) {
+  if (!points.length) return '0';
+  return `${points.length}:${points[0].timestamp}:${points[points.length - 1].timestamp}`;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Guess the interval of legacy items that don't carry historicalInterval.
+ * Daily series (WatchlistPage) have points a day or more apart, everything
+ * else was created by createTicker with 5-minute bars.
+ */
+export function inferInterval(points) {
+  if (!Array.isArray(points) || points.length < 2) return '5min';
+  const gap = Math.abs(new Date(points[0].timestamp) - new Date(points[1].timestamp));
+  return gap >= DAY_MS * 0.8 ? '1day' : '5min';
+}
+
+function isDescending(points) {
+  return points.length > 1 &&
+    new Date(points[0].timestamp) > new Date(points[points.length - 1].timestamp);
+}
+
+/**
+ * Union of two point arrays by timestamp, keeping the orientation of `incoming`
+ * (some callers keep newest first, others oldest first). Single live points
+ * have no orientation and follow the existing series. A close-only point
+ * landing on a candle updates its close but keeps the candle's range.
+ */
+function mergePoints(existing, incoming) {
+  // Key by epoch time, normalizeTicker rewrites API datetimes as ISO strings
+  const byTime = new Map();
+  const add = point => {
+    const key = new Date(point.timestamp).getTime() || point.timestamp;
+    const previous = byTime.get(key);
+    if (previous?.high > 0 && !(point.high > 0)) {
+      byTime.set(key, {
+        ...previous,
+        ...point,
+        high: Math.max(previous.high, point.price),
+        low: Math.min(previous.low, point.price)
+      });
+      return;
+    }
+    byTime.set(key, point);
+  };
+  existing.forEach(add);
+  incoming.forEach(add);
+
+  const descending = incoming.length > 1 ? isDescending(incoming) : isDescending(existing);
+
+  return Array.from(byTime.values()).sort((a, b) => {
+    const diff = new Date(a.timestamp) - new Date(b.timestamp);
+    return descending ? -diff : diff;
+  });
+}
+
+// Stored records hold the points as typed-array columns (see encodeColumns);
+// records written before the OHLCV columns still carry a points array
+function toRecord(series) {
+  const { points, ...rest } = series;
+  return { ...rest, columns: encodeColumns(points) };
+}
+
+function fromRecord(record) {
+  if (!record.columns) return record;
+  const { columns, ...rest } = record;
+  return { ...rest, points: decodeColumns(columns, record.symbol) };
+}
+
+/**
+ * IndexedDB-backed time-series store for historical prices
+ *
+ * Series are keyed by symbol + interval and shared by every watchlist that
+ * holds the symbol; persisted watchlist items only keep the reference
+ * (symbol + historicalInterval). All series are loaded into memory by init()
+ * so StorageManager can re-attach them synchronously, while writes to
+ * IndexedDB are batched in the background. Points keep open/high/low/volume
+ * when the provider sent them.
+ */
+class PriceSeriesStore {
+  constructor() {
+    this.db = null;
+    this.isAvailable = false;
+    this.series = new Map();       // key -> { symbol, interval, points, updatedAt }
+    this.signatures = new Map();   // key -> signature of the stored points
+    this.dirty = new Set();
+    this.writeTimer = null;
+    this.backfills = new Map();    // key -> in-flight fetch promise
+  }
+
+  async openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not supported');
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SERIES_STORE)) {
+        db.createObjectStore(SERIES_STORE, { keyPath: 'key' });
+      }
+    };
+    return requestToPromise(request);
+  }
+
+  /**
+   * Open the database, load every series into memory and migrate the
+   * inline historicalData of the old localStorage layout.
+   * @returns {Promise<boolean>} false when IndexedDB can't be used (series stay inline)
+   */
+  async init() {
+    if (this.isAvailable) return true;
+
+    try {
+      this.db = await this.openDatabase();
+      const records = await requestToPromise(
+        this.db.transaction(SERIES_STORE, 'readonly').objectStore(SERIES_STORE).getAll()
+      );
+
+      records.forEach(record => {
+        const series = fromRecord(record);
+        this.series.set(series.key, series);
+        this.signatures.set(series.key, getSignature(series.points));
+        // Rewrite old point-array records in the compact layout
+        if (!record.columns) this.dirty.add(series.key);
+      });
+      if (this.dirty.size > 0) this.scheduleWrite();
+
+      this.isAvailable = true;
+      logger.info(`📦 Price series store ready (${records.length} series)`);
+    } catch (error) {
+      logger.warn('📦 IndexedDB unavailable, keeping historical data inline:', error.message);
+      return false;
+    }
+
+    await this.migrateFromLocalStorage();
+    return true;
+  }
+
+  /**
+   * One-off move of inline historicalData out of burnlist_watchlists.
+   * Series are written to IndexedDB before the slimmed watchlists replace
+   * the old value, so an interrupted migration never loses data.
+   */
+  async migrateFromLocalStorage() {
+    try {
+      if (localStorage.getItem(MIGRATION_KEY)) return;
+
+      const saved = localStorage.getItem(WATCHLISTS_KEY);
+      const watchlists = saved ? JSON.parse(saved) : {};
+      let moved = 0;
+
+      Object.values(watchlists).forEach(watchlist => {
+        (watchlist?.items || []).forEach(item => {
+          if (item?.symbol && Array.isArray(item.historicalData) && item.historicalData.length > 0) {
+            this.putSeries(item.symbol, item.historicalInterval || inferInterval(item.historicalData), item.historicalData);
+            moved++;
+          }
+        });
+      });
+
+      await this.flush();
+      if (moved > 0) {
+        localStorage.setItem(WATCHLISTS_KEY, JSON.stringify(this.detachWatchlists(watchlists)));
+      }
+      localStorage.setItem(MIGRATION_KEY, new Date().toISOString());
+      logger.info(`📦 Migrated ${moved} inline historical series to IndexedDB`);
+    } catch (error) {
+      logger.error('❌ Historical series migration failed, will retry on next load:', error);
+    }
+  }
+
+  getSeries(symbol, interval) {
+    return this.series.get(getSeriesKey(symbol, interval))?.points || null;
+  }
+
+  // Oldest-first candles of a series (flat candles where only closes are known)
+  getBars(symbol, interval) {
+    return toBars(this.getSeries(symbol, interval) || []);
+  }
+
+  /**
+   * Merge points into the shared series and schedule an IndexedDB write.
+   * Unchanged arrays (same length and end timestamps) are skipped, so
+   * re-saving a watchlist doesn't re-merge years of data.
+   */
+  putSeries(symbol, interval, points) {
+    if (!symbol || !Array.isArray(points) || points.length === 0) return;
+
+    const key = getSeriesKey(symbol, interval);
+    if (this.signatures.get(key) === getSignature(points)) return;
+
+    const existing = this.series.get(key)?.points || [];
+    const merged = existing.length > 0 ? mergePoints(existing, points) : points.slice();
+
+    this.series.set(key, {
+      key,
+      symbol: symbol.toUpperCase(),
+      interval,
+      points: merged,
+      updatedAt: new Date().toISOString()
+    });
+    this.signatures.set(key, getSignature(merged));
+    this.dirty.add(key);
+    this.scheduleWrite();
+  }
+
+  scheduleWrite() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush().catch(error => logger.error('❌ Failed to write price series:', error));
+    }, WRITE_DELAY_MS);
+  }
+
+  async flush() {
+    if (!this.db || this.dirty.size === 0) return;
+
+    const keys = Array.from(this.dirty);
+    this.dirty.clear();
+
+    const transaction = this.db.transaction(SERIES_STORE, 'readwrite');
+    const objectStore = transaction.objectStore(SERIES_STORE);
+    keys.forEach(key => objectStore.put(toRecord(this.series.get(key))));
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => {
+        keys.forEach(key => this.dirty.add(key));
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Move every item's historicalData into the store, returning watchlists
+   * whose items only reference their series.
+   */
+  detachWatchlists(watchlists) {
+    const detached = {};
+    Object.entries(watchlists || {}).forEach(([id, watchlist]) => {
+      if (!watchlist || !Array.isArray(watchlist.items)) {
+        detached[id] = watchlist;
+        return;
+      }
+
+      detached[id] = {
+        ...watchlist,
+        items: watchlist.items.map(item => {
+          if (!item || !Array.isArray(item.historicalData)) return item;
+
+          const historicalInterval = item.historicalInterval || inferInterval(item.historicalData);
+          this.putSeries(item.symbol, historicalInterval, item.historicalData);
+          const { historicalData, ...reference } = item;
+          return { ...reference, historicalInterval };
+        })
+      };
+    });
+    return detached;
+  }
+
+  /**
+   * Re-attach series to items that only carry a reference. Missing series
+   * (e.g. watchlists synced from another machine) are backfilled in the background.
+   */
+  attachWatchlists(watchlists) {
+    const attached = {};
+    Object.entries(watchlists || {}).forEach(([id, watchlist]) => {
+      if (!watchlist || !Array.isArray(watchlist.items)) {
+        attached[id] = watchlist;
+        return;
+      }
+
+      attached[id] = {
+        ...watchlist,
+        items: watchlist.items.map(item => {
+          if (!item?.symbol || !item.historicalInterval || Array.isArray(item.historicalData)) return item;
+
+          const points = this.getSeries(item.symbol, item.historicalInterval);
+          if (!points) {
+            this.backfill(item.symbol, item.historicalInterval);
+          }
+          return { ...item, historicalData: points || [] };
+        })
+      };
+    });
+    return attached;
+  }
+
+  backfill(symbol, interval) {
+    const key = getSeriesKey(symbol, interval);
+    if (this.backfills.has(key)) return this.backfills.get(key);
+
+    const fetchSeries = interval === '5min'
+      ? fetchThreeYearHistoricalData(symbol)
+      : fetchHistoricalData(symbol, new Date(Date.now() - 365 * DAY_MS).toISOString().split('T')[0], null, interval)
+        .then(data => data?.historicalData || []);
+
+    const promise = fetchSeries
+      .then(points => {
+        if (points.length === 0) return;
+        this.putSeries(symbol, interval, points);
+        logger.info(`📦 Backfilled ${points.length} ${interval} points for ${symbol}`);
+
+        // Same event batchedFetchManager uses to make pages re-read watchlists
+        window.dispatchEvent(new StorageEvent('storage', { key: WATCHLISTS_KEY }));
+      })
+      .catch(error => logger.warn(`⚠️ Backfill failed for ${symbol} (${interval}):`, error))
+      .finally(() => this.backfills.delete(key));
+
+    this.backfills.set(key, promise);
+    return promise;
+  }
+}
+
+const priceSeriesStore = new PriceSeriesStore();
+
+export default priceSeriesStore;
@@ -1,5 +1,15 @@
 import { logger } from '../utils/logger';
 
+const BUDGET_API = '/api/budget';
+
+/**
+ * Per-tab Twelve Data call pacing
+ *
+ * The server enforces the real credit budget shared by every tab and
+ * device (/api/budget, X-Credits-* headers on the market data routes).
+ * The latest numbers it reported are mirrored in `serverBudget` and take
+ * precedence over the local counters when deciding whether to call.
+ */
 class RateLimiter {
   constructor(maxCallsPerMinute = 55) {
     this.maxCallsPerMinute = maxCallsPerMinute;
@@ -7,6 +17,70 @@ class RateLimiter {
     this.manualCalls = [];
     this.reservedForManual = 10; // Reserve 10 calls for manual updates
     this.batchSize = 5; // 5 symbols per batch
+    this.serverBudget = null; // { limit, remaining, resetIn, receivedAt }
+  }
+
+  /**
+   * Record the budget reported by the server
+   * @param {Object} headers - Response headers (x-credits-limit, -remaining, -reset)
+   */
+  updateFromServer(headers) {
+    const limit = Number(headers?.['x-credits-limit']);
+    const remaining = Number(headers?.['x-credits-remaining']);
+    if (!Number.isFinite(limit) || !Number.isFinite(remaining)) return;
+
+    this.setServerBudget({
+      limit,
+      remaining,
+      resetIn: Number(headers['x-credits-reset']) || 0
+    });
+  }
+
+  setServerBudget({ limit, remaining, resetIn, reservedForManual }) {
+    this.serverBudget = { limit, remaining, resetIn, receivedAt: Date.now() };
+    this.maxCallsPerMinute = limit;
+    if (Number.isFinite(reservedForManual)) {
+      this.reservedForManual = reservedForManual;
+    }
+  }
+
+  // Ask the server for the current budget, e.g. while no market data request is running
+  async syncServerBudget() {
+    try {
+      const response = await fetch(BUDGET_API);
+      if (response.ok) {
+        this.setServerBudget(await response.json());
+      }
+    } catch (error) {
+      logger.debug('📊 Credit budget sync failed:', error.message);
+    }
+    return this.getServerBudget();
+  }
+
+  /**
+   * Latest server budget, with the refill since it was reported estimated
+   * @returns {Object|null} { limit, remaining, used, resetIn }
+   */
+  getServerBudget() {
+    if (!this.serverBudget) return null;
+
+    const { limit, remaining, resetIn, receivedAt } = this.serverBudget;
+    const elapsedSeconds = (Date.now() - receivedAt) / 1000;
+    const estimated = Math.min(limit, Math.floor(remaining + elapsedSeconds * limit / 60));
+    return {
+      limit,
+      remaining: estimated,
+      used: limit - estimated,
+      resetIn: Math.max(0, Math.ceil(resetIn - elapsedSeconds))
+    };
+  }
+
+  // Whether the server budget (when known) leaves room for a batch of this priority
+  serverAllows(type) {
+    const budget = this.getServerBudget();
+    if (!budget) return true;
+    const floor = type === 'manual' ? 0 : this.reservedForManual;
+    return budget.remaining - floor >= this.batchSize;
   }
 
   // Check if we can make an automatic request
@@ -19,7 +93,7 @@ class RateLimiter {
     
     // Check if we have room for automatic calls
     const availableForAutomatic = this.maxCallsPerMinute - this.reservedForManual;
-    return this.automaticCalls.length < availableForAutomatic;
+    return this.automaticCalls.length < availableForAutomatic && this.serverAllows('automatic');
   }
 
   // Check if we can make a manual request
@@ -30,7 +104,7 @@ class RateLimiter {
     // Clean old calls
     this.manualCalls = this.manualCalls.filter(timestamp => timestamp > oneMinuteAgo);
     
-    return this.manualCalls.length < this.reservedForManual;
+    return this.manualCalls.length < this.reservedForManual && this.serverAllows('manual');
   }
 
   // Record an automatic API call
@@ -68,8 +142,21 @@ class RateLimiter {
     };
   }
 
-  // Calculate when the next request will be available
+  // Calculate when the next request will be available, locally and on the server
   getNextAvailableTime(type) {
+    return Math.max(this.getLocalWaitTime(type), this.getServerWaitTime(type));
+  }
+
+  // Time until the server budget refills enough for one batch
+  getServerWaitTime(type) {
+    const budget = this.getServerBudget();
+    if (!budget || this.serverAllows(type)) return 0;
+    const floor = type === 'manual' ? 0 : this.reservedForManual;
+    const missing = floor + this.batchSize - budget.remaining;
+    return Math.ceil(missing * 60000 / budget.limit);
+  }
+
+  getLocalWaitTime(type) {
     const now = Date.now();
     const oneMinuteAgo = now - 60000;
     
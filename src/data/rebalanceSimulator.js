@@ -0,0 +1,151 @@
+import { logger } from '../utils/logger';
+import returnCalculator from './returnCalculator';
+import { getTargetWeights, sortSeries } from './positionNavCalculator';
+import { getTradingDate } from './riskAnalytics';
+
+export const REBALANCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Key of the trading period a timestamp falls in; a new key triggers a rebalance
+function getPeriodKey(time, frequency) {
+  const date = getTradingDate(time);
+  if (!date) return null;
+  if (frequency === 'monthly') {
+    return date.slice(0, 7);
+  }
+  if (frequency === 'weekly') {
+    // Monday of the session's week, counted on the date itself so the browser's zone never shifts it
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+// Same output density as the NAV calculators, keeping the first and last points
+function samplePoints(points) {
+  const samplingInterval = points.length > 100 ? 20 : (points.length > 20 ? 5 : 1);
+  return points.filter((_, i) => i % samplingInterval === 0 || i === points.length - 1);
+}
+
+/**
+ * Replay a burnlist as if it were rebalanced back to target weights
+ *
+ * Both series start at the first timestamp where every ticker has a price
+ * (inside the timeframe, see returnCalculator.getTimeframeStartTime) and
+ * are invested at the target weights there. Buy-and-hold never trades
+ * again; the rebalanced series resets to the targets at the first
+ * timestamp of each new day, week or month, at that timestamp's prices.
+ * No costs or slippage are modelled.
+ *
+ * @param {Array} items - Burnlist items with historicalData
+ * @param {Object} options - { frequency: 'daily' | 'weekly' | 'monthly',
+ *   mode: 'equal' | 'dollar' | 'custom' target weights, timeframe }
+ * @returns {Object|null} { rebalanced, buyAndHold, rebalances, turnover, startTimestamp },
+ *   null when no timestamp has prices for every ticker. Series points are
+ *   { timestamp, returnPercent, nav, validTickers, totalTickers }, oldest first.
+ */
+export function simulateRebalancing(items, { frequency = 'monthly', mode = 'equal', timeframe = 'MAX' } = {}) {
+  if (!REBALANCE_FREQUENCIES.includes(frequency)) {
+    logger.warn(`[REBALANCE] Unknown frequency ${frequency}`);
+    return null;
+  }
+
+  const startTime = returnCalculator.getTimeframeStartTime(timeframe)?.getTime() ?? -Infinity;
+  const positions = getTargetWeights(items, mode)
+    .map(({ index, symbol, weight }) => ({
+      symbol,
+      weight,
+      series: sortSeries(items[index].historicalData).filter(point => point.time >= startTime)
+    }))
+    .filter(position => position.series.length > 0);
+
+  if (positions.length === 0) {
+    logger.debug('[REBALANCE] No priced tickers to simulate');
+    return null;
+  }
+
+  try {
+    // Weights are renormalized over the tickers priced in this timeframe
+    const totalWeight = positions.reduce((sum, position) => sum + position.weight, 0) || 1;
+    positions.forEach(position => { position.weight /= totalWeight; });
+
+    const timestamps = new Map(); // time -> original timestamp
+    positions.forEach(({ series }) => series.forEach(point => {
+      if (!timestamps.has(point.time)) timestamps.set(point.time, point.timestamp);
+    }));
+    const times = Array.from(timestamps.keys()).sort((a, b) => a - b);
+
+    const cursors = positions.map(() => -1);
+    const rebalanced = [];
+    const buyAndHold = [];
+    let holdUnits = null;
+    let rebalanceUnits = null;
+    let lastPeriod = null;
+    let rebalances = 0;
+    let turnover = 0;
+
+    times.forEach(time => {
+      // Last known price of every ticker at this time
+      const prices = positions.map((position, index) => {
+        const { series } = position;
+        while (cursors[index] + 1 < series.length && series[cursors[index] + 1].time <= time) {
+          cursors[index]++;
+        }
+        return cursors[index] >= 0 ? series[cursors[index]].price : null;
+      });
+
+      if (!holdUnits) {
+        if (prices.some(price => price === null)) return;
+        // Units per ticker for a NAV of 100 at the target weights
+        holdUnits = positions.map((position, index) => position.weight * 100 / prices[index]);
+        rebalanceUnits = [...holdUnits];
+        lastPeriod = getPeriodKey(time, frequency);
+      }
+
+      const holdNav = holdUnits.reduce((sum, units, index) => sum + units * prices[index], 0);
+      let rebalanceNav = rebalanceUnits.reduce((sum, units, index) => sum + units * prices[index], 0);
+
+      const period = getPeriodKey(time, frequency);
+      if (period !== lastPeriod) {
+        // One-way turnover: half the money moved between tickers, as a share of the NAV
+        const traded = positions.reduce((sum, position, index) =>
+          sum + Math.abs(position.weight * rebalanceNav - rebalanceUnits[index] * prices[index]), 0);
+        turnover += traded / 2 / rebalanceNav;
+        rebalanceUnits = positions.map((position, index) => position.weight * rebalanceNav / prices[index]);
+        rebalances++;
+        lastPeriod = period;
+      }
+
+      const point = (nav) => ({
+        timestamp: timestamps.get(time),
+        returnPercent: nav - 100,
+        nav,
+        validTickers: positions.length,
+        totalTickers: positions.length
+      });
+      rebalanced.push(point(rebalanceNav));
+      buyAndHold.push(point(holdNav));
+    });
+
+    if (rebalanced.length === 0) {
+      logger.debug('[REBALANCE] No timestamp with prices for every ticker');
+      return null;
+    }
+
+    logger.debug(`[REBALANCE] ${frequency}: ${rebalances} rebalances over ${rebalanced.length} timestamps, turnover ${(turnover * 100).toFixed(1)}%`);
+    return {
+      rebalanced: samplePoints(rebalanced),
+      buyAndHold: samplePoints(buyAndHold),
+      rebalances,
+      turnover: turnover * 100,
+      startTimestamp: rebalanced[0].timestamp
+    };
+  } catch (error) {
+    logger.error('[REBALANCE] Error simulating rebalancing:', error);
+    return null;
+  }
+}
+
+export default {
+  simulateRebalancing
+};
@@ -1,4 +1,4 @@
-import { fetchQuote } from '@data/twelvedataAdapter';
+import { fetchQuote } from '@data/marketDataAdapter';
 import { logger } from '../utils/logger';
 import normalizeTicker from '@data/normalizeTicker';
 
@@ -0,0 +1,220 @@
+import { logger } from '../utils/logger';
+
+const DAY = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 252;
+const SPARSE_GAP = 4 * DAY; // longer than a holiday weekend
+export const DEFAULT_RISK_FREE_RATE = 0; // annual, percent
+export const ROLLING_WINDOWS = [20, 60]; // trading sessions, about one and three months
+
+// Strings carrying their own offset; the others are exchange-local (Twelve Data) or date-only
+const ZONED_TIMESTAMP = /(Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * US trading date (YYYY-MM-DD) of a timestamp. Exchange-local and date-only
+ * strings keep their date, anything else is read in New York time.
+ */
+export function getTradingDate(timestamp) {
+  if (typeof timestamp === 'string' && !ZONED_TIMESTAMP.test(timestamp)) return timestamp.slice(0, 10);
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * Last point of each trading session, oldest first
+ * @param {Array} points - Points oldest first ({ timestamp, ... })
+ */
+export function toDailyCloses(points) {
+  const sessions = new Map();
+  (points || []).forEach(point => {
+    const date = getTradingDate(point.timestamp);
+    if (date) sessions.set(date, point);
+  });
+  return Array.from(sessions.values());
+}
+
+/**
+ * Periods per year for a series, in trading time: 252 for one point per
+ * session, 252 × points per session for intraday ones (about 19,656 for
+ * 5-minute bars). Weekly or sparser points count calendar time from their
+ * median spacing, 52.2 for weekly ones.
+ */
+export function getPeriodsPerYear(timestamps) {
+  const sessions = new Set(timestamps.map(getTradingDate).filter(Boolean)).size;
+  if (sessions === 0) return TRADING_DAYS_PER_YEAR;
+  if (timestamps.length > sessions) return TRADING_DAYS_PER_YEAR * timestamps.length / sessions;
+
+  const gaps = [];
+  for (let i = 1; i < timestamps.length; i++) {
+    gaps.push(new Date(timestamps[i]) - new Date(timestamps[i - 1]));
+  }
+  const sortedGaps = gaps.filter(gap => gap > 0).sort((a, b) => a - b);
+  const medianGap = sortedGaps[Math.floor(sortedGaps.length / 2)] || DAY;
+  // Daily points skip weekends and holidays, which calendar spacing would count
+  return medianGap < SPARSE_GAP ? TRADING_DAYS_PER_YEAR : 365.25 * DAY / medianGap;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+// Session closes of the NAV as growth factors: a returnPercent of 12 is 1.12
+function toGrowth(navPoints) {
+  return toDailyCloses(navPoints)
+    .map(point => ({ timestamp: point.timestamp, time: new Date(point.timestamp).getTime(), growth: 1 + point.returnPercent / 100 }))
+    .filter(point => Number.isFinite(point.time) && point.growth > 0);
+}
+
+/**
+ * Deepest peak-to-trough fall and how long it lasted
+ * @returns {Object} { maxDrawdown (percent, ≤ 0), peak, trough, recovery (null while
+ *   still under water), durationDays (peak to recovery, or to the last point), currentDrawdown }
+ */
+function findMaxDrawdown(points) {
+  let peak = points[0];
+  let worst = { maxDrawdown: 0, peak: null, trough: null };
+
+  points.forEach(point => {
+    if (point.growth > peak.growth) peak = point;
+    const drawdown = (point.growth / peak.growth - 1) * 100;
+    if (drawdown < worst.maxDrawdown) {
+      worst = { maxDrawdown: drawdown, peak, trough: point };
+    }
+  });
+
+  const last = points[points.length - 1];
+  const currentDrawdown = (last.growth / peak.growth - 1) * 100;
+  if (!worst.trough) {
+    return { maxDrawdown: 0, peak: null, trough: null, recovery: null, durationDays: 0, currentDrawdown };
+  }
+
+  const recovery = points.find(point => point.time > worst.trough.time && point.growth >= worst.peak.growth) || null;
+  return {
+    maxDrawdown: worst.maxDrawdown,
+    peak: worst.peak.timestamp,
+    trough: worst.trough.timestamp,
+    recovery: recovery ? recovery.timestamp : null,
+    durationDays: Math.round(((recovery || last).time - worst.peak.time) / DAY),
+    currentDrawdown
+  };
+}
+
+// Returns between consecutive session closes
+function toDailyReturns(points) {
+  const returns = [];
+  for (let i = 1; i < points.length; i++) {
+    returns.push({ timestamp: points[i].timestamp, returnPercent: (points[i].growth / points[i - 1].growth - 1) * 100 });
+  }
+  return returns;
+}
+
+function computeRisk(points, riskFreeRate) {
+  const periodReturns = [];
+  for (let i = 1; i < points.length; i++) {
+    periodReturns.push(points[i].growth / points[i - 1].growth - 1);
+  }
+
+  const periodsPerYear = getPeriodsPerYear(points.map(point => point.timestamp));
+  const riskFree = riskFreeRate / 100;
+  const riskFreePerPeriod = riskFree / periodsPerYear;
+
+  const volatility = standardDeviation(periodReturns) * Math.sqrt(periodsPerYear);
+  const excessMean = (mean(periodReturns) - riskFreePerPeriod) * periodsPerYear;
+  const downside = Math.sqrt(mean(periodReturns.map(r => Math.min(r - riskFreePerPeriod, 0) ** 2)) * periodsPerYear);
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const totalReturn = last.growth / first.growth - 1;
+  const years = (last.time - first.time) / (365.25 * DAY);
+  const annualizedReturn = years > 0 ? Math.pow(1 + totalReturn, 1 / years) - 1 : null;
+
+  const drawdown = findMaxDrawdown(points);
+  const dailyReturns = toDailyReturns(points);
+  const byReturn = [...dailyReturns].sort((a, b) => a.returnPercent - b.returnPercent);
+
+  return {
+    totalReturn: totalReturn * 100,
+    annualizedReturn: annualizedReturn === null ? null : annualizedReturn * 100,
+    volatility: volatility * 100,
+    sharpe: volatility > 0 ? excessMean / volatility : null,
+    sortino: downside > 0 ? excessMean / downside : null,
+    calmar: annualizedReturn !== null && drawdown.maxDrawdown < 0 ? annualizedReturn * 100 / Math.abs(drawdown.maxDrawdown) : null,
+    ...drawdown,
+    bestDay: byReturn.length > 0 ? byReturn[byReturn.length - 1] : null,
+    worstDay: byReturn.length > 0 ? byReturn[0] : null,
+    periods: periodReturns.length
+  };
+}
+
+/**
+ * Risk statistics of a NAV series
+ *
+ * The NAV is reduced to the last point of each trading session first, so
+ * intraday points neither inflate the number of periods nor count as days.
+ * Volatility, Sharpe and Sortino are annualized from the spacing of the
+ * sessions (see getPeriodsPerYear). Calmar is the annualized return over
+ * the max drawdown, null when the series never fell.
+ *
+ * @param {Array} navPoints - Unsampled NAV points oldest first ({ timestamp, returnPercent })
+ * @param {Object} options - { riskFreeRate } annual, in percent
+ * @returns {Object|null} { totalReturn, annualizedReturn, volatility, sharpe, sortino, calmar,
+ *   maxDrawdown, peak, trough, recovery, durationDays, currentDrawdown, bestDay, worstDay,
+ *   periods (daily returns) }, percentages as numbers (12.5 = 12.5%); null with fewer than 3 sessions
+ */
+export function calculateRiskMetrics(navPoints, { riskFreeRate = DEFAULT_RISK_FREE_RATE } = {}) {
+  const points = toGrowth(navPoints || []);
+  if (points.length < 3) return null;
+
+  try {
+    return computeRisk(points, riskFreeRate);
+  } catch (error) {
+    logger.error('[RISK] Error calculating risk metrics:', error);
+    return null;
+  }
+}
+
+/**
+ * The same statistics over a trailing window ending at each session close
+ *
+ * @param {Array} navPoints - Unsampled NAV points oldest first
+ * @param {Object} options - { window: number of trading sessions, riskFreeRate }
+ * @returns {Array} [{ timestamp, volatility, sharpe, sortino, calmar, maxDrawdown,
+ *   bestDay, worstDay, totalReturn }], starting once a full window is available
+ */
+export function calculateRollingRisk(navPoints, { window = ROLLING_WINDOWS[0], riskFreeRate = DEFAULT_RISK_FREE_RATE } = {}) {
+  const points = toGrowth(navPoints || []);
+  if (points.length <= window) return [];
+
+  try {
+    const rolling = [];
+    for (let end = window; end < points.length; end++) {
+      const risk = computeRisk(points.slice(end - window, end + 1), riskFreeRate);
+      rolling.push({
+        timestamp: points[end].timestamp,
+        volatility: risk.volatility,
+        sharpe: risk.sharpe,
+        sortino: risk.sortino,
+        calmar: risk.calmar,
+        maxDrawdown: risk.maxDrawdown,
+        bestDay: risk.bestDay?.returnPercent ?? null,
+        worstDay: risk.worstDay?.returnPercent ?? null,
+        totalReturn: risk.totalReturn
+      });
+    }
+    return rolling;
+  } catch (error) {
+    logger.error('[RISK] Error calculating rolling risk:', error);
+    return [];
+  }
+}
+
+export default {
+  calculateRiskMetrics,
+  calculateRollingRisk
+};
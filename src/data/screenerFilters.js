@@ -0,0 +1,450 @@
+import { calculateIndicators, sma } from './indicators';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Gap allowed between a lookback date and the bar used for it (weekends, holidays)
+const HISTORY_TOLERANCE_DAYS = 7;
+
+// Overview export, the columns the results page shows
+export const FINVIZ_EXPORT_BASE = 'https://elite.finviz.com/export.ashx?v=111';
+
+/**
+ * Where a screener's results come from. Screeners saved before the builder
+ * only have an apiLink and count as 'url'.
+ */
+export const SCREENER_SOURCES = {
+  finviz: { label: 'Finviz Filters' },
+  local: { label: 'Local Universe' },
+  url: { label: 'Finviz URL' }
+};
+
+export function getScreenerSource(screener) {
+  return SCREENER_SOURCES[screener?.source] ? screener.source : 'url';
+}
+
+// Finviz sector names; the filter code is the name lowercased without spaces
+export const SECTORS = [
+  'Basic Materials',
+  'Communication Services',
+  'Consumer Cyclical',
+  'Consumer Defensive',
+  'Energy',
+  'Financial',
+  'Healthcare',
+  'Industrials',
+  'Real Estate',
+  'Technology',
+  'Utilities'
+];
+
+/**
+ * Numeric filters, bounded by a min and/or max in the unit shown. The unit
+ * is Finviz's, and `scale` turns a local value into it.
+ */
+export const RANGE_FIELDS = {
+  price: { label: 'Price', unit: '$', finviz: 'sh_price', scale: 1 },
+  volume: { label: 'Volume', unit: 'K shares', finviz: 'sh_curvol', scale: 1e3 },
+  avgVolume: { label: 'Avg Volume', unit: 'K shares', finviz: 'sh_avgvol', scale: 1e3 },
+  relVolume: { label: 'Rel Volume', unit: '×', finviz: 'sh_relvol', scale: 1 },
+  marketCap: { label: 'Market Cap', unit: '$B', finviz: 'cap', scale: 1e9 },
+  pe: { label: 'P/E', unit: '', finviz: 'fa_pe', scale: 1 }
+};
+
+/**
+ * Performance windows with the thresholds Finviz offers for each. `days`
+ * is the calendar lookback used locally; 'd' compares with the previous close.
+ */
+export const PERFORMANCE_WINDOWS = {
+  d: { label: 'Today', days: 1, percents: [5, 10, 15] },
+  '1w': { label: 'Week', days: 7, percents: [10, 20, 30] },
+  '4w': { label: 'Month', days: 28, percents: [10, 20, 30, 50] },
+  '13w': { label: 'Quarter', days: 91, percents: [10, 20, 30, 50] },
+  '26w': { label: 'Half Year', days: 182, percents: [10, 20, 30, 50] },
+  '52w': { label: 'Year', days: 364, percents: [10, 20, 30, 50] }
+};
+
+// Finviz takes two performance filters, the second under its own key
+const PERFORMANCE_KEYS = ['ta_perf', 'ta_perf2'];
+
+const compare = (a, b) => (a === null || a === undefined || b === null || b === undefined ? null : a > b);
+
+/**
+ * Indicator conditions. `finviz` gives the filter key and value, `test`
+ * answers from the local context (null when the history is too short) and
+ * `historyDays` is how much daily history that takes.
+ */
+export const INDICATOR_CONDITIONS = {
+  rsiAbove: {
+    label: 'RSI(14) above',
+    values: [50, 60, 70, 80, 90],
+    historyDays: 30,
+    finviz: (value) => ['ta_rsi', value === 50 ? 'nos50' : `ob${value}`],
+    test: (ctx, value) => compare(ctx.indicators?.rsi14, value)
+  },
+  rsiBelow: {
+    label: 'RSI(14) below',
+    values: [10, 20, 30, 40, 50],
+    historyDays: 30,
+    finviz: (value) => ['ta_rsi', value === 50 ? 'nob50' : `os${value}`],
+    test: (ctx, value) => compare(value, ctx.indicators?.rsi14)
+  },
+  aboveSma20: {
+    label: 'Price above SMA20',
+    historyDays: 30,
+    finviz: () => ['ta_sma20', 'pa'],
+    test: (ctx) => compare(ctx.indicators?.close, ctx.indicators?.sma20)
+  },
+  belowSma20: {
+    label: 'Price below SMA20',
+    historyDays: 30,
+    finviz: () => ['ta_sma20', 'pb'],
+    test: (ctx) => compare(ctx.indicators?.sma20, ctx.indicators?.close)
+  },
+  aboveSma50: {
+    label: 'Price above SMA50',
+    historyDays: 75,
+    finviz: () => ['ta_sma50', 'pa'],
+    test: (ctx) => compare(ctx.indicators?.close, ctx.indicators?.sma50)
+  },
+  belowSma50: {
+    label: 'Price below SMA50',
+    historyDays: 75,
+    finviz: () => ['ta_sma50', 'pb'],
+    test: (ctx) => compare(ctx.indicators?.sma50, ctx.indicators?.close)
+  },
+  aboveSma200: {
+    label: 'Price above SMA200',
+    historyDays: 300,
+    finviz: () => ['ta_sma200', 'pa'],
+    test: (ctx) => compare(ctx.indicators?.close, ctx.sma200)
+  },
+  belowSma200: {
+    label: 'Price below SMA200',
+    historyDays: 300,
+    finviz: () => ['ta_sma200', 'pb'],
+    test: (ctx) => compare(ctx.sma200, ctx.indicators?.close)
+  },
+  newHigh52w: {
+    label: 'New 52-week high',
+    historyDays: 364,
+    finviz: () => ['ta_highlow52w', 'nh'],
+    test: (ctx) => (ctx.hasYear ? ctx.lastBar.high >= ctx.indicators.high52w : null)
+  },
+  newLow52w: {
+    label: 'New 52-week low',
+    historyDays: 364,
+    finviz: () => ['ta_highlow52w', 'nl'],
+    test: (ctx) => (ctx.hasYear ? ctx.lastBar.low <= ctx.indicators.low52w : null)
+  }
+};
+
+/**
+ * Everything the "add filter" menu offers, range fields first
+ */
+export const FILTER_FIELDS = {
+  ...Object.fromEntries(Object.entries(RANGE_FIELDS).map(([key, { label }]) => [key, { label }])),
+  sector: { label: 'Sector' },
+  performance: { label: 'Performance' },
+  indicator: { label: 'Indicator' }
+};
+
+/**
+ * A new filter for a field, with nothing restricted yet where that's possible
+ */
+export function createFilter(field) {
+  if (field === 'sector') return { field, values: [] };
+  if (field === 'performance') return { field, window: '4w', move: 'up', percent: 0 };
+  if (field === 'indicator') return { field, condition: 'rsiAbove', value: 70 };
+  return { field, min: null, max: null };
+}
+
+const hasBound = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+
+/**
+ * Short description of a filter: "Price 5–50", "Month +10% or more"
+ */
+export function describeFilter(filter) {
+  if (RANGE_FIELDS[filter.field]) {
+    const { label, unit } = RANGE_FIELDS[filter.field];
+    const suffix = unit && unit !== '$' ? ` ${unit}` : '';
+    const prefix = unit === '$' ? '$' : '';
+    if (hasBound(filter.min) && hasBound(filter.max)) return `${label} ${prefix}${filter.min}–${prefix}${filter.max}${suffix}`;
+    if (hasBound(filter.min)) return `${label} over ${prefix}${filter.min}${suffix}`;
+    if (hasBound(filter.max)) return `${label} under ${prefix}${filter.max}${suffix}`;
+    return `${label} (any)`;
+  }
+  if (filter.field === 'sector') return `Sector: ${(filter.values || []).join(', ') || 'any'}`;
+  if (filter.field === 'performance') {
+    const window = PERFORMANCE_WINDOWS[filter.window]?.label || filter.window;
+    if (!filter.percent) return `${window} ${filter.move}`;
+    return `${window} ${filter.move === 'up' ? '+' : '−'}${filter.percent}% or more`;
+  }
+  if (filter.field === 'indicator') {
+    const condition = INDICATOR_CONDITIONS[filter.condition];
+    if (!condition) return filter.condition;
+    return condition.values ? `${condition.label} ${filter.value}` : condition.label;
+  }
+  return filter.field;
+}
+
+/**
+ * Problems with individual filters
+ * @returns {Object} { [index]: message }, empty when every filter is usable
+ */
+export function validateFilters(filters) {
+  const errors = {};
+  (filters || []).forEach((filter, index) => {
+    if (RANGE_FIELDS[filter.field]) {
+      const min = hasBound(filter.min) ? Number(filter.min) : null;
+      const max = hasBound(filter.max) ? Number(filter.max) : null;
+      if (min === null && max === null) errors[index] = 'Set a min or a max';
+      else if (min !== null && max !== null && min > max) errors[index] = 'Min is above max';
+      else if ((min ?? 0) < 0 || (max ?? 0) < 0) errors[index] = 'Bounds can\'t be negative';
+    } else if (filter.field === 'sector') {
+      if (!filter.values?.length) errors[index] = 'Pick at least one sector';
+    } else if (filter.field === 'performance') {
+      const window = PERFORMANCE_WINDOWS[filter.window];
+      if (!window) errors[index] = 'Unknown window';
+      else if (filter.percent && !window.percents.includes(Number(filter.percent))) errors[index] = `Finviz offers ${window.percents.join('/')}% for this window`;
+    } else if (filter.field === 'indicator') {
+      const condition = INDICATOR_CONDITIONS[filter.condition];
+      if (!condition) errors[index] = 'Unknown condition';
+      else if (condition.values && !condition.values.includes(Number(filter.value))) errors[index] = `Choose one of ${condition.values.join('/')}`;
+    } else {
+      errors[index] = `Unknown filter ${filter.field}`;
+    }
+  });
+  return errors;
+}
+
+/**
+ * Turn filters into a Finviz export URL
+ *
+ * Ranges use Finviz's custom range syntax (5to50, 5to, to50). Finviz keeps
+ * one value per filter key, so two conditions on the same key (two price
+ * ranges, RSI above and below) can't be compiled; those come back as errors.
+ *
+ * @param {Array} filters - Filter definitions
+ * @returns {Object} { url, errors: [message] }, url null when there are errors
+ */
+export function compileFinvizUrl(filters) {
+  const errors = Object.entries(validateFilters(filters))
+    .map(([index, message]) => `${describeFilter(filters[index])}: ${message}`);
+  const codes = new Map();
+  let performanceCount = 0;
+
+  const add = (key, value, filter) => {
+    if (codes.has(key)) {
+      errors.push(`${describeFilter(filter)}: Finviz keeps one ${key} filter`);
+      return;
+    }
+    codes.set(key, value);
+  };
+
+  (filters || []).forEach(filter => {
+    if (RANGE_FIELDS[filter.field]) {
+      const min = hasBound(filter.min) ? Number(filter.min) : '';
+      const max = hasBound(filter.max) ? Number(filter.max) : '';
+      add(RANGE_FIELDS[filter.field].finviz, `${min}to${max}`, filter);
+    } else if (filter.field === 'sector') {
+      add('sec', (filter.values || []).map(name => name.toLowerCase().replace(/\s+/g, '')).join('|'), filter);
+    } else if (filter.field === 'performance') {
+      const key = PERFORMANCE_KEYS[performanceCount++];
+      if (!key) {
+        errors.push(`Finviz takes at most ${PERFORMANCE_KEYS.length} performance filters`);
+        return;
+      }
+      const value = filter.percent ? `${filter.percent}${filter.move === 'up' ? 'o' : 'u'}` : filter.move;
+      add(key, `${filter.window}${value}`, filter);
+    } else if (filter.field === 'indicator' && INDICATOR_CONDITIONS[filter.condition]) {
+      const [key, value] = INDICATOR_CONDITIONS[filter.condition].finviz(Number(filter.value));
+      add(key, value, filter);
+    }
+  });
+
+  if (codes.size === 0 && errors.length === 0) errors.push('Add at least one filter');
+  if (errors.length > 0) return { url: null, errors };
+
+  const f = Array.from(codes, ([key, value]) => `${key}_${value}`).join(',');
+  return { url: `${FINVIZ_EXPORT_BASE}&f=${f}`, errors: [] };
+}
+
+/**
+ * Calendar days of daily candles the filters need when run locally
+ */
+export function getHistoryDays(filters) {
+  return (filters || []).reduce((days, filter) => {
+    if (filter.field === 'performance') return Math.max(days, PERFORMANCE_WINDOWS[filter.window]?.days || 0);
+    if (filter.field === 'indicator') return Math.max(days, INDICATOR_CONDITIONS[filter.condition]?.historyDays || 0);
+    return days;
+  }, 0);
+}
+
+/**
+ * Whether oldest-first daily candles reach `days` back from now
+ */
+export function hasHistory(bars, days, now = Date.now()) {
+  if (days <= 0) return true;
+  if (!bars || bars.length === 0) return false;
+  return bars[0].time <= now - (days - HISTORY_TOLERANCE_DAYS) * DAY_MS;
+}
+
+// Percent change from the close `days` before the last bar; 'd' windows use the previous bar
+function performance(bars, windowKey) {
+  const window = PERFORMANCE_WINDOWS[windowKey];
+  const lastBar = bars[bars.length - 1];
+  if (!window || !lastBar) return null;
+  if (window.days === 1) {
+    return bars.length > 1 ? (lastBar.close / bars[bars.length - 2].close - 1) * 100 : null;
+  }
+  const target = lastBar.time - window.days * DAY_MS;
+  let base = null;
+  for (let i = bars.length - 1; i >= 0; i--) {
+    if (bars[i].time <= target) {
+      base = bars[i];
+      break;
+    }
+  }
+  if (!base && bars[0].time - target <= HISTORY_TOLERANCE_DAYS * DAY_MS) base = bars[0];
+  return base ? (lastBar.close / base.close - 1) * 100 : null;
+}
+
+const firstPositive = (...values) => {
+  const found = values.find(value => Number(value) > 0);
+  return found === undefined ? null : Number(found);
+};
+
+/**
+ * What a local screener run knows about one universe item
+ *
+ * Enriched item fields come first, then what the daily candles and the
+ * ticker profile can tell (see universeEnrichment and /api/profiles).
+ *
+ * @param {Object} item - Universe item
+ * @param {Array} bars - Oldest-first daily candles
+ * @param {Object} profile - { company, sector, industry, country, marketCap } or null
+ */
+export function buildLocalContext(item, bars = [], profile = null) {
+  const lastBar = bars[bars.length - 1] || null;
+  const indicators = calculateIndicators({ daily: bars });
+  const closes = bars.map(bar => bar.close);
+  return {
+    symbol: item.symbol.toUpperCase(),
+    item,
+    bars,
+    lastBar,
+    profile,
+    indicators,
+    sma200: closes.length >= 200 ? sma(closes, 200)[closes.length - 1] : null,
+    hasYear: lastBar !== null && bars[0].time <= lastBar.time - (365 - HISTORY_TOLERANCE_DAYS) * DAY_MS,
+    sector: item.sector || profile?.sector || null,
+    values: {
+      price: firstPositive(item.lastPrice, lastBar?.close),
+      volume: firstPositive(item.volume24h, lastBar?.volume),
+      avgVolume: firstPositive(item.avgVolume, indicators?.avgVolume20),
+      relVolume: firstPositive(item.relVolume, indicators?.relativeVolume),
+      marketCap: firstPositive(item.marketCap, profile?.marketCap),
+      pe: firstPositive(item.pe),
+      change: performance(bars, 'd')
+    }
+  };
+}
+
+/**
+ * Whether a ticker passes one filter
+ * @returns {boolean|null} null when the data to tell is missing
+ */
+export function evaluateFilter(filter, ctx) {
+  if (RANGE_FIELDS[filter.field]) {
+    const raw = ctx.values[filter.field];
+    if (raw === null) return null;
+    const value = raw / RANGE_FIELDS[filter.field].scale;
+    if (hasBound(filter.min) && value < Number(filter.min)) return false;
+    if (hasBound(filter.max) && value > Number(filter.max)) return false;
+    return true;
+  }
+  if (filter.field === 'sector') {
+    return ctx.sector ? (filter.values || []).includes(ctx.sector) : null;
+  }
+  if (filter.field === 'performance') {
+    const change = performance(ctx.bars, filter.window);
+    if (change === null) return null;
+    const percent = Number(filter.percent) || 0;
+    if (filter.move === 'up') return percent ? change >= percent : change > 0;
+    return percent ? change <= -percent : change < 0;
+  }
+  if (filter.field === 'indicator') {
+    const condition = INDICATOR_CONDITIONS[filter.condition];
+    return condition ? condition.test(ctx, Number(filter.value)) : null;
+  }
+  return null;
+}
+
+/**
+ * Run filters against universe items
+ *
+ * A ticker matches when every filter passes. Tickers that only failed for
+ * missing data are listed apart, so a thin universe isn't mistaken for one
+ * that doesn't match.
+ *
+ * @param {Array} items - Universe items
+ * @param {Array} filters - Filter definitions
+ * @param {Object} data - { barsBySymbol: { [symbol]: daily candles }, profiles: { [symbol]: profile } }
+ * @returns {Object} { matches: [context], incomplete: [symbol] }
+ */
+export function runLocalScreener(items, filters, { barsBySymbol = {}, profiles = {} } = {}) {
+  const matches = [];
+  const incomplete = [];
+  (items || []).forEach(item => {
+    if (!item?.symbol) return;
+    const symbol = item.symbol.toUpperCase();
+    const ctx = buildLocalContext(item, barsBySymbol[symbol] || [], profiles[symbol] || null);
+    const results = (filters || []).map(filter => evaluateFilter(filter, ctx));
+    if (results.includes(false)) return;
+    if (results.includes(null)) incomplete.push(symbol);
+    else matches.push(ctx);
+  });
+  return { matches, incomplete };
+}
+
+/**
+ * A local match in the shape of a Finviz overview export row, so the
+ * results page treats both alike
+ */
+export function toScreenerRow(ctx) {
+  const { price, volume, marketCap, pe, change } = ctx.values;
+  return {
+    Ticker: ctx.symbol,
+    Company: ctx.profile?.company || '',
+    Sector: ctx.sector || '',
+    Industry: ctx.profile?.industry || '',
+    Country: ctx.profile?.country || '',
+    // Finviz lists market cap in millions
+    'Market Cap': marketCap ? (marketCap / 1e6).toFixed(2) : '',
+    'P/E': pe ? pe.toFixed(2) : '',
+    Price: price ? price.toFixed(2) : '',
+    Change: change !== null ? `${change.toFixed(2)}%` : '',
+    Volume: volume ? String(Math.round(volume)) : ''
+  };
+}
+
+export default {
+  FINVIZ_EXPORT_BASE,
+  SCREENER_SOURCES,
+  SECTORS,
+  RANGE_FIELDS,
+  PERFORMANCE_WINDOWS,
+  INDICATOR_CONDITIONS,
+  FILTER_FIELDS,
+  getScreenerSource,
+  createFilter,
+  describeFilter,
+  validateFilters,
+  compileFinvizUrl,
+  getHistoryDays,
+  hasHistory,
+  buildLocalContext,
+  evaluateFilter,
+  runLocalScreener,
+  toScreenerRow
+};
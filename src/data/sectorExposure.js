@@ -0,0 +1,185 @@
+import { logger } from '../utils/logger';
+import { valuePositionsAt } from './positionNavCalculator';
+import { UNCLASSIFIED } from './attributionCalculator';
+
+// Profiles are looked up again after this long, unknown symbols included
+export const PROFILE_MAX_AGE_DAYS = 30;
+
+/**
+ * Items still waiting for a sector, or whose last lookup is older than
+ * PROFILE_MAX_AGE_DAYS
+ */
+export function getItemsNeedingProfiles(items, now = Date.now()) {
+  const maxAge = PROFILE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  return (items || []).filter(item => {
+    if (!item?.symbol) return false;
+    const checked = new Date(item.profileCheckedAt || 0).getTime();
+    return !Number.isFinite(checked) || now - checked > maxAge;
+  });
+}
+
+/**
+ * Copy sector, industry and market cap onto the items they belong to
+ *
+ * Every looked-up item gets profileCheckedAt, found or not, so symbols
+ * without a profile aren't asked for again on every render.
+ *
+ * @param {Array} items - Watchlist items
+ * @param {Object} profiles - { [symbol]: { sector, industry, marketCap } }
+ * @param {Array<string>} checkedSymbols - Symbols that were looked up
+ * @returns {Array} New items array; untouched items are the same objects
+ */
+export function applyProfiles(items, profiles, checkedSymbols, now = new Date()) {
+  const checked = new Set(checkedSymbols);
+  return (items || []).map(item => {
+    if (!checked.has(item.symbol)) return item;
+    const profile = profiles[item.symbol];
+    return {
+      ...item,
+      ...(profile?.sector && { sector: profile.sector }),
+      ...(profile?.industry && { industry: profile.industry }),
+      ...(profile?.marketCap > 0 && { marketCap: profile.marketCap }),
+      profileCheckedAt: now.toISOString()
+    };
+  });
+}
+
+/**
+ * Current value of the watchlist per sector, and per industry inside it
+ *
+ * Positions are valued like the position NAV. Weights are shares of the
+ * invested value, so they add up to 1 without the cash.
+ *
+ * @param {Array} items - Watchlist items with sector/industry
+ * @param {Object} options - { mode, cash }
+ * @returns {Object} { value, cash, invested, sectors: [{ sector, value, weight, symbols,
+ *   industries: [{ industry, value, weight }] }] }, largest sector first
+ */
+export function calculateSectorExposure(items, options = {}) {
+  const { value, cash, positions } = valuePositionsAt(items, options, Infinity);
+  const invested = value - cash;
+  const sectors = new Map();
+
+  positions.forEach(position => {
+    const item = items[position.index];
+    const sectorName = item?.sector || UNCLASSIFIED;
+    const industryName = item?.industry || UNCLASSIFIED;
+    const sector = sectors.get(sectorName) || { sector: sectorName, value: 0, symbols: [], industries: new Map() };
+    sector.value += position.value;
+    sector.symbols.push(position.symbol);
+    sector.industries.set(industryName, (sector.industries.get(industryName) || 0) + position.value);
+    sectors.set(sectorName, sector);
+  });
+
+  const share = (part) => (invested > 0 ? part / invested : 0);
+  return {
+    value,
+    cash,
+    invested,
+    sectors: Array.from(sectors.values())
+      .map(sector => ({
+        sector: sector.sector,
+        value: sector.value,
+        weight: share(sector.value),
+        symbols: sector.symbols,
+        industries: Array.from(sector.industries, ([industry, industryValue]) => ({
+          industry,
+          value: industryValue,
+          weight: share(industryValue)
+        })).sort((a, b) => b.value - a.value)
+      }))
+      .sort((a, b) => b.value - a.value)
+  };
+}
+
+// One CSV line into fields, honouring quoted commas
+function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Sector table rows from a Finviz sector export
+ *
+ * Works with the overview view (Name, Market Cap in millions, Change) and
+ * the performance view (Name, Performance (...)); market weights are only
+ * available from the overview.
+ *
+ * @param {string} csvText - Raw grp_export CSV
+ * @returns {Array} [{ sector, marketCap, weight, change }], weight null without market caps
+ */
+export function parseSectorTable(csvText) {
+  try {
+    const lines = String(csvText || '').trim().split('\n').filter(Boolean);
+    if (lines.length < 2) return [];
+
+    const headers = splitCsvLine(lines[0]);
+    const column = (name) => headers.indexOf(name);
+    const toNumber = (value) => {
+      const number = parseFloat(String(value ?? '').replace(/[%,]/g, ''));
+      return Number.isFinite(number) ? number : null;
+    };
+
+    const rows = lines.slice(1).map(line => {
+      const values = splitCsvLine(line);
+      const marketCap = column('Market Cap') >= 0 ? toNumber(values[column('Market Cap')]) : null;
+      return {
+        sector: values[column('Name')] || null,
+        marketCap: marketCap === null ? null : marketCap * 1e6,
+        change: column('Change') >= 0 ? toNumber(values[column('Change')]) : null
+      };
+    }).filter(row => row.sector);
+
+    const totalCap = rows.reduce((sum, row) => sum + (row.marketCap || 0), 0);
+    return rows.map(row => ({ ...row, weight: totalCap > 0 && row.marketCap !== null ? row.marketCap / totalCap : null }));
+  } catch (error) {
+    logger.error('[SECTOR] Error parsing sector table:', error);
+    return [];
+  }
+}
+
+/**
+ * Over/underweight of each sector against the market weights of the sector table
+ *
+ * @param {Object} exposure - Result of calculateSectorExposure
+ * @param {Array} sectorTable - Result of parseSectorTable
+ * @returns {Array} [{ sector, weight, marketWeight, active }], active = weight − market
+ *   weight (fractions); sectors from either side, largest absolute active weight first
+ *   and sectors missing from the table (Unclassified) last. Empty when the table has
+ *   no market weights.
+ */
+export function compareToSectorTable(exposure, sectorTable) {
+  if (!sectorTable?.some(row => row.weight !== null)) return [];
+
+  const weights = new Map(exposure.sectors.map(sector => [sector.sector, sector.weight]));
+  const names = new Set([...sectorTable.map(row => row.sector), ...weights.keys()]);
+
+  return Array.from(names)
+    .map(sector => {
+      const marketWeight = sectorTable.find(row => row.sector === sector)?.weight ?? null;
+      const weight = weights.get(sector) || 0;
+      return { sector, weight, marketWeight, active: marketWeight === null ? null : weight - marketWeight };
+    })
+    .sort((a, b) => (a.active === null) - (b.active === null) || Math.abs(b.active) - Math.abs(a.active));
+}
+
+export default {
+  getItemsNeedingProfiles,
+  applyProfiles,
+  calculateSectorExposure,
+  parseSectorTable,
+  compareToSectorTable
+};
@@ -0,0 +1,115 @@
+import liveEventStream from './liveEventStream';
+import symbolPriceCache from './symbolPriceCache';
+import { logger } from '../utils/logger';
+import { storage, STORAGE_KEYS } from '../utils/storage';
+
+const SCHEDULER_API = '/api/scheduler';
+const POLL_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Client side of the server batch scheduler
+ *
+ * When the server runs the 3-minute batch cycle (Twelve Data key set, or
+ * replay mode) the browser doesn't fetch on its own: it re-reads watchlists
+ * and NAV chart data from the store after every completed cycle. Cycles are
+ * pushed on the live event stream; the status is polled while it is down.
+ */
+class ServerScheduler {
+  constructor() {
+    this.pollTimer = null;
+    this.lastCycleCompletedAt = null;
+    this.nextCycleAt = null;
+    this.unsubscribers = [];
+  }
+
+  async getStatus({ timeoutMs = 3000 } = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(SCHEDULER_API, { signal: controller.signal });
+      if (!response.ok) return null;
+      return await response.json();
+    } catch (error) {
+      return null;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * @returns {Promise<boolean>} true when the server is fetching for every browser
+   * and this browser syncs with the store (results can only be read from there)
+   */
+  async isActive() {
+    if (!storage.remote) return false;
+    const status = await this.getStatus();
+    return Boolean(status?.active);
+  }
+
+  followResults() {
+    if (this.pollTimer) return;
+
+    logger.info('⏱️ Server scheduler active, reading burnlist updates from the store');
+    this.unsubscribers = [
+      liveEventStream.subscribe('cycle', cycle => this.pullResults(cycle)),
+      // Watchlists were saved by the server, only refresh the shared series and subscribers
+      liveEventStream.subscribe('prices', ({ prices }) => {
+        symbolPriceCache.ingest(prices, 'scheduler', { applyToWatchlists: false });
+      })
+    ];
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.poll();
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  // Fallback while the event stream is down (and once on start)
+  async poll() {
+    if (liveEventStream.isConnected && this.lastCycleCompletedAt) return;
+
+    const status = await this.getStatus();
+    if (status) {
+      this.nextCycleAt = status.nextCycleAt;
+      await this.pullResults(status.lastCycle);
+    }
+  }
+
+  async pullResults(cycle) {
+    if (cycle?.nextCycleAt) this.nextCycleAt = cycle.nextCycleAt;
+
+    const completedAt = cycle?.completedAt;
+    if (!completedAt || completedAt === this.lastCycleCompletedAt) return;
+
+    try {
+      const changed = await storage.pullRemote(['watchlists', 'chartData']);
+      this.lastCycleCompletedAt = completedAt;
+
+      if (changed.length > 0) {
+        logger.debug(`⏱️ Pulled ${changed.length} keys after server cycle #${cycle.number}`);
+        // Same event batchedFetchManager used, pages reload the watchlist and chart
+        window.dispatchEvent(new StorageEvent('storage', { key: STORAGE_KEYS.WATCHLISTS }));
+      }
+    } catch (error) {
+      logger.warn('⚠️ Failed to read server scheduler results:', error.message);
+    }
+  }
+
+  /**
+   * Milliseconds until the server's next cycle, null when not following it
+   */
+  getTimeUntilNextCycle() {
+    if (!this.pollTimer || !this.nextCycleAt) return null;
+    return Math.max(0, new Date(this.nextCycleAt).getTime() - Date.now());
+  }
+}
+
+const serverScheduler = new ServerScheduler();
+
+export default serverScheduler;
@@ -0,0 +1,238 @@
+import { logger } from '../utils/logger';
+import { calculateIndicators, rsi, macd } from './indicators';
+
+// Bars searched for the rally high and the swing low under it
+const SWING_LOOKBACK = 40;
+// Bars on each side a pivot low must undercut
+const PIVOT_SPAN = 2;
+
+const format = (value, digits = 1) => (Number.isFinite(value) ? value.toFixed(digits) : '–');
+const arrow = (now, before) => (now > before ? '↑' : now < before ? '↓' : '→');
+const lastTwo = (series) => series.filter(value => value !== null).slice(-2);
+
+/*
+ * Rule builders. Each returns ({ indicators, bars, item }) => { pass, value }
+ * or null when the data it needs is missing; null rules stay manual.
+ */
+
+function rsiBetween(min, max, { rising = false } = {}) {
+  return ({ bars }) => {
+    const [before, now] = lastTwo(rsi(bars.map(bar => bar.close)));
+    if (!Number.isFinite(now)) return null;
+    const inRange = now >= min && now <= max;
+    return {
+      pass: inRange && (!rising || now > before),
+      value: `RSI ${format(now)}${rising && Number.isFinite(before) ? ` ${arrow(now, before)}` : ''}`
+    };
+  };
+}
+
+// 'bullish': MACD above signal. 'rising': crossed up lately or the MACD line
+// is rising. 'turning': histogram rising (flattening after a drop) or crossed up.
+function macdState(state) {
+  return ({ indicators, bars }) => {
+    if (!Number.isFinite(indicators.macdHistogram)) return null;
+    const series = macd(bars.map(bar => bar.close));
+    const [lineBefore, lineNow] = lastTwo(series.macd);
+    const [histBefore, histNow] = lastTwo(series.histogram);
+    const crossedUp = indicators.macdCross === 'bullish';
+
+    const pass = state === 'bullish'
+      ? indicators.macd > indicators.macdSignal
+      : state === 'rising'
+        ? crossedUp || lineNow > lineBefore
+        : crossedUp || histNow > histBefore;
+    const detail = crossedUp ? 'fresh bullish cross' : `hist ${format(histNow, 2)} ${arrow(histNow, histBefore)}`;
+    return { pass, value: `MACD ${format(lineNow, 2)}, ${detail}` };
+  };
+}
+
+function relativeVolumeAbove(threshold, field = 'relativeVolume', label = '1d') {
+  return ({ indicators }) => {
+    const value = indicators[field];
+    if (!Number.isFinite(value)) return null;
+    return { pass: value > threshold, value: `RVol ${label} ${format(value, 2)}×` };
+  };
+}
+
+function withinOfYearHigh(percent) {
+  return ({ indicators }) => {
+    if (!Number.isFinite(indicators.fromHigh52w)) return null;
+    return {
+      pass: indicators.fromHigh52w >= -percent,
+      value: `${format(indicators.fromHigh52w)}% from 52w high ${format(indicators.high52w, 2)}`
+    };
+  };
+}
+
+// Earnings come from the item (earningsDaysAway); past earnings don't block
+function noEarningsWithin(days, note = '') {
+  return ({ item }) => {
+    const daysAway = Number(item?.earningsDaysAway);
+    if (item?.earningsDaysAway === undefined || item?.earningsDaysAway === null || item?.earningsDaysAway === '' || !Number.isFinite(daysAway)) {
+      return null;
+    }
+    return {
+      pass: daysAway < 0 || daysAway > days,
+      value: `earnings ${daysAway < 0 ? `${-daysAway}d ago` : `in ${daysAway}d`}${note}`
+    };
+  };
+}
+
+function betaOrVolatilityAbove(beta, volatility) {
+  return ({ indicators, item }) => {
+    const itemBeta = Number(item?.beta);
+    const hasBeta = item?.beta !== undefined && item?.beta !== null && item?.beta !== '' && Number.isFinite(itemBeta);
+    const atrPercent = indicators.atrPercent;
+    if (!hasBeta && !Number.isFinite(atrPercent)) return null;
+    return {
+      pass: (hasBeta && itemBeta > beta) || atrPercent > volatility,
+      value: [hasBeta && `beta ${format(itemBeta, 2)}`, Number.isFinite(atrPercent) && `ATR ${format(atrPercent)}%`].filter(Boolean).join(', ')
+    };
+  };
+}
+
+/**
+ * Whether the pullback has held above the last swing low before the rally
+ * high of the last SWING_LOOKBACK bars. A swing low is a bar whose low is
+ * at or under the PIVOT_SPAN bars on either side (strictly under those after
+ * it); without one, the lowest low before the high is used.
+ */
+function swingLowIntact({ bars }) {
+  const recent = bars.slice(-SWING_LOOKBACK);
+  if (recent.length < PIVOT_SPAN * 2 + 2) return null;
+
+  const peak = recent.reduce((best, bar, i) => (bar.high >= recent[best].high ? i : best), 0);
+  if (peak === 0) return null;
+
+  let swingLow = null;
+  for (let i = peak - 1; i >= PIVOT_SPAN && swingLow === null; i--) {
+    const before = recent.slice(i - PIVOT_SPAN, i);
+    const after = recent.slice(i + 1, i + 1 + PIVOT_SPAN);
+    if (before.every(bar => recent[i].low <= bar.low) && after.every(bar => recent[i].low < bar.low)) {
+      swingLow = recent[i].low;
+    }
+  }
+  if (swingLow === null) swingLow = Math.min(...recent.slice(0, peak).map(bar => bar.low));
+
+  const lowSincePeak = Math.min(...recent.slice(peak).map(bar => bar.low));
+  return {
+    pass: lowSincePeak > swingLow,
+    value: `swing low ${format(swingLow, 2)}, low since high ${format(lowSincePeak, 2)}`
+  };
+}
+
+/**
+ * Mechanical rules for setup checklist items, keyed by the item text in
+ * SETUP_CONFIGS (UniverseScreenerPage). Items without a rule stay manual.
+ */
+export const CHECKLIST_RULES = {
+  // Breakout
+  'Volume increasing into resistance (1-day Relative Volume > 1.5)': relativeVolumeAbove(1.5),
+  'RSI between 50–65 and rising': rsiBetween(50, 65, { rising: true }),
+  'MACD bullish crossover or trending upward': macdState('rising'),
+  'Price within 5% of 52-week high': withinOfYearHigh(5),
+  'No major macro event or earnings within next 7 days': noEarningsWithin(7, ', macro events not checked'),
+  // Pullback
+  'RSI between 35–50, curling up': rsiBetween(35, 50, { rising: true }),
+  'MACD flattening or turning bullish': macdState('turning'),
+  'Relative Volume (3–5 day avg) > 1.2': relativeVolumeAbove(1.2, 'relativeVolume3', '3d'),
+  'No earnings within next 5 days': noEarningsWithin(5),
+  'Pullback has not broken prior swing low': swingLowIntact,
+  // Short squeeze
+  'Relative Volume (1-day) > 2.0': relativeVolumeAbove(2.0),
+  'Beta > 2.0 or Volatility > 4%': betaOrVolatilityAbove(2.0, 4),
+  'RSI between 55–70 (not overbought)': rsiBetween(55, 70),
+  'MACD trending upward or freshly crossed': macdState('rising'),
+  // Post-earnings momentum
+  'Relative Volume (1–3 day avg) > 1.5': relativeVolumeAbove(1.5, 'relativeVolume3', '3d'),
+  'RSI between 55–70': rsiBetween(55, 70),
+  'MACD bullish': macdState('bullish')
+};
+
+export function hasRule(label) {
+  return Boolean(CHECKLIST_RULES[label]);
+}
+
+/**
+ * Evaluate the mechanical checklist items against a ticker's daily candles
+ *
+ * @param {Array<string>} labels - Checklist item texts
+ * @param {Object} context - { bars: oldest-first daily candles, item: universe item (earningsDaysAway, beta) }
+ * @returns {Object} { [label]: { pass, value } } for the items that could be evaluated
+ */
+export function evaluateChecklist(labels, { bars = [], item = null } = {}) {
+  const results = {};
+  const indicators = calculateIndicators({ daily: bars });
+  if (!indicators && !item) return results;
+
+  (labels || []).forEach(label => {
+    const rule = CHECKLIST_RULES[label];
+    if (!rule) return;
+    try {
+      const result = rule({ indicators: indicators || {}, bars, item });
+      if (result) results[label] = result;
+    } catch (error) {
+      logger.warn(`[CHECKLIST] Rule failed for "${label}":`, error);
+    }
+  });
+  return results;
+}
+
+/**
+ * Checklist state with the evaluated items ticked by their result, except
+ * where the user overrode them
+ *
+ * @param {Object} checklist - { [label]: boolean }
+ * @param {Object} evaluations - Result of evaluateChecklist
+ * @param {Object} overrides - { [label]: { auto, manual, value, at } }
+ * @param {Array<string>} labels - Items of the selected setup
+ * @returns {Object} New checklist
+ */
+export function applyEvaluations(checklist, evaluations, overrides, labels) {
+  const next = { ...checklist };
+  labels.forEach(label => {
+    if (overrides[label]) {
+      next[label] = overrides[label].manual;
+    } else if (evaluations[label]) {
+      next[label] = evaluations[label].pass;
+    }
+  });
+  return next;
+}
+
+/**
+ * Record (or clear) an override when the user ticks an evaluated item.
+ * Setting it back to the computed result drops the override.
+ *
+ * @returns {Object} New overrides
+ */
+export function toggleOverride(overrides, evaluations, label, manual, now = new Date()) {
+  const evaluation = evaluations[label];
+  const { [label]: _previous, ...rest } = overrides;
+  if (!evaluation || evaluation.pass === manual) return rest;
+  return { ...rest, [label]: { auto: evaluation.pass, manual, value: evaluation.value, at: now.toISOString() } };
+}
+
+/**
+ * Turn ticks made before the evaluation finished into overrides, now that
+ * the computed results are known. Ticks matching the result need none.
+ *
+ * @param {Object} pending - { [label]: manual } ticked while evaluating
+ * @returns {Object} New overrides
+ */
+export function settlePendingTicks(overrides, evaluations, pending, now = new Date()) {
+  return Object.entries(pending).reduce(
+    (next, [label, manual]) => toggleOverride(next, evaluations, label, manual, now),
+    overrides
+  );
+}
+
+export default {
+  CHECKLIST_RULES,
+  hasRule,
+  evaluateChecklist,
+  applyEvaluations,
+  toggleOverride,
+  settlePendingTicks
+};
@@ -0,0 +1,238 @@
+import { fetchBatchHistoricalData } from './marketDataAdapter';
+import priceSeriesStore from './priceSeriesStore';
+import { logger } from '../utils/logger';
+import { storage } from '../utils/storage';
+
+const SERIES_INTERVAL = '5min';
+const MAX_SYMBOLS_PER_REQUEST = 5;
+
+// Recent window requested on refresh: the newest 72 five-minute bars (6 trading
+// hours), searched over 4 days so weekends and holidays still return data
+const REFRESH_BARS = 72;
+const REFRESH_LOOKBACK_DAYS = 4;
+
+/**
+ * Unique, upper-cased real symbols across watchlists (skips # placeholders)
+ * @param {Object} watchlists - Watchlists keyed by id
+ * @returns {Array<string>} Symbols
+ */
+export function getUniqueSymbols(watchlists) {
+  const all = Object.values(watchlists || {})
+    .flatMap(wl => (wl?.items || []).map(item => item.symbol))
+    .filter(sym => sym && typeof sym === 'string' && !sym.startsWith('#'));
+  return Array.from(new Set(all.map(s => s.toUpperCase())));
+}
+
+/**
+ * Central per-symbol price cache
+ *
+ * Owns the canonical 5-minute series for each ticker (persisted through
+ * priceSeriesStore), the latest price, and which symbols were fetched in the
+ * current cycle. The batched fetch manager, the Twelve Data sync manager and
+ * livePriceUpdater all feed it, and every watchlist holding a symbol is
+ * updated from the same data in a single save. Each symbol is fetched at most
+ * once per cycle, and concurrent requests for a symbol share one fetch.
+ */
+class SymbolPriceCache {
+  constructor() {
+    this.latest = new Map();       // symbol -> { symbol, price, timestamp, fetchTimestamp, source }
+    this.lastFetched = new Map();  // symbol -> epoch ms of the last successful fetch
+    this.inFlight = new Map();     // symbol -> promise shared by concurrent callers
+    this.subscribers = new Map();  // symbol | '*' -> Set(callback)
+    this.cycleMs = 3 * 60 * 1000;  // matches the batched fetch manager's 3-minute cycle
+    this.stats = {
+      fetchedSymbols: 0,
+      dedupedSymbols: 0,
+      mergedUpdates: 0
+    };
+  }
+
+  getSeries(symbol) {
+    return priceSeriesStore.getSeries(symbol, SERIES_INTERVAL) || [];
+  }
+
+  getLatest(symbol) {
+    return this.latest.get(symbol.toUpperCase()) || null;
+  }
+
+  isFresh(symbol) {
+    const fetchedAt = this.lastFetched.get(symbol);
+    return Boolean(fetchedAt) && Date.now() - fetchedAt < this.cycleMs;
+  }
+
+  /**
+   * Subscribe to updates for one symbol, or '*' for every symbol
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(symbol, callback) {
+    const key = symbol === '*' ? '*' : symbol.toUpperCase();
+    if (!this.subscribers.has(key)) {
+      this.subscribers.set(key, new Set());
+    }
+    this.subscribers.get(key).add(callback);
+    return () => this.subscribers.get(key)?.delete(callback);
+  }
+
+  notify(symbol, update) {
+    [...(this.subscribers.get(symbol) || []), ...(this.subscribers.get('*') || [])].forEach(callback => {
+      try {
+        callback(update);
+      } catch (error) {
+        logger.error(`❌ Price cache subscriber error for ${symbol}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Merge price points into the canonical series and update every watchlist
+   * holding the symbols, with one save for the whole set.
+   * @param {Array<Object>} points - { symbol, price, timestamp, fetchTimestamp? }
+   * @param {string} source - Who produced the points (batched, sync, live, ...)
+   * @param {Object} options - { applyToWatchlists: false when the watchlists were already saved elsewhere (server scheduler) }
+   * @returns {Set<string>} Symbols found in at least one watchlist
+   */
+  ingest(points, source = 'unknown', { applyToWatchlists = true } = {}) {
+    const bySymbol = new Map();
+    (points || []).forEach(point => {
+      const price = Number(point?.price);
+      if (!point?.symbol || !point.timestamp || !(price > 0)) return;
+
+      const symbol = point.symbol.toUpperCase();
+      if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+      bySymbol.get(symbol).push({
+        price,
+        timestamp: point.timestamp,
+        fetchTimestamp: point.fetchTimestamp || new Date().toISOString(),
+        symbol
+      });
+    });
+
+    bySymbol.forEach((symbolPoints, symbol) => {
+      const newest = symbolPoints.reduce((a, b) => (new Date(b.timestamp) > new Date(a.timestamp) ? b : a));
+      const previous = this.latest.get(symbol);
+      if (!previous || new Date(newest.timestamp) >= new Date(previous.timestamp)) {
+        this.latest.set(symbol, { ...newest, source });
+      }
+
+      if (priceSeriesStore.isAvailable) {
+        priceSeriesStore.putSeries(symbol, SERIES_INTERVAL, symbolPoints);
+      }
+      this.stats.mergedUpdates += symbolPoints.length;
+    });
+
+    const applied = applyToWatchlists ? this.applyToWatchlists(bySymbol) : new Set();
+
+    bySymbol.forEach((symbolPoints, symbol) => {
+      this.notify(symbol, { symbol, latest: this.latest.get(symbol), points: symbolPoints, source });
+    });
+
+    return applied;
+  }
+
+  /**
+   * Write the latest prices (and, without IndexedDB, the new points) into
+   * every watchlist item for the updated symbols.
+   */
+  applyToWatchlists(pointsBySymbol) {
+    const applied = new Set();
+    if (pointsBySymbol.size === 0) return applied;
+
+    const watchlists = storage.getWatchlists();
+    Object.values(watchlists).forEach(watchlist => {
+      (watchlist?.items || []).forEach(item => {
+        const symbol = item?.symbol?.toUpperCase();
+        const points = pointsBySymbol.get(symbol);
+        if (!points) return;
+
+        const latest = this.latest.get(symbol);
+        item.currentPrice = latest.price;
+        item.lastPriceUpdate = latest.fetchTimestamp;
+
+        if (priceSeriesStore.isAvailable) {
+          // Items reference the shared series, re-attached on the next read
+          delete item.historicalData;
+        } else {
+          const seen = new Set((item.historicalData || []).map(point => new Date(point.timestamp).getTime()));
+          const fresh = points.filter(point => !seen.has(new Date(point.timestamp).getTime()));
+          item.historicalData = [...(item.historicalData || []), ...fresh]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        }
+        applied.add(symbol);
+      });
+    });
+
+    if (applied.size > 0) {
+      storage.setWatchlists(watchlists);
+
+      // Same event the pages already listen to for background updates
+      window.dispatchEvent(new StorageEvent('storage', { key: 'burnlist_watchlists' }));
+    }
+    return applied;
+  }
+
+  /**
+   * Fetch recent 5-minute bars for symbols not fetched this cycle.
+   * Symbols already fetched (or being fetched) are served from the cache.
+   * @param {Array<string>} symbols - Symbols to refresh
+   * @param {Object} options - { force, source: 'manual' is sent with manual priority }
+   * @returns {Promise<Object>} { prices: latest price per requested symbol, fetched: symbols actually fetched }
+   */
+  async refresh(symbols, { force = false, source = 'refresh' } = {}) {
+    const unique = Array.from(new Set((symbols || []).filter(Boolean).map(s => s.toUpperCase())));
+    const due = unique.filter(symbol => !this.inFlight.has(symbol) && (force || !this.isFresh(symbol)));
+    this.stats.dedupedSymbols += unique.length - due.length;
+
+    const waits = unique.filter(symbol => this.inFlight.has(symbol)).map(symbol => this.inFlight.get(symbol));
+
+    for (let i = 0; i < due.length; i += MAX_SYMBOLS_PER_REQUEST) {
+      const chunk = due.slice(i, i + MAX_SYMBOLS_PER_REQUEST);
+      const request = this.fetchChunk(chunk, source);
+      chunk.forEach(symbol => this.inFlight.set(symbol, request));
+      waits.push(request);
+    }
+
+    await Promise.all(waits);
+
+    const prices = unique.map(symbol => this.latest.get(symbol)).filter(Boolean);
+    return { prices, fetched: due };
+  }
+
+  async fetchChunk(symbols, source) {
+    try {
+      const endDate = new Date();
+      const startDate = new Date(endDate.getTime() - REFRESH_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+      const grouped = await fetchBatchHistoricalData(
+        symbols,
+        startDate.toISOString().split('T')[0],
+        null,
+        SERIES_INTERVAL,
+        REFRESH_BARS,
+        { priority: source === 'manual' ? 'manual' : 'automatic' }
+      );
+
+      const points = Object.values(grouped).flat();
+      const fetchedAt = Date.now();
+      Object.keys(grouped).forEach(symbol => this.lastFetched.set(symbol.toUpperCase(), fetchedAt));
+      this.stats.fetchedSymbols += symbols.length;
+
+      logger.fetch(`Price cache refresh (${source})`, `[${symbols.join(', ')}] → ${points.length} points`);
+      this.ingest(points, source);
+    } catch (error) {
+      logger.error(`❌ Price cache refresh failed for ${symbols.join(', ')}:`, error);
+    } finally {
+      symbols.forEach(symbol => this.inFlight.delete(symbol));
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      cachedSymbols: this.latest.size,
+      inFlight: this.inFlight.size
+    };
+  }
+}
+
+const symbolPriceCache = new SymbolPriceCache();
+
+export default symbolPriceCache;
@@ -1,5 +1,6 @@
-import { fetchQuote, fetchBatchQuotes, fetchHistoricalData } from '@data/twelvedataAdapter';
+import { fetchQuote, fetchBatchQuotes, fetchHistoricalData } from '@data/marketDataAdapter';
 import batchedFetchManager from '@data/batchedFetchManager';
+import serverScheduler from '@data/serverScheduler';
 import activeBurnlistManager from '@data/activeBurnlistManager';
 import rateLimiter from '@data/rateLimiter';
 import notificationManager from '@data/notificationManager';
@@ -88,6 +89,14 @@ export class TwelveDataFetchManager {
     if (this.isInitialized) return;
     
     try {
+      // The server runs the batch cycle for every browser when it can
+      if (await serverScheduler.isActive()) {
+        serverScheduler.followResults();
+        this.isInitialized = true;
+        logger.log('✅ Twelve Data Fetch Manager initialized (server scheduler fetching)');
+        return;
+      }
+
       // ENABLED: Automatic batched fetching every 3 minutes during market hours
       await batchedFetchManager.start();
       this.isInitialized = true;
@@ -416,12 +425,21 @@ export class TwelveDataFetchManager {
   }
 
   // Get request status
+  // current/limit/remaining/resetIn come from the server's shared credit
+  // budget once it has reported one, from this tab's counters before that
   getRequestStatus() {
+    const rateLimitStatus = rateLimiter.getRateLimitStatus();
+    const budget = rateLimiter.getServerBudget();
     return {
+      current: budget ? budget.used : rateLimitStatus.totalRate,
+      limit: budget ? budget.limit : rateLimitStatus.maxCallsPerMinute,
+      remaining: budget ? budget.remaining : rateLimitStatus.maxCallsPerMinute - rateLimitStatus.totalRate,
+      resetIn: budget ? budget.resetIn : Math.ceil(rateLimiter.getLocalWaitTime('automatic') / 1000),
+      isServerBudget: Boolean(budget),
       globalRequestCount,
       lastResetTime,
       canMakeRequest: canMakeRequest(),
-      rateLimitStatus: rateLimiter.getRateLimitStatus(),
+      rateLimitStatus,
       syncStatus: batchedFetchManager.getStatus()
     };
   }
@@ -1,12 +1,13 @@
-import { fetchBatchQuotes } from './twelvedataAdapter';
 import rateLimiter from './rateLimiter';
 import activeBurnlistManager from './activeBurnlistManager';
 import historicalDataManager from './historicalDataManager';
 import returnCalculator from './returnCalculator';
+import symbolPriceCache from './symbolPriceCache';
 import notificationManager from './notificationManager';
 import realTimeNavCalculator from './realTimeNavCalculator';
 import navEventEmitter from './navEventEmitter';
 import { logger } from '../utils/logger';
+import { storage } from '../utils/storage';
 
 class TwelveDataSyncManager {
   constructor() {
@@ -114,15 +115,16 @@ class TwelveDataSyncManager {
       }
 
       try {
-        const prices = await fetchBatchQuotes(batch.symbols);
-        rateLimiter.recordAutomaticRequest();
+        // Merged into the shared series by symbolPriceCache; symbols already
+        // fetched this cycle come back from the cache without a request
+        const { prices, fetched } = await symbolPriceCache.refresh(batch.symbols, { source: 'sync' });
+        if (fetched.length > 0) {
+          rateLimiter.recordAutomaticRequest();
+        }
         
         if (prices.length > 0) {
           // Collect all price updates but don't update returns yet
           prices.forEach(priceData => {
-            // Save to historical data immediately
-            historicalDataManager.updateTickerHistoricalData(priceData.symbol, priceData);
-            
             // Track processed symbols
             processedSymbols.add(priceData.symbol);
             allPriceUpdates.push(priceData);
@@ -163,7 +165,7 @@ class TwelveDataSyncManager {
           await this.updateBurnlistReturns(burnlistSlug, updates);
           
           // Trigger immediate NAV calculation for real-time updates
-          const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
+          const watchlists = storage.getWatchlists();
           const watchlistKey = Object.keys(watchlists).find(key => watchlists[key].slug === burnlistSlug);
           
           if (watchlistKey && watchlists[watchlistKey].items) {
@@ -254,7 +256,7 @@ class TwelveDataSyncManager {
       }
 
       // Get burnlist data
-      const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
+      const watchlists = storage.getWatchlists();
       const burnlist = Object.values(watchlists).find(w => w.slug === slug);
       
       if (!burnlist || !burnlist.items) {
@@ -285,15 +287,14 @@ class TwelveDataSyncManager {
         }
 
         try {
-          const prices = await fetchBatchQuotes(batch.symbols);
-          rateLimiter.recordManualRequest();
+          const { prices, fetched } = await symbolPriceCache.refresh(batch, { source: 'manual' });
+          if (fetched.length > 0) {
+            rateLimiter.recordManualRequest();
+          }
           
           if (prices.length > 0) {
             // Collect all price updates but don't update returns yet
-            prices.forEach(priceData => {
-              historicalDataManager.updateTickerHistoricalData(priceData.symbol, priceData);
-              allPriceUpdates.push(priceData);
-            });
+            allPriceUpdates.push(...prices);
             
             processedTickers += prices.length;
           }
@@ -312,7 +313,7 @@ class TwelveDataSyncManager {
         this.updateBurnlistReturns(slug, allPriceUpdates);
         
         // Get updated burnlist data
-        const updatedWatchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
+        const updatedWatchlists = storage.getWatchlists();
         const updatedBurnlist = Object.values(updatedWatchlists).find(w => w.slug === slug);
         
         if (updatedBurnlist && updatedBurnlist.items) {
@@ -420,13 +421,13 @@ class TwelveDataSyncManager {
   // Update burnlist returns in localStorage
   updateBurnlistReturns(slug, newPrices) {
     try {
-      const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
+      const watchlists = storage.getWatchlists();
       const burnlistKey = Object.keys(watchlists).find(key => watchlists[key].slug === slug);
       
       if (burnlistKey) {
         const updatedBurnlist = returnCalculator.calculateReturnsForBurnlist(watchlists[burnlistKey], newPrices);
         watchlists[burnlistKey] = updatedBurnlist;
-        localStorage.setItem('burnlist_watchlists', JSON.stringify(watchlists));
+        storage.setWatchlists(watchlists);
       }
     } catch (error) {
       logger.error(`❌ Error updating burnlist returns for ${slug}:`, error);
@@ -0,0 +1,214 @@
+import { logger } from '../utils/logger';
+import { fetchQuotes, fetchFundamentals, fetchBatchHistoricalData } from './marketDataAdapter';
+import priceSeriesStore from './priceSeriesStore';
+import { calculateIndicators } from './indicators';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Calendar days of daily candles fetched for ATR(14) and the 20-day average volume
+const HISTORY_DAYS = 60;
+
+// Tickers per batched history request
+const HISTORY_BATCH_SIZE = 50;
+
+/**
+ * Universe item fields filled by the enrichment job, with how long a value
+ * stays fresh. These are the inputs of calculateBuyScore plus the price and
+ * ATR the trade plan needs.
+ */
+export const ENRICHED_FIELDS = {
+  lastPrice: { label: 'Last Price', maxAgeMinutes: 15 },
+  volume24h: { label: '24h Volume', maxAgeMinutes: 15 },
+  relVolume: { label: 'Rel Volume', maxAgeMinutes: 15 },
+  atr: { label: 'ATR(14)', maxAgeMinutes: 12 * 60 },
+  avgVolume: { label: 'Avg Volume', maxAgeMinutes: 12 * 60 },
+  earningsDaysAway: { label: 'Earnings Days Away', maxAgeMinutes: 12 * 60 },
+  epsGrowth: { label: 'EPS Growth (%)', maxAgeMinutes: 24 * 60 },
+  pe: { label: 'P/E Ratio', maxAgeMinutes: 24 * 60 },
+  pb: { label: 'P/B Ratio', maxAgeMinutes: 24 * 60 },
+  debtEquity: { label: 'Debt/Equity', maxAgeMinutes: 24 * 60 },
+  marketCap: { label: 'Market Cap', maxAgeMinutes: 24 * 60 },
+  beta: { label: 'Beta', maxAgeMinutes: 24 * 60 }
+};
+
+// Placeholders handleBulkAdd and the forms leave behind count as empty
+const isEmpty = (value) => value === undefined || value === null || value === '' || Number(value) === 0;
+
+/**
+ * A field is overridden when it holds a value the enrichment didn't write:
+ * typed by hand before the first enrichment, or edited afterwards. Clearing
+ * the field hands it back to the enrichment.
+ */
+export function isOverridden(item, field) {
+  if (isEmpty(item?.[field])) return false;
+  const record = item.enrichment?.[field];
+  return !record || String(item[field]) !== String(record.value);
+}
+
+/**
+ * Where a field's value came from and how old it is
+ * @returns {Object} { value, source, at, ageMinutes, stale, overridden };
+ *   source is 'manual' for overrides, null when never enriched
+ */
+export function getFieldFreshness(item, field, now = Date.now()) {
+  const record = item?.enrichment?.[field];
+  const overridden = isOverridden(item, field);
+  const at = record?.at ? new Date(record.at).getTime() : null;
+  const ageMinutes = at === null ? null : (now - at) / MINUTE_MS;
+  return {
+    value: item?.[field],
+    source: overridden ? 'manual' : record?.source || null,
+    at: record?.at || null,
+    ageMinutes,
+    stale: !overridden && (ageMinutes === null || ageMinutes > ENRICHED_FIELDS[field].maxAgeMinutes),
+    overridden
+  };
+}
+
+/**
+ * Short label for a field's freshness: "quote · 5m ago", "manual", "never"
+ */
+export function describeFreshness({ source, ageMinutes, overridden }) {
+  if (overridden) return 'manual';
+  if (ageMinutes === null) return 'never';
+  const age = ageMinutes < 1
+    ? 'just now'
+    : ageMinutes < 60
+      ? `${Math.round(ageMinutes)}m ago`
+      : ageMinutes < 48 * 60
+        ? `${Math.round(ageMinutes / 60)}h ago`
+        : `${Math.round(ageMinutes / (24 * 60))}d ago`;
+  return source ? `${source} · ${age}` : `no data · ${age}`;
+}
+
+/**
+ * Fields of an item due for enrichment: never enriched or older than their
+ * maxAgeMinutes, and not overridden
+ */
+export function getStaleFields(item, now = Date.now()) {
+  return Object.keys(ENRICHED_FIELDS).filter(field => getFieldFreshness(item, field, now).stale);
+}
+
+export function getItemsNeedingEnrichment(items, now = Date.now()) {
+  return (items || []).filter(item => item?.symbol && getStaleFields(item, now).length > 0);
+}
+
+/**
+ * Write enriched values onto an item, leaving overridden fields alone
+ *
+ * Fields that came back without a value still get their attempt recorded,
+ * so they aren't asked for again until they go stale.
+ *
+ * @param {Object} item - Universe item
+ * @param {Object} values - { [field]: { value, source } } from fetchEnrichment
+ * @returns {Object} New item with updated fields and enrichment records
+ */
+export function mergeEnrichment(item, values, now = new Date()) {
+  const next = { ...item, enrichment: { ...item.enrichment } };
+  Object.entries(values || {}).forEach(([field, { value, source }]) => {
+    if (!ENRICHED_FIELDS[field] || isOverridden(item, field)) return;
+    if (value === null || value === undefined) {
+      next.enrichment[field] = { ...item.enrichment?.[field], at: now.toISOString() };
+      return;
+    }
+    next[field] = value;
+    next.enrichment[field] = { value, source, at: now.toISOString() };
+  });
+  if (values?.earningsDaysAway?.date) next.earningsDate = values.earningsDaysAway.date;
+  return next;
+}
+
+const round = (value, digits) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+/**
+ * Daily candles for a set of tickers, one batched history request per
+ * HISTORY_BATCH_SIZE tickers, saved to the series store. A failed batch
+ * leaves its tickers with whatever the store already had.
+ * @param {Array<string>} symbols - Ticker symbols
+ * @param {Object} options - { days, priority: 'manual' | 'automatic', now }
+ * @returns {Promise<Object>} { [symbol]: oldest-first daily bars }
+ */
+export async function loadDailyBars(symbols, { days = HISTORY_DAYS, priority = 'automatic', now = Date.now() } = {}) {
+  const startDate = new Date(now - days * DAY_MS).toISOString().split('T')[0];
+  for (let i = 0; i < symbols.length; i += HISTORY_BATCH_SIZE) {
+    const batch = symbols.slice(i, i + HISTORY_BATCH_SIZE);
+    try {
+      const history = await fetchBatchHistoricalData(batch, startDate, null, '1day', null, { priority });
+      Object.entries(history || {}).forEach(([symbol, points]) => {
+        priceSeriesStore.putSeries(symbol, '1day', points);
+      });
+    } catch (error) {
+      logger.warn(`[ENRICH] Daily candles unavailable for ${batch.length} tickers:`, error);
+    }
+  }
+  return Object.fromEntries(symbols.map(symbol => [symbol, priceSeriesStore.getBars(symbol, '1day')]));
+}
+
+/**
+ * Look up every enriched field for a set of symbols
+ *
+ * Price and volume come from the quote route (Twelve Data by default), ATR
+ * and the 20-day average volume from daily candles, and the fundamentals
+ * from Finviz. Each source falls back to the other where both have a field.
+ * Every field is returned, null when no source had it.
+ *
+ * @param {Array<string>} symbols - Symbols to enrich
+ * @param {Object} options - { priority: 'manual' | 'automatic', now }
+ * @returns {Promise<Object>} { [symbol]: { [field]: { value, source } } }
+ */
+export async function fetchEnrichment(symbols, { priority = 'automatic', now = Date.now() } = {}) {
+  const unique = Array.from(new Set(symbols.map(symbol => symbol.toUpperCase())));
+  if (unique.length === 0) return {};
+
+  const [quotes, fundamentalsResult, bars] = await Promise.all([
+    fetchQuotes(unique, { priority }),
+    fetchFundamentals(unique),
+    loadDailyBars(unique, { priority, now })
+  ]);
+  const fundamentals = fundamentalsResult?.fundamentals || {};
+
+  const results = {};
+  unique.forEach(symbol => {
+    const quote = quotes[symbol];
+    const finviz = fundamentals[symbol] || {};
+    const indicators = calculateIndicators({ daily: bars[symbol] || [] }) || {};
+    const pick = (...candidates) => {
+      const found = candidates.find(([value]) => value !== null && value !== undefined && Number.isFinite(Number(value)));
+      return found ? { value: Number(found[0]), source: found[1] } : { value: null, source: null };
+    };
+
+    const earnings = finviz.earningsDate ? new Date(finviz.earningsDate).getTime() : null;
+    results[symbol] = {
+      lastPrice: pick([quote?.price > 0 ? quote.price : null, 'quote'], [finviz.price, 'finviz']),
+      volume24h: pick([quote?.volume > 0 ? quote.volume : null, 'quote'], [finviz.volume, 'finviz']),
+      relVolume: pick([finviz.relVolume, 'finviz'], [round(indicators.relativeVolume, 2), 'history']),
+      atr: pick([round(indicators.atr14, 4), 'history'], [finviz.atr, 'finviz']),
+      avgVolume: pick([indicators.avgVolume20 ? Math.round(indicators.avgVolume20) : null, 'history'], [finviz.avgVolume, 'finviz']),
+      earningsDaysAway: earnings === null
+        ? { value: null, source: null }
+        : { value: Math.round((earnings - now) / DAY_MS), source: 'finviz', date: finviz.earningsDate },
+      epsGrowth: pick([finviz.epsGrowth, 'finviz']),
+      pe: pick([finviz.pe, 'finviz']),
+      pb: pick([finviz.pb, 'finviz']),
+      debtEquity: pick([finviz.debtEquity, 'finviz']),
+      marketCap: pick([finviz.marketCap, 'finviz']),
+      beta: pick([finviz.beta, 'finviz'])
+    };
+  });
+
+  logger.info(`[ENRICH] Enriched ${unique.length} tickers (${Object.keys(fundamentals).length} with Finviz fundamentals)`);
+  return results;
+}
+
+export default {
+  ENRICHED_FIELDS,
+  isOverridden,
+  getFieldFreshness,
+  describeFreshness,
+  getStaleFields,
+  getItemsNeedingEnrichment,
+  mergeEnrichment,
+  loadDailyBars,
+  fetchEnrichment
+};
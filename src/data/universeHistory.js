@@ -0,0 +1,193 @@
+import { v4 as uuidv4 } from 'uuid';
+import { calculateBuyScore, getItemMetrics, DEFAULT_PROFILE } from './buyScore';
+import { mergeEnrichment } from './universeEnrichment';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Snapshots kept per universe, one per day
+export const MAX_SNAPSHOTS = 90;
+
+/*
+ * A snapshot is { at, source, profileId, rows: [{ symbol, price, score, tag, metrics }] },
+ * source being 'screener' (a screener re-run), 'daily' (after enrichment) or 'manual'.
+ * Metrics are kept so a snapshot can be re-scored under any profile.
+ */
+
+/**
+ * Score every item of a universe as of now. Items that left the screen
+ * (droppedAt) are kept in the universe but not on the list.
+ */
+export function createScoreSnapshot(items, profile = DEFAULT_PROFILE, { source = 'manual', now = new Date() } = {}) {
+  return {
+    at: now.toISOString(),
+    source,
+    profileId: profile.id,
+    rows: (items || [])
+      .filter(item => item?.symbol && !item.droppedAt)
+      .map(item => {
+        const metrics = getItemMetrics(item);
+        const { totalBuyScore, tag } = calculateBuyScore(metrics, profile);
+        return { symbol: item.symbol.toUpperCase(), price: metrics.price, score: totalBuyScore, tag, metrics };
+      })
+  };
+}
+
+/**
+ * Add a snapshot to a history, replacing one from the same UTC day and
+ * dropping the oldest past MAX_SNAPSHOTS
+ */
+export function addSnapshot(history, snapshot) {
+  const day = snapshot.at.slice(0, 10);
+  return [...(history || []).filter(s => s.at.slice(0, 10) !== day), snapshot]
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .slice(-MAX_SNAPSHOTS);
+}
+
+/**
+ * Bring a universe's items in line with a screener's latest results
+ *
+ * Tickers still on the screen keep their item (notes, journal, overrides)
+ * with the screener's price merged in like an enrichment; new ones get a
+ * fresh item. Items that left the screen are never removed, since they may
+ * hold journals and trade plans: they are marked with droppedAt until they
+ * come back or are deleted by hand.
+ *
+ * @param {Array} items - Current universe items
+ * @param {Array} results - [{ symbol, price }] from the screener
+ * @returns {Object} { items, added: [symbol] (new or back on the screen),
+ *   dropped: [symbol] (left the screen with this run) }
+ */
+export function mergeScreenerResults(items, results, now = new Date()) {
+  const existing = new Map((items || []).map(item => [item.symbol?.toUpperCase(), item]));
+  const seen = new Set();
+  const merged = [];
+  const added = [];
+
+  (results || []).forEach(({ symbol, price }) => {
+    const key = symbol?.toUpperCase();
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    const previous = existing.get(key);
+    if (!previous || previous.droppedAt) added.push(key);
+
+    const { droppedAt: _droppedAt, ...item } = previous || {
+      id: uuidv4(),
+      symbol: key,
+      lastPrice: 0,
+      atr: 0,
+      buyPrice: price || 0,
+      buyDate: now.toISOString(),
+      addedAt: now.toISOString(),
+      type: 'real'
+    };
+    merged.push(price > 0 ? mergeEnrichment(item, { lastPrice: { value: price, source: 'screener' } }, now) : item);
+  });
+
+  const dropped = [];
+  (items || []).forEach(item => {
+    const key = item.symbol?.toUpperCase();
+    if (seen.has(key)) {
+      // Duplicates of a ticker still on the screen are left as they are
+      if (existing.get(key) !== item) merged.push(item);
+      return;
+    }
+    if (item.droppedAt) {
+      merged.push(item);
+    } else {
+      if (key && !dropped.includes(key)) dropped.push(key);
+      merged.push({ ...item, droppedAt: now.toISOString() });
+    }
+  });
+
+  return { items: merged, added, dropped };
+}
+
+/**
+ * What changed between two snapshots
+ *
+ * With a profile, both sides are re-scored under it, so a profile change
+ * doesn't show up as every score moving.
+ *
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @param {Object} options - { profile, scoreChange: points, priceMove: fraction }
+ * @returns {Object} { added: [row], dropped: [row], scoreChanged: [{ symbol, before, after, change }],
+ *   priceMoved: [{ symbol, before, after, change }], unchanged }, changes largest first
+ */
+export function diffSnapshots(before, after, { profile = null, scoreChange = 5, priceMove = 0.05 } = {}) {
+  const score = (row) => (profile ? calculateBuyScore(row.metrics, profile).totalBuyScore : row.score);
+  const beforeRows = new Map((before?.rows || []).map(row => [row.symbol, row]));
+  const afterRows = new Map((after?.rows || []).map(row => [row.symbol, row]));
+
+  const added = [...afterRows.values()].filter(row => !beforeRows.has(row.symbol));
+  const dropped = [...beforeRows.values()].filter(row => !afterRows.has(row.symbol));
+  const scoreChanged = [];
+  const priceMoved = [];
+  let unchanged = 0;
+
+  afterRows.forEach((row, symbol) => {
+    const previous = beforeRows.get(symbol);
+    if (!previous) return;
+    let changed = false;
+
+    const scoreBefore = score(previous);
+    const scoreAfter = score(row);
+    if (Math.abs(scoreAfter - scoreBefore) >= scoreChange) {
+      scoreChanged.push({ symbol, before: scoreBefore, after: scoreAfter, change: scoreAfter - scoreBefore });
+      changed = true;
+    }
+    if (previous.price > 0 && row.price > 0 && Math.abs(row.price / previous.price - 1) >= priceMove) {
+      priceMoved.push({ symbol, before: previous.price, after: row.price, change: row.price / previous.price - 1 });
+      changed = true;
+    }
+    if (!changed) unchanged++;
+  });
+
+  const bySize = (a, b) => Math.abs(b.change) - Math.abs(a.change);
+  return { added, dropped, scoreChanged: scoreChanged.sort(bySize), priceMoved: priceMoved.sort(bySize), unchanged };
+}
+
+/**
+ * How long each ticker has been on the list
+ *
+ * @param {Array} history - Snapshots, oldest first
+ * @returns {Array} [{ symbol, presence: [boolean per snapshot], firstSeen, lastSeen, appearances,
+ *   onList, since, daysOnList }] tickers on the list first, longest-standing first; since and
+ *   daysOnList cover the current unbroken run (or the last one for dropped tickers)
+ */
+export function getTickerTimeline(history, now = Date.now()) {
+  const snapshots = history || [];
+  const symbols = new Set(snapshots.flatMap(snapshot => snapshot.rows.map(row => row.symbol)));
+  const lastIndex = snapshots.length - 1;
+
+  return [...symbols]
+    .map(symbol => {
+      const presence = snapshots.map(snapshot => snapshot.rows.some(row => row.symbol === symbol));
+      const first = presence.indexOf(true);
+      const last = presence.lastIndexOf(true);
+      let runStart = last;
+      while (runStart > 0 && presence[runStart - 1]) runStart--;
+      const onList = last === lastIndex;
+      const runEnd = onList ? now : new Date(snapshots[last].at).getTime();
+      return {
+        symbol,
+        presence,
+        firstSeen: snapshots[first].at,
+        lastSeen: snapshots[last].at,
+        appearances: presence.filter(Boolean).length,
+        onList,
+        since: snapshots[runStart].at,
+        daysOnList: Math.max(0, Math.floor((runEnd - new Date(snapshots[runStart].at).getTime()) / DAY_MS))
+      };
+    })
+    .sort((a, b) => (b.onList - a.onList) || (b.daysOnList - a.daysOnList) || a.symbol.localeCompare(b.symbol));
+}
+
+export default {
+  MAX_SNAPSHOTS,
+  createScoreSnapshot,
+  addSnapshot,
+  mergeScreenerResults,
+  diffSnapshots,
+  getTickerTimeline
+};
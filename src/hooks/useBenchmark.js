@@ -0,0 +1,85 @@
+import { useState, useEffect, useMemo } from 'react';
+import { fetchHistory } from '../data/marketDataAdapter';
+import { calculatePositionNAV, sortSeries } from '../data/positionNavCalculator';
+import { alignBenchmark, calculateRelativeStrength, calculateBenchmarkStats } from '../data/benchmarkAnalytics';
+import { logger } from '../utils/logger';
+
+// Daily bars per symbol and start date, shared by every page in this session
+const barCache = new Map();
+
+function getStartDate(items) {
+  const first = Math.min(...(items || []).map(item => sortSeries(item.historicalData)[0]?.time ?? Infinity));
+  return Number.isFinite(first) ? new Date(first).toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Benchmark overlay and statistics for a watchlist
+ *
+ * Fetches the benchmark's daily bars through the history route from the
+ * watchlist's first price, then aligns them with the session closes of
+ * navData for the chart and of an unsampled position NAV for the statistics.
+ *
+ * @param {Object} params - { items, symbol, navData, mode, cash }; no symbol turns it off
+ * @returns {Object} { benchmark, relativeStrength, stats, loading, error }
+ */
+export function useBenchmark({ items, symbol, navData, mode, cash }) {
+  const [bars, setBars] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const startDate = useMemo(() => getStartDate(items), [items]);
+
+  useEffect(() => {
+    setError(null);
+    if (!symbol || !startDate) {
+      setBars(null);
+      setLoading(false);
+      return;
+    }
+
+    const key = `${symbol}:${startDate}`;
+    if (barCache.has(key)) {
+      setBars(barCache.get(key));
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    fetchHistory([symbol], { startDate, interval: '1day' }, { priority: 'manual' })
+      .then(history => {
+        if (cancelled) return;
+        const fetched = history[symbol] || [];
+        if (fetched.length === 0) {
+          setBars(null);
+          setError(`No history for ${symbol}`);
+          return;
+        }
+        barCache.set(key, fetched);
+        setBars(fetched);
+        logger.debug(`[BENCHMARK] ${symbol}: ${fetched.length} daily bars since ${startDate}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [symbol, startDate]);
+
+  return useMemo(() => {
+    if (!bars || !symbol) {
+      return { benchmark: [], relativeStrength: [], stats: null, loading, error };
+    }
+    const benchmark = alignBenchmark(navData, bars);
+    return {
+      benchmark,
+      relativeStrength: calculateRelativeStrength(navData, benchmark),
+      stats: calculateBenchmarkStats(calculatePositionNAV(items, { mode, cash, sample: false }), bars),
+      loading,
+      error
+    };
+  }, [bars, symbol, navData, items, mode, cash, loading, error]);
+}
+
+export default useBenchmark;
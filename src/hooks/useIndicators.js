@@ -0,0 +1,50 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import priceSeriesStore from '../data/priceSeriesStore';
+import { toDailyBars } from '../data/ohlcv';
+import { calculateIndicators } from '../data/indicators';
+
+/**
+ * Latest indicators for a list of symbols, from the stored price series
+ *
+ * Daily candles come from the SYMBOL:1day series, or are rolled up from
+ * SYMBOL:5min when only that exists; the 5-minute series also gives VWAP.
+ * Symbols with neither are backfilled with a year of daily candles once.
+ *
+ * @param {Array<string>} symbols - Symbols to compute
+ * @returns {Object} { [symbol]: indicators | null }, see calculateIndicators
+ */
+export function useIndicators(symbols) {
+  const [version, setVersion] = useState(0);
+  const requested = useRef(new Set());
+  const key = Array.from(new Set((symbols || []).filter(Boolean).map(symbol => symbol.toUpperCase()))).join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    key.split(',').filter(Boolean).forEach(symbol => {
+      if (requested.current.has(symbol)) return;
+      if (priceSeriesStore.getSeries(symbol, '1day') || priceSeriesStore.getSeries(symbol, '5min')) return;
+      requested.current.add(symbol);
+      priceSeriesStore.backfill(symbol, '1day').then(() => {
+        if (!cancelled) setVersion(v => v + 1);
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  return useMemo(() => {
+    const result = {};
+    key.split(',').filter(Boolean).forEach(symbol => {
+      const intraday = priceSeriesStore.getBars(symbol, '5min');
+      const storedDaily = priceSeriesStore.getBars(symbol, '1day');
+      const daily = storedDaily.length > 0 ? storedDaily : toDailyBars(intraday);
+      result[symbol] = calculateIndicators({ daily, intraday });
+    });
+    return result;
+    // version re-reads the store after a backfill lands
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [key, version]);
+}
+
+export default useIndicators;
@@ -0,0 +1,89 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { fetchProfiles, fetchSectorExport } from '../data/marketDataAdapter';
+import {
+  getItemsNeedingProfiles,
+  calculateSectorExposure,
+  parseSectorTable,
+  compareToSectorTable
+} from '../data/sectorExposure';
+import { logger } from '../utils/logger';
+
+// Sector overview shared by every page in this session
+let sectorTablePromise = null;
+
+function loadSectorTable() {
+  if (!sectorTablePromise) {
+    sectorTablePromise = fetchSectorExport('overview').then(csvText => {
+      const table = parseSectorTable(csvText);
+      // Try again next time instead of caching a failure
+      if (table.length === 0) sectorTablePromise = null;
+      return table;
+    });
+  }
+  return sectorTablePromise;
+}
+
+/**
+ * Sector exposure of a watchlist, with tagging of untagged tickers
+ *
+ * Looks up profiles for items that have none (or a stale one) and hands
+ * them to onProfiles(profiles, checkedSymbols), which should store them on
+ * the items (see applyProfiles). Also loads the Finviz sector overview for
+ * the over/underweight comparison.
+ *
+ * @param {Object} params - { items, mode, cash, onProfiles }
+ * @returns {Object} { exposure, comparison, sectorTable, tagging, refresh }
+ */
+export function useSectorExposure({ items, mode, cash, onProfiles }) {
+  const [sectorTable, setSectorTable] = useState([]);
+  const [tagging, setTagging] = useState(false);
+  const onProfilesRef = useRef(onProfiles);
+  const requested = useRef(new Set());
+  onProfilesRef.current = onProfiles;
+
+  const lookUp = useCallback(async (symbols) => {
+    if (symbols.length === 0) return;
+    symbols.forEach(symbol => requested.current.add(symbol));
+    setTagging(true);
+    const result = await fetchProfiles(symbols);
+    setTagging(false);
+    if (!result) {
+      // Failed requests may be retried on the next change
+      symbols.forEach(symbol => requested.current.delete(symbol));
+      return;
+    }
+    logger.debug(`[SECTOR] Profiles for ${symbols.length - result.missing.length}/${symbols.length} tickers`);
+    onProfilesRef.current?.(result.profiles, symbols);
+  }, []);
+
+  useEffect(() => {
+    const symbols = getItemsNeedingProfiles(items)
+      .map(item => item.symbol)
+      .filter(symbol => !requested.current.has(symbol));
+    lookUp(Array.from(new Set(symbols)));
+  }, [items, lookUp]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSectorTable().then(table => {
+      if (!cancelled) setSectorTable(table);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Look every ticker up again, e.g. after replacing the reference file
+  const refresh = useCallback(() => {
+    const symbols = Array.from(new Set((items || []).map(item => item.symbol).filter(Boolean)));
+    symbols.forEach(symbol => requested.current.delete(symbol));
+    lookUp(symbols);
+  }, [items, lookUp]);
+
+  const exposure = useMemo(() => calculateSectorExposure(items || [], { mode, cash }), [items, mode, cash]);
+  const comparison = useMemo(() => compareToSectorTable(exposure, sectorTable), [exposure, sectorTable]);
+
+  return { exposure, comparison, sectorTable, tagging, refresh };
+}
+
+export default useSectorExposure;
@@ -0,0 +1,66 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { fetchEnrichment, getItemsNeedingEnrichment } from '../data/universeEnrichment';
+import { logger } from '../utils/logger';
+
+// Symbols per enrichment round trip; larger universes go in several
+const BATCH_SIZE = 50;
+
+/**
+ * Keep a universe's prices, ATR and fundamentals filled in
+ *
+ * Enriches the stale fields of new tickers as they're added, every
+ * intervalMinutes while the page is open, and everything on enrichNow.
+ * Results go to onEnriched for the caller to merge with mergeEnrichment.
+ *
+ * @param {Object} params - { items, onEnriched(results, at), intervalMinutes }; 0 minutes turns the schedule off
+ * @returns {Object} { enriching, lastRun, enrichNow }
+ */
+export function useUniverseEnrichment({ items, onEnriched, intervalMinutes = 0 }) {
+  const [enriching, setEnriching] = useState(false);
+  const [lastRun, setLastRun] = useState(null);
+  const running = useRef(false);
+  const latest = useRef({ items, onEnriched });
+  latest.current = { items, onEnriched };
+
+  const run = useCallback(async ({ force = false, priority = 'automatic' } = {}) => {
+    if (running.current) return;
+    const targets = force
+      ? (latest.current.items || []).filter(item => item?.symbol)
+      : getItemsNeedingEnrichment(latest.current.items);
+    if (targets.length === 0) return;
+
+    running.current = true;
+    setEnriching(true);
+    try {
+      const symbols = Array.from(new Set(targets.map(item => item.symbol.toUpperCase())));
+      for (let i = 0; i < symbols.length; i += BATCH_SIZE) {
+        const results = await fetchEnrichment(symbols.slice(i, i + BATCH_SIZE), { priority });
+        latest.current.onEnriched(results, new Date());
+      }
+      setLastRun(new Date().toISOString());
+    } catch (error) {
+      logger.error('[ENRICH] Enrichment run failed:', error);
+    } finally {
+      running.current = false;
+      setEnriching(false);
+    }
+  }, []);
+
+  // New tickers get their fields on arrival; edits to existing ones don't refetch
+  const symbolKey = (items || []).map(item => item?.symbol).filter(Boolean).join(',');
+  useEffect(() => {
+    if (symbolKey) run();
+  }, [symbolKey, run]);
+
+  useEffect(() => {
+    if (!(intervalMinutes > 0)) return undefined;
+    const timer = setInterval(() => run(), intervalMinutes * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [intervalMinutes, run]);
+
+  const enrichNow = useCallback(() => run({ force: true, priority: 'manual' }), [run]);
+
+  return { enriching, lastRun, enrichNow };
+}
+
+export default useUniverseEnrichment;
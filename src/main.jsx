@@ -3,8 +3,16 @@ import ReactDOM from 'react-dom/client';
 import App from './App';
 import './index.css';
 import { logger } from './utils/logger';
+import { storage } from './utils/storage';
+import priceSeriesStore from './data/priceSeriesStore';
 
 logger.info("🚀 MAIN.JSX is running");
 
 
-ReactDOM.createRoot(document.getElementById('root')).render(<App />);
\ No newline at end of file
+// Load historical series from IndexedDB, then pull watchlists, universes and
+// journal from the server store before the first render
+priceSeriesStore.init()
+  .then(() => storage.connectRemote())
+  .finally(() => {
+    ReactDOM.createRoot(document.getElementById('root')).render(<App />);
+  });
\ No newline at end of file
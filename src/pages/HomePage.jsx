@@ -5,6 +5,9 @@ import { v4 as uuidv4 } from 'uuid';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 
 import { fetchManager } from '@data/twelvedataFetchManager';
+import { getUniqueSymbols } from '@data/symbolPriceCache';
+import { calculatePositionNAV, summarizePositions } from '@data/positionNavCalculator';
+import { calculateRiskMetrics } from '@data/riskAnalytics';
 import NotificationBanner from '@components/NotificationBanner';
 import CustomButton from '@components/CustomButton';
 import NavigationBar from '@components/NavigationBar';
@@ -44,12 +47,7 @@ const HomePage = ({ watchlists = {}, setWatchlists }) => {
   const gray = useThemeColor('#888');
 
   // Calculate unique real tickers across all watchlists (move this up)
-  const uniqueRealTickers = useMemo(() => {
-    const all = Object.values(watchlists)
-      .flatMap(wl => (wl.items || []).map(item => item.symbol))
-      .filter(sym => sym && typeof sym === 'string' && !sym.startsWith('#'));
-    return Array.from(new Set(all.map(s => s.toUpperCase())));
-  }, [watchlists]);
+  const uniqueRealTickers = useMemo(() => getUniqueSymbols(watchlists), [watchlists]);
 
   // Fetch counter state
   const [fetchCount, setFetchCount] = useState(() => {
@@ -264,9 +262,14 @@ const HomePage = ({ watchlists = {}, setWatchlists }) => {
             try {
               const value = localStorageData[key];
               if (typeof value === 'string') {
-                localStorage.setItem(key, value);
+                // Exports keep raw localStorage strings, most of them JSON
+                let parsed = value;
+                try {
+                  parsed = JSON.parse(value);
+                } catch (parseError) {}
+                storage.set(key, parsed);
               } else {
-                localStorage.setItem(key, JSON.stringify(value));
+                storage.set(key, value);
               }
               importedCount++;
             } catch (error) {
@@ -379,20 +382,15 @@ const HomePage = ({ watchlists = {}, setWatchlists }) => {
   };
 
   const sortedWatchlists = useMemo(() => Object.values(watchlists), [watchlists]);
-  // Memoize lastReturn for each watchlist
-  const lastReturns = useMemo(() => {
+  // Position-weighted NAV series and latest positions for each watchlist card
+  const cardNavs = useMemo(() => {
     return sortedWatchlists.map(wl => {
-      const tickers = wl.items || [];
-      if (!tickers.length) return 0;
-      const last = tickers.map(t => {
-        const data = t.historicalData;
-        if (!Array.isArray(data) || data.length < 2) return 0;
-        const start = data[0]?.price;
-        const end = data[data.length - 1]?.price;
-        if (typeof start !== 'number' || typeof end !== 'number' || start === 0) return 0;
-        return ((end - start) / start) * 100;
-      });
-      return last.reduce((a, b) => a + b, 0) / last.length;
+      const options = { mode: wl.weighting, cash: wl.cash };
+      return {
+        navData: calculatePositionNAV(wl.items || [], options),
+        summary: summarizePositions(wl.items || [], options),
+        risk: calculateRiskMetrics(calculatePositionNAV(wl.items || [], { ...options, sample: false }))
+      };
     });
   }, [sortedWatchlists]);
 
@@ -533,7 +531,8 @@ const HomePage = ({ watchlists = {}, setWatchlists }) => {
       }}>
       {sortedWatchlists.map((item, idx, arr) => {
         const tickers = item.items || [];
-        const lastReturn = lastReturns[idx];
+        const { navData, summary, risk } = cardNavs[idx];
+        const lastReturn = summary.returnPercent;
         const isPositive = lastReturn >= 0;
         const chartColor = isPositive ? CRT_GREEN : '#e31507';
         const returnColor = chartColor;
@@ -543,28 +542,18 @@ const HomePage = ({ watchlists = {}, setWatchlists }) => {
         let riskIndicator = tickers.length === 0 ? 'None' : 'LOW';
         
         if (tickers.length > 0) {
-          const performances = tickers.map(t => {
-            const data = t.historicalData;
-            if (!Array.isArray(data) || data.length < 2) return { symbol: t.symbol, return: 0 };
-            const start = data[0]?.price;
-            const end = data[data.length - 1]?.price;
-            if (typeof start !== 'number' || typeof end !== 'number' || start === 0) return { symbol: t.symbol, return: 0 };
-            const returnPercent = ((end - start) / start) * 100;
-            return { symbol: t.symbol, return: returnPercent };
-          });
+          const performances = summary.positions.length > 0
+            ? summary.positions.map(p => ({ symbol: p.symbol, return: p.returnPercent }))
+            : tickers.map(t => ({ symbol: t.symbol, return: 0 }));
           
           bestPerformer = performances.reduce((best, current) => 
             current.return > best.return ? current : best, performances[0]);
           worstPerformer = performances.reduce((worst, current) => 
             current.return < worst.return ? current : worst, performances[0]);
           
-          // Simple risk indicator: HIGH if any stock >20% loss, MEDIUM if any >10% loss, LOW otherwise
-          const maxLoss = Math.min(...performances.map(p => p.return));
-          const maxGain = Math.max(...performances.map(p => p.return));
-          const volatility = maxGain - maxLoss;
-          
-          if (maxLoss < -20 || volatility > 50) riskIndicator = 'HIGH';
-          else if (maxLoss < -10 || volatility > 30) riskIndicator = 'MED';
+          // Risk from the NAV: HIGH past a 20% drawdown or 40% volatility, MED past 10% or 25%
+          if (risk && (risk.maxDrawdown < -20 || risk.volatility > 40)) riskIndicator = 'HIGH';
+          else if (risk && (risk.maxDrawdown < -10 || risk.volatility > 25)) riskIndicator = 'MED';
           else riskIndicator = 'LOW';
         }
         
@@ -726,7 +715,7 @@ const HomePage = ({ watchlists = {}, setWatchlists }) => {
               
               
             }}
-            title={`Risk Level: ${riskIndicator} | Best: ${bestPerformer?.symbol || 'N/A'} | Worst: ${worstPerformer?.symbol || 'N/A'}`}>
+            title={`Risk Level: ${riskIndicator}${risk ? ` (max DD ${risk.maxDrawdown.toFixed(1)}%, vol ${risk.volatility.toFixed(1)}%)` : ''} | Best: ${bestPerformer?.symbol || 'N/A'} | Worst: ${worstPerformer?.symbol || 'N/A'}`}>
               {tickers.length} stocks | Risk: {riskIndicator}
             </div>
             {/* Last update */}
@@ -792,6 +781,7 @@ const HomePage = ({ watchlists = {}, setWatchlists }) => {
                       historicalData: t.historicalData,
                       timeframe: selectedTimeframe
                     }))}
+                    navData={navData}
                     showBacktestLine={false}
                     height={94}
                     lineColor={isPositive ? green : red}
@@ -11,7 +11,7 @@ import backbutton from '../assets/backbutton.png';
 import useNotification from '../hooks/useNotification';
 import { getCachedExchange } from '../utils/exchangeDetector';
 import { loadSectorDataFromFile, calculateSectorStats, getTopPerformers, getWorstPerformers } from '../utils/sectorDataLoader.js';
-import { fetchMarketOverview } from '../data/twelvedataAdapter';
+import { fetchMarketOverview } from '../data/marketDataAdapter';
 import { logger } from '../utils/logger';
 
 import logo from '../assets/logo.png';
@@ -6,7 +6,22 @@ import NavigationBar from '@components/NavigationBar';
 import NotificationBanner from '@components/NotificationBanner';
 import useNotification from '../hooks/useNotification';
 import { logger } from '../utils/logger';
+import { storage } from '../utils/storage';
 import { getTestData } from '../utils/testDataGenerator';
+import { resolveProfile } from '../data/buyScore';
+import { createScoreSnapshot, addSnapshot, mergeScreenerResults } from '../data/universeHistory';
+import {
+  SCREENER_SOURCES,
+  getScreenerSource,
+  describeFilter,
+  getHistoryDays,
+  hasHistory,
+  runLocalScreener,
+  toScreenerRow
+} from '../data/screenerFilters';
+import { fetchProfiles } from '../data/marketDataAdapter';
+import { loadDailyBars } from '../data/universeEnrichment';
+import priceSeriesStore from '../data/priceSeriesStore';
 import { v4 as uuidv4 } from 'uuid';
 import logo from '../assets/logo.png';
 import logoblack from '../assets/logoblack.png';
@@ -31,12 +46,12 @@ const ScreenerResultsPage = () => {
   // Load screener data from localStorage
   useEffect(() => {
     try {
-      const screeners = JSON.parse(localStorage.getItem('burnlist_screeners') || '{}');
+      const screeners = storage.getScreeners();
       const screenerData = Object.values(screeners).find(s => s.slug === screenerSlug);
       
       if (screenerData) {
         setScreener(screenerData);
-        fetchScreenerData(screenerData.apiLink);
+        runScreener(screenerData);
       } else {
         setNotification('⚠️ Screener not found');
         setNotificationType('error');
@@ -50,6 +65,63 @@ const ScreenerResultsPage = () => {
     }
   }, [screenerSlug, navigate]);
 
+  const runScreener = (screenerData) => {
+    if (getScreenerSource(screenerData) === 'local') {
+      fetchLocalResults(screenerData);
+    } else {
+      fetchScreenerData(screenerData.apiLink);
+    }
+  };
+
+  // Local screeners filter the enriched tickers of a universe. Daily candles
+  // are loaded in batches for tickers too short for the performance/indicator filters.
+  const fetchLocalResults = async (screenerData) => {
+    setIsLoading(true);
+    setNotification('');
+
+    try {
+      const universe = storage.getUniverses()[screenerData.universeId];
+      if (!universe) {
+        setData([]);
+        setNotification('⚠️ The universe this screener runs on no longer exists');
+        setNotificationType('warning');
+        return;
+      }
+
+      const symbols = Array.from(new Set((universe.items || []).map(item => item.symbol?.toUpperCase()).filter(Boolean)));
+      const historyDays = getHistoryDays(screenerData.filters);
+      const short = symbols.filter(symbol => !hasHistory(priceSeriesStore.getBars(symbol, '1day'), historyDays));
+
+      const [profileResult] = await Promise.all([
+        symbols.length > 0 ? fetchProfiles(symbols) : null,
+        loadDailyBars(short, { days: 365, priority: 'manual' })
+      ]);
+
+      const barsBySymbol = Object.fromEntries(symbols.map(symbol => [symbol, priceSeriesStore.getBars(symbol, '1day')]));
+      const { matches, incomplete } = runLocalScreener(universe.items, screenerData.filters, {
+        barsBySymbol,
+        profiles: profileResult?.profiles || {}
+      });
+      logger.debug(`[SCREENER] ${matches.length}/${symbols.length} match in ${universe.name}, ${incomplete.length} without data`);
+
+      setData(matches.map(toScreenerRow));
+      if (incomplete.length > 0) {
+        setNotification(`⚠️ ${matches.length} of ${symbols.length} tickers match; no data to judge ${incomplete.join(', ')}`);
+        setNotificationType('warning');
+      } else {
+        setNotification(`✅ ${matches.length} of ${symbols.length} tickers match`);
+        setNotificationType('success');
+      }
+    } catch (error) {
+      logger.error('Failed to run local screener:', error);
+      setData([]);
+      setNotification('❌ Failed to run screener');
+      setNotificationType('error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const fetchScreenerData = async (apiLink) => {
     setIsLoading(true);
     setNotification('');
@@ -77,31 +149,11 @@ const ScreenerResultsPage = () => {
       // Strategy 1.5: Try local proxy server for Elite URLs
       if (!success && apiLink.includes('elite.finviz.com')) {
         try {
-          // Transform the URL to use auth parameter
-          let transformedUrl = apiLink;
-          logger.debug('Original URL:', apiLink);
-          
-          // Use the API key from the screener data
-          const apiKey = screener?.apiKey || 'f6202a40-4a7c-4d91-9ef8-068795ffbac0';
-          
-          if (apiLink.includes('ft=')) {
-            // Replace ft= parameter with auth= parameter
-            transformedUrl = apiLink.replace(/[?&]ft=[^&]*/, (match) => {
-              const separator = match.startsWith('?') ? '?' : '&';
-              return separator + `auth=${apiKey}`;
-            });
-            logger.debug('Transformed URL (ft->auth):', transformedUrl);
-          } else if (apiLink.includes('elite.finviz.com') && !apiLink.includes('auth=')) {
-            // If it's an Elite URL without auth parameter, add it
-            const separator = apiLink.includes('?') ? '&' : '?';
-            transformedUrl = apiLink + separator + `auth=${apiKey}`;
-            logger.debug('Transformed URL (added auth):', transformedUrl);
-          }
-          
+          // Sent without credentials: the server strips any auth/ft parameter and adds its own Finviz token
           // Use production API endpoint instead of localhost
           const proxyUrl = process.env.NODE_ENV === 'production' 
-            ? `/api/finviz-proxy?url=${encodeURIComponent(transformedUrl)}`
-            : `http://localhost:3001/api/finviz-proxy?url=${encodeURIComponent(transformedUrl)}`;
+            ? `/api/finviz-proxy?url=${encodeURIComponent(apiLink)}`
+            : `http://localhost:3001/api/finviz-proxy?url=${encodeURIComponent(apiLink)}`;
           logger.debug('Using proxy URL:', proxyUrl);
           const proxyResponse = await fetch(proxyUrl);
           
@@ -236,10 +288,12 @@ const ScreenerResultsPage = () => {
 
   const handleRefresh = () => {
     if (screener) {
-      fetchScreenerData(screener.apiLink);
+      runScreener(screener);
     }
   };
 
+  // Each screener feeds one universe: re-running it updates that universe's
+  // tickers and adds a dated snapshot to its history instead of creating a new one
   const handleSendToUniverse = () => {
     if (!screener || !data.length) {
       setNotification('⚠️ No data to send to universe');
@@ -248,57 +302,52 @@ const ScreenerResultsPage = () => {
     }
 
     try {
-      // Get current date/time for universe name
       const now = new Date();
-      const dateStr = now.toLocaleDateString('en-US', { 
-        year: 'numeric', 
-        month: 'short', 
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
-      
-      const universeName = `${screener.name} ${dateStr}`;
-      const universeId = uuidv4();
-      const universeSlug = universeName.toLowerCase().replace(/[^a-z0-9]/g, '-');
-      
-      // Convert screener data to universe format
-      const universeItems = data.map(row => ({
-        symbol: row.Ticker,
-        buyPrice: parseFloat(row.Price) || 0,
-        buyDate: new Date().toISOString(),
-        addedAt: new Date().toISOString(),
-        type: 'real'
-      }));
-
-      // Create new universe
-      const newUniverse = {
-        id: universeId,
-        name: universeName,
-        slug: universeSlug,
-        items: universeItems,
-        reason: `Created from screener: ${screener.name}`,
-        createdAt: new Date().toISOString(),
-      };
-
-      // Load existing universes
-      const existingUniverses = JSON.parse(localStorage.getItem('burnlist_universes') || '{}');
-      
-      // Add new universe
-      const updatedUniverses = { ...existingUniverses, [universeId]: newUniverse };
-      
-      // Save to localStorage
-      localStorage.setItem('burnlist_universes', JSON.stringify(updatedUniverses));
-      
-      setNotification(`✅ Created universe "${universeName}" with ${universeItems.length} tickers`);
+      const results = data.map(row => ({ symbol: row.Ticker, price: parseFloat(row.Price) || 0 }));
+      const existingUniverses = storage.getUniverses();
+      const linked = Object.values(existingUniverses).find(u => u.screenerId === screener.id);
+
+      let universe;
+      let message;
+      if (linked) {
+        const { items, added, dropped } = mergeScreenerResults(linked.items, results, now);
+        universe = { ...linked, items, lastRunAt: now.toISOString() };
+        message = `✅ Updated universe "${linked.name}": ${added.length} added, ${dropped.length} off the screen (kept)`;
+      } else {
+        const { items } = mergeScreenerResults([], results, now);
+        const baseSlug = screener.name.toLowerCase().replace(/[^a-z0-9]/g, '-');
+        const takenSlugs = new Set(Object.values(existingUniverses).map(u => u.slug));
+        let universeSlug = baseSlug;
+        for (let n = 2; takenSlugs.has(universeSlug); n++) universeSlug = `${baseSlug}-${n}`;
+
+        universe = {
+          id: uuidv4(),
+          name: screener.name,
+          slug: universeSlug,
+          items,
+          screenerId: screener.id,
+          reason: `Created from screener: ${screener.name}`,
+          createdAt: now.toISOString(),
+          lastRunAt: now.toISOString(),
+        };
+        message = `✅ Created universe "${universe.name}" with ${items.length} tickers`;
+      }
+
+      storage.setUniverses({ ...existingUniverses, [universe.id]: universe });
+
+      const profile = resolveProfile(storage.getScoringProfiles(), universe.scoringProfileId);
+      const snapshot = createScoreSnapshot(universe.items, profile, { source: 'screener', now });
+      storage.setUniverseHistory(universe.id, addSnapshot(storage.getUniverseHistory(universe.id), snapshot));
+
+      setNotification(message);
       setNotificationType('success');
       
-      // Navigate to the new universe
-      navigate(`/universe/${universeSlug}`);
+      // Navigate to the universe
+      navigate(`/universe/${universe.slug}`);
       
     } catch (error) {
-      logger.error('Failed to create universe:', error);
-      setNotification('❌ Failed to create universe');
+      logger.error('Failed to update universe:', error);
+      setNotification('❌ Failed to update universe');
       setNotificationType('error');
     }
   };
@@ -497,6 +546,13 @@ const ScreenerResultsPage = () => {
           </div>
         </div>
 
+        {/* Screener Filters */}
+        {(screener.filters || []).length > 0 && (
+          <div style={{ marginBottom: '12px', fontSize: '12px', color: gray }}>
+            {SCREENER_SOURCES[getScreenerSource(screener)].label}: {screener.filters.map(describeFilter).join(' · ')}
+          </div>
+        )}
+
         {/* Screener Info */}
         {screener.notes && (
           <div style={{
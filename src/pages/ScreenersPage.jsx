@@ -8,6 +8,7 @@ import ScreenerCard from '@components/ScreenerCard';
 import ScreenerFormModal from '@components/ScreenerFormModal';
 import useNotification from '../hooks/useNotification';
 import { logger } from '../utils/logger';
+import { storage } from '../utils/storage';
 import logo from '../assets/logo.png';
 import logoblack from '../assets/logoblack.png';
 
@@ -31,9 +32,8 @@ const ScreenersPage = () => {
   // Load screeners from localStorage on mount
   useEffect(() => {
     try {
-      const saved = localStorage.getItem('burnlist_screeners');
-      if (saved) {
-        const parsed = JSON.parse(saved);
+      const parsed = storage.getScreeners();
+      if (parsed) {
         setScreeners(parsed);
       }
     } catch (error) {
@@ -43,7 +43,7 @@ const ScreenersPage = () => {
 
   // Save screeners to localStorage when they change
   useEffect(() => {
-    localStorage.setItem('burnlist_screeners', JSON.stringify(screeners));
+    storage.setScreeners(screeners);
   }, [screeners]);
 
   const handleCreateScreener = () => {
@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import { useTheme, useThemeColor } from '../ThemeContext';
+import CustomButton from '@components/CustomButton';
+import NavigationBar from '@components/NavigationBar';
+import NotificationBanner from '@components/NotificationBanner';
+import useNotification from '../hooks/useNotification';
+import apiKeySettings from '@data/apiKeySettings';
+import { logger } from '../utils/logger';
+import logo from '../assets/logo.png';
+import logoblack from '../assets/logoblack.png';
+
+const CRT_GREEN = 'rgb(140,185,162)';
+
+const SOURCE_LABELS = {
+  env: 'environment variable',
+  file: 'saved on the server'
+};
+
+const SettingsPage = () => {
+  const { isInverted, toggleTheme } = useTheme();
+  const green = useThemeColor(CRT_GREEN);
+  const black = useThemeColor('black');
+  const red = useThemeColor('#e31507');
+  const gray = useThemeColor('#888');
+  const { notification, notificationType, setNotification, setNotificationType } = useNotification();
+
+  const [keys, setKeys] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [busyKey, setBusyKey] = useState(null);
+
+  const notify = (message, type) => {
+    setNotification(message);
+    setNotificationType(type);
+  };
+
+  const loadKeys = async () => {
+    try {
+      setKeys(await apiKeySettings.list());
+    } catch (error) {
+      logger.error('Failed to load API key settings:', error);
+      notify('⚠️ Could not load API key settings', 'error');
+    }
+  };
+
+  useEffect(() => {
+    loadKeys();
+  }, []);
+
+  const updateKey = (key) => {
+    setKeys(prev => prev.map(existing => (existing.name === key.name ? key : existing)));
+  };
+
+  // Runs one settings call for a key, with the key's buttons disabled meanwhile
+  const runAction = async (name, action) => {
+    setBusyKey(name);
+    try {
+      await action();
+    } catch (error) {
+      logger.error(`API key ${name} action failed:`, error);
+      notify(`❌ ${error.message}`, 'error');
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleSave = (key) => runAction(key.name, async () => {
+    const value = (drafts[key.name] || '').trim();
+    if (!value) return;
+
+    const result = await apiKeySettings.save(key.name, value);
+    updateKey(result.key);
+    if (result.error) {
+      notify(`❌ ${result.error}: ${result.validation?.message || ''}`, 'error');
+      return;
+    }
+    setDrafts(prev => ({ ...prev, [key.name]: '' }));
+    notify(`✅ ${key.label} ${key.configured ? 'rotated' : 'saved'}`, 'success');
+  });
+
+  const handleTest = (key) => runAction(key.name, async () => {
+    const value = (drafts[key.name] || '').trim();
+    const { key: updated, validation } = await apiKeySettings.test(key.name, value || undefined);
+    updateKey(updated);
+    notify(`${validation.valid ? '✅' : '❌'} ${key.label}: ${validation.message}`, validation.valid ? 'success' : 'error');
+  });
+
+  const handleRemove = (key) => runAction(key.name, async () => {
+    const { key: updated } = await apiKeySettings.remove(key.name);
+    updateKey(updated);
+    notify(`🗑️ ${key.label} removed`, 'success');
+  });
+
+  const buttonStyle = {
+    padding: '6px 12px',
+    fontSize: '12px'
+  };
+
+  return (
+    <div style={{
+      fontFamily: 'Courier New',
+      color: green,
+      backgroundColor: black,
+      minHeight: '100vh',
+      padding: '0'
+    }}>
+      <div style={{ padding: '32px 32px 0 32px' }}>
+        {/* Header Section */}
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '24px',
+          flexWrap: 'wrap',
+          gap: '12px'
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center' }}>
+            <button
+              onClick={toggleTheme}
+              style={{
+                border: 'none',
+                background: 'none',
+                padding: 0,
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center'
+              }}
+              aria-label="Toggle theme"
+            >
+              <img
+                src={isInverted ? logoblack : logo}
+                alt="Burnlist Logo"
+                style={{ width: 44, height: 44, marginRight: 10, transition: 'filter 0.3s' }}
+              />
+            </button>
+            <strong style={{
+              fontSize: '170%',
+              lineHeight: '44px',
+              display: 'inline-block',
+              color: green,
+              height: '44px'
+            }}>BURNLIST v1.1</strong>
+          </div>
+        </div>
+
+        <NavigationBar />
+
+        {/* API Keys */}
+        <div style={{ margin: '40px auto', maxWidth: '720px' }}>
+          <div style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '8px' }}>API KEYS</div>
+          <div style={{ fontSize: '12px', color: gray, marginBottom: '24px' }}>
+            Keys are stored encrypted on the server and never sent back to the browser.
+            New keys are tested against the vendor before they are saved.
+          </div>
+
+          {keys.map(key => {
+            const isBusy = busyKey === key.name;
+            const isEnv = key.source === 'env';
+            const validation = key.validation;
+
+            return (
+              <div key={key.name} style={{
+                border: `1px solid ${green}`,
+                borderRadius: '4px',
+                padding: '16px',
+                marginBottom: '16px'
+              }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: '8px' }}>
+                  <strong>{key.label}</strong>
+                  <span style={{ color: key.configured ? green : red, fontSize: '12px' }}>
+                    {key.configured ? `${key.masked} · ${SOURCE_LABELS[key.source]}` : 'not configured'}
+                  </span>
+                </div>
+
+                <div style={{ fontSize: '11px', color: gray, marginTop: '6px' }}>
+                  {key.updatedAt && `Updated ${new Date(key.updatedAt).toLocaleString()}${key.rotations ? ` · ${key.rotations} rotation${key.rotations === 1 ? '' : 's'}` : ''}`}
+                  {validation && (
+                    <div style={{ color: validation.valid ? green : red }}>
+                      {validation.valid ? '✓' : '✗'} {validation.message} ({new Date(validation.testedAt).toLocaleString()})
+                    </div>
+                  )}
+                  {isEnv && <div>Set by {key.env}; change or remove it in the server environment.</div>}
+                </div>
+
+                <div style={{ display: 'flex', gap: '8px', marginTop: '12px', flexWrap: 'wrap' }}>
+                  <input
+                    type="password"
+                    value={drafts[key.name] || ''}
+                    onChange={(e) => setDrafts(prev => ({ ...prev, [key.name]: e.target.value }))}
+                    disabled={isEnv || isBusy}
+                    autoComplete="off"
+                    data-form-type="other"
+                    placeholder={key.configured ? 'New key to rotate' : 'Paste key'}
+                    style={{
+                      flex: '1 1 220px',
+                      padding: '6px 10px',
+                      border: `1px solid ${green}`,
+                      borderRadius: '4px',
+                      backgroundColor: black,
+                      color: green,
+                      fontFamily: 'Courier New',
+                      fontSize: '12px'
+                    }}
+                  />
+                  <CustomButton
+                    onClick={() => handleTest(key)}
+                    disabled={isBusy || (!key.configured && !drafts[key.name])}
+                    style={buttonStyle}
+                  >
+                    TEST
+                  </CustomButton>
+                  <CustomButton
+                    onClick={() => handleSave(key)}
+                    disabled={isEnv || isBusy || !drafts[key.name]}
+                    style={buttonStyle}
+                  >
+                    {key.configured ? 'ROTATE' : 'SAVE'}
+                  </CustomButton>
+                  {key.source === 'file' && (
+                    <CustomButton
+                      onClick={() => handleRemove(key)}
+                      disabled={isBusy}
+                      style={{ ...buttonStyle, color: red, border: `1px solid ${red}` }}
+                    >
+                      REMOVE
+                    </CustomButton>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Centralized Notification Banner */}
+        {notification && (
+          <div className="fixed top-6 left-0 right-0 z-[10001] flex justify-center pointer-events-none md:top-4">
+            <div className="min-w-80 max-w-[480px] pointer-events-auto md:min-w-70 md:max-w-[calc(100vw-32px)]">
+              <NotificationBanner
+                message={notification}
+                type={notificationType}
+                onClose={() => setNotification('')}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPage;
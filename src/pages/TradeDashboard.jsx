@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import NavigationBar from '@components/NavigationBar';
 import WatchlistSelector from '../components/WatchlistSelector';
+import { storage } from '../utils/storage';
 
 const CRT_GREEN = 'rgb(140,185,162)';
 const CRT_RED = '#e31507';
@@ -104,9 +105,8 @@ const TradeDashboard = () => {
       return;
     }
     try {
-      const saved = localStorage.getItem("burnlist_watchlists");
-      if (saved) {
-        const parsed = JSON.parse(saved);
+      const parsed = storage.getWatchlists();
+      if (parsed) {
         const found = Object.values(parsed).find(w => w.slug === selectedWatchlist);
         setWatchlistData(found || null);
       } else {
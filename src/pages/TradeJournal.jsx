@@ -10,6 +10,7 @@ import redflag from '../assets/redflag.png';
 import backbutton from '../assets/backbutton.png';
 import useNotification from '../hooks/useNotification';
 import { logger } from '../utils/logger';
+import { storage } from '../utils/storage';
 import { getCachedExchange } from '../utils/exchangeDetector';
 import logo from '../assets/logo.png';
 import logoblack from '../assets/logoblack.png';
@@ -30,10 +31,10 @@ const TradeJournal = () => {
 
   // Load trades from localStorage on mount
   useEffect(() => {
-    const savedTrades = localStorage.getItem("trade_journal_trades");
+    const savedTrades = storage.getTradeJournal();
     if (savedTrades) {
       try {
-        setTrades(JSON.parse(savedTrades));
+        setTrades(savedTrades);
       } catch (error) {
         logger.error("Error loading trades:", error);
       }
@@ -42,7 +43,7 @@ const TradeJournal = () => {
 
   // Save trades to localStorage whenever trades change
   useEffect(() => {
-    localStorage.setItem("trade_journal_trades", JSON.stringify(trades));
+    storage.setTradeJournal(trades);
   }, [trades]);
 
   const updateTrade = (id, updates) => {
@@ -176,7 +177,7 @@ const TradeJournal = () => {
     }
 
     const selectedTradeData = trades.filter(trade => selectedTrades.has(trade.id));
-    const watchlists = JSON.parse(localStorage.getItem('burnlist_watchlists') || '{}');
+    const watchlists = storage.getWatchlists();
     
     const watchlistName = `Journal_${new Date().toISOString().split('T')[0]}`;
     const watchlistId = `journal_${Date.now()}`;
@@ -197,7 +198,7 @@ const TradeJournal = () => {
     };
 
     const updatedWatchlists = { ...watchlists, [watchlistId]: newWatchlist };
-    localStorage.setItem("burnlist_watchlists", JSON.stringify(updatedWatchlists));
+    storage.setWatchlists(updatedWatchlists);
     
     setNotification(`Created burnlist "${watchlistName}" with ${selectedTradeData.length} stocks`, "success");
     setSelectedTrades(new Set());
@@ -8,6 +8,7 @@ import { useTheme, useThemeColor } from '../ThemeContext';
 import { formatDateEuropean } from '../utils/dateUtils';
 import useNotification from '../hooks/useNotification';
 import { logger } from '../utils/logger';
+import { storage } from '../utils/storage';
 import logo from '../assets/logo.png';
 import logoblack from '../assets/logoblack.png';
 
@@ -32,9 +33,8 @@ const UniverseHomePage = () => {
   // Load universes from localStorage on mount
   useEffect(() => {
     try {
-      const saved = localStorage.getItem("burnlist_universes");
-      if (saved) {
-        const parsed = JSON.parse(saved);
+      const parsed = storage.getUniverses();
+      if (parsed) {
         setUniverses(parsed);
       }
     } catch (error) {
@@ -44,7 +44,7 @@ const UniverseHomePage = () => {
 
   // Save universes to localStorage when they change
   useEffect(() => {
-    localStorage.setItem("burnlist_universes", JSON.stringify(universes));
+    storage.setUniverses(universes);
   }, [universes]);
 
   const handleCreateUniverse = () => {
@@ -76,7 +76,7 @@ const UniverseHomePage = () => {
     
     const updated = { ...universes, [universeId]: newUniverse };
     setUniverses(updated);
-    localStorage.setItem('burnlist_universes', JSON.stringify(updated));
+    storage.setUniverses(updated);
     setNotification('');
   };
 
@@ -90,7 +90,7 @@ const UniverseHomePage = () => {
     
     const { [keyToDelete]: deleted, ...remaining } = universes;
     setUniverses(remaining);
-    localStorage.setItem("burnlist_universes", JSON.stringify(remaining));
+    storage.setUniverses(remaining);
     if (deleted) {
       logger.log('🗑️ Deleted universe:', deleted.name);
     } else {
@@ -111,7 +111,7 @@ const UniverseHomePage = () => {
       if (updated[id]) {
         updated[id] = { ...updated[id], name: newName, slug: newName.toLowerCase().replace(/[^a-z0-9]/g, '-') };
       }
-      localStorage.setItem('burnlist_universes', JSON.stringify(updated));
+      storage.setUniverses(updated);
       return updated;
     });
   }, [setUniverses, universes]);
@@ -125,7 +125,7 @@ const UniverseHomePage = () => {
       }
     };
     setUniverses(updated);
-    localStorage.setItem('burnlist_universes', JSON.stringify(updated));
+    storage.setUniverses(updated);
   }, [setUniverses, universes]);
 
   // Track editing state and previous name for each universe
@@ -167,7 +167,7 @@ const UniverseHomePage = () => {
       if (updated[id]) {
         updated[id] = { ...updated[id], name: newName, slug: newName.toLowerCase().replace(/[^a-z0-9]/g, '-') };
       }
-      localStorage.setItem('burnlist_universes', JSON.stringify(updated));
+      storage.setUniverses(updated);
       return updated;
     });
     setEditingNames(prev => ({ ...prev, [id]: { ...prev[id], prev: newName } }));
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { Link, useParams, useNavigate, useLocation } from "react-router-dom";
 import { v4 as uuidv4 } from "uuid";
 import { createTicker } from '@data/createTicker';
@@ -6,10 +6,21 @@ import { isValidTicker, normalizeSymbol } from '@data/tickerUtils';
 import NotificationBanner from '@components/NotificationBanner';
 import CustomButton from '@components/CustomButton';
 import NavigationBar from '@components/NavigationBar';
+import BuyScoreProfileEditor from '@components/BuyScoreProfileEditor';
+import BuyScoreBacktestPanel from '@components/BuyScoreBacktestPanel';
+import UniverseHistoryPanel from '@components/UniverseHistoryPanel';
 import { useTheme } from '../ThemeContext';
 import { logger } from '../utils/logger';
+import { storage, STORAGE_KEYS } from '../utils/storage';
 import backButton from '../assets/backbutton.png';
-import { calculateBuyScore } from '../data/buyScore';
+import { calculateBuyScore, getItemMetrics, resolveProfile, DEFAULT_PROFILE } from '../data/buyScore';
+import { createScoreSnapshot, addSnapshot } from '../data/universeHistory';
+import { fetchQuotes } from '../data/marketDataAdapter';
+import priceSeriesStore from '../data/priceSeriesStore';
+import { calculateIndicators } from '../data/indicators';
+import { evaluateChecklist, applyEvaluations, toggleOverride, settlePendingTicks } from '../data/setupRules';
+import { ENRICHED_FIELDS, mergeEnrichment, getFieldFreshness, describeFreshness } from '../data/universeEnrichment';
+import useUniverseEnrichment from '../hooks/useUniverseEnrichment';
 import { FaEdit, FaCheck, FaTrash } from 'react-icons/fa';
 import greenFlag from '../assets/greenflag.png';
 import redFlag from '../assets/redflag.png';
@@ -24,6 +35,10 @@ import { getCachedExchange } from '../utils/exchangeDetector';
 const CRT_GREEN = 'rgb(140,185,162)';
 const gray = '#888';
 
+// Minutes between scheduled enrichment runs while the screener is open
+const ENRICH_INTERVAL_OPTIONS = [0, 15, 30, 60];
+const DEFAULT_ENRICH_INTERVAL = 30;
+
 // Setup configurations with their specific checklists
 const SETUP_CONFIGS = {
   breakout: {
@@ -105,14 +120,6 @@ const SETUP_CONFIGS = {
   }
 };
 
-// Utility function to calculate ATR (Average True Range)
-const calculateATR = (high, low, close, period = 14) => {
-  // Calculate True Range: max(high-low, abs(high-prevClose), abs(low-prevClose))
-  // For simplicity, we'll use a percentage-based approximation
-  const trueRange = Math.max(high - low, Math.abs(high - close) * 0.5, Math.abs(low - close) * 0.5);
-  const atr = trueRange * 0.015; // Approximate ATR as 1.5% of true range
-  return Math.max(atr, 0.01); // Minimum ATR of 0.01
-};
 
 // Utility function to calculate SL and TP
 const calculateSLandTP = (entryPrice, atr, accountSize, riskPercent) => {
@@ -143,14 +150,19 @@ const UniverseScreenerPage = () => {
   const location = useLocation();
   const [universe, setUniverse] = useState(null);
   const [universes, setUniverses] = useState({});
+  const [scoringProfiles, setScoringProfiles] = useState(() => storage.getScoringProfiles());
+  const [profileEditorOpen, setProfileEditorOpen] = useState(false);
+  // Dated score snapshots of this universe, for the backtest and history
+  const [scoreHistory, setScoreHistory] = useState([]);
+  const [backtestOpen, setBacktestOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
   const [bulkSymbols, setBulkSymbols] = useState("");
   const { notification, notificationType, setNotification, setNotificationType } = useNotification();
   const [isLoading, setIsLoading] = useState(false);
   const [selectedItems, setSelectedItems] = useState(new Set());
   const [sortConfig, setSortConfig] = useState({ key: "symbol", direction: "asc" });
   const [screenerSettings, setScreenerSettings] = useState(() => {
-    const saved = localStorage.getItem("burnlist_screener_settings");
-    return saved ? JSON.parse(saved) : {
+    return storage.get(STORAGE_KEYS.SCREENER_SETTINGS) || {
       accountSize: 10000,
       riskPercent: 2
     };
@@ -169,17 +181,25 @@ const UniverseScreenerPage = () => {
   const [editMode, setEditMode] = useState(false);
   const [currentMarketPrice, setCurrentMarketPrice] = useState(null);
   const [isFetchingPrice, setIsFetchingPrice] = useState(false);
+  const [currentATR, setCurrentATR] = useState(null);
+  // Mechanical checklist results for the journaled ticker, and the user's overrides of them
+  const [checklistEvaluations, setChecklistEvaluations] = useState({});
+  const [checklistOverrides, setChecklistOverrides] = useState({});
+  const [isEvaluating, setIsEvaluating] = useState(false);
+  const evaluatingId = useRef(null);
+  // Ticks made while evaluating, settled into overrides once the results are in
+  const pendingTicks = useRef({});
 
   // Load universes and find the specific universe on mount
   useEffect(() => {
     try {
-      const saved = localStorage.getItem("burnlist_universes");
-      if (saved) {
-        const parsed = JSON.parse(saved);
+      const parsed = storage.getUniverses();
+      if (parsed) {
         setUniverses(parsed);
         const found = Object.values(parsed).find(u => u.slug === slug);
         if (found) {
           setUniverse(found);
+          setScoreHistory(storage.getUniverseHistory(found.id));
         }
       }
     } catch (error) {
@@ -194,7 +214,7 @@ const UniverseScreenerPage = () => {
       const key = Object.keys(updatedUniverses).find(k => updatedUniverses[k].id === universe.id);
       if (key) {
         updatedUniverses[key] = universe;
-        localStorage.setItem("burnlist_universes", JSON.stringify(updatedUniverses));
+        storage.setUniverses(updatedUniverses);
         // Don't call setUniverses here to avoid infinite loop
       }
     }
@@ -202,7 +222,7 @@ const UniverseScreenerPage = () => {
 
   // Save screener settings when they change
   useEffect(() => {
-    localStorage.setItem("burnlist_screener_settings", JSON.stringify(screenerSettings));
+    storage.set(STORAGE_KEYS.SCREENER_SETTINGS, screenerSettings);
   }, [screenerSettings]);
 
   const handleBulkAdd = async () => {
@@ -246,8 +266,8 @@ const UniverseScreenerPage = () => {
         const newItem = {
           id: uuidv4(),
           symbol: normalizedSymbol,
-          lastPrice: 0, // Will be filled manually
-          atr: 0, // Will be filled manually
+          lastPrice: 0, // Filled by the enrichment run
+          atr: 0, // Filled by the enrichment run
           flags: {
             news: false
           },
@@ -273,7 +293,7 @@ const UniverseScreenerPage = () => {
         items: [...(prev?.items || []), ...newItems]
       }));
       setBulkSymbols("");
-      setNotification(`Added ${newItems.length} tickers to universe. You can now manually enter prices.`);
+      setNotification(`Added ${newItems.length} tickers to universe. Fetching prices and fundamentals...`);
       setNotificationType("success");
 
     } catch (error) {
@@ -323,6 +343,39 @@ const UniverseScreenerPage = () => {
     }));
   };
 
+  // Merge enrichment results into the universe, keeping the user's own values;
+  // a new ATR re-derives SL/TP the way an edit would
+  const handleEnriched = (results, at) => {
+    setUniverse(prev => prev && ({
+      ...prev,
+      items: (prev.items || []).map(item => {
+        const values = results[item.symbol?.toUpperCase()];
+        if (!values) return item;
+        const updated = mergeEnrichment(item, values, at);
+        const entry = parseFloat(updated.entryPrice);
+        if (updated.atr !== item.atr && entry > 0 && updated.atr > 0) {
+          const { stopLoss, takeProfit, positionSize } = calculateSLandTP(
+            entry,
+            updated.atr,
+            screenerSettings.accountSize,
+            screenerSettings.riskPercent
+          );
+          updated.stopLoss = stopLoss.toFixed(2);
+          updated.takeProfit = takeProfit.toFixed(2);
+          updated.positionSize = positionSize.toFixed(2);
+        }
+        return updated;
+      })
+    }));
+  };
+
+  const enrichIntervalMinutes = screenerSettings.enrichIntervalMinutes ?? DEFAULT_ENRICH_INTERVAL;
+  const { enriching, lastRun, enrichNow } = useUniverseEnrichment({
+    items: universe?.items,
+    onEnriched: handleEnriched,
+    intervalMinutes: enrichIntervalMinutes
+  });
+
   const handleDeleteItem = (id) => {
     setUniverse(prev => ({
       ...prev,
@@ -382,7 +435,7 @@ const UniverseScreenerPage = () => {
 
     try {
       const selectedUniverseItems = (universe?.items || []).filter(item => selectedItems.has(item.id));
-      const watchlists = JSON.parse(localStorage.getItem("burnlist_watchlists") || "{}");
+      const watchlists = storage.getWatchlists();
       
       // Create new watchlist
       const watchlistId = uuidv4();
@@ -439,7 +492,7 @@ const UniverseScreenerPage = () => {
       };
 
       const updatedWatchlists = { ...watchlists, [watchlistId]: newWatchlist };
-      localStorage.setItem("burnlist_watchlists", JSON.stringify(updatedWatchlists));
+      storage.setWatchlists(updatedWatchlists);
       
       setNotification(`Created watchlist "${watchlistName}" with ${successCount} tickers${errorCount > 0 ? ` (${errorCount} failed)` : ''}`);
       setNotificationType("success");
@@ -471,29 +524,59 @@ const UniverseScreenerPage = () => {
     });
   };
 
+  // Scoring profiles: saved ones by id, the universe picks one (default otherwise)
+  const scoringProfile = resolveProfile(scoringProfiles, universe?.scoringProfileId);
+
+  const handleSaveProfile = (profile) => {
+    setScoringProfiles(prev => {
+      const updated = { ...prev, [profile.id]: profile };
+      storage.setScoringProfiles(updated);
+      return updated;
+    });
+  };
+
+  // Deleting the stored default resets it to the built-in model
+  const handleDeleteProfile = (profileId) => {
+    setScoringProfiles(prev => {
+      const { [profileId]: _removed, ...rest } = prev;
+      storage.setScoringProfiles(rest);
+      return rest;
+    });
+    if (universe?.scoringProfileId === profileId) {
+      setUniverse(prev => ({ ...prev, scoringProfileId: DEFAULT_PROFILE.id }));
+    }
+  };
+
+  const handleUseProfile = (profileId) => {
+    setUniverse(prev => ({ ...prev, scoringProfileId: profileId }));
+  };
+
+  const recordScoreSnapshot = (source) => {
+    if (!universe?.id || (universe.items || []).length === 0) return;
+    const snapshot = createScoreSnapshot(universe.items, scoringProfile, { source });
+    setScoreHistory(prev => {
+      const updated = addSnapshot(prev, snapshot);
+      storage.setUniverseHistory(universe.id, updated);
+      return updated;
+    });
+  };
+
+  // One snapshot a day, taken once enrichment has refreshed the scores; a
+  // screener run from earlier today is re-taken with the enriched values
+  useEffect(() => {
+    if (!lastRun) return;
+    const today = new Date().toISOString().slice(0, 10);
+    const todays = scoreHistory.find(snapshot => snapshot.at.slice(0, 10) === today);
+    if (!todays || (todays.source === 'screener' && todays.at < lastRun)) {
+      recordScoreSnapshot('daily');
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lastRun]);
+
   // Get sorted and filtered universe
   const sortedUniverse = [...(universe?.items || [])]
     .map(item => {
-      // Prepare metrics for buy score calculation
-      const metrics = {
-        epsGrowth: item.epsGrowth || 0,
-        avgVolume: item.avgVolume || 0,
-        relVolume: item.relVolume || 1,
-        technicalFlags: (item.tradeType && item.journalVerdictType === "qualified") ? true : false,
-        earningsDaysAway: item.earningsDaysAway || 10,
-        price: item.lastPrice || 0,
-        pe: item.pe || 15,
-        marketCap: item.marketCap || 500000000,
-        debtEquity: item.debtEquity || 0.25,
-        pb: item.pb || 1.1,
-        beta: item.beta || 1.5,
-        newsFlag: item.flags?.news || false,
-        sectorAlignment: item.sectorAlignment || false,
-        marketSupport: item.marketSupport || false,
-        volatilityClear: item.volatilityClear || false,
-        breadthHealthy: item.breadthHealthy || false,
-      };
-      const scoreObj = calculateBuyScore(metrics);
+      const scoreObj = calculateBuyScore(getItemMetrics(item), scoringProfile);
       return { ...item, _buyScore: scoreObj.totalBuyScore, _buyTag: scoreObj.tag };
     })
     .sort((a, b) => {
@@ -587,10 +670,16 @@ const UniverseScreenerPage = () => {
   };
 
   const handleChecklistChange = (item) => {
+    const checked = !checklistItems[item];
     setChecklistItems(prev => ({
       ...prev,
-      [item]: !prev[item]
+      [item]: checked
     }));
+    if (isEvaluating) {
+      pendingTicks.current = { ...pendingTicks.current, [item]: checked };
+    } else {
+      setChecklistOverrides(prev => toggleOverride(prev, checklistEvaluations, item, checked));
+    }
   };
 
   const handleJournalClick = (item) => {
@@ -603,10 +692,13 @@ const UniverseScreenerPage = () => {
     setAccountSize(item.accountSize || "");
     setRiskPerTrade(item.riskPerTrade || "2");
     setOverrideReason(item.overrideReason || "");
+    setChecklistOverrides(item.checklistOverrides || {});
     
     // Load checklist items from item
     const savedChecklist = {};
-    if (item.tradeType && SETUP_CONFIGS[item.tradeType]) {
+    if (item.checklistItems) {
+      Object.assign(savedChecklist, item.checklistItems);
+    } else if (item.tradeType && SETUP_CONFIGS[item.tradeType]) {
       const allChecklistItems = [
         ...SETUP_CONFIGS[item.tradeType].checklists,
         ...SETUP_CONFIGS[item.tradeType].newsValidation
@@ -621,6 +713,7 @@ const UniverseScreenerPage = () => {
     
     // Fetch current market price
     fetchCurrentMarketPrice(item.symbol);
+    evaluateItemSetup(item);
   };
 
   const fetchCurrentMarketPrice = async (symbol) => {
@@ -628,18 +721,13 @@ const UniverseScreenerPage = () => {
     
     setIsFetchingPrice(true);
     try {
-              const response = await fetch(`/api/twelvedata-quote?symbols=${symbol}&interval=1min`);
+      const quotes = await fetchQuotes([symbol]);
+      const quote = quotes[symbol.toUpperCase()];
       
-      if (response.ok) {
-        const priceData = await response.json();
-        if (priceData && priceData.length > 0) {
-          setCurrentMarketPrice(priceData[0].price);
-        } else {
-          logger.warn(`No price data received for ${symbol}`);
-          setCurrentMarketPrice(null);
-        }
+      if (quote) {
+        setCurrentMarketPrice(quote.price);
       } else {
-        logger.warn(`API error for ${symbol}: ${response.status}`);
+        logger.warn(`No price data received for ${symbol}`);
         setCurrentMarketPrice(null);
       }
     } catch (error) {
@@ -650,6 +738,45 @@ const UniverseScreenerPage = () => {
     }
   };
 
+  // Daily candles from the series store (a year is backfilled when missing) fill in
+  // a missing ATR, with SL/TP following via handleEnriched, and evaluate the
+  // mechanical checklist items
+  const evaluateItemSetup = async (item) => {
+    evaluatingId.current = item.id;
+    setCurrentATR(item.atr > 0 ? item.atr : null);
+    setChecklistEvaluations({});
+    setIsEvaluating(true);
+    pendingTicks.current = {};
+
+    try {
+      if (priceSeriesStore.getBars(item.symbol, '1day').length === 0) {
+        await priceSeriesStore.backfill(item.symbol.toUpperCase(), '1day');
+      }
+      if (evaluatingId.current !== item.id) return;
+
+      const bars = priceSeriesStore.getBars(item.symbol, '1day');
+      const atr = calculateIndicators({ daily: bars })?.atr14;
+      if (!(item.atr > 0) && atr) {
+        setCurrentATR(atr);
+        // Recorded as enriched so the next enrichment run can refresh it
+        handleEnriched({ [item.symbol.toUpperCase()]: { atr: { value: Number(atr.toFixed(4)), source: 'history' } } }, new Date());
+      }
+
+      const labels = Object.values(SETUP_CONFIGS).flatMap(config => config.checklists);
+      const evaluations = evaluateChecklist(labels, { bars, item });
+      const pending = pendingTicks.current;
+      setChecklistOverrides(prev => settlePendingTicks(prev, evaluations, pending));
+      setChecklistEvaluations(evaluations);
+    } catch (error) {
+      logger.warn(`Could not evaluate setup for ${item.symbol}:`, error);
+    } finally {
+      if (evaluatingId.current === item.id) {
+        pendingTicks.current = {};
+        setIsEvaluating(false);
+      }
+    }
+  };
+
   const handleJournalPanelClose = () => {
     setJournalPanelOpen(false);
     setJournalTicker(null);
@@ -687,6 +814,8 @@ const UniverseScreenerPage = () => {
               riskReward: calculateRiskReward(),
               positionSize: calculatePositionSize(),
               checklistItems: { ...checklistItems },
+              checklistEvaluations: { ...checklistEvaluations },
+              checklistOverrides: { ...checklistOverrides },
               overrideReason: verdict.type !== "qualified" ? overrideReason : "",
               journaledAt: new Date().toISOString(),
               flags: {
@@ -703,6 +832,8 @@ const UniverseScreenerPage = () => {
     setJournalTicker(null);
     setSelectedTradeType("");
     setChecklistItems({});
+    setChecklistEvaluations({});
+    setChecklistOverrides({});
     setEntryPrice("");
     setStopLoss("");
     setTarget("");
@@ -729,6 +860,17 @@ const UniverseScreenerPage = () => {
     }
   }, [selectedTradeType, journalPanelOpen]);
 
+  // Tick evaluated items by their result unless the user overrode them
+  useEffect(() => {
+    if (!journalPanelOpen || !SETUP_CONFIGS[selectedTradeType]) return;
+    setChecklistItems(prev => applyEvaluations(
+      prev,
+      checklistEvaluations,
+      checklistOverrides,
+      SETUP_CONFIGS[selectedTradeType].checklists
+    ));
+  }, [checklistEvaluations, selectedTradeType, journalPanelOpen]);
+
   // When trade type changes in the journal panel, clear all journal fields for that ticker
   const handleExecuteTrade = async (item) => {
     if (!item.tradeType || !item.entryPrice || !item.stopLoss || !item.target) {
@@ -745,23 +887,20 @@ const UniverseScreenerPage = () => {
       let useCurrentPrice = false;
       
       try {
-        // Fetch latest price from Twelve Data API
-        const response = await fetch(`/api/twelvedata-quote?symbols=${item.symbol}&interval=1min`);
+        // Fetch latest price through the market data adapter
+        const quotes = await fetchQuotes([item.symbol]);
+        const quote = quotes[item.symbol.toUpperCase()];
         
-        if (response.ok) {
-          const priceData = await response.json();
+        if (quote) {
+          currentMarketPrice = quote.price;
+          logger.log(`📊 Latest price for ${item.symbol}: $${currentMarketPrice}`);
           
-          if (priceData && priceData.length > 0) {
-            currentMarketPrice = priceData[0].price;
-            logger.log(`📊 Latest price for ${item.symbol}: $${currentMarketPrice}`);
-            
-            // Ask user if they want to use current market price or keep manual entry
-            useCurrentPrice = window.confirm(
-              `Current market price for ${item.symbol}: $${currentMarketPrice.toFixed(2)}\n\n` +
-              `Your entered price: $${parseFloat(item.entryPrice).toFixed(2)}\n\n` +
-              `Would you like to use the current market price instead?`
-            );
-          }
+          // Ask user if they want to use current market price or keep manual entry
+          useCurrentPrice = window.confirm(
+            `Current market price for ${item.symbol}: $${currentMarketPrice.toFixed(2)}\n\n` +
+            `Your entered price: $${parseFloat(item.entryPrice).toFixed(2)}\n\n` +
+            `Would you like to use the current market price instead?`
+          );
         }
       } catch (apiError) {
         logger.warn("Twelve Data API not available, using manual entry price:", apiError);
@@ -795,18 +934,19 @@ const UniverseScreenerPage = () => {
         riskPerTrade: item.riskPerTrade,
         executedAt: new Date().toISOString(),
         notes: item.notes || '',
+        checklistOverrides: item.checklistOverrides || {},
         currentMarketPrice: currentMarketPrice, // Store the current market price for reference
         priceSource: useCurrentPrice ? 'Twelve Data API' : (currentMarketPrice ? 'Manual Entry (API Available)' : 'Manual Entry (API Unavailable)')
       };
 
       // Load existing trades from localStorage
-      const existingTrades = JSON.parse(localStorage.getItem("trade_journal_trades") || "[]");
+      const existingTrades = storage.getTradeJournal();
       
       // Add new trade
       const updatedTrades = [tradeEntry, ...existingTrades];
       
       // Save back to localStorage
-      localStorage.setItem("trade_journal_trades", JSON.stringify(updatedTrades));
+      storage.setTradeJournal(updatedTrades);
       
       const priceMessage = useCurrentPrice 
         ? ` (updated to current market price: $${currentMarketPrice.toFixed(2)})`
@@ -828,6 +968,7 @@ const UniverseScreenerPage = () => {
     setSelectedTradeType(newType);
     // Reset all journal fields
     setChecklistItems({});
+    setChecklistOverrides({});
     setEntryPrice("");
     setStopLoss("");
     setTarget("");
@@ -934,6 +1075,44 @@ const UniverseScreenerPage = () => {
         >
           {isLoading ? "CREATING WATCHLIST..." : `CREATE WATCHLIST FROM SELECTED (${selectedItems.size})`}
         </CustomButton>
+        <CustomButton
+          onClick={enrichNow}
+          disabled={enriching || (universe?.items?.length || 0) === 0}
+        >
+          {enriching ? "ENRICHING..." : "ENRICH"}
+        </CustomButton>
+        <CustomButton onClick={() => setProfileEditorOpen(true)}>
+          SCORING: {scoringProfile.name.toUpperCase()}
+        </CustomButton>
+        <CustomButton onClick={() => setBacktestOpen(true)}>
+          BACKTEST
+        </CustomButton>
+        <CustomButton onClick={() => setHistoryOpen(true)}>
+          HISTORY ({scoreHistory.length})
+        </CustomButton>
+        <div style={{ display: "flex", gap: "6px", alignItems: "center", color: CRT_GREEN, fontSize: "12px", fontFamily: "'Courier New', monospace" }}>
+          <span>AUTO:</span>
+          <select
+            value={enrichIntervalMinutes}
+            onChange={(e) => handleSettingsChange('enrichIntervalMinutes', e.target.value)}
+            style={{
+              background: 'transparent',
+              color: CRT_GREEN,
+              border: 'none',
+              borderBottom: `1px solid ${CRT_GREEN}`,
+              fontFamily: 'Courier New',
+              fontSize: 12,
+              borderRadius: 0,
+              outline: 'none'
+            }}
+            title="Re-enrich stale fields on a schedule"
+          >
+            {ENRICH_INTERVAL_OPTIONS.map(minutes => (
+              <option key={minutes} value={minutes}>{minutes === 0 ? 'off' : `${minutes}m`}</option>
+            ))}
+          </select>
+          {lastRun && <span style={{ color: gray }}>last {new Date(lastRun).toLocaleTimeString()}</span>}
+        </div>
         
         {/* Mass Quick Trade Type Controls - Only show in edit mode */}
         {editMode && (
@@ -1068,6 +1247,23 @@ const UniverseScreenerPage = () => {
              >
                Last Price {renderSortArrow("lastPrice")}
              </th>
+             <th 
+               onClick={() => handleSort("_buyScore")} 
+               style={{ 
+                 cursor: 'pointer',
+                 padding: '12px 8px', 
+                 textAlign: "right", 
+                 borderBottom: `2px solid ${CRT_GREEN}`, 
+                 color: CRT_GREEN,
+                 fontWeight: 'bold',
+                 fontSize: '14.5px',
+                 userSelect: 'none',
+                 transition: 'background-color 0.2s'
+               }}
+               title={`Buy Score under the ${scoringProfile.name} profile`}
+             >
+               Score {renderSortArrow("_buyScore")}
+             </th>
              <th 
                onClick={() => handleSort("tradeType")} 
                style={{ 
@@ -1210,6 +1406,7 @@ const UniverseScreenerPage = () => {
               key={item.id}
               style={{
                 borderBottom: `1px solid ${gray}`,
+                opacity: item.droppedAt ? 0.5 : 1,
                 ':hover': {
                   backgroundColor: 'rgba(140,185,162,0.05)'
                 }
@@ -1262,6 +1459,14 @@ const UniverseScreenerPage = () => {
                 >
                   {item.symbol}
                   <img src={greenFlag} alt="Open Chart" style={{ width: 12, height: 12, verticalAlign: 'middle' }} />
+                  {item.droppedAt && (
+                    <span
+                      style={{ fontSize: 10, fontWeight: 'normal', color: gray }}
+                      title={`Left the screen on ${new Date(item.droppedAt).toLocaleDateString()}. Kept with its journal; delete it to remove it.`}
+                    >
+                      OFF SCREEN
+                    </span>
+                  )}
                 </span>
               </td>
               <td style={{ padding: '6px', textAlign: "center" }}>
@@ -1353,9 +1558,21 @@ const UniverseScreenerPage = () => {
                     }}
                   />
                 ) : (
-                  <span>${item.lastPrice ? item.lastPrice.toFixed(2) : '0.00'}</span>
+                  <div
+                    title={Object.keys(ENRICHED_FIELDS)
+                      .map(field => `${ENRICHED_FIELDS[field].label}: ${describeFreshness(getFieldFreshness(item, field))}`)
+                      .join('\n')}
+                  >
+                    <span>${item.lastPrice ? item.lastPrice.toFixed(2) : '0.00'}</span>
+                    <div style={{ color: gray, fontSize: 10 }}>
+                      {describeFreshness(getFieldFreshness(item, 'lastPrice'))}
+                    </div>
+                  </div>
                 )}
               </td>
+              <td style={{ padding: '6px', textAlign: "right" }} title={item._buyTag}>
+                {item._buyScore.toFixed(1)}
+              </td>
               <td style={{ width: "7.14%", padding: '2px 4px', textAlign: 'center' }}>
                 <img src={item.tradeType ? greenFlag : redFlag} alt="SETUP" title={item.tradeTypeName || "No setup selected"} style={{ width: 13, height: 13, verticalAlign: 'middle', filter: 'drop-shadow(0 0 1px #222)' }} />
               </td>
@@ -1475,6 +1692,33 @@ const UniverseScreenerPage = () => {
           )}
 
       {/* Journal Panel */}
+      <BuyScoreProfileEditor
+        open={profileEditorOpen}
+        onClose={() => setProfileEditorOpen(false)}
+        profiles={scoringProfiles}
+        activeProfileId={universe?.scoringProfileId}
+        items={universe?.items || []}
+        onSave={handleSaveProfile}
+        onDelete={handleDeleteProfile}
+        onUse={handleUseProfile}
+      />
+
+      <BuyScoreBacktestPanel
+        open={backtestOpen}
+        onClose={() => setBacktestOpen(false)}
+        items={universe?.items || []}
+        history={scoreHistory}
+        profile={scoringProfile}
+        onSnapshot={() => recordScoreSnapshot('manual')}
+      />
+
+      <UniverseHistoryPanel
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        history={scoreHistory}
+        profile={scoringProfile}
+      />
+
       {journalPanelOpen && journalTicker && (
         <>
           {/* Overlay for closing */}
@@ -1548,6 +1792,11 @@ const UniverseScreenerPage = () => {
                   <h3 style={{ marginBottom: '15px', fontSize: '18px' }}>
                     2. VERIFY SETUP CRITERIA ({SETUP_CONFIGS[selectedTradeType].name})
                   </h3>
+                  <div style={{ fontSize: '12px', marginBottom: '10px', opacity: 0.8 }}>
+                    {isEvaluating
+                      ? '🔄 Evaluating criteria from daily candles...'
+                      : 'AUTO items are ticked from daily candles; clicking one records an override'}
+                  </div>
                   <div style={{ 
                     display: 'grid', 
                     gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', 
@@ -1580,7 +1829,16 @@ const UniverseScreenerPage = () => {
                             style={{ width: 22, height: 22 }}
                           />
                         </span>
-                        <span style={{ fontSize: '14px' }}>{item}</span>
+                        <span style={{ fontSize: '14px' }}>
+                          {item}
+                          {checklistEvaluations[item] && (
+                            <span style={{ display: 'block', fontSize: '11px', opacity: 0.75, marginTop: '2px' }}>
+                              {checklistOverrides[item]
+                                ? `OVERRIDDEN (auto ${checklistOverrides[item].auto ? '✓' : '✗'})`
+                                : 'AUTO'} · {checklistEvaluations[item].value}
+                            </span>
+                          )}
+                        </span>
                       </label>
                     ))}
                   </div>
@@ -1673,6 +1931,7 @@ const UniverseScreenerPage = () => {
                           background: 'rgba(140,185,162,0.1)'
                         }}>
                           📊 Current Market: ${currentMarketPrice.toFixed(2)}
+                          {currentATR && ` · ATR(14) $${currentATR.toFixed(2)}`}
                           <button
                             onClick={() => {
                               setEntryPrice(currentMarketPrice.toFixed(2));
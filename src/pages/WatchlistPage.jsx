@@ -8,15 +8,26 @@ import NotificationBanner from '@components/NotificationBanner';
 import EditToggleButton from "@components/EditToggleButton";
 import MobileChartWrapper from "@components/MobileChartWrapper";
 import DatePicker from "@components/DatePicker";
+import BenchmarkPanel from "@components/BenchmarkPanel";
+import RiskPanel from "@components/RiskPanel";
+import CorrelationHeatmap from "@components/CorrelationHeatmap";
+import CandlestickChart from "@components/CandlestickChart";
+import AttributionWaterfall from "@components/AttributionWaterfall";
+import SectorExposurePanel from "@components/SectorExposurePanel";
 
 // Hooks and Utils
 import { useTheme } from '../ThemeContext';
 import { calculateETFPrice, calculateTWAP, calculatePortfolioBeta } from '../utils/portfolioUtils';
 import useNotification from '../hooks/useNotification';
+import useBenchmark from '../hooks/useBenchmark';
+import useSectorExposure from '../hooks/useSectorExposure';
 import { logger } from '../utils/logger';
 
-// Import the simple NAV calculator
-import simpleNavCalculator from '../data/simpleNavCalculator';
+// Position-weighted NAV (equal, dollar or custom weights, with a cash leg)
+import { calculatePositionNAV, summarizePositions, WEIGHTING_MODES } from '../data/positionNavCalculator';
+import { calculateAttribution } from '../data/attributionCalculator';
+import { applyProfiles } from '../data/sectorExposure';
+import { fetchHistory, fetchQuotes } from '../data/marketDataAdapter';
 
 const CRT_GREEN = 'rgb(149,184,163)';
 const CRT_GREEN_DARK = 'rgb(120,150,130)';
@@ -96,6 +107,51 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
     return Object.values(watchlists).find(w => w.slug === slug) || null;
   }, [watchlists, slug]);
 
+  const weighting = WEIGHTING_MODES.includes(watchlist?.weighting) ? watchlist.weighting : 'equal';
+  const cash = Number(watchlist?.cash) || 0;
+
+  // Latest value, weight and return of each position (navData changes when items are edited in place)
+  const positionSummary = useMemo(
+    () => summarizePositions(watchlist?.items || [], { mode: weighting, cash }),
+    [watchlist?.items, weighting, cash, navData]
+  );
+
+  // Which tickers drove the return over the attribution panel's own timeframe
+  const [attributionTimeframe, setAttributionTimeframe] = useState('MAX');
+  const attribution = useMemo(
+    () => calculateAttribution(watchlist?.items || [], { mode: weighting, cash, timeframe: attributionTimeframe }),
+    [watchlist?.items, weighting, cash, attributionTimeframe, navData]
+  );
+
+  // Benchmark line, relative strength and beta/alpha against the watchlist's benchmark
+  const benchmark = useBenchmark({
+    items: watchlist?.items,
+    symbol: watchlist?.benchmark || null,
+    navData,
+    mode: weighting,
+    cash
+  });
+
+  // Sector/industry tags land on the items; exposure follows from them
+  const sectorExposure = useSectorExposure({
+    items: watchlist?.items,
+    mode: weighting,
+    cash,
+    onProfiles: (profiles, symbols) => {
+      setWatchlists(prev => {
+        const key = Object.keys(prev).find(k => prev[k].slug === slug);
+        if (!key) return prev;
+        return { ...prev, [key]: { ...prev[key], items: applyProfiles(prev[key].items, profiles, symbols) } };
+      });
+    }
+  });
+
+  // Every NAV point, unsampled, for the risk statistics
+  const riskNav = useMemo(
+    () => calculatePositionNAV(watchlist?.items || [], { mode: weighting, cash, sample: false }),
+    [watchlist?.items, weighting, cash, navData]
+  );
+
   // Check if we can fetch (3-second cooldown)
   useEffect(() => {
     if (lastFetchTime) {
@@ -186,51 +242,16 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
       const tradingDays = calculateNYCTradingDays(startDate, new Date());
       logger.info(`📊 Trading days from ${startDate} to now: ${tradingDays}`);
       
-      // Use backend proxy for historical data
-      const symbolString = symbols.join(',');
-      const response = await fetch(`/api/twelvedata-historical?symbols=${symbolString}&interval=1day&outputsize=${tradingDays}&start_date=${startDate}`);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      // Check for API error responses
-      if (data.status === 'error') {
-        throw new Error(`API Error: ${data.message || 'Unknown error'}`);
-      }
+      // Daily bars through the market data adapter (newest first)
+      const history = await fetchHistory(symbols, { startDate, interval: '1day', outputSize: tradingDays });
       
       const allTickers = [];
       
-      // Handle both old and new backend response formats
-      let processedData = data;
-      
-      // If backend returned old format, transform it to new format
-      if (data.status === 'ok' && data.historicalData) {
-        processedData = {};
-        symbols.forEach(symbol => {
-          processedData[symbol] = {
-            historicalData: data.historicalData.map(item => ({
-              price: parseFloat(item.close || item.price),
-              close: parseFloat(item.close || item.price),
-              open: parseFloat(item.open),
-              high: parseFloat(item.high),
-              low: parseFloat(item.low),
-              timestamp: item.datetime || item.timestamp,
-              volume: parseInt(item.volume),
-              symbol: symbol
-            }))
-          };
-        });
-      }
-      
       // Process each symbol
       for (const symbol of symbols) {
-        const symbolData = processedData[symbol];
+        const historicalData = history[symbol];
         
-        if (symbolData && symbolData.historicalData && symbolData.historicalData.length > 0) {
-          const historicalData = symbolData.historicalData;
+        if (historicalData && historicalData.length > 0) {
           const firstPrice = historicalData[0].price; // Most recent price (current)
           const lastPrice = historicalData[historicalData.length - 1].price; // Oldest price (buy)
           
@@ -240,6 +261,7 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
           const ticker = {
             symbol: symbol,
             historicalData: historicalData,
+            historicalInterval: '1day',
             buyPrice: lastPrice, // Oldest price = buy price
             buyDate: startDate,
             currentPrice: firstPrice, // Most recent price = current price
@@ -278,20 +300,9 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
       
       // Batch symbols for API call
       const symbols = watchlist.items.map(item => item.symbol);
-      const symbolString = symbols.join(',');
-      const interval = '1min'; // Always use 1-minute intervals
-      
-      // Use backend proxy for current prices
-      const response = await fetch(`/api/twelvedata-quote?symbols=${symbolString}&interval=${interval}`);
+      const data = await fetchQuotes(symbols);
       
-      if (response.ok) {
-        const data = await response.json();
-        
-        // Check for API error responses
-        if (data.status === 'error') {
-          throw new Error(`API Error: ${data.message || 'Unknown error'}`);
-        }
-        
+      if (Object.keys(data).length > 0) {
         // Process each ticker
         for (const item of watchlist.items) {
           const symbolData = data[item.symbol];
@@ -352,12 +363,12 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
     }
   };
 
-  // Calculate NAV using the simple navCalculator
+  // Calculate NAV with the watchlist's weighting mode and cash
   const calculateNAVFromMatchingTimestamps = useCallback(async (items) => {
     if (!items || items.length === 0) return;
     
     try {
-      logger.debug(`[WATCHLIST NAV] Calculating NAV for ${items.length} tickers using simple navCalculator`);
+      logger.debug(`[WATCHLIST NAV] Calculating ${weighting}-weighted NAV for ${items.length} tickers`);
       
       // Show loading state
       setLoading(true);
@@ -365,30 +376,30 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
       // Use setTimeout to make calculation asynchronous and prevent UI blocking
       const navDataPoints = await new Promise((resolve) => {
         setTimeout(() => {
-          const result = simpleNavCalculator.calculateSimpleNAV(items);
+          const result = calculatePositionNAV(items, { mode: weighting, cash });
           resolve(result);
         }, 0);
       });
       
       if (!navDataPoints || navDataPoints.length === 0) {
-        logger.warn(`[WATCHLIST NAV] No NAV data returned from simple navCalculator`);
+        logger.warn(`[WATCHLIST NAV] No NAV data returned from position navCalculator`);
         setNavData([]);
         return;
       }
       
-      logger.debug(`[WATCHLIST NAV] Simple navCalculator returned ${navDataPoints.length} NAV points`);
+      logger.debug(`[WATCHLIST NAV] Position navCalculator returned ${navDataPoints.length} NAV points`);
       
       // Set the NAV data directly - no transformation needed since output is already clean
       setNavData(navDataPoints);
       logger.debug(`[WATCHLIST NAV] Set ${navDataPoints.length} NAV points for chart`);
       
     } catch (error) {
-      logger.error('❌ Error calculating NAV with simple navCalculator:', error);
+      logger.error('❌ Error calculating NAV with position navCalculator:', error);
       setNavData([]);
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [weighting, cash]);
 
   // Calculate NAV when watchlist items change
   useEffect(() => {
@@ -451,6 +462,43 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
     }
   };
 
+  // Quantity, cost basis or custom weight of one position; empty clears it
+  const handlePositionChange = (index, field, value) => {
+    if (!watchlist) return;
+    
+    const updatedWatchlists = { ...watchlists };
+    const watchlistKey = Object.keys(updatedWatchlists).find(
+      key => updatedWatchlists[key].slug === slug
+    );
+    
+    if (watchlistKey) {
+      const item = updatedWatchlists[watchlistKey].items[index];
+      const number = parseFloat(value);
+      if (Number.isFinite(number) && number >= 0) {
+        item[field] = number;
+      } else {
+        delete item[field];
+      }
+      setWatchlists(updatedWatchlists);
+      
+      // Recalculate NAV
+      calculateNAVFromMatchingTimestamps(updatedWatchlists[watchlistKey].items);
+    }
+  };
+
+  // Weighting mode and cash live on the watchlist; the NAV effect picks up the change
+  const updateWatchlistSettings = (changes) => {
+    const watchlistKey = Object.keys(watchlists).find(
+      key => watchlists[key].slug === slug
+    );
+    if (!watchlistKey) return;
+    
+    setWatchlists({
+      ...watchlists,
+      [watchlistKey]: { ...watchlists[watchlistKey], ...changes }
+    });
+  };
+
   const handleDeleteTicker = (index) => {
     if (!watchlist) return;
     
@@ -640,8 +688,54 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
           alignItems: 'center',
           marginBottom: '20px',
           flexWrap: 'wrap',
-          gap: '12px'
+          gap: '12px',
+          fontSize: '12px'
         }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ color: CRT_GREEN_DARK }}>WEIGHT</span>
+            {WEIGHTING_MODES.map(mode => (
+              <button
+                key={mode}
+                onClick={() => updateWatchlistSettings({ weighting: mode })}
+                style={{
+                  background: weighting === mode ? CRT_GREEN : 'transparent',
+                  color: weighting === mode ? 'black' : CRT_GREEN,
+                  border: `1px solid ${CRT_GREEN}`,
+                  padding: '4px 10px',
+                  fontSize: '12px',
+                  fontFamily: "'Courier New', monospace",
+                  cursor: 'pointer',
+                  textTransform: 'uppercase'
+                }}
+              >
+                {mode}
+              </button>
+            ))}
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', color: CRT_GREEN_DARK }}>
+              CASH $
+              <input
+                type="number"
+                min="0"
+                step="100"
+                value={watchlist.cash ?? ''}
+                onChange={(e) => updateWatchlistSettings({ cash: e.target.value === '' ? 0 : Math.max(0, parseFloat(e.target.value) || 0) })}
+                style={{
+                  width: '90px',
+                  fontFamily: "'Courier New', monospace",
+                  fontSize: '12px',
+                  backgroundColor: 'black',
+                  border: `1px solid ${CRT_GREEN}`,
+                  color: CRT_GREEN,
+                  padding: '4px 6px'
+                }}
+              />
+            </label>
+            <span title={`Cost $${positionSummary.costValue.toFixed(2)}`}>
+              VALUE ${positionSummary.value.toFixed(2)}
+            </span>
+          </div>
         </div>
 
         {/* Chart Container */}
@@ -662,6 +756,10 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
               showTooltip={true}
               suppressEmptyMessage={true}
               navData={navData}
+              overlays={watchlist.benchmark ? [
+                { label: watchlist.benchmark, color: CRT_ORANGE, data: benchmark.benchmark },
+                { label: `vs ${watchlist.benchmark}`, color: CRT_GREEN_DARK, data: benchmark.relativeStrength }
+              ] : []}
               navMetadata={{
                 confidenceScore: 100,
                 validTickers: watchlist.items?.length || 0,
@@ -672,6 +770,38 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
           </MobileChartWrapper>
         </div>
 
+        <div style={{ marginBottom: '16px' }}>
+          <BenchmarkPanel
+            symbol={watchlist.benchmark || null}
+            onChange={(symbol) => updateWatchlistSettings({ benchmark: symbol })}
+            stats={benchmark.stats}
+            loading={benchmark.loading}
+            error={benchmark.error}
+          />
+        </div>
+
+        <div style={{ marginBottom: '16px' }}>
+          <RiskPanel navPoints={riskNav} />
+        </div>
+
+        <div style={{ marginBottom: '16px' }}>
+          <AttributionWaterfall
+            attribution={attribution}
+            timeframe={attributionTimeframe}
+            onTimeframeChange={setAttributionTimeframe}
+            tagging={sectorExposure.tagging}
+          />
+        </div>
+
+        <div style={{ marginBottom: '16px' }}>
+          <SectorExposurePanel
+            exposure={sectorExposure.exposure}
+            comparison={sectorExposure.comparison}
+            tagging={sectorExposure.tagging}
+            onRefresh={sectorExposure.refresh}
+          />
+        </div>
+
         {/* Controls between Chart and Table */}
         <div style={{
           display: 'flex',
@@ -735,6 +865,10 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
               selectedTimeframe={selectedTimeframe}
               editMode={editMode}
               handleBuyPriceChange={handleBuyPriceChange}
+              handlePositionChange={handlePositionChange}
+              positions={positionSummary.positions}
+              weighting={weighting}
+              contributions={attribution.positions}
               handleBuyDateChange={() => {}} // Not used in static mode
               handleRevertBuyDate={() => {}} // Not used in static mode
               handleFetchHistoricalData={() => {}} // Not used in static mode
@@ -755,6 +889,18 @@ const WatchlistPage = ({ watchlists, setWatchlists }) => {
           )}
         </div>
 
+        {watchlist.items?.length > 0 && (
+          <div style={{ marginBottom: '24px' }}>
+            <CandlestickChart items={watchlist.items} />
+          </div>
+        )}
+
+        {watchlist.items?.length > 1 && (
+          <div style={{ marginBottom: '24px' }}>
+            <CorrelationHeatmap items={watchlist.items} />
+          </div>
+        )}
+
         {/* Add Ticker Input Container */}
         <div style={{
           display: "flex", 
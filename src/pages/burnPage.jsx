@@ -17,12 +17,27 @@ import { useTheme } from '../ThemeContext';
 import { calculateETFPrice, calculateTWAP, calculatePortfolioBeta } from '../utils/portfolioUtils';
 import useNotification from '../hooks/useNotification';
 import { logger } from '../utils/logger';
+import { storage, STORAGE_KEYS } from '../utils/storage';
 
 import realTimeNavCalculator from '../data/realTimeNavCalculator';
+import { simulateRebalancing, REBALANCE_FREQUENCIES } from '../data/rebalanceSimulator';
 import navEventEmitter from '../data/navEventEmitter';
+import serverScheduler from '../data/serverScheduler';
 import RealTimeNavStatus from '../components/RealTimeNavStatus';
+import BenchmarkPanel from '../components/BenchmarkPanel';
+import RiskPanel from '../components/RiskPanel';
+import AttributionWaterfall from '../components/AttributionWaterfall';
+import SectorExposurePanel from '../components/SectorExposurePanel';
+import useBenchmark from '../hooks/useBenchmark';
+import useSectorExposure from '../hooks/useSectorExposure';
+import { calculatePositionNAV } from '../data/positionNavCalculator';
+import { calculateAttribution } from '../data/attributionCalculator';
+import { applyProfiles } from '../data/sectorExposure';
 
 const CRT_GREEN = 'rgb(149,184,163)';
+const CRT_YELLOW = '#FFD700';
+const CRT_ORANGE = '#FFA500';
+const CRT_GREEN_DARK = 'rgb(120,150,130)';
 
 // Helper function to convert confidence percentage to descriptive label
 const getConfidenceLabel = (confidence) => {
@@ -71,6 +86,7 @@ const BurnPage = () => {
   const [loading, setLoading] = useState(false);
   const { notification, notificationType, setNotification, setNotificationType } = useNotification();
   const [editMode, setEditMode] = useState(false);
+  const [rebalanceFrequency, setRebalanceFrequency] = useState(null); // null = buy-and-hold only
   const { isInverted } = useTheme();
   const [countdown, setCountdown] = useState(null);
 
@@ -189,6 +205,70 @@ const BurnPage = () => {
     return data;
   }, [watchlist?.items, selectedTimeframe]);
 
+  // Rebalanced vs buy-and-hold replay, charted together when a frequency is picked
+  const rebalanceSimulation = useMemo(() => {
+    if (!rebalanceFrequency || !watchlist?.items?.length) return null;
+    return simulateRebalancing(watchlist.items, {
+      frequency: rebalanceFrequency,
+      mode: watchlist.weighting,
+      timeframe: selectedTimeframe
+    });
+  }, [watchlist?.items, watchlist?.weighting, rebalanceFrequency, selectedTimeframe]);
+
+  // The chart switches to an explicit NAV series when something is overlaid on it
+  const chartNavData = useMemo(() => {
+    if (rebalanceSimulation) return rebalanceSimulation.buyAndHold;
+    if (!watchlist?.benchmark || !watchlist?.items?.length) return [];
+    return calculatePositionNAV(watchlist.items, { mode: watchlist.weighting, cash: watchlist.cash });
+  }, [rebalanceSimulation, watchlist?.benchmark, watchlist?.items, watchlist?.weighting, watchlist?.cash]);
+
+  const benchmark = useBenchmark({
+    items: watchlist?.items,
+    symbol: watchlist?.benchmark || null,
+    navData: chartNavData,
+    mode: watchlist?.weighting,
+    cash: watchlist?.cash
+  });
+
+  // Every NAV point, unsampled, for the risk statistics (reduced to session closes there)
+  const riskNav = useMemo(() => {
+    if (!watchlist?.items?.length) return [];
+    return calculatePositionNAV(watchlist.items, { mode: watchlist.weighting, cash: watchlist.cash, sample: false });
+  }, [watchlist?.items, watchlist?.weighting, watchlist?.cash]);
+
+  // Sector/industry tags land on the items; exposure follows from them
+  const sectorExposure = useSectorExposure({
+    items: watchlist?.items,
+    mode: watchlist?.weighting,
+    cash: watchlist?.cash,
+    onProfiles: (profiles, symbols) => {
+      const key = Object.keys(watchlists).find(k => watchlists[k].slug === slug);
+      if (!key) return;
+      handleSetWatchlists({
+        ...watchlists,
+        [key]: { ...watchlists[key], items: applyProfiles(watchlists[key].items, profiles, symbols) }
+      });
+    }
+  });
+
+  // Per-ticker and per-sector contributions over the selected timeframe
+  const attribution = useMemo(
+    () => calculateAttribution(watchlist?.items || [], {
+      mode: watchlist?.weighting,
+      cash: watchlist?.cash,
+      timeframe: selectedTimeframe
+    }),
+    [watchlist?.items, watchlist?.weighting, watchlist?.cash, selectedTimeframe]
+  );
+
+  const chartOverlays = [
+    ...(rebalanceSimulation ? [{ label: `Rebalanced ${rebalanceFrequency}`, color: CRT_YELLOW, data: rebalanceSimulation.rebalanced }] : []),
+    ...(watchlist?.benchmark ? [
+      { label: watchlist.benchmark, color: CRT_ORANGE, data: benchmark.benchmark },
+      { label: `vs ${watchlist.benchmark}`, color: CRT_GREEN_DARK, data: benchmark.relativeStrength }
+    ] : [])
+  ];
+
   // Calculate real stock count for header
   const realStockCount = Array.isArray(watchlist?.items)
     ? watchlist.items.filter(item => item.type === 'real').length
@@ -204,7 +284,8 @@ const BurnPage = () => {
       const CYCLE_DURATION = 3 * 60 * 1000; // 3 minutes in milliseconds
       const timeSinceEpoch = now;
       const timeInCurrentCycle = timeSinceEpoch % CYCLE_DURATION;
-      const timeUntilNext = CYCLE_DURATION - timeInCurrentCycle;
+      // Follow the server scheduler's own cycle when it is fetching for us
+      const timeUntilNext = serverScheduler.getTimeUntilNextCycle() ?? (CYCLE_DURATION - timeInCurrentCycle);
       
       const minutes = Math.floor(timeUntilNext / (1000 * 60));
       const seconds = Math.floor((timeUntilNext % (1000 * 60)) / 1000);
@@ -276,7 +357,7 @@ const BurnPage = () => {
 
     if (result.success) {
       // Record the last refresh time for countdown timer
-      localStorage.setItem(`burnlist_last_refresh_${slug}`, new Date().toISOString());
+      storage.setLastRefresh(slug, new Date().toISOString());
     } else if (result.message) {
       setNotification(result.message);
       setNotificationType("info");
@@ -353,10 +434,9 @@ const BurnPage = () => {
   useEffect(() => {
     const loadWatchlistData = () => {
       try {
-        const saved = localStorage.getItem("burnlist_watchlists");
-        if (saved) {
+        const parsed = storage.getWatchlists();
+        if (parsed) {
           try {
-            const parsed = JSON.parse(saved);
             setWatchlists(parsed);
             const found = Object.values(parsed).find(w => w.slug === slug);
             if (found) {
@@ -373,7 +453,7 @@ const BurnPage = () => {
             setWatchlist(found || null);
             console.log('📊 DEBUG: Loaded/reloaded watchlist data');
           } catch (e) {
-            localStorage.removeItem("burnlist_watchlists");
+            storage.remove(STORAGE_KEYS.WATCHLISTS);
             setWatchlist(null);
           }
         }
@@ -451,12 +531,17 @@ const BurnPage = () => {
       if (newList) {
         setWatchlist(newList);
       }
-      const stringified = JSON.stringify(updatedLists);
-      localStorage.setItem("burnlist_watchlists", stringified);
+      storage.setWatchlists(updatedLists);
       setWatchlists(updatedLists);
     } catch (err) {}
   };
 
+  const handleBenchmarkChange = (symbol) => {
+    const key = Object.keys(watchlists).find(k => watchlists[k].slug === slug);
+    if (!key || !watchlist) return;
+    handleSetWatchlists({ ...watchlists, [key]: { ...watchlist, benchmark: symbol } });
+  };
+
   // Handler to change buy price
   const handleBuyPriceChange = (index, newPrice) => {
     setWatchlist(prev => {
@@ -468,7 +553,7 @@ const BurnPage = () => {
         const key = Object.keys(watchlists).find(k => watchlists[k].slug === slug);
         if (!key) return watchlists;
         const updatedWatchlists = { ...watchlists, [key]: updated };
-        localStorage.setItem("burnlist_watchlists", JSON.stringify(updatedWatchlists));
+        storage.setWatchlists(updatedWatchlists);
         return updatedWatchlists;
       });
       return updated;
@@ -512,11 +597,11 @@ const BurnPage = () => {
   // Find the actual trading day for a given date (fallback for weekends/holidays)
   const findTradingDayFallback = async (symbol, targetDate) => {
     console.log('🚨 [FIND TRADING DAY] Starting for', symbol, 'date:', targetDate);
-    const { fetchHistoricalData } = await import('../data/twelvedataAdapter.js');
+    const { fetchHistoricalData } = await import('../data/marketDataAdapter.js');
     
     // Try the target date first
     console.log(`🔍 [HISTORICAL FETCH] Checking if ${targetDate} is a trading day for ${symbol}`);
-    console.log(`🔍 [HISTORICAL FETCH] Using direct twelvedataAdapter - no market hours validation`);
+    console.log(`🔍 [HISTORICAL FETCH] Using direct marketDataAdapter - no market hours validation`);
     
     // Look back up to 7 days to find a valid trading day, respecting user intent
     for (let i = 0; i <= 7; i++) {
@@ -612,7 +697,7 @@ const BurnPage = () => {
         const key = Object.keys(watchlists).find(k => watchlists[k].slug === slug);
         if (!key) return watchlists;
         const updatedWatchlists = { ...watchlists, [key]: updated };
-        localStorage.setItem("burnlist_watchlists", JSON.stringify(updatedWatchlists));
+        storage.setWatchlists(updatedWatchlists);
         return updatedWatchlists;
       });
       
@@ -669,7 +754,7 @@ const BurnPage = () => {
     setNotificationType('info');
 
     try {
-      const { fetchHistoricalData } = await import('../data/twelvedataAdapter.js');
+      const { fetchHistoricalData } = await import('../data/marketDataAdapter.js');
       const buyDate = new Date(newDate);
       const now = new Date();
       const daysDiff = Math.floor((now - buyDate) / (1000 * 60 * 60 * 24));
@@ -700,7 +785,7 @@ const BurnPage = () => {
 
       // Step 3: Fetch time series data from actual buy date to present
       logger.log(`📡 [HISTORICAL FETCH] Step 2: Fetching time series data from ${actualBuyDate} with interval=${interval}, outputSize=${outputSize}`);
-      logger.log(`📡 [HISTORICAL FETCH] Using direct twelvedataAdapter - bypassing ALL market validation`);
+      logger.log(`📡 [HISTORICAL FETCH] Using direct marketDataAdapter - bypassing ALL market validation`);
       
       let historicalData;
       try {
@@ -843,7 +928,7 @@ const BurnPage = () => {
         const key = Object.keys(watchlists).find(k => watchlists[k].slug === slug);
         if (!key) return watchlists;
         const updatedWatchlists = { ...watchlists, [key]: updated };
-        localStorage.setItem("burnlist_watchlists", JSON.stringify(updatedWatchlists));
+        storage.setWatchlists(updatedWatchlists);
         return updatedWatchlists;
       });
         
@@ -913,7 +998,7 @@ const BurnPage = () => {
       
       // Fetch historical data from Twelve Data API
       logger.log(`📡 Fetching historical data for ${ticker.symbol} from Twelve Data...`);
-      const { fetchHistoricalData } = await import('../data/twelvedataAdapter.js');
+      const { fetchHistoricalData } = await import('../data/marketDataAdapter.js');
       
       const buyDate = new Date(ticker.buyDate);
       const now = new Date();
@@ -1055,11 +1140,10 @@ const BurnPage = () => {
           logger.log(`💾 Saving to localStorage with key: ${key}`);
           logger.log(`📊 Updated watchlist items count:`, updated.items.length);
           
-          localStorage.setItem("burnlist_watchlists", JSON.stringify(updatedWatchlists));
+          storage.setWatchlists(updatedWatchlists);
           
           // Verify the save worked
-          const saved = localStorage.getItem("burnlist_watchlists");
-          const parsed = JSON.parse(saved);
+          const parsed = storage.getWatchlists();
           const savedItem = parsed[key].items[index];
           logger.log(`✅ Verification - Saved historical data length:`, savedItem.historicalData.length);
           
@@ -1087,7 +1171,7 @@ const BurnPage = () => {
         const key = Object.keys(watchlists).find(k => watchlists[k].slug === slug);
         if (!key) return watchlists;
         const updatedWatchlists = { ...watchlists, [key]: updated };
-        localStorage.setItem("burnlist_watchlists", JSON.stringify(updatedWatchlists));
+        storage.setWatchlists(updatedWatchlists);
         return updatedWatchlists;
       });
       return updated;
@@ -1234,10 +1318,53 @@ const BurnPage = () => {
             </button>
           </div>
           
+          <div style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '10px', fontFamily: "'Courier New'" }}>
+            <span style={{ opacity: 0.7 }}>REBALANCE</span>
+            {[null, ...REBALANCE_FREQUENCIES].map(frequency => (
+              <button
+                key={frequency || 'off'}
+                onClick={() => setRebalanceFrequency(frequency)}
+                style={{
+                  background: rebalanceFrequency === frequency ? CRT_GREEN : 'transparent',
+                  color: rebalanceFrequency === frequency ? 'black' : CRT_GREEN,
+                  border: `1px solid ${CRT_GREEN}`,
+                  padding: '4px 8px',
+                  fontSize: '10px',
+                  fontFamily: "'Courier New'",
+                  cursor: 'pointer',
+                  textTransform: 'uppercase'
+                }}
+              >
+                {frequency || 'off'}
+              </button>
+            ))}
+          </div>
+
           {/* Real-time NAV Status */}
           <RealTimeNavStatus watchlistSlug={slug} timeframe={selectedTimeframe} />
         </div>
 
+        {rebalanceFrequency && (
+          <div style={{ fontSize: '11px', fontFamily: "'Courier New'", marginBottom: '8px', color: CRT_GREEN }}>
+            {rebalanceSimulation ? (() => {
+              const rebalancedReturn = rebalanceSimulation.rebalanced[rebalanceSimulation.rebalanced.length - 1].returnPercent;
+              const holdReturn = rebalanceSimulation.buyAndHold[rebalanceSimulation.buyAndHold.length - 1].returnPercent;
+              const format = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+              return (
+                <>
+                  <span>━ Buy &amp; hold {format(holdReturn)}</span>
+                  <span style={{ color: CRT_YELLOW, marginLeft: '16px' }}>┅ Rebalanced {rebalanceFrequency} {format(rebalancedReturn)}</span>
+                  <span style={{ opacity: 0.7, marginLeft: '16px' }}>
+                    {rebalanceSimulation.rebalances} rebalances · {rebalanceSimulation.turnover.toFixed(1)}% turnover · since {new Date(rebalanceSimulation.startTimestamp).toLocaleDateString()}
+                  </span>
+                </>
+              );
+            })() : (
+              <span style={{ opacity: 0.7 }}>Not enough overlapping price history to simulate rebalancing</span>
+            )}
+          </div>
+        )}
+
         <MobileChartWrapper height={505} style={{}}>
           <WatchlistChart 
             portfolioReturnData={portfolioReturnData} 
@@ -1246,8 +1373,41 @@ const BurnPage = () => {
             showBacktestLine={false} 
             height={500}
             suppressEmptyMessage={true}
+            navData={chartNavData}
+            overlays={chartOverlays}
           />
         </MobileChartWrapper>
+
+        {/* Benchmark stats */}
+        <div style={{ margin: '10px 0 16px 0' }}>
+          <BenchmarkPanel
+            symbol={watchlist.benchmark || null}
+            onChange={handleBenchmarkChange}
+            stats={benchmark.stats}
+            loading={benchmark.loading}
+            error={benchmark.error}
+          />
+        </div>
+
+        {/* Risk stats */}
+        <div style={{ margin: '0 0 16px 0' }}>
+          <RiskPanel navPoints={riskNav} />
+        </div>
+
+        {/* Return attribution */}
+        <div style={{ margin: '0 0 16px 0' }}>
+          <AttributionWaterfall attribution={attribution} timeframe={selectedTimeframe} tagging={sectorExposure.tagging} />
+        </div>
+
+        {/* Sector exposure */}
+        <div style={{ margin: '0 0 16px 0' }}>
+          <SectorExposurePanel
+            exposure={sectorExposure.exposure}
+            comparison={sectorExposure.comparison}
+            tagging={sectorExposure.tagging}
+            onRefresh={sectorExposure.refresh}
+          />
+        </div>
       {Array.isArray(watchlist.items) && watchlist.items.length > 0 ? (
         <TickerTable
           items={watchlist.items}
@@ -1259,6 +1419,7 @@ const BurnPage = () => {
           handleFetchHistoricalData={handleFetchHistoricalData}
           handleDelete={handleDeleteTicker}
           handleRefreshPrice={handleRefreshTickerPrice}
+          contributions={attribution.positions}
         />
       ) : null}
       {/* Only show this message ONCE, below the chart and above AddTickerInput */}
@@ -1292,9 +1453,8 @@ const BurnPage = () => {
           handleBulkAdd={async (tickerObjects) => {
             if (!tickerObjects || tickerObjects.length === 0) return;
             try {
-              const saved = localStorage.getItem("burnlist_watchlists");
-              if (!saved || saved === "undefined") return;
-              const parsed = JSON.parse(saved);
+              const parsed = storage.getWatchlists();
+              if (!parsed) return;
               const currentSlug = slug;
               const current = Object.values(parsed).find(w => w.slug === currentSlug);
               if (!current || !Array.isArray(current.items)) return;
@@ -1312,7 +1472,7 @@ const BurnPage = () => {
               } else {
                 return;
               }
-              localStorage.setItem("burnlist_watchlists", JSON.stringify(updated));
+              storage.setWatchlists(updated);
               setWatchlists(updated);
             } catch (error) {}
           }}
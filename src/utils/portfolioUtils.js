@@ -1,4 +1,7 @@
 import { logger } from './logger';
+import returnCalculator from '../data/returnCalculator';
+import { calculatePositionNAV } from '../data/positionNavCalculator';
+import { calculateBenchmarkStats } from '../data/benchmarkAnalytics';
 
 /**
  * Calculate ETF-like average price for a watchlist using NAV baseline approach
@@ -207,107 +210,34 @@ export function calculateTWAP(items) {
 }
 
 /**
- * Calculate portfolio beta relative to market (S&P 500)
+ * Calculate portfolio beta relative to a benchmark (SPY, QQQ, ...)
  * @param {Array} items - Array of ticker items with historicalData
- * @param {string} timeframe - Timeframe for calculation ('D', 'W', 'M', 'Y')
- * @returns {Object} - Beta calculation results
+ * @param {string} timeframe - Timeframe for calculation ('D', 'W', 'M', 'YTD', 'MAX')
+ * @param {Array} benchmarkBars - Benchmark daily bars ({ timestamp, price }), e.g. from fetchHistory
+ * @returns {Object} - Beta calculation results; beta is null without benchmark data
  */
-export function calculatePortfolioBeta(items, timeframe = 'D') {
-  if (!Array.isArray(items) || items.length === 0) {
-    return { beta: 0, confidence: 0, marketCorrelation: 0 };
-  }
-
-  const validItems = items.filter(item => 
-    item && 
-    Array.isArray(item.historicalData) && 
-    item.historicalData.length > 0
-  );
-
-  if (validItems.length === 0) {
-    return { beta: 0, confidence: 0, marketCorrelation: 0 };
+export function calculatePortfolioBeta(items, timeframe = 'D', benchmarkBars = null) {
+  const empty = { beta: null, confidence: 0, marketCorrelation: null };
+  if (!Array.isArray(items) || items.length === 0 || !Array.isArray(benchmarkBars) || benchmarkBars.length === 0) {
+    return empty;
   }
 
-  // For now, we'll use a simplified approach since we don't have S&P 500 data
-  // In a real implementation, you'd fetch S&P 500 historical data
-  // For demo purposes, we'll calculate beta based on portfolio volatility vs average stock volatility
-  
   try {
-    // Calculate individual stock returns for the timeframe
-    const stockReturns = validItems.map(item => {
-      const sortedData = [...item.historicalData].sort((a, b) => 
-        new Date(a.timestamp) - new Date(b.timestamp)
-      );
-      
-      if (sortedData.length < 2) return null;
-      
-      // Calculate returns based on timeframe
-      let returns = [];
-      const timeframeDays = {
-        'D': 1,
-        'W': 7,
-        'M': 30,
-        'Y': 365
-      };
-      
-      const daysToLookBack = timeframeDays[timeframe] || 1;
-      
-      for (let i = daysToLookBack; i < sortedData.length; i++) {
-        const currentPrice = Number(sortedData[i].price);
-        const previousPrice = Number(sortedData[i - daysToLookBack].price);
-        if (previousPrice > 0) {
-          const return_pct = ((currentPrice - previousPrice) / previousPrice) * 100;
-          returns.push(return_pct);
-        }
-      }
-      
-      return {
-        symbol: item.symbol,
-        returns: returns,
-        avgReturn: returns.length > 0 ? returns.reduce((a, b) => a + b, 0) / returns.length : 0,
-        volatility: returns.length > 0 ? Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - (returns.reduce((a, b) => a + b, 0) / returns.length), 2), 0) / returns.length) : 0
-      };
-    }).filter(item => item !== null);
-
-    if (stockReturns.length === 0) {
-      return { beta: 0, confidence: 0, marketCorrelation: 0 };
-    }
-
-    // Calculate portfolio volatility (weighted average of stock volatilities)
-    const totalValue = validItems.reduce((sum, item) => {
-      const currentPrice = Number(item.historicalData[item.historicalData.length - 1]?.price || 0);
-      return sum + currentPrice;
-    }, 0);
-
-    const portfolioVolatility = validItems.reduce((sum, item, index) => {
-      const currentPrice = Number(item.historicalData[item.historicalData.length - 1]?.price || 0);
-      const weight = totalValue > 0 ? currentPrice / totalValue : 0;
-      const stockReturn = stockReturns.find(sr => sr.symbol === item.symbol);
-      return sum + (weight * (stockReturn?.volatility || 0));
-    }, 0);
-
-    // Calculate average market volatility (simplified - in reality you'd use S&P 500 data)
-    const avgMarketVolatility = stockReturns.reduce((sum, sr) => sum + sr.volatility, 0) / stockReturns.length;
-    
-    // Calculate beta as portfolio volatility relative to market volatility
-    const beta = avgMarketVolatility > 0 ? portfolioVolatility / avgMarketVolatility : 1;
-    
-    // Calculate confidence based on data quality
-    const avgDataPoints = stockReturns.reduce((sum, sr) => sum + sr.returns.length, 0) / stockReturns.length;
-    const confidence = Math.min(100, Math.max(0, (avgDataPoints / 30) * 100)); // 30 data points = 100% confidence
-    
-    // Calculate market correlation (simplified)
-    const marketCorrelation = Math.min(1, Math.max(-1, beta * 0.8)); // Simplified correlation
+    const startTime = returnCalculator.getTimeframeStartTime(timeframe)?.getTime() ?? -Infinity;
+    const navPoints = calculatePositionNAV(items, { sample: false })
+      .filter(point => new Date(point.timestamp).getTime() >= startTime);
+    const stats = calculateBenchmarkStats(navPoints, benchmarkBars);
+    if (!stats || stats.beta === null) return empty;
 
     return {
-      beta: Number(beta.toFixed(2)),
-      confidence: Number(confidence.toFixed(0)),
-      marketCorrelation: Number(marketCorrelation.toFixed(2)),
-      portfolioVolatility: Number(portfolioVolatility.toFixed(2)),
-      avgMarketVolatility: Number(avgMarketVolatility.toFixed(2))
+      beta: Number(stats.beta.toFixed(2)),
+      confidence: Number(Math.min(100, (stats.periods / 30) * 100).toFixed(0)), // 30 periods = 100% confidence
+      marketCorrelation: stats.correlation === null ? null : Number(stats.correlation.toFixed(2)),
+      alpha: stats.alpha,
+      trackingError: stats.trackingError
     };
-    
   } catch (error) {
     logger.error('Error calculating portfolio beta:', error);
-    return { beta: 0, confidence: 0, marketCorrelation: 0 };
+    return empty;
   }
-} 
\ No newline at end of file
+}
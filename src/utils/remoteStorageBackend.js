@@ -0,0 +1,150 @@
+import { logger } from './logger';
+
+const SYNC_DELAY_MS = 500;
+const RETRY_DELAY_MS = 30000;
+
+// Collections stored as { [id]: entity } on the server, synced entity by entity
+const MAP_COLLECTIONS = new Set(['watchlists', 'universes', 'scoringProfiles', 'screeners']);
+
+/**
+ * Remote backend for StorageManager, talking to the /api/store routes.
+ *
+ * Writes are debounced per storage key. Map collections (watchlists,
+ * universes, screeners) are diffed against the last synced snapshot and only
+ * changed entities are sent, so two machines editing different lists don't
+ * overwrite each other. Failed syncs stay pending and are retried.
+ */
+class RemoteStorageBackend {
+  constructor(baseUrl = '/api/store') {
+    this.baseUrl = baseUrl;
+    this.pending = new Map();   // key -> { target, value }
+    this.synced = new Map();    // key -> JSON string, or { [id]: JSON string } for map collections
+    this.timer = null;
+    this.isFlushing = false;
+  }
+
+  async request(path, { method = 'GET', body, signal } = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      signal,
+      headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Store ${method} ${path} failed: ${response.status} ${errorData.error || response.statusText}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Fetch every collection ({ [name]: { revision, updatedAt, data } })
+   */
+  async fetchAll({ timeoutMs = 3000 } = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const { collections } = await this.request('', { signal: controller.signal });
+      return collections;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Remember what the server holds for a key so later writes can be diffed
+  markSynced(key, target, value) {
+    if (!target.id && MAP_COLLECTIONS.has(target.collection)) {
+      const entities = {};
+      Object.entries(value || {}).forEach(([id, entity]) => {
+        entities[id] = JSON.stringify(entity);
+      });
+      this.synced.set(key, entities);
+    } else {
+      this.synced.set(key, JSON.stringify(value));
+    }
+  }
+
+  hasPending(key) {
+    return this.pending.has(key);
+  }
+
+  schedule(key, target, value) {
+    this.pending.set(key, { target, value });
+    this.scheduleFlush(SYNC_DELAY_MS);
+  }
+
+  scheduleFlush(delay) {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, delay);
+  }
+
+  async flush() {
+    if (this.isFlushing) {
+      this.scheduleFlush(SYNC_DELAY_MS);
+      return;
+    }
+
+    this.isFlushing = true;
+    const batch = Array.from(this.pending.entries());
+    this.pending.clear();
+    let failed = false;
+
+    for (const [key, { target, value }] of batch) {
+      try {
+        await this.syncKey(key, target, value);
+        this.markSynced(key, target, value);
+      } catch (error) {
+        failed = true;
+        logger.warn(`⚠️ Remote storage sync failed for ${key}, will retry:`, error.message);
+        // Keep newer writes that arrived while this one was in flight
+        if (!this.pending.has(key)) {
+          this.pending.set(key, { target, value });
+        }
+      }
+    }
+
+    this.isFlushing = false;
+    if (failed) {
+      this.scheduleFlush(RETRY_DELAY_MS);
+    } else if (this.pending.size > 0) {
+      this.scheduleFlush(SYNC_DELAY_MS);
+    }
+  }
+
+  async syncKey(key, { collection, id }, value) {
+    if (id) {
+      if (value === undefined) {
+        await this.request(`/${collection}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      } else {
+        await this.request(`/${collection}/${encodeURIComponent(id)}`, { method: 'PUT', body: { data: value } });
+      }
+      return;
+    }
+
+    if (!MAP_COLLECTIONS.has(collection)) {
+      await this.request(`/${collection}`, { method: 'PUT', body: { data: value } });
+      return;
+    }
+
+    const previous = this.synced.get(key) || {};
+    const next = value || {};
+
+    for (const [entityId, entity] of Object.entries(next)) {
+      const serialized = JSON.stringify(entity);
+      if (previous[entityId] !== serialized) {
+        await this.request(`/${collection}/${encodeURIComponent(entityId)}`, { method: 'PUT', body: { data: entity } });
+      }
+    }
+    for (const entityId of Object.keys(previous)) {
+      if (!(entityId in next)) {
+        await this.request(`/${collection}/${encodeURIComponent(entityId)}`, { method: 'DELETE' });
+      }
+    }
+  }
+}
+
+export default RemoteStorageBackend;
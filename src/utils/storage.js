@@ -1,19 +1,77 @@
+import RemoteStorageBackend from './remoteStorageBackend';
+import { logger } from './logger';
+import priceSeriesStore from '../data/priceSeriesStore';
+
 // Centralized storage utility
 const STORAGE_KEYS = {
   WATCHLISTS: 'burnlist_watchlists',
   UNIVERSES: 'burnlist_universes',
+  SCORING_PROFILES: 'burnlist_scoring_profiles',
   SCREENER_SETTINGS: 'burnlist_screener_settings',
   SCREENERS: 'burnlist_screeners',
   TRADE_JOURNAL: 'trade_journal_trades',
   FETCH_COUNT: 'burnlist_fetch_count',
   LAST_REFRESH: 'burnlist_last_refresh_',
   UNIVERSE_TOGGLES: 'universe_toggles_',
+  UNIVERSE_HISTORY: 'burnlist_universe_history_',
   CHART_DATA: 'burnlist_chart_data_'
 };
 
+// Keys mirrored to the server store (/api/store/:collection)
+const REMOTE_COLLECTIONS = {
+  [STORAGE_KEYS.WATCHLISTS]: 'watchlists',
+  [STORAGE_KEYS.UNIVERSES]: 'universes',
+  [STORAGE_KEYS.SCORING_PROFILES]: 'scoringProfiles',
+  [STORAGE_KEYS.SCREENERS]: 'screeners',
+  [STORAGE_KEYS.SCREENER_SETTINGS]: 'screenerSettings',
+  [STORAGE_KEYS.TRADE_JOURNAL]: 'tradeJournal'
+};
+
+// Per-item keys (prefix + id) mirrored to /api/store/:collection/:id
+const REMOTE_PREFIXED_COLLECTIONS = {
+  [STORAGE_KEYS.CHART_DATA]: 'chartData',
+  [STORAGE_KEYS.UNIVERSE_TOGGLES]: 'universeToggles',
+  [STORAGE_KEYS.UNIVERSE_HISTORY]: 'universeHistory',
+  [STORAGE_KEYS.LAST_REFRESH]: 'lastRefresh'
+};
+
+// Remove auth/ft from a link, keeping every other parameter
+function stripLinkCredentials(link) {
+  try {
+    const url = new URL(link);
+    url.searchParams.delete('auth');
+    url.searchParams.delete('ft');
+    return url.toString();
+  } catch (error) {
+    // Not an absolute URL, strip the query string on its own
+    const [base, query = ''] = link.split('?');
+    const params = new URLSearchParams(query);
+    params.delete('auth');
+    params.delete('ft');
+    const rest = params.toString();
+    return rest ? `${base}?${rest}` : base;
+  }
+}
+
+// Drop a screener's apiKey and any auth/ft parameter from its link
+function stripScreenerCredentials(screeners) {
+  const stripped = {};
+  Object.entries(screeners || {}).forEach(([id, screener]) => {
+    const { apiKey, ...rest } = screener || {};
+    if (typeof rest.apiLink === 'string') {
+      rest.apiLink = stripLinkCredentials(rest.apiLink);
+    }
+    stripped[id] = rest;
+  });
+  return stripped;
+}
+
 class StorageManager {
   constructor() {
     this.isAvailable = this.checkAvailability();
+    this.remote = null;
+    // Serialized values of synced keys, so reads still work when localStorage is full
+    this.memory = new Map();
   }
 
   checkAvailability() {
@@ -28,11 +86,14 @@ class StorageManager {
   }
 
   get(key, defaultValue = null) {
+    if (this.memory.has(key)) {
+      return this.fromStored(key, JSON.parse(this.memory.get(key)));
+    }
     if (!this.isAvailable) return defaultValue;
     
     try {
       const item = localStorage.getItem(key);
-      return item ? JSON.parse(item) : defaultValue;
+      return item ? this.fromStored(key, JSON.parse(item)) : defaultValue;
     } catch (error) {
       console.error(`Failed to get item from localStorage: ${key}`, error);
       return defaultValue;
@@ -40,6 +101,19 @@ class StorageManager {
   }
 
   set(key, value) {
+    value = this.toStored(key, value);
+    const saved = this.setLocal(key, value);
+
+    const target = this.remote && this.getRemoteTarget(key);
+    if (target) {
+      this.memory.set(key, JSON.stringify(value));
+      this.remote.schedule(key, target, value);
+      return true;
+    }
+    return saved;
+  }
+
+  setLocal(key, value) {
     if (!this.isAvailable) return false;
     
     try {
@@ -52,6 +126,14 @@ class StorageManager {
   }
 
   remove(key) {
+    this.memory.delete(key);
+
+    // Whole collections are never cleared remotely from one browser, only per-item keys
+    const target = this.remote && this.getRemoteTarget(key);
+    if (target?.id) {
+      this.remote.schedule(key, target, undefined);
+    }
+
     if (!this.isAvailable) return false;
     
     try {
@@ -75,6 +157,138 @@ class StorageManager {
     }
   }
 
+  // Watchlist items are persisted without historicalData, series live in IndexedDB
+  toStored(key, value) {
+    if (key === STORAGE_KEYS.WATCHLISTS && priceSeriesStore.isAvailable) {
+      return priceSeriesStore.detachWatchlists(value);
+    }
+    return value;
+  }
+
+  fromStored(key, value) {
+    if (key === STORAGE_KEYS.WATCHLISTS && priceSeriesStore.isAvailable) {
+      return priceSeriesStore.attachWatchlists(value);
+    }
+    return value;
+  }
+
+  // Map a storage key to its server collection (and item id for prefixed keys)
+  getRemoteTarget(key) {
+    if (REMOTE_COLLECTIONS[key]) {
+      return { collection: REMOTE_COLLECTIONS[key], id: null };
+    }
+    const prefix = Object.keys(REMOTE_PREFIXED_COLLECTIONS).find(p => key.startsWith(p) && key.length > p.length);
+    return prefix ? { collection: REMOTE_PREFIXED_COLLECTIONS[prefix], id: key.slice(prefix.length) } : null;
+  }
+
+  /**
+   * Switch to the server store when it is reachable.
+   * The server is the source of truth: its collections replace local copies.
+   * Collections the server has never seen are seeded from this browser.
+   * @returns {Promise<boolean>} true when remote sync is active
+   */
+  async connectRemote({ baseUrl = '/api/store', timeoutMs = 3000 } = {}) {
+    if (import.meta.env.VITE_STORAGE_BACKEND === 'local') {
+      return false;
+    }
+
+    const backend = new RemoteStorageBackend(baseUrl);
+    let collections;
+    try {
+      collections = await backend.fetchAll({ timeoutMs });
+    } catch (error) {
+      logger.warn('💾 Remote storage unavailable, using localStorage only:', error.message);
+      return false;
+    }
+
+    this.remote = backend;
+    let seeded = 0;
+
+    Object.entries(REMOTE_COLLECTIONS).forEach(([key, collection]) => {
+      const record = collections[collection];
+      if (!record) return;
+
+      const target = { collection, id: null };
+      if (record.revision > 0) {
+        this.hydrate(key, target, record.data);
+      } else {
+        const local = this.get(key);
+        if (local !== null) {
+          this.set(key, local);
+          seeded++;
+        }
+      }
+    });
+
+    Object.entries(REMOTE_PREFIXED_COLLECTIONS).forEach(([prefix, collection]) => {
+      const record = collections[collection];
+      if (!record) return;
+
+      if (record.revision > 0) {
+        Object.entries(record.data).forEach(([id, value]) => {
+          this.hydrate(`${prefix}${id}`, { collection, id }, value);
+        });
+      } else if (this.isAvailable) {
+        Object.keys(localStorage)
+          .filter(key => key.startsWith(prefix) && key.length > prefix.length)
+          .forEach(key => {
+            const local = this.get(key);
+            if (local !== null) {
+              this.set(key, local);
+              seeded++;
+            }
+          });
+      }
+    });
+
+    logger.info(`💾 Remote storage connected${seeded > 0 ? ` (seeding ${seeded} keys from this browser)` : ''}`);
+    return true;
+  }
+
+  /**
+   * Re-read collections written by the server (e.g. the batch scheduler).
+   * Keys with local writes still waiting to sync are left alone.
+   * @param {Array<string>} names - Server collection names to pull
+   * @returns {Promise<Array<string>>} Storage keys whose value changed
+   */
+  async pullRemote(names) {
+    if (!this.remote) return [];
+
+    const collections = await this.remote.fetchAll();
+    const changed = [];
+    const pull = (key, target, value) => {
+      if (this.remote.hasPending(key)) return;
+      if (this.memory.get(key) === JSON.stringify(this.toStored(key, value))) return;
+      this.hydrate(key, target, value);
+      changed.push(key);
+    };
+
+    Object.entries(REMOTE_COLLECTIONS).forEach(([key, collection]) => {
+      const record = collections[collection];
+      if (names.includes(collection) && record?.revision > 0) {
+        pull(key, { collection, id: null }, record.data);
+      }
+    });
+
+    Object.entries(REMOTE_PREFIXED_COLLECTIONS).forEach(([prefix, collection]) => {
+      const record = collections[collection];
+      if (names.includes(collection) && record?.revision > 0) {
+        Object.entries(record.data).forEach(([id, value]) => {
+          pull(`${prefix}${id}`, { collection, id }, value);
+        });
+      }
+    });
+
+    return changed;
+  }
+
+  hydrate(key, target, value) {
+    value = this.toStored(key, value);
+    this.memory.set(key, JSON.stringify(value));
+    this.setLocal(key, value);
+    this.remote.markSynced(key, target, value);
+  }
+
   // Specific methods for common operations
   getWatchlists() {
     return this.get(STORAGE_KEYS.WATCHLISTS, {});
@@ -92,6 +306,15 @@ class StorageManager {
     return this.set(STORAGE_KEYS.UNIVERSES, universes);
   }
 
+  // Buy Score profiles by id, picked per universe by its scoringProfileId
+  getScoringProfiles() {
+    return this.get(STORAGE_KEYS.SCORING_PROFILES, {});
+  }
+
+  setScoringProfiles(profiles) {
+    return this.set(STORAGE_KEYS.SCORING_PROFILES, profiles);
+  }
+
   getTradeJournal() {
     return this.get(STORAGE_KEYS.TRADE_JOURNAL, []);
   }
@@ -116,12 +339,14 @@ class StorageManager {
     return this.set(`${STORAGE_KEYS.UNIVERSE_TOGGLES}${ticker}`, toggles);
   }
 
+  // Screeners are kept without credentials (older ones carried an apiKey
+  // and an auth= link); the server adds the Finviz token when proxying
   getScreeners() {
-    return this.get(STORAGE_KEYS.SCREENERS, {});
+    return stripScreenerCredentials(this.get(STORAGE_KEYS.SCREENERS, {}));
   }
 
   setScreeners(screeners) {
-    return this.set(STORAGE_KEYS.SCREENERS, screeners);
+    return this.set(STORAGE_KEYS.SCREENERS, stripScreenerCredentials(screeners));
   }
 
   getFetchCount() {
@@ -132,6 +357,15 @@ class StorageManager {
     return this.set(STORAGE_KEYS.FETCH_COUNT, count);
   }
 
+  // Dated score snapshots of a universe, oldest first
+  getUniverseHistory(universeId) {
+    return this.get(`${STORAGE_KEYS.UNIVERSE_HISTORY}${universeId}`, []);
+  }
+
+  setUniverseHistory(universeId, snapshots) {
+    return this.set(`${STORAGE_KEYS.UNIVERSE_HISTORY}${universeId}`, snapshots);
+  }
+
   getChartData(slug) {
     return this.get(`${STORAGE_KEYS.CHART_DATA}${slug}`, []);
   }